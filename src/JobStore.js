@@ -1,4 +1,10 @@
 // MongoJobStore implementation using mongoose and the videoEditJobs collection
+//
+// Workers claim pending jobs with claimJob, which atomically moves one job to
+// 'processing' under a lease (leaseOwner + leaseExpiresAt). The owner renews the
+// lease while it works (renewLease) and writes results with updateJob(..., { leaseOwner }),
+// so a worker that lost its lease cannot overwrite the job. Jobs whose lease ran
+// out (the worker died) are put back to 'pending' by recoverExpiredJobs.
 
 const mongoose = require('mongoose');
 
@@ -10,16 +16,41 @@ const JobSchema = new mongoose.Schema({
   start: { type: Number },
   end: { type: Number },
   aspectRatio: { type: String },
+  reframe: { type: String }, // crop jobs: 'center' (default), 'smart' or 'manual'
+  keyframes: { type: [mongoose.Schema.Types.Mixed], default: undefined }, // manual reframe rectangles
   userId: { type: String },
   username: { type: String },
   exportName: { type: String },
+  // timeline jobs: ordered clips ({ s3Key, in, out, transition }) rendered at resolution/fps
+  clips: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  resolution: { type: String },
+  fps: { type: Number },
+  // captions jobs: { source: { type, id }, text, style, offset, duration, burnIn, exportFormats }
+  captions: { type: mongoose.Schema.Types.Mixed },
+  exportPresets: { type: [mongoose.Schema.Types.Mixed], default: undefined }, // export jobs: resolved presets, one rendition each
+  watermark: { type: mongoose.Schema.Types.Mixed, default: undefined }, // crop/export jobs: brand logo { s3Key, position, opacity, scale, margin }
+  highlights: { type: mongoose.Schema.Types.Mixed, default: undefined }, // highlights jobs: { targetDuration, count, render, reframe, sceneThreshold }
+  derivedFrom: { type: mongoose.Schema.Types.Mixed, default: undefined }, // Source link recorded on the output's Video (e.g. highlight clips)
+  jumpcut: { type: mongoose.Schema.Types.Mixed, default: undefined }, // jumpcut jobs: { threshold, minSilence, padding }
+  effect: { type: mongoose.Schema.Types.Mixed, default: undefined }, // speed/reverse/loop/boomerang jobs: { speed?, loops? }
+  animation: { type: mongoose.Schema.Types.Mixed, default: undefined }, // animation jobs: { format, start, end, width, fps, plays, palette?, dither?, quality? }
+  loudness: { type: mongoose.Schema.Types.Mixed, default: undefined }, // loudness and export jobs: { preset, target, truePeak, lra, analyzeOnly? }
+  outputs: { type: mongoose.Schema.Types.Mixed, default: undefined }, // Extra files written by the job, by name: { key, url }
   status: { type: String, default: 'pending' },
   error: { type: String, default: null },
   downloadUrl: { type: String, default: null },
+  progress: { type: Number, default: null },
+  leaseOwner: { type: String, default: null }, // Worker processing the job
+  leaseExpiresAt: { type: Date, default: null }, // Job is recovered if not renewed by then
+  attempts: { type: Number, default: 0 }, // Times a worker claimed the job
+  startedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, { collection: 'videoEditJobs' });
 
+JobSchema.index({ type: 1, status: 1, createdAt: 1 });
+JobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
 const JobModel = mongoose.models.VideoEditJob || mongoose.model('VideoEditJob', JobSchema);
 
 class MongoJobStore {
@@ -39,18 +70,120 @@ class MongoJobStore {
     return doc.toObject();
   }
 
-  async updateJob(jobId, updates) {
+  /**
+   * @param {string} jobId
+   * @param {object} updates
+   * @param {object} [options] - { leaseOwner }: only update while this worker holds the lease
+   */
+  async updateJob(jobId, updates, options = {}) {
+    const query = { jobId };
+    if (options.leaseOwner) {
+      query.status = 'processing';
+      query.leaseOwner = options.leaseOwner;
+    }
     const updated = await JobModel.findOneAndUpdate(
-      { jobId },
+      query,
       { ...updates, updatedAt: new Date() },
       { new: true }
     );
     if (!updated) {
-      console.warn(`[JobStore][WARN] No document updated for jobId: ${jobId}. Updates:`, updates);
+      console.warn(`[JobStore][WARN] No document updated for jobId: ${jobId}${options.leaseOwner ? ` (lease ${options.leaseOwner})` : ''}. Updates:`, updates);
     }
     return updated ? updated.toObject() : null;
   }
 
+  /**
+   * Atomically claim the oldest pending job of a type
+   * @param {string|string[]} type - Job type(s), e.g. 'crop'
+   * @param {string} owner - Worker ID
+   * @param {number} leaseMs - Lease duration
+   * @returns {Promise<object|null>} The claimed job, or null if none is pending
+   */
+  async claimJob(type, owner, leaseMs) {
+    const now = new Date();
+    const job = await JobModel.findOneAndUpdate(
+      { type: Array.isArray(type) ? { $in: type } : type, status: 'pending' },
+      {
+        $set: {
+          status: 'processing',
+          progress: 0,
+          leaseOwner: owner,
+          leaseExpiresAt: new Date(now.getTime() + leaseMs),
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    return job ? job.toObject() : null;
+  }
+
+  /**
+   * Extend the lease of a job the worker is processing (heartbeat)
+   * @returns {Promise<boolean>} False if the worker no longer holds the lease
+   */
+  async renewLease(jobId, owner, leaseMs) {
+    const result = await JobModel.updateOne(
+      { jobId, status: 'processing', leaseOwner: owner },
+      { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Give a claimed job back without counting the attempt (e.g. worker shutting down)
+   * @returns {Promise<boolean>} False if the worker no longer holds the lease
+   */
+  async releaseJob(jobId, owner) {
+    const result = await JobModel.updateOne(
+      { jobId, status: 'processing', leaseOwner: owner },
+      {
+        $set: { status: 'pending', progress: null, leaseOwner: null, leaseExpiresAt: null, startedAt: null, updatedAt: new Date() },
+        $inc: { attempts: -1 }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Put processing jobs whose lease expired back to pending, or fail them once
+   * they have used maxAttempts. Jobs from before leasing (no leaseExpiresAt)
+   * count as expired when they have not been updated for graceMs.
+   * @param {string|string[]} type - Job type(s)
+   * @returns {Promise<{ requeued: number, failed: number }>}
+   */
+  async recoverExpiredJobs(type, maxAttempts, graceMs) {
+    const now = new Date();
+    const expired = {
+      type: Array.isArray(type) ? { $in: type } : type,
+      status: 'processing',
+      $or: [
+        { leaseExpiresAt: { $lt: now } },
+        { leaseExpiresAt: null, updatedAt: { $lt: new Date(now.getTime() - graceMs) } }
+      ]
+    };
+
+    const failed = await JobModel.updateMany(
+      { ...expired, attempts: { $gte: maxAttempts } },
+      {
+        $set: {
+          status: 'failed',
+          error: `Worker stopped while processing the job (${maxAttempts} attempts)`,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          updatedAt: now
+        }
+      }
+    );
+    const requeued = await JobModel.updateMany(
+      expired,
+      { $set: { status: 'pending', progress: null, leaseOwner: null, leaseExpiresAt: null, startedAt: null, updatedAt: now } }
+    );
+
+    return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+  }
+
   async getJob(jobId) {
     const job = await JobModel.findOne({ jobId });
     return job ? job.toObject() : null;
@@ -67,9 +200,51 @@ class MongoJobStore {
     const jobs = await JobModel.find(query);
     return jobs.map(j => j.toObject());
   }
+
+  async getJobsUpdatedSince(since) {
+    const jobs = await JobModel.find({ updatedAt: { $gt: since } }).sort({ updatedAt: 1 });
+    return jobs.map(j => j.toObject());
+  }
+
+  async getJobsByUser(userId, statuses) {
+    const query = { userId: String(userId) };
+    if (statuses) query.status = { $in: statuses };
+    const jobs = await JobModel.find(query).sort({ createdAt: 1 });
+    return jobs.map(j => j.toObject());
+  }
+
+  async listJobs(filter = {}, options = {}) {
+    const query = {};
+    if (filter.userId) query.userId = String(filter.userId);
+    if (filter.types) query.type = { $in: filter.types };
+    if (filter.statuses) query.status = { $in: filter.statuses };
+    if (filter.from || filter.to) {
+      query.createdAt = {};
+      if (filter.from) query.createdAt.$gte = filter.from;
+      if (filter.to) query.createdAt.$lte = filter.to;
+    }
+    const sortField = options.sort || 'createdAt';
+    const order = options.order === 1 ? 1 : -1;
+    const [jobs, total] = await Promise.all([
+      JobModel.find(query)
+        .sort({ [sortField]: order, _id: order })
+        .skip(options.skip || 0)
+        .limit(options.limit || 20),
+      JobModel.countDocuments(query)
+    ]);
+    return { jobs: jobs.map(j => j.toObject()), total };
+  }
+
+  // Pending or processing job of `type` for a file, if any
+  async findActiveJob(type, s3Key) {
+    const job = await JobModel.findOne({ type, s3Key, status: { $in: ['pending', 'processing'] } });
+    return job ? job.toObject() : null;
+  }
+
+  // Every job of a deleted video: a file has one job per type (crop, renditions, thumbnails, ...)
   async deleteJobByS3Key(s3Key) {
     if (!s3Key) return null;
-    const result = await JobModel.deleteOne({ s3Key });
+    const result = await JobModel.deleteMany({ s3Key });
     return result.deletedCount;
   }
 }
@@ -79,8 +254,16 @@ const jobStore = new MongoJobStore();
 module.exports = {
   createJob: jobStore.createJob.bind(jobStore),
   updateJob: jobStore.updateJob.bind(jobStore),
+  claimJob: jobStore.claimJob.bind(jobStore),
+  renewLease: jobStore.renewLease.bind(jobStore),
+  releaseJob: jobStore.releaseJob.bind(jobStore),
+  recoverExpiredJobs: jobStore.recoverExpiredJobs.bind(jobStore),
   getJob: jobStore.getJob.bind(jobStore),
   getAllJobs: jobStore.getAllJobs.bind(jobStore),
   getPendingJobs: jobStore.getPendingJobs.bind(jobStore),
+  getJobsUpdatedSince: jobStore.getJobsUpdatedSince.bind(jobStore),
+  getJobsByUser: jobStore.getJobsByUser.bind(jobStore),
+  listJobs: jobStore.listJobs.bind(jobStore),
+  findActiveJob: jobStore.findActiveJob.bind(jobStore),
   deleteJobByS3Key: jobStore.deleteJobByS3Key.bind(jobStore)
 };
\ No newline at end of file
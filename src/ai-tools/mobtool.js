@@ -22,180 +22,182 @@ const { GoogleAuth } = require('google-auth-library');
 const s3Service = require('../s3Service');
 const bgRemovalQueueService = require('../services/bgRemovalQueueService');
 const crypto = require('crypto');
+const { sendLimitError } = require('../utils/errors');
+const authMiddleware = require('../routes/authMiddleware');
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
 /**
- * POST /api/remove-bg
- * Removes background from uploaded image using Google Imagen 3 with queue management
- * Returns job ID and queue position immediately
+ * Queue processor for Imagen background removal jobs
+ * The uploaded image is passed in memory via job.files
  */
-router.post("/remove-bg", upload.single("image"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No image uploaded." });
-    }
+async function processBgRemovalJob(jobData, job) {
+  const { jobId } = job;
+  const { filename, userId, username } = jobData;
+  const imageBuffer = job.files && job.files.image;
+  if (!imageBuffer) {
+    throw new Error('Uploaded image is no longer available. Please resubmit.');
+  }
 
-    console.log('[remove-bg] Processing image:', {
-      filename: req.file.originalname,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    });
+  console.log(`[BgRemoval] Starting background removal for job ${jobId}`);
 
-    const userId = req.user?.id || req.user?._id || 'anonymous';
-    const username = req.user?.username || 'anonymous';
+  // Get Google Cloud credentials
+  const projectId = process.env.GCP_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('Google Cloud project not configured');
+  }
 
-    // Generate unique job ID
-    const jobId = crypto.randomBytes(16).toString('hex');
+  // Initialize Google Auth
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
 
-    console.log(`[BgRemoval] User ${username} requesting background removal`);
-    console.log(`[BgRemoval] Job ID: ${jobId}`);
-    console.log(`[BgRemoval] File: ${req.file.originalname}`);
+  if (!accessToken.token) {
+    throw new Error('Failed to get access token');
+  }
 
-    // Define the background removal processor
-    const bgRemovalProcessor = async (jobData) => {
-      const { imageBuffer, filename, userId, username } = jobData;
+  // Convert image to base64
+  const imageBase64 = imageBuffer.toString('base64');
 
-      console.log(`[BgRemoval] Starting background removal for job ${jobId}`);
+  // Use Imagen 3 model for background removal
+  const imagenModel = "imagen-3.0-capability-001";
+  const location = "us-central1";
+  const vertexApiUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${imagenModel}:predict`;
 
-      // Get Google Cloud credentials
-      const projectId = process.env.GCP_PROJECT_ID;
-      if (!projectId) {
-        throw new Error('Google Cloud project not configured');
-      }
+  console.log('[BgRemoval] Calling Vertex AI API...');
 
-      // Initialize Google Auth
-      const auth = new GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/cloud-platform']
-      });
-      const client = await auth.getClient();
-      const accessToken = await client.getAccessToken();
+  const startTime = Date.now();
 
-      if (!accessToken.token) {
-        throw new Error('Failed to get access token');
+  // Build request for background removal using instruct editing
+  const requestBody = {
+    instances: [
+      {
+        prompt: "Remove the background completely, keep only the main subject/object with transparent background",
+        referenceImages: [
+          {
+            referenceType: "REFERENCE_TYPE_RAW",
+            referenceId: 1,
+            referenceImage: {
+              bytesBase64Encoded: imageBase64
+            }
+          }
+        ]
       }
+    ],
+    parameters: {
+      sampleCount: 1,
+      guidance: 15, // Higher guidance for better adherence to prompt
+      seed: Math.floor(Math.random() * 1000000)
+    }
+  };
+
+  const vertexResponse = await axios.post(
+    vertexApiUrl,
+    requestBody,
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken.token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 60000, // 60 second timeout
+      signal: job.signal // Aborted when the job is cancelled
+    }
+  );
 
-      // Convert image to base64
-      const imageBase64 = imageBuffer.toString('base64');
+  const apiTime = Date.now() - startTime;
+  console.log(`[BgRemoval] Background removed in ${apiTime}ms`);
 
-      // Use Imagen 3 model for background removal
-      const imagenModel = "imagen-3.0-capability-001";
-      const location = "us-central1";
-      const vertexApiUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${imagenModel}:predict`;
+  // Extract the generated image from the response
+  const predictions = vertexResponse.data.predictions;
+  if (!predictions || !predictions.length) {
+    throw new Error('Background removal failed - no predictions returned');
+  }
 
-      console.log('[BgRemoval] Calling Vertex AI API...');
+  const imageBase64Output = predictions[0].bytesBase64Encoded;
+  if (!imageBase64Output) {
+    throw new Error('Background removal failed - no image data returned');
+  }
 
-      const startTime = Date.now();
+  const processedImageBuffer = Buffer.from(imageBase64Output, 'base64');
+  console.log(`[BgRemoval] Processed image size: ${(processedImageBuffer.length / 1024).toFixed(2)} KB`);
+  
+  // Generate filename
+  const timestamp = Date.now();
+  const randomId = Math.random().toString(36).substring(7);
+  const processedFilename = `bg-removed-${timestamp}-${randomId}`;
+
+  // Upload processed image to S3
+  console.log('[BgRemoval] Uploading to S3...');
+  const s3Result = await s3Service.uploadImageBuffer(
+    processedImageBuffer,
+    'image/png',
+    userId,
+    username,
+    { 
+      backgroundRemoved: "true",
+      originalFilename: filename,
+      customFilename: processedFilename
+    }
+  );
 
-      // Build request for background removal using instruct editing
-      const requestBody = {
-        instances: [
-          {
-            prompt: "Remove the background completely, keep only the main subject/object with transparent background",
-            referenceImages: [
-              {
-                referenceType: "REFERENCE_TYPE_RAW",
-                referenceId: 1,
-                referenceImage: {
-                  bytesBase64Encoded: imageBase64
-                }
-              }
-            ]
-          }
-        ],
-        parameters: {
-          sampleCount: 1,
-          guidance: 15, // Higher guidance for better adherence to prompt
-          seed: Math.floor(Math.random() * 1000000)
-        }
-      };
-
-      const vertexResponse = await axios.post(
-        vertexApiUrl,
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken.token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000 // 60 second timeout
-        }
-      );
-
-      const apiTime = Date.now() - startTime;
-      console.log(`[BgRemoval] Background removed in ${apiTime}ms`);
-
-      // Extract the generated image from the response
-      const predictions = vertexResponse.data.predictions;
-      if (!predictions || !predictions.length) {
-        throw new Error('Background removal failed - no predictions returned');
-      }
+  if (!s3Result || !s3Result.key) {
+    throw new Error('Failed to upload processed image to S3');
+  }
 
-      const imageBase64Output = predictions[0].bytesBase64Encoded;
-      if (!imageBase64Output) {
-        throw new Error('Background removal failed - no image data returned');
-      }
+  console.log(`[BgRemoval] Uploaded to S3: ${s3Result.key}`);
 
-      const processedImageBuffer = Buffer.from(imageBase64Output, 'base64');
-      console.log(`[BgRemoval] Processed image size: ${(processedImageBuffer.length / 1024).toFixed(2)} KB`);
-      
-      // Generate filename
-      const timestamp = Date.now();
-      const randomId = Math.random().toString(36).substring(7);
-      const processedFilename = `bg-removed-${timestamp}-${randomId}`;
-
-      // Upload processed image to S3
-      console.log('[BgRemoval] Uploading to S3...');
-      const s3Result = await s3Service.uploadImageBuffer(
-        processedImageBuffer,
-        'image/png',
-        userId,
-        username,
-        { 
-          backgroundRemoved: "true",
-          originalFilename: filename,
-          customFilename: processedFilename
-        }
-      );
-
-      if (!s3Result || !s3Result.key) {
-        throw new Error('Failed to upload processed image to S3');
-      }
+  console.log(`[BgRemoval] Background removal complete`);
 
-      console.log(`[BgRemoval] Uploaded to S3: ${s3Result.key}`);
+  // No download URL here: jobs are kept for days and signed URLs expire,
+  // so the status endpoint signs one from s3Key when it is read
+  return {
+    s3Key: s3Result.key,
+    public_id: s3Result.key, // For backward compatibility
+    message: 'Background removed successfully',
+    provider: 'vertex-ai-imagen-3',
+    model: 'imagen-3.0-capability-001',
+    processingTime: apiTime
+  };
+}
 
-      // Generate signed download URL
-      const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-      const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-      const s3Client = new S3Client({ region: process.env.AWS_REGION });
-      const getCommand = new GetObjectCommand({ 
-        Bucket: process.env.AWS_BUCKET_NAME, 
-        Key: s3Result.key 
-      });
-      const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
+bgRemovalQueueService.registerProcessor(processBgRemovalJob);
+
+/**
+ * POST /api/remove-bg
+ * Removes background from uploaded image using Google Imagen 3 with queue management
+ * Returns job ID and queue position immediately
+ */
+router.post("/remove-bg", authMiddleware, upload.single("image"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No image uploaded." });
+    }
 
-      console.log(`[BgRemoval] Background removal complete`);
+    console.log('[remove-bg] Processing image:', {
+      filename: req.file.originalname,
+      size: req.file.size,
+      mimetype: req.file.mimetype
+    });
 
-      return {
-        url: signedUrl,
-        s3Key: s3Result.key,
-        public_id: s3Result.key, // For backward compatibility
-        message: 'Background removed successfully',
-        provider: 'vertex-ai-imagen-3',
-        model: 'imagen-3.0-capability-001',
-        processingTime: apiTime
-      };
-    };
+    const userId = String(req.user._id);
+    const username = req.user.username || 'anonymous';
+
+    // Generate unique job ID
+    const jobId = crypto.randomBytes(16).toString('hex');
+
+    console.log(`[BgRemoval] User ${username} requesting background removal`);
+    console.log(`[BgRemoval] Job ID: ${jobId}`);
+    console.log(`[BgRemoval] File: ${req.file.originalname}`);
 
     // Add job to queue
-    const queueResult = bgRemovalQueueService.addJob(jobId, {
+    const queueResult = await bgRemovalQueueService.addJob(jobId, {
       userId,
       username,
-      imageBuffer: req.file.buffer,
-      filename: req.file.originalname,
-      processor: bgRemovalProcessor
-    });
+      filename: req.file.originalname
+    }, { image: req.file.buffer });
 
     console.log(`[BgRemoval] Job ${jobId} added to queue at position ${queueResult.position}`);
 
@@ -214,6 +216,7 @@ router.post("/remove-bg", upload.single("image"), async (req, res) => {
     });
 
   } catch (err) {
+    if (sendLimitError(res, err)) return;
     console.error('[BgRemoval] Error:', err.message);
     return res.status(500).json({
       error: 'Background removal failed',
@@ -234,14 +237,14 @@ router.get("/remove-bg-status/:jobId", async (req, res) => {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const status = bgRemovalQueueService.getJobStatus(jobId);
+    const status = await bgRemovalQueueService.getJobStatus(jobId);
 
     // If completed, return the processed image data
     if (status.status === 'completed') {
       return res.json({
         jobId,
         status: 'completed',
-        url: status.result.url,
+        url: await s3Service.getSignedDownloadUrl(status.result.s3Key),
         s3Key: status.result.s3Key,
         public_id: status.result.public_id,
         message: status.result.message,
@@ -258,6 +261,8 @@ router.get("/remove-bg-status/:jobId", async (req, res) => {
         jobId,
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
         failedAt: status.failedAt
       });
     }
@@ -270,6 +275,8 @@ router.get("/remove-bg-status/:jobId", async (req, res) => {
         position: status.position,
         queueLength: status.queueLength,
         estimatedWaitTime: status.estimatedWaitTime,
+        attempts: status.attempts,
+        nextRetryAt: status.nextRetryAt,
         message: status.status === 'processing' 
           ? 'Your image is being processed...' 
           : `In queue at position ${status.position}`
@@ -298,7 +305,7 @@ router.get("/remove-bg-status/:jobId", async (req, res) => {
  */
 router.get("/remove-bg-queue-stats", async (req, res) => {
   try {
-    const stats = bgRemovalQueueService.getStats();
+    const stats = await bgRemovalQueueService.getStats();
     return res.json(stats);
   } catch (err) {
     console.error('[BgRemoval] Error getting queue stats:', err.message);
@@ -321,7 +328,7 @@ router.delete("/remove-bg-job/:jobId", async (req, res) => {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const cancelled = bgRemovalQueueService.cancelJob(jobId);
+    const cancelled = await bgRemovalQueueService.cancelJob(jobId);
 
     if (cancelled) {
       return res.json({
@@ -332,7 +339,7 @@ router.delete("/remove-bg-job/:jobId", async (req, res) => {
     } else {
       return res.status(400).json({
         jobId,
-        error: 'Job cannot be cancelled (not in queue or already processing)'
+        error: 'Job cannot be cancelled (not found or already finished)'
       });
     }
 
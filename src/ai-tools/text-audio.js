@@ -17,6 +17,8 @@ const { GoogleAuth } = require('google-auth-library');
 const axios = require('axios');
 const ttsQueueService = require('../services/ttsQueueService');
 const crypto = require('crypto');
+const { sendLimitError } = require('../utils/errors');
+const authMiddleware = require('../routes/authMiddleware');
 require("dotenv").config();
 
 // Default voice configuration - Neural2 voices for high quality
@@ -39,94 +41,97 @@ const AVAILABLE_VOICES = [
 ];
 
 // --------------------
-// Convert Text to Speech using Google Cloud TTS
+// Queue processor: synthesize speech for a stored TTS job
 // --------------------
-router.post("/tts", async (req, res) => {
-  try {
-    const { text, voiceId } = req.body;
+async function processTtsJob({ text, voiceId }, job) {
+  // Get Google Cloud credentials
+  const projectId = process.env.GCP_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('Google Cloud project not configured');
+  }
 
-    if (!text) {
-      return res.status(400).json({ error: "Text is required" });
-    }
+  // Initialize Google Auth
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
 
-    // Wrap the actual TTS generation in a processor function
-    const ttsProcessor = async () => {
-      // Get Google Cloud credentials
-      const projectId = process.env.GCP_PROJECT_ID;
-      if (!projectId) {
-        throw new Error('Google Cloud project not configured');
+  if (!accessToken.token) {
+    throw new Error('Failed to get access token');
+  }
+
+  // Find the selected voice configuration
+  const selectedVoice = AVAILABLE_VOICES.find(v => v.voice_id === voiceId);
+  const voiceConfig = selectedVoice ? {
+    languageCode: selectedVoice.languageCode,
+    name: selectedVoice.voice_id,
+    ssmlGender: selectedVoice.ssmlGender
+  } : DEFAULT_VOICE_CONFIG;
+
+  // Google Cloud Text-to-Speech API endpoint
+  const ttsApiUrl = `https://texttospeech.googleapis.com/v1/text:synthesize`;
+
+  console.log('Generating speech with Google Cloud TTS...');
+  console.log('Voice:', voiceConfig.name);
+
+  // Make request to Google Cloud TTS
+  const response = await axios.post(
+    ttsApiUrl,
+    {
+      input: { text },
+      voice: voiceConfig,
+      audioConfig: {
+        audioEncoding: "MP3",
+        speakingRate: 1.0,
+        pitch: 0.0,
+        volumeGainDb: 0.0,
+        effectsProfileId: ["headphone-class-device"], // Optimized for headphones
       }
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken.token}`,
+        'Content-Type': 'application/json'
+      },
+      signal: job.signal // Aborted when the job is cancelled
+    }
+  );
 
-      // Initialize Google Auth
-      const auth = new GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/cloud-platform']
-      });
-      const client = await auth.getClient();
-      const accessToken = await client.getAccessToken();
+  console.log('TTS response received');
 
-      if (!accessToken.token) {
-        throw new Error('Failed to get access token');
-      }
+  // Extract audio content (base64 encoded)
+  const audioContent = response.data.audioContent;
+  if (!audioContent) {
+    throw new Error('TTS failed - no audio data returned');
+  }
 
-      // Find the selected voice configuration
-      const selectedVoice = AVAILABLE_VOICES.find(v => v.voice_id === voiceId);
-      const voiceConfig = selectedVoice ? {
-        languageCode: selectedVoice.languageCode,
-        name: selectedVoice.voice_id,
-        ssmlGender: selectedVoice.ssmlGender
-      } : DEFAULT_VOICE_CONFIG;
-
-      // Google Cloud Text-to-Speech API endpoint
-      const ttsApiUrl = `https://texttospeech.googleapis.com/v1/text:synthesize`;
-
-      console.log('Generating speech with Google Cloud TTS...');
-      console.log('Voice:', voiceConfig.name);
-
-      // Make request to Google Cloud TTS
-      const response = await axios.post(
-        ttsApiUrl,
-        {
-          input: { text },
-          voice: voiceConfig,
-          audioConfig: {
-            audioEncoding: "MP3",
-            speakingRate: 1.0,
-            pitch: 0.0,
-            volumeGainDb: 0.0,
-            effectsProfileId: ["headphone-class-device"], // Optimized for headphones
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken.token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      console.log('TTS response received');
-
-      // Extract audio content (base64 encoded)
-      const audioContent = response.data.audioContent;
-      if (!audioContent) {
-        throw new Error('TTS failed - no audio data returned');
-      }
+  // Keep the audio base64 encoded so the result can be stored with the job
+  return { audioContent };
+}
 
-      // Convert base64 to buffer
-      const audioBuffer = Buffer.from(audioContent, 'base64');
-      
-      return { audioBuffer };
-    };
+ttsQueueService.registerProcessor(processTtsJob);
+
+// --------------------
+// Convert Text to Speech using Google Cloud TTS
+// --------------------
+router.post("/tts", authMiddleware, async (req, res) => {
+  try {
+    const { text, voiceId } = req.body;
+
+    if (!text) {
+      return res.status(400).json({ error: "Text is required" });
+    }
 
     // Add job to queue
-    const jobId = ttsQueueService.addJob(ttsProcessor, {
+    const jobId = await ttsQueueService.addJob({ text, voiceId }, {
       textLength: text.length,
       voiceId,
-      userId: req.user?.id || 'anonymous',
+      userId: String(req.user._id),
       createdAt: new Date().toISOString(),
     });
 
-    const status = ttsQueueService.getJobStatus(jobId);
+    const status = await ttsQueueService.getJobStatus(jobId);
 
     // Return 202 with job ID
     res.status(202).json({
@@ -138,6 +143,7 @@ router.post("/tts", async (req, res) => {
       message: 'TTS generation job queued',
     });
   } catch (error) {
+    if (sendLimitError(res, error)) return;
     console.error("TTS Error:", error?.response?.data || error.message);
     res.status(500).json({ 
       error: "TTS failed", 
@@ -150,7 +156,7 @@ router.post("/tts", async (req, res) => {
 router.get("/tts-status/:jobId", async (req, res) => {
   try {
     const { jobId } = req.params;
-    const status = ttsQueueService.getJobStatus(jobId);
+    const status = await ttsQueueService.getJobStatus(jobId);
 
     if (status.status === 'not_found') {
       return res.status(404).json({ error: 'Job not found' });
@@ -158,10 +164,11 @@ router.get("/tts-status/:jobId", async (req, res) => {
 
     if (status.status === 'completed') {
       // Return audio buffer as response
-      const audioBuffer = status.result?.audioBuffer;
-      if (!audioBuffer) {
+      const audioContent = status.result?.audioContent;
+      if (!audioContent) {
         return res.status(500).json({ error: 'Audio data not available' });
       }
+      const audioBuffer = Buffer.from(audioContent, 'base64');
 
       res.setHeader("Content-Type", "audio/mpeg");
       res.setHeader("Content-Length", audioBuffer.length);
@@ -172,6 +179,8 @@ router.get("/tts-status/:jobId", async (req, res) => {
       return res.status(200).json({
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
       });
     }
 
@@ -181,6 +190,8 @@ router.get("/tts-status/:jobId", async (req, res) => {
       position: status.position,
       queueLength: status.queueLength,
       estimatedWaitTime: status.estimatedWaitTime,
+      attempts: status.attempts,
+      nextRetryAt: status.nextRetryAt,
     });
   } catch (err) {
     res.status(500).json({ error: err.message || 'Internal server error' });
@@ -190,7 +201,7 @@ router.get("/tts-status/:jobId", async (req, res) => {
 // GET /video-tts/tts-queue-stats
 router.get("/tts-queue-stats", async (req, res) => {
   try {
-    const stats = ttsQueueService.getStats();
+    const stats = await ttsQueueService.getStats();
     res.status(200).json(stats);
   } catch (err) {
     res.status(500).json({ error: err.message || 'Internal server error' });
@@ -201,10 +212,10 @@ router.get("/tts-queue-stats", async (req, res) => {
 router.delete("/tts-job/:jobId", async (req, res) => {
   try {
     const { jobId } = req.params;
-    const success = ttsQueueService.cancelJob(jobId);
+    const success = await ttsQueueService.cancelJob(jobId);
 
     if (!success) {
-      return res.status(400).json({ error: 'Cannot cancel job (not found or already processing)' });
+      return res.status(400).json({ error: 'Cannot cancel job (not found or already finished)' });
     }
 
     res.status(200).json({ message: 'Job cancelled successfully' });
@@ -4,17 +4,145 @@ const ffmpegPath = require("ffmpeg-static");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const { execFile } = require("child_process");
+const axios = require("axios");
 
 const { uploadVideoBuffer } = require("../s3Service");
+const videoThumbnailService = require("../services/videoThumbnailService");
+const videoMetadataService = require("../services/videoMetadataService");
 const authMiddleware = require("../routes/authMiddleware"); // import your middleware
 const audioMountQueueService = require('../services/audioMountQueueService');
 const crypto = require('crypto');
+const { normalizeMix, buildAudioMix } = require("../audioMix");
+const { buildMeasureArgs, buildNormalizeArgs, parseLoudnorm, loudnessReport } = require("../audioLoudness");
+const { sendLimitError } = require('../utils/errors');
+const { isPrivateHost, guardedRequestOptions } = require('../utils/privateAddresses');
 
 const router = express.Router();
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegPath);
 
+// Duration and audio presence from `ffmpeg -i` (ffmpeg-static ships without ffprobe)
+function probeVideo(filePath, signal) {
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, ["-hide_banner", "-i", filePath], { signal }, (err, stdout, stderr) => {
+      // ffmpeg exits with an error when no output is given; only the stream info matters
+      if (signal.aborted) return reject(err);
+      const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr || "");
+      if (!match) return reject(new Error("Could not read the video duration"));
+      resolve({
+        duration: Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]),
+        hasAudio: /Stream #\d+:\d+.*: Audio:/.test(stderr),
+      });
+    });
+  });
+}
+
+// Run ffmpeg, resolving with its log (stderr), where loudnorm prints its measurements
+function runFfmpeg(args, signal) {
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, args, { signal, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) return reject(signal.aborted ? err : new Error(stderr || err.message));
+      resolve(stderr);
+    });
+  });
+}
+
+// Queue processor: download the video and the audio tracks, mix them and upload the result.
+// Jobs queued before mixing existed carry only audioUrl: the voiceover replaces the video's audio.
+// With mix.loudness the mix is kept as PCM, measured and normalised, so AAC is encoded once.
+// Cancelling the job aborts the downloads, kills ffmpeg and removes the temp dir.
+async function processMountJob({ videoUrl, audioUrl, mix, userId, username }, job) {
+  const { signal } = job;
+  const spec = mix || normalizeMix({ audioUrl });
+
+  // Temp files
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "video-mount-"));
+  const videoFile = path.join(tempDir, `video-${Date.now()}.mp4`);
+  const voiceoverFile = path.join(tempDir, `voiceover-${Date.now()}`);
+  const musicFile = path.join(tempDir, `music-${Date.now()}`);
+  const outputFile = path.join(tempDir, `mounted-${Date.now()}.mp4`);
+  const mixFile = spec.loudness ? path.join(tempDir, `mixed-${Date.now()}.mov`) : outputFile;
+
+  // URLs come from the request, so private and local addresses are refused
+  const downloadFile = async (url, filePath) => {
+    if (isPrivateHost(new URL(url).hostname))
+      throw new Error(`Refusing to download from a private or local address: ${url}`);
+    const response = await axios.get(url, { responseType: "arraybuffer", signal, validateStatus: () => true, ...guardedRequestOptions });
+    if (response.status < 200 || response.status >= 300)
+      throw new Error(`Failed to download file: ${url} | Status: ${response.status}`);
+    fs.writeFileSync(filePath, Buffer.from(response.data));
+  };
+
+  try {
+    await downloadFile(videoUrl, videoFile);
+    if (spec.voiceover) await downloadFile(spec.voiceover.url, voiceoverFile);
+    if (spec.music) await downloadFile(spec.music.url, musicFile);
+    const { duration, hasAudio } = await probeVideo(videoFile, signal);
+    job.reportProgress(30, "Mixing audio");
+
+    const command = ffmpeg(videoFile);
+    let nextInput = 1;
+    const voiceoverInput = spec.voiceover ? nextInput++ : null;
+    if (spec.voiceover) command.input(voiceoverFile);
+    const musicInput = spec.music ? nextInput++ : null;
+    if (spec.music) {
+      command.input(musicFile);
+      if (spec.music.loop) command.inputOptions(["-stream_loop -1"]);
+    }
+    const { filter, output } = buildAudioMix(spec, { duration, originalHasAudio: hasAudio, voiceoverInput, musicInput });
+
+    // Mix the audio; the video stream is copied untouched
+    await new Promise((resolve, reject) => {
+      signal.throwIfAborted();
+      command
+        .outputOptions([
+          `-filter_complex ${filter}`,
+          "-map 0:v:0",
+          `-map ${output}`,
+          "-c:v copy",
+          ...(spec.loudness ? ["-c:a pcm_s24le"] : ["-c:a aac", "-b:a 192k"]),
+          `-t ${duration.toFixed(3)}`,
+        ])
+        .save(mixFile)
+        .on("end", () => resolve())
+        .on("error", (err) => reject(err));
+      signal.addEventListener("abort", () => command.kill("SIGKILL"), { once: true });
+    });
+
+    // Two-pass loudness normalisation of the mix
+    let loudness = null;
+    if (spec.loudness) {
+      job.reportProgress(60, "Normalising loudness");
+      const measured = parseLoudnorm(await runFfmpeg(buildMeasureArgs(mixFile, spec.loudness), signal));
+      const log = await runFfmpeg(buildNormalizeArgs(mixFile, outputFile, spec.loudness, measured), signal);
+      loudness = loudnessReport(spec.loudness, measured, parseLoudnorm(log));
+    }
+
+    // Upload to S3
+    signal.throwIfAborted();
+    job.reportProgress(80, "Uploading video");
+    const videoBuffer = fs.readFileSync(outputFile);
+    const { url: s3Url, key: s3Key } = await uploadVideoBuffer(
+      videoBuffer,
+      "video/mp4",
+      userId,
+      username,
+      { edited: "true" }
+    );
+    await videoThumbnailService.queueThumbnails(s3Key, { userId, username });
+    await videoMetadataService.queueProbe(s3Key, { userId, username });
+
+    return loudness ? { url: s3Url, s3Key, loudness } : { url: s3Url, s3Key };
+  } finally {
+    // Cleanup (also after failures and cancellation)
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+audioMountQueueService.registerProcessor(processMountJob);
+
 // POST /api/video/mount-audio (authenticated)
 router.post("/mount-audio", authMiddleware, async (req, res) => {
   try {
@@ -22,68 +150,21 @@ router.post("/mount-audio", authMiddleware, async (req, res) => {
     const userId = req.user._id;
     const username = req.user.username;
 
-    // Extract video and audio URLs
-    const { videoUrl, audioUrl } = req.body;
-    if (!videoUrl || !audioUrl) {
-      return res.status(400).json({ error: "Video or audio URL missing" });
+    // Video URL and the tracks to mix (audioUrl alone = voiceover replacing the video's audio)
+    const { videoUrl } = req.body;
+    if (!videoUrl) {
+      return res.status(400).json({ error: "Video URL missing" });
     }
-
-    // Wrap the actual audio mounting in a processor function
-    const mountProcessor = async () => {
-      // Temp files
-      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "video-mount-"));
-      const videoFile = path.join(tempDir, `video-${Date.now()}.mp4`);
-      const audioFile = path.join(tempDir, `audio-${Date.now()}.mp3`);
-      const outputFile = path.join(tempDir, `mounted-${Date.now()}.mp4`);
-
-      const downloadFile = async (url, filePath) => {
-        const response = await fetch(url);
-        if (!response.ok)
-          throw new Error(`Failed to download file: ${url} | Status: ${response.status}`);
-        const buffer = Buffer.from(await response.arrayBuffer());
-        fs.writeFileSync(filePath, buffer);
-      };
-
-      await downloadFile(videoUrl, videoFile);
-      await downloadFile(audioUrl, audioFile);
-
-      // Mount audio onto video
-      await new Promise((resolve, reject) => {
-        ffmpeg(videoFile)
-          .input(audioFile)
-          .outputOptions(["-c:v copy", "-c:a aac", "-map 0:v:0", "-map 1:a:0"])
-          .save(outputFile)
-          .on("end", () => resolve())
-          .on("error", (err) => reject(err));
-      });
-
-      // Upload to S3
-      const videoBuffer = fs.readFileSync(outputFile);
-      const { url: s3Url, key: s3Key } = await uploadVideoBuffer(
-        videoBuffer,
-        "video/mp4",
-        userId,
-        username,
-        { edited: "true" }
-      );
-
-      // Cleanup
-      fs.unlinkSync(videoFile);
-      fs.unlinkSync(audioFile);
-      fs.unlinkSync(outputFile);
-      fs.rmdirSync(tempDir);
-
-      return { url: s3Url, s3Key };
-    };
+    const mix = normalizeMix(req.body);
 
     // Add job to queue
-    const jobId = audioMountQueueService.addJob(mountProcessor, {
+    const jobId = await audioMountQueueService.addJob({ videoUrl, mix, userId: userId.toString(), username }, {
       videoUrl: videoUrl.substring(0, 50),
       userId: userId.toString(),
       createdAt: new Date().toISOString(),
     });
 
-    const status = audioMountQueueService.getJobStatus(jobId);
+    const status = await audioMountQueueService.getJobStatus(jobId);
 
     // Return 202 with job ID
     res.status(202).json({
@@ -95,6 +176,10 @@ router.post("/mount-audio", authMiddleware, async (req, res) => {
       message: 'Audio mounting job queued',
     });
   } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    if (sendLimitError(res, err)) return;
     console.error("Detailed Error:", err);
     res.status(500).json({ error: err.message || "Failed to mount video with audio" });
   }
@@ -104,7 +189,7 @@ router.post("/mount-audio", authMiddleware, async (req, res) => {
 router.get("/mount-audio-status/:jobId", authMiddleware, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const status = audioMountQueueService.getJobStatus(jobId);
+    const status = await audioMountQueueService.getJobStatus(jobId);
 
     if (status.status === 'not_found') {
       return res.status(404).json({ error: 'Job not found' });
@@ -115,6 +200,7 @@ router.get("/mount-audio-status/:jobId", authMiddleware, async (req, res) => {
         status: 'completed',
         url: status.result?.url,
         s3Key: status.result?.s3Key,
+        loudness: status.result?.loudness,
       });
     }
 
@@ -122,6 +208,8 @@ router.get("/mount-audio-status/:jobId", authMiddleware, async (req, res) => {
       return res.status(200).json({
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
       });
     }
 
@@ -131,6 +219,8 @@ router.get("/mount-audio-status/:jobId", authMiddleware, async (req, res) => {
       position: status.position,
       queueLength: status.queueLength,
       estimatedWaitTime: status.estimatedWaitTime,
+      attempts: status.attempts,
+      nextRetryAt: status.nextRetryAt,
     });
   } catch (err) {
     res.status(500).json({ error: err.message || 'Internal server error' });
@@ -140,7 +230,7 @@ router.get("/mount-audio-status/:jobId", authMiddleware, async (req, res) => {
 // GET /api/video/mount-audio-queue-stats
 router.get("/mount-audio-queue-stats", authMiddleware, async (req, res) => {
   try {
-    const stats = audioMountQueueService.getStats();
+    const stats = await audioMountQueueService.getStats();
     res.status(200).json(stats);
   } catch (err) {
     res.status(500).json({ error: err.message || 'Internal server error' });
@@ -151,10 +241,10 @@ router.get("/mount-audio-queue-stats", authMiddleware, async (req, res) => {
 router.delete("/mount-audio-job/:jobId", authMiddleware, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const success = audioMountQueueService.cancelJob(jobId);
+    const success = await audioMountQueueService.cancelJob(jobId);
 
     if (!success) {
-      return res.status(400).json({ error: 'Cannot cancel job (not found or already processing)' });
+      return res.status(400).json({ error: 'Cannot cancel job (not found or already finished)' });
     }
 
     res.status(200).json({ message: 'Job cancelled successfully' });
@@ -7,8 +7,137 @@ const verifyJWT = require("../routes/authMiddleware.js");
 const { uploadVideoBuffer } = require("../s3Service.js");
 const Video = require("../models/Video");
 const videoQueueService = require("../services/videoQueueService.js");
+const videoRenditionService = require("../services/videoRenditionService.js");
+const videoThumbnailService = require("../services/videoThumbnailService.js");
+const videoMetadataService = require("../services/videoMetadataService.js");
+const { terminalError } = require("../utils/jobErrors");
+const { sendLimitError } = require("../utils/errors");
 const crypto = require("crypto");
 
+/**
+ * Queue processor for Veo-3 video generation jobs.
+ * Runs from the persistent video queue, so everything it needs comes from the stored job data.
+ */
+async function processVideoJob(jobData, job) {
+  const { jobId } = job;
+  const { prompt, resolution, aspectRatio, durationSeconds, modelType, enhancePrompt, userId, username } = jobData;
+
+  console.log(`[Veo-3] Starting video generation for job ${jobId}`);
+  console.log(`[Veo-3] Resolution: ${resolution}, Aspect Ratio: ${aspectRatio}, Duration: ${durationSeconds}s`);
+  console.log(`[Veo-3] Model: ${modelType}, Enhance Prompt: ${enhancePrompt}`);
+
+  // Generate video and wait for completion
+  job.reportProgress(5, 'Starting video generation');
+  const result = await generateVideoAndWait(prompt, {
+    resolution: resolution,
+    aspectRatio: aspectRatio,
+    durationSeconds: durationSeconds,
+    enhancePrompt: enhancePrompt,
+    sampleCount: 1,
+    modelType: modelType
+  }, {
+    maxAttempts: 60,
+    pollInterval: 5000,
+    signal: job.signal, // Cancelling the job stops polling Vertex AI
+    // Veo doesn't report progress; estimate it from polling time (5% - 80%)
+    onPoll: ({ attempt, maxAttempts }) => {
+      job.reportProgress(5 + Math.round((attempt / maxAttempts) * 75), 'Generating video');
+    }
+  });
+
+  // Handle mock mode
+  if (result.mock) {
+    console.log('[Veo-3] Mock mode - returning demo video');
+    throw terminalError(result.message);
+  }
+
+  console.log(`[Veo-3] Video generation completed for job ${jobId}`);
+
+  const video = result.videos[0];
+  let s3Url = null;
+  let s3Key = null;
+
+  const customFilename = generateFilenameFromPrompt(prompt);
+
+  job.signal.throwIfAborted();
+  job.reportProgress(85, 'Saving video');
+
+  if (video.type === 'gcs') {
+    console.log('[Veo-3] Downloading video from Cloud Storage...');
+    const videoBuffer = await downloadVideoFromGCS(video.url, { signal: job.signal });
+    console.log(`[Veo-3] Downloaded ${(videoBuffer.length / 1024 / 1024).toFixed(2)} MB`);
+
+    console.log('[Veo-3] Uploading to S3...');
+    const uploadResult = await uploadVideoBuffer(
+      videoBuffer,
+      video.mimeType || 'video/mp4',
+      userId,
+      username,
+      {
+        customFilename,
+        generated: 'veo-3',
+        resolution: resolution,
+        prompt: prompt.substring(0, 200)
+      }
+    );
+    
+    s3Url = uploadResult.url || uploadResult;
+    s3Key = uploadResult.key || uploadResult.s3Key;
+    console.log('[Veo-3] Upload complete:', s3Key);
+
+  } else if (video.type === 'base64') {
+    console.log('[Veo-3] Processing base64 encoded video...');
+    const videoBuffer = Buffer.from(video.videoData, 'base64');
+    
+    const uploadResult = await uploadVideoBuffer(
+      videoBuffer,
+      video.mimeType || 'video/mp4',
+      userId,
+      username,
+      {
+        customFilename,
+        generated: 'veo-3',
+        resolution: resolution
+      }
+    );
+    
+    s3Url = uploadResult.url || uploadResult;
+    s3Key = uploadResult.key || uploadResult.s3Key;
+  }
+
+  // Save video metadata to database
+  console.log('[Veo-3] Saving video metadata to database...');
+  const videoDoc = new Video({
+    s3Key: s3Key,
+    owner: userId,
+    title: customFilename || 'AI Generated Video',
+    prompt: prompt,
+    provider: 'gemini-veo-3',
+    description: `Generated with ${resolution} resolution`,
+  });
+  await videoDoc.save();
+  console.log('[Veo-3] Video metadata saved to database');
+  await videoRenditionService.queueRenditions(videoDoc, { username });
+  await videoThumbnailService.queueThumbnails(s3Key, { userId, username });
+  await videoMetadataService.queueProbe(s3Key, { userId, username });
+
+  // Extract token usage if available
+  const tokenUsage = result.operation?.metadata?.inputTokenCount || 
+                    result.operation?.response?.inputTokenCount ||
+                    null;
+
+  return {
+    s3Url,
+    s3Key,
+    resolution,
+    duration: durationSeconds || 5,
+    tokenUsage: tokenUsage,
+    operationName: result.operationName
+  };
+}
+
+videoQueueService.registerProcessor(processVideoJob);
+
 /**
  * POST /api/gemini-veo3/generate-video
  * Generate video using Veo-3 with queue management
@@ -52,114 +181,8 @@ router.post("/gemini-veo3/generate-video", verifyJWT, async (req, res) => {
     console.log(`[Veo-3] Resolution: ${resolution}, Aspect Ratio: ${validAspectRatio}, Duration: ${validDuration}s`);
     console.log(`[Veo-3] Model: ${validModelType}, Enhance Prompt: ${shouldEnhancePrompt}`);
 
-    // Define the video generation processor
-    const videoProcessor = async (jobData) => {
-      const { prompt, resolution, aspectRatio, durationSeconds, modelType, enhancePrompt, userId, username } = jobData;
-
-      console.log(`[Veo-3] Starting video generation for job ${jobId}`);
-      console.log(`[Veo-3] Resolution: ${resolution}, Aspect Ratio: ${aspectRatio}, Duration: ${durationSeconds}s`);
-      console.log(`[Veo-3] Model: ${modelType}, Enhance Prompt: ${enhancePrompt}`);
-
-      // Generate video and wait for completion
-      const result = await generateVideoAndWait(prompt, {
-        resolution: resolution,
-        aspectRatio: aspectRatio,
-        durationSeconds: durationSeconds,
-        enhancePrompt: enhancePrompt,
-        sampleCount: 1,
-        modelType: modelType
-      }, {
-        maxAttempts: 60,
-        pollInterval: 5000
-      });
-
-      // Handle mock mode
-      if (result.mock) {
-        console.log('[Veo-3] Mock mode - returning demo video');
-        throw new Error(result.message);
-      }
-
-      console.log(`[Veo-3] Video generation completed for job ${jobId}`);
-
-      const video = result.videos[0];
-      let s3Url = null;
-      let s3Key = null;
-
-      const customFilename = generateFilenameFromPrompt(prompt);
-
-      if (video.type === 'gcs') {
-        console.log('[Veo-3] Downloading video from Cloud Storage...');
-        const videoBuffer = await downloadVideoFromGCS(video.url);
-        console.log(`[Veo-3] Downloaded ${(videoBuffer.length / 1024 / 1024).toFixed(2)} MB`);
-
-        console.log('[Veo-3] Uploading to S3...');
-        const uploadResult = await uploadVideoBuffer(
-          videoBuffer,
-          video.mimeType || 'video/mp4',
-          userId,
-          username,
-          {
-            customFilename,
-            generated: 'veo-3',
-            resolution: resolution,
-            prompt: prompt.substring(0, 200)
-          }
-        );
-        
-        s3Url = uploadResult.url || uploadResult;
-        s3Key = uploadResult.key || uploadResult.s3Key;
-        console.log('[Veo-3] Upload complete:', s3Key);
-
-      } else if (video.type === 'base64') {
-        console.log('[Veo-3] Processing base64 encoded video...');
-        const videoBuffer = Buffer.from(video.videoData, 'base64');
-        
-        const uploadResult = await uploadVideoBuffer(
-          videoBuffer,
-          video.mimeType || 'video/mp4',
-          userId,
-          username,
-          {
-            customFilename,
-            generated: 'veo-3',
-            resolution: resolution
-          }
-        );
-        
-        s3Url = uploadResult.url || uploadResult;
-        s3Key = uploadResult.key || uploadResult.s3Key;
-      }
-
-      // Save video metadata to database
-      console.log('[Veo-3] Saving video metadata to database...');
-      const videoDoc = new Video({
-        s3Key: s3Key,
-        owner: userId,
-        title: customFilename || 'AI Generated Video',
-        prompt: prompt,
-        provider: 'gemini-veo-3',
-        description: `Generated with ${resolution} resolution`,
-      });
-      await videoDoc.save();
-      console.log('[Veo-3] Video metadata saved to database');
-
-      // Extract token usage if available
-      const tokenUsage = result.operation?.metadata?.inputTokenCount || 
-                        result.operation?.response?.inputTokenCount ||
-                        null;
-
-      return {
-        s3Url,
-        s3Key,
-        resolution,
-        duration: durationSeconds || 5,
-        tokenUsage: tokenUsage,
-        operationName: result.operationName
-      };
-    };
-
     // Add job to queue
-    const queueResult = videoQueueService.addJob(jobId, {
+    const queueResult = await videoQueueService.addJob(jobId, {
       userId,
       username,
       prompt,
@@ -167,8 +190,7 @@ router.post("/gemini-veo3/generate-video", verifyJWT, async (req, res) => {
       aspectRatio: validAspectRatio,
       durationSeconds: validDuration,
       modelType: validModelType,
-      enhancePrompt: shouldEnhancePrompt,
-      processor: videoProcessor
+      enhancePrompt: shouldEnhancePrompt
     });
 
     console.log(`[Veo-3] Job ${jobId} added to queue at position ${queueResult.position}`);
@@ -188,6 +210,7 @@ router.post("/gemini-veo3/generate-video", verifyJWT, async (req, res) => {
     });
 
   } catch (err) {
+    if (sendLimitError(res, err)) return;
     console.error("[Veo-3] Error:", err.message);
     
     try {
@@ -216,7 +239,7 @@ router.get("/gemini-veo3/job-status/:jobId", verifyJWT, async (req, res) => {
       return res.status(400).json({ error: "Job ID is required" });
     }
 
-    const status = videoQueueService.getJobStatus(jobId);
+    const status = await videoQueueService.getJobStatus(jobId);
 
     // If completed, return the video data
     if (status.status === 'completed') {
@@ -240,6 +263,8 @@ router.get("/gemini-veo3/job-status/:jobId", verifyJWT, async (req, res) => {
         jobId,
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
         failedAt: status.failedAt,
         message: 'Video generation failed'
       });
@@ -262,7 +287,7 @@ router.get("/gemini-veo3/job-status/:jobId", verifyJWT, async (req, res) => {
  */
 router.get("/gemini-veo3/queue-stats", verifyJWT, async (req, res) => {
   try {
-    const stats = videoQueueService.getStats();
+    const stats = await videoQueueService.getStats();
     return res.json(stats);
   } catch (err) {
     console.error("[Veo-3] Queue stats error:", err.message);
@@ -274,7 +299,7 @@ router.get("/gemini-veo3/queue-stats", verifyJWT, async (req, res) => {
 
 /**
  * DELETE /api/gemini-veo3/job/:jobId
- * Cancel a queued job (cannot cancel if already processing)
+ * Cancel a queued or running job
  */
 router.delete("/gemini-veo3/job/:jobId", verifyJWT, async (req, res) => {
   try {
@@ -286,26 +311,24 @@ router.delete("/gemini-veo3/job/:jobId", verifyJWT, async (req, res) => {
     }
 
     // Check if job exists and belongs to user
-    const status = videoQueueService.getJobStatus(jobId);
+    const status = await videoQueueService.getJobStatus(jobId);
     
     if (status.status === 'not_found') {
       return res.status(404).json({ error: "Job not found" });
     }
 
-    if (status.status === 'processing') {
-      return res.status(400).json({ 
-        error: "Cannot cancel job that is currently processing" 
-      });
+    if (status.userId && status.userId !== userId) {
+      return res.status(403).json({ error: "You do not have access to this job" });
     }
 
-    if (status.status === 'completed' || status.status === 'failed') {
+    if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled') {
       return res.status(400).json({ 
-        error: "Cannot cancel completed or failed job" 
+        error: "Cannot cancel a finished job" 
       });
     }
 
     // Remove job from queue
-    const removed = videoQueueService.removeJob(jobId);
+    const removed = await videoQueueService.removeJob(jobId);
 
     if (removed) {
       return res.json({ 
@@ -367,6 +390,9 @@ router.post("/generate-video", verifyJWT, async (req, res) => {
     });
     await videoDoc.save();
     console.log('[Gemini-VEO] Video metadata saved to database');
+    await videoRenditionService.queueRenditions(videoDoc, { username });
+    await videoThumbnailService.queueThumbnails(key, { userId, username });
+    await videoMetadataService.queueProbe(key, { userId, username });
 
     return res.json({
       success: true,
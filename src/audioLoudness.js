@@ -0,0 +1,177 @@
+/**
+ * Loudness normalisation (EBU R128) with ffmpeg's loudnorm filter, in two passes:
+ *
+ * - measure: integrated loudness (LUFS), true peak (dBTP), loudness range (LU)
+ *   and gating threshold of the input
+ * - normalise: loudnorm with the measured values, which applies one gain
+ *   (linear mode) when the target true peak allows it and limits true peaks
+ *   otherwise (dynamic mode); it reports the loudness of its output
+ *
+ * Targets come from platform presets (YouTube, Spotify, podcasts at -14/-16 LUFS,
+ * broadcast at -23/-24) or are given directly. Used by 'loudness' edit jobs,
+ * export jobs (crop worker) and mount-audio jobs (ffmpeg-static).
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+// target: integrated loudness (LUFS), truePeak: ceiling (dBTP), lra: loudness range target (LU)
+const PRESETS = {
+  youtube: { label: 'YouTube', target: -14, truePeak: -1, lra: 11 },
+  spotify: { label: 'Spotify', target: -14, truePeak: -1, lra: 11 },
+  tiktok: { label: 'TikTok', target: -14, truePeak: -1, lra: 11 },
+  instagram: { label: 'Instagram', target: -14, truePeak: -1, lra: 11 },
+  'apple-podcasts': { label: 'Apple Podcasts', target: -16, truePeak: -1, lra: 11 },
+  'ebu-r128': { label: 'EBU R128 (broadcast)', target: -23, truePeak: -1, lra: 15 },
+  'atsc-a85': { label: 'ATSC A/85 (US broadcast)', target: -24, truePeak: -2, lra: 15 }
+};
+const DEFAULT_PRESET = 'youtube';
+const LIMITS = { target: [-70, -5], truePeak: [-9, 0], lra: [1, 20] };
+
+// Tolerances of the compliance check in the report
+const TARGET_TOLERANCE = 1; // LU
+const PEAK_TOLERANCE = 0.1; // dB
+
+/**
+ * Validate loudness options
+ * @param {string|object|boolean} input - A preset name, true (default preset), or { preset?, target?, truePeak?, lra? }
+ *   where the numbers override the preset
+ * @returns {{ preset: string|null, target: number, truePeak: number, lra: number }}
+ * @throws {ValidationError}
+ */
+function normalizeLoudness(input) {
+  const options = input === true ? {} : (typeof input === 'string' ? { preset: input } : input);
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ValidationError('loudness must be a preset name or { preset?, target?, truePeak?, lra? }');
+  }
+  const custom = ['target', 'truePeak', 'lra'].some(name => options[name] !== undefined);
+  const presetName = options.preset || (custom ? null : DEFAULT_PRESET);
+  if (presetName && !PRESETS[presetName]) {
+    throw new ValidationError(`loudness.preset must be one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+  const base = PRESETS[presetName || DEFAULT_PRESET];
+  const result = { preset: presetName };
+  Object.keys(LIMITS).forEach((name) => {
+    const value = options[name] === undefined ? base[name] : options[name];
+    const [min, max] = LIMITS[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new ValidationError(`loudness.${name} must be a number from ${min} to ${max}`);
+    }
+    result[name] = value;
+  });
+  return result;
+}
+
+const targetParams = ({ target, truePeak, lra }) => `I=${target}:TP=${truePeak}:LRA=${lra}`;
+
+// loudnorm of the first pass
+function measureFilter(options) {
+  return `loudnorm=${targetParams(options)}:print_format=json`;
+}
+
+/**
+ * loudnorm of the second pass; loudnorm works at 192 kHz, so it is resampled back to 48 kHz
+ * @param {object} options - From normalizeLoudness
+ * @param {object} measured - parseLoudnorm of the measure pass
+ */
+function normalizeFilter(options, { input, offset }) {
+  return `loudnorm=${targetParams(options)}` +
+    `:measured_I=${input.integrated}:measured_TP=${input.truePeak}` +
+    `:measured_LRA=${input.lra}:measured_thresh=${input.threshold}` +
+    `:offset=${offset}:linear=true:print_format=json,aresample=48000`;
+}
+
+/**
+ * ffmpeg arguments measuring the loudness of a file's audio (or of `start`/`duration` of it)
+ */
+function buildMeasureArgs(inputPath, options, { start, duration } = {}) {
+  const args = ['-hide_banner', '-y'];
+  if (start) args.push('-ss', String(start));
+  if (duration) args.push('-t', String(duration));
+  return [...args, '-i', inputPath, '-vn', '-af', measureFilter(options), '-f', 'null', '-'];
+}
+
+/**
+ * ffmpeg arguments normalising a file's audio; the video stream is copied
+ */
+function buildNormalizeArgs(inputPath, outputPath, options, measured) {
+  return [
+    '-hide_banner', '-y', '-i', inputPath,
+    '-map', '0:v:0?', '-map', '0:a:0',
+    '-c:v', 'copy',
+    '-af', normalizeFilter(options, measured),
+    '-c:a', 'aac', '-b:a', '192k',
+    '-movflags', '+faststart',
+    outputPath
+  ];
+}
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null; // "-inf" for silence
+};
+
+/**
+ * Stats printed by loudnorm (print_format=json) in an ffmpeg log; the last block wins
+ * @param {string} log - ffmpeg stderr
+ * @returns {{ input: object, output: object, normalizationType: string, offset: number }}
+ * @throws {Error} When the log has no stats or the audio is silent
+ */
+function parseLoudnorm(log) {
+  const blocks = String(log || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) throw new Error('ffmpeg did not report loudness');
+  const stats = JSON.parse(blocks[blocks.length - 1]);
+  const input = {
+    integrated: toNumber(stats.input_i),
+    truePeak: toNumber(stats.input_tp),
+    lra: toNumber(stats.input_lra),
+    threshold: toNumber(stats.input_thresh)
+  };
+  if (input.integrated === null || input.threshold === null) throw new Error('The audio is silent; there is nothing to normalise');
+  return {
+    input,
+    output: {
+      integrated: toNumber(stats.output_i),
+      truePeak: toNumber(stats.output_tp),
+      lra: toNumber(stats.output_lra),
+      threshold: toNumber(stats.output_thresh)
+    },
+    normalizationType: stats.normalization_type,
+    offset: toNumber(stats.target_offset) || 0
+  };
+}
+
+/**
+ * Loudness report of a job
+ * @param {object} options - From normalizeLoudness
+ * @param {object} measured - parseLoudnorm of the measure pass
+ * @param {object|null} normalized - parseLoudnorm of the normalise pass, null when only measuring
+ * @returns {object} { preset, target: { integrated, truePeak, lra }, input, output?, normalizationType?, gain?, compliant }
+ */
+function loudnessReport(options, measured, normalized) {
+  const compliant = (level) => level.integrated !== null
+    && Math.abs(level.integrated - options.target) <= TARGET_TOLERANCE
+    && level.truePeak !== null && level.truePeak <= options.truePeak + PEAK_TOLERANCE;
+  const report = {
+    preset: options.preset,
+    target: { integrated: options.target, truePeak: options.truePeak, lra: options.lra },
+    input: measured.input
+  };
+  if (!normalized) return { ...report, compliant: compliant(measured.input) };
+  return {
+    ...report,
+    output: normalized.output,
+    normalizationType: normalized.normalizationType, // linear: one gain; dynamic: gain varied to respect the true peak
+    gain: normalized.output.integrated !== null ? Math.round((normalized.output.integrated - measured.input.integrated) * 100) / 100 : null,
+    compliant: compliant(normalized.output)
+  };
+}
+
+module.exports = {
+  PRESETS,
+  normalizeLoudness,
+  normalizeFilter,
+  buildMeasureArgs,
+  buildNormalizeArgs,
+  parseLoudnorm,
+  loudnessReport
+};
@@ -0,0 +1,182 @@
+/**
+ * Audio mix for mount-audio jobs: the video's own audio, a voiceover and a
+ * music bed mixed into one track the length of the video.
+ *
+ * - original: kept (with a gain) or muted
+ * - voiceover: optional delay and gain
+ * - music: trimmed to start later, looped (or padded with silence) to the
+ *   video length, faded in/out, and ducked under speech (voiceover and kept
+ *   original audio) with a sidechain compressor
+ * - master: fade in/out and a limiter so summed tracks don't clip
+ * - loudness: optionally, the mix is then normalised to a target loudness
+ *   (see audioLoudness.js)
+ *
+ * Gains are in dB, times in seconds. normalizeMix validates a request
+ * (POST /api/video/mount-audio, pipeline mount-audio steps); buildAudioMix
+ * builds the ffmpeg filter graph for the audio-mount queue processor.
+ */
+
+const { normalizeLoudness } = require('./audioLoudness');
+const { ValidationError } = require('./utils/errors');
+const { isPrivateHost } = require('./utils/privateAddresses');
+
+const MIN_GAIN = -60;
+const MAX_GAIN = 20;
+const MAX_FADE = 30;
+
+const DUCKING_DEFAULTS = {
+  threshold: 0.03, // Speech level (linear, ~ -30 dB) above which music ducks
+  ratio: 8,
+  attack: 20, // ms
+  release: 400 // ms
+};
+
+function number(value, fallback, label, min, max) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new ValidationError(`${label} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Tracks are downloaded by the mount worker, so local and private hosts are refused
+function url(value, label) {
+  if (typeof value !== 'string' || !/^https?:\/\//.test(value) || !URL.canParse(value)) {
+    throw new ValidationError(`${label} must be an http(s) URL`);
+  }
+  if (isPrivateHost(new URL(value).hostname)) {
+    throw new ValidationError(`${label} must not point to a private or local address`);
+  }
+  return value;
+}
+
+/**
+ * Validate a mount-audio request and fill in defaults
+ * @param {object} body - { audioUrl?, original?, voiceover?, music?, ducking?, fadeIn?, fadeOut?, loudness? }
+ *   audioUrl is shorthand for voiceover.url (the original request format: voiceover replaces the video's audio)
+ * @returns {object} Mix spec for buildAudioMix
+ * @throws {ValidationError}
+ */
+function normalizeMix(body = {}) {
+  const original = body.original || {};
+  const voiceoverInput = body.voiceover || (body.audioUrl ? { url: body.audioUrl } : null);
+  const musicInput = body.music || null;
+
+  const mix = {
+    original: {
+      keep: original.keep === undefined ? false : !!original.keep,
+      gain: number(original.gain, 0, 'original.gain', MIN_GAIN, MAX_GAIN)
+    },
+    voiceover: voiceoverInput ? {
+      url: url(voiceoverInput.url, 'voiceover.url'),
+      gain: number(voiceoverInput.gain, 0, 'voiceover.gain', MIN_GAIN, MAX_GAIN),
+      delay: number(voiceoverInput.delay, 0, 'voiceover.delay', 0, 3600)
+    } : null,
+    music: musicInput ? {
+      url: url(musicInput.url, 'music.url'),
+      gain: number(musicInput.gain, -14, 'music.gain', MIN_GAIN, MAX_GAIN),
+      start: number(musicInput.start, 0, 'music.start', 0, 3600),
+      loop: musicInput.loop === undefined ? true : !!musicInput.loop,
+      fadeIn: number(musicInput.fadeIn, 0, 'music.fadeIn', 0, MAX_FADE),
+      fadeOut: number(musicInput.fadeOut, 2, 'music.fadeOut', 0, MAX_FADE)
+    } : null,
+    ducking: null,
+    fadeIn: number(body.fadeIn, 0, 'fadeIn', 0, MAX_FADE),
+    fadeOut: number(body.fadeOut, 0, 'fadeOut', 0, MAX_FADE),
+    loudness: body.loudness ? normalizeLoudness(body.loudness) : null
+  };
+
+  if (!mix.original.keep && !mix.voiceover && !mix.music) {
+    throw new ValidationError('Nothing to mix: keep the original audio or add a voiceover or music');
+  }
+
+  // Ducking only applies to music under speech; on by default
+  const ducking = body.ducking === undefined ? true : body.ducking;
+  if (mix.music && ducking) {
+    const options = typeof ducking === 'object' ? ducking : {};
+    mix.ducking = {
+      threshold: number(options.threshold, DUCKING_DEFAULTS.threshold, 'ducking.threshold', 0.001, 1),
+      ratio: number(options.ratio, DUCKING_DEFAULTS.ratio, 'ducking.ratio', 1, 20),
+      attack: number(options.attack, DUCKING_DEFAULTS.attack, 'ducking.attack', 0.01, 2000),
+      release: number(options.release, DUCKING_DEFAULTS.release, 'ducking.release', 0.01, 9000)
+    };
+  }
+  return mix;
+}
+
+const FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+/**
+ * ffmpeg filter graph for the mix
+ * @param {object} mix - From normalizeMix
+ * @param {object} media - { duration, originalHasAudio, voiceoverInput, musicInput } input indexes of the audio files
+ * @returns {{ filter: string, output: string }} Output pad label
+ */
+function buildAudioMix(mix, { duration, originalHasAudio, voiceoverInput, musicInput }) {
+  const length = duration.toFixed(3);
+  const parts = [];
+  const speech = [];
+
+  if (mix.original.keep && originalHasAudio) {
+    parts.push(`[0:a]${FORMAT},volume=${mix.original.gain}dB,apad,atrim=0:${length}[orig]`);
+    speech.push('[orig]');
+  }
+  if (mix.voiceover) {
+    const delay = Math.round(mix.voiceover.delay * 1000);
+    parts.push(`[${voiceoverInput}:a]${FORMAT},adelay=${delay}:all=1,volume=${mix.voiceover.gain}dB,apad,atrim=0:${length}[voice]`);
+    speech.push('[voice]');
+  }
+
+  let music = null;
+  if (mix.music) {
+    const fades = [];
+    if (mix.music.fadeIn > 0) fades.push(`afade=t=in:st=0:d=${mix.music.fadeIn}`);
+    if (mix.music.fadeOut > 0) fades.push(`afade=t=out:st=${Math.max(0, duration - mix.music.fadeOut).toFixed(3)}:d=${mix.music.fadeOut}`);
+    // Looping is done with -stream_loop on the input; trimming the start skips the intro of the first pass
+    parts.push(
+      `[${musicInput}:a]${FORMAT},atrim=start=${mix.music.start},asetpts=PTS-STARTPTS,volume=${mix.music.gain}dB,` +
+      `apad,atrim=0:${length}${fades.length ? `,${fades.join(',')}` : ''}[music]`
+    );
+    music = '[music]';
+  }
+
+  // Sum the speech tracks, then duck the music under them
+  let speechOut = null;
+  if (speech.length > 1) {
+    parts.push(`${speech.join('')}amix=inputs=${speech.length}:duration=first:normalize=0[speech]`);
+    speechOut = '[speech]';
+  } else if (speech.length === 1) {
+    speechOut = speech[0];
+  }
+
+  let mixed;
+  if (music && speechOut && mix.ducking) {
+    const { threshold, ratio, attack, release } = mix.ducking;
+    parts.push(`${speechOut}asplit=2[speechmix][sidechain]`);
+    parts.push(`${music}[sidechain]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`);
+    parts.push('[speechmix][ducked]amix=inputs=2:duration=first:normalize=0[mixed]');
+    mixed = '[mixed]';
+  } else if (music && speechOut) {
+    parts.push(`${speechOut}${music}amix=inputs=2:duration=first:normalize=0[mixed]`);
+    mixed = '[mixed]';
+  } else if (speechOut || music) {
+    mixed = speechOut || music;
+  } else {
+    // Only the original audio was asked for and the video has none
+    parts.push(`anullsrc=r=48000:cl=stereo,atrim=0:${length}[silence]`);
+    mixed = '[silence]';
+  }
+
+  const master = [];
+  if (mix.fadeIn > 0) master.push(`afade=t=in:st=0:d=${mix.fadeIn}`);
+  if (mix.fadeOut > 0) master.push(`afade=t=out:st=${Math.max(0, duration - mix.fadeOut).toFixed(3)}:d=${mix.fadeOut}`);
+  master.push('alimiter=limit=0.95:level=0');
+  parts.push(`${mixed}${master.join(',')}[aout]`);
+
+  return { filter: parts.join(';'), output: '[aout]' };
+}
+
+module.exports = {
+  normalizeMix,
+  buildAudioMix
+};
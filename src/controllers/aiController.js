@@ -2,8 +2,18 @@
 const { generateScript, generateVideo } = require('../geminiService');
 const { uploadVideoBase64 } = require('../s3Service');
 const scriptQueueService = require('../services/scriptQueueService');
+const videoThumbnailService = require('../services/videoThumbnailService');
+const { apiBaseUrl } = require('../utils/signedUrls');
+const { sendLimitError } = require('../utils/errors');
+const { normalizeVideoQuery, filterAndSortVideos } = require('../videoMetadata');
 const crypto = require('crypto');
 
+// Queue processor: generate a script for the stored prompt
+scriptQueueService.registerProcessor(async ({ prompt }, job) => {
+  const script = await generateScript(prompt, { signal: job.signal });
+  return { script };
+});
+
 // POST /api/generate-script
 async function handleGenerateScript(req, res) {
   try {
@@ -12,20 +22,14 @@ async function handleGenerateScript(req, res) {
       return res.status(400).json({ error: 'Missing or invalid prompt' });
     }
 
-    // Wrap the actual script generation in a processor function
-    const scriptProcessor = async () => {
-      const script = await generateScript(prompt);
-      return { script };
-    };
-
     // Add job to queue
-    const jobId = scriptQueueService.addJob(scriptProcessor, {
+    const jobId = await scriptQueueService.addJob({ prompt }, {
       prompt: prompt.substring(0, 100),
-      userId: req.user?.id || 'anonymous',
+      userId: String(req.user._id),
       createdAt: new Date().toISOString(),
     });
 
-    const status = scriptQueueService.getJobStatus(jobId);
+    const status = await scriptQueueService.getJobStatus(jobId);
 
     // Return 202 with job ID
     res.status(202).json({
@@ -37,6 +41,7 @@ async function handleGenerateScript(req, res) {
       message: 'Script generation job queued',
     });
   } catch (err) {
+    if (sendLimitError(res, err)) return;
     res.status(500).json({ error: err.message || 'Internal server error' });
   }
 }
@@ -74,6 +79,8 @@ async function handleGenerateVideo(req, res) {
 /**
  * GET /api/videos?userId=...
  * Returns all videos for a user.
+ * Optional filters and sort on probed metadata (see normalizeVideoQuery in videoMetadata.js):
+ * minDuration, maxDuration, orientation, aspectRatio, hasAudio, ..., sort, order
  */
 const { listUserVideosFromS3 } = require('../s3Service');
 async function getUserVideos(req, res) {
@@ -83,6 +90,13 @@ async function getUserVideos(req, res) {
     return res.status(401).json({ error: 'User authentication required' });
   }
 
+  let query;
+  try {
+    query = normalizeVideoQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   try {
     // List all videos in S3 for this user
     const videos = await listUserVideosFromS3(userId, username || '');
@@ -112,6 +126,7 @@ async function getUserVideos(req, res) {
         const meta = mongoVideos.find(mv => mv.s3Key === v.key);
         // Find scheduling info for this s3Key
         const scheduledPost = scheduledPosts.find(sp => sp.videoS3Key === v.key);
+        const thumbnails = v.thumbnails ? await videoThumbnailService.thumbnailUrls(v.key, apiBaseUrl(req)) : null;
         
         return {
           id: v.key,
@@ -122,16 +137,25 @@ async function getUserVideos(req, res) {
           provider: meta && meta.provider ? meta.provider : null, // Add provider field
           url: signedUrl,
           createdAt: meta && meta.createdAt ? meta.createdAt : v.createdAt,
-          thumbnail: v.thumbnail || null,
+          thumbnail: thumbnails ? thumbnails.poster : null,
+          thumbnails, // { poster, sprite, track, expiresAt } once generated
+          media: meta && meta.media && meta.media.probedAt ? meta.toObject().media : null,
+          derivedFrom: meta && meta.derivedFrom && meta.derivedFrom.s3Key ? meta.toObject().derivedFrom : null, // e.g. highlight clips
           isEdited: v.isEdited || false,
           publishCount: meta && typeof meta.publishCount === 'number' ? meta.publishCount : 0,
           publishedToYouTube: meta && typeof meta.publishedToYouTube === 'boolean' ? meta.publishedToYouTube : false,
           scheduledTime: scheduledPost ? scheduledPost.scheduledTime : null,
           scheduledStatus: scheduledPost ? scheduledPost.status : null,
+          videoId: meta ? meta._id : null, // For /api/video/stream/:videoId
+          renditions: meta && meta.renditions && meta.renditions.status ? {
+            status: meta.renditions.status,
+            variants: ((meta.renditions.hls && meta.renditions.hls.variants) || []).map(variant => variant.name),
+            preview: !!(meta.renditions.preview && meta.renditions.preview.s3Key)
+          } : null,
         };
       })
     );
-    res.status(200).json(formatted);
+    res.status(200).json(filterAndSortVideos(formatted, query));
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to fetch user videos' });
   }
@@ -141,7 +165,7 @@ async function getUserVideos(req, res) {
 async function getScriptGenerationStatus(req, res) {
   try {
     const { jobId } = req.params;
-    const status = scriptQueueService.getJobStatus(jobId);
+    const status = await scriptQueueService.getJobStatus(jobId);
 
     if (status.status === 'not_found') {
       return res.status(404).json({ error: 'Job not found' });
@@ -158,6 +182,8 @@ async function getScriptGenerationStatus(req, res) {
       return res.status(200).json({
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
       });
     }
 
@@ -167,6 +193,8 @@ async function getScriptGenerationStatus(req, res) {
       position: status.position,
       queueLength: status.queueLength,
       estimatedWaitTime: status.estimatedWaitTime,
+      attempts: status.attempts,
+      nextRetryAt: status.nextRetryAt,
     });
   } catch (err) {
     res.status(500).json({ error: err.message || 'Internal server error' });
@@ -176,7 +204,7 @@ async function getScriptGenerationStatus(req, res) {
 // GET /api/script-generation-queue-stats
 async function getScriptGenerationQueueStats(req, res) {
   try {
-    const stats = scriptQueueService.getStats();
+    const stats = await scriptQueueService.getStats();
     res.status(200).json(stats);
   } catch (err) {
     res.status(500).json({ error: err.message || 'Internal server error' });
@@ -187,10 +215,10 @@ async function getScriptGenerationQueueStats(req, res) {
 async function cancelScriptGenerationJob(req, res) {
   try {
     const { jobId } = req.params;
-    const success = scriptQueueService.cancelJob(jobId);
+    const success = await scriptQueueService.cancelJob(jobId);
 
     if (!success) {
-      return res.status(400).json({ error: 'Cannot cancel job (not found or already processing)' });
+      return res.status(400).json({ error: 'Cannot cancel job (not found or already finished)' });
     }
 
     res.status(200).json({ message: 'Job cancelled successfully' });
@@ -19,6 +19,7 @@ const FormData = require('form-data');
 const s3Service = require('../s3Service');
 const backgroundRemovalQueueService = require('../services/backgroundRemovalQueueService');
 const crypto = require('crypto');
+const { sendLimitError } = require('../utils/errors');
 
 /**
  * Helper function to generate meaningful filename from original
@@ -42,6 +43,166 @@ function generateNoBackgroundFilename(originalFilename) {
   return `no-bg-${cleaned}`;
 }
 
+/**
+ * Queue processor for remove.bg jobs
+ * Receives the stored job data from the persistent background removal queue
+ */
+async function processBackgroundRemovalJob(jobData, job) {
+  const { jobId } = job;
+  const {
+    imageS3Key,
+    imageUrl,
+    size,
+    format,
+    type,
+    typeLevel,
+    channels,
+    bgColor,
+    bgImageUrl,
+    semitransparency,
+    crop,
+    scale,
+    position,
+    userId,
+    username,
+    originalFilename
+  } = jobData;
+
+  console.log(`[RemoveBG] Starting background removal for job ${jobId}`);
+
+  // Check for API key
+  const apiKey = process.env.REMOVEBG_API_KEY;
+  if (!apiKey) {
+    throw new Error('remove.bg API key not configured. Please set REMOVEBG_API_KEY in environment variables.');
+  }
+
+  const formData = new FormData();
+
+  // Add image source (either S3 download URL or direct URL)
+  if (imageS3Key) {
+    // Generate temporary presigned URL for the image
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+    const s3Client = new S3Client({ region: process.env.AWS_REGION });
+    const getCommand = new GetObjectCommand({ 
+      Bucket: process.env.AWS_BUCKET_NAME, 
+      Key: imageS3Key 
+    });
+    const imageDownloadUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
+    formData.append('image_url', imageDownloadUrl);
+  } else if (imageUrl) {
+    formData.append('image_url', imageUrl);
+  }
+
+  // Add parameters
+  formData.append('size', size);
+  if (format && format !== 'png') formData.append('format', format);
+  if (type && type !== 'auto') formData.append('type', type);
+  if (typeLevel && typeLevel !== 'latest') formData.append('type_level', typeLevel);
+  if (channels && channels !== 'rgba') formData.append('channels', channels);
+  if (bgColor) formData.append('bg_color', bgColor);
+  if (bgImageUrl) formData.append('bg_image_url', bgImageUrl);
+  if (semitransparency) formData.append('semitransparency', 'true');
+  if (crop) formData.append('crop', 'true');
+  if (scale) formData.append('scale', scale);
+  if (position) formData.append('position', position);
+
+  console.log('[RemoveBG] Calling remove.bg API...');
+
+  // Call remove.bg API
+  const removeBgResponse = await axios.post(
+    'https://api.remove.bg/v1.0/removebg',
+    formData,
+    {
+      headers: {
+        'X-Api-Key': apiKey,
+        ...formData.getHeaders()
+      },
+      responseType: 'arraybuffer',
+      maxContentLength: 50 * 1024 * 1024, // 50MB max
+      maxBodyLength: 50 * 1024 * 1024,
+      signal: job.signal // Aborted when the job is cancelled
+    }
+  );
+
+  console.log('[RemoveBG] API response received');
+  
+  // Check for rate limiting
+  const rateLimitRemaining = removeBgResponse.headers['x-ratelimit-remaining'];
+  const rateLimitReset = removeBgResponse.headers['x-ratelimit-reset'];
+  const creditsCharged = removeBgResponse.headers['x-credits-charged'];
+  
+  console.log(`[RemoveBG] Credits charged: ${creditsCharged}, Rate limit remaining: ${rateLimitRemaining}`);
+
+  // Extract the result image
+  const imageBuffer = Buffer.from(removeBgResponse.data);
+
+  if (!imageBuffer || imageBuffer.length === 0) {
+    throw new Error('Background removal failed - no image data returned');
+  }
+
+  // Determine content type based on format
+  let contentType = 'image/png';
+  if (format === 'jpg') contentType = 'image/jpeg';
+  else if (format === 'zip') contentType = 'application/zip';
+
+  // Generate meaningful filename
+  const meaningfulFilename = generateNoBackgroundFilename(
+    originalFilename || imageS3Key || 'image'
+  );
+
+  // Upload to S3 using existing service
+  console.log('[RemoveBG] Uploading result to S3...');
+  const s3Result = await s3Service.uploadImageBuffer(
+    imageBuffer,
+    contentType,
+    userId,
+    username,
+    {
+      backgroundRemoved: 'true',
+      originalImage: imageS3Key || imageUrl,
+      customFilename: meaningfulFilename
+    }
+  );
+
+  if (!s3Result || !s3Result.key) {
+    throw new Error('Failed to upload result to S3');
+  }
+
+  // Save to database
+  const Video = require('../models/Video');
+  let videoRecord = await Video.findOne({ s3Key: s3Result.key });
+  if (!videoRecord) {
+    videoRecord = new Video({
+      s3Key: s3Result.key,
+      owner: userId,
+      title: `${originalFilename || 'Image'} (Background Removed)`,
+      description: 'Background removed using remove.bg AI',
+      provider: 'remove-bg',
+    });
+    await videoRecord.save();
+    console.log('[RemoveBG] Image metadata saved to database');
+  }
+
+  console.log('[RemoveBG] Background removal complete');
+
+  // No download URL here: jobs are kept for days and signed URLs expire,
+  // so the status endpoint signs one from s3Key when it is read
+  return {
+    s3Key: s3Result.key,
+    originalImage: imageS3Key || imageUrl,
+    userId,
+    creditsCharged: parseFloat(creditsCharged) || 1,
+    rateLimitRemaining: parseInt(rateLimitRemaining) || 0,
+    createdAt: new Date().toISOString(),
+    provider: 'remove-bg',
+    format,
+    size
+  };
+}
+
+backgroundRemovalQueueService.registerProcessor(processBackgroundRemovalJob);
+
 /**
  * POST /api/ai/remove-background
  * Body: { 
@@ -105,171 +266,8 @@ async function removeBackground(req, res) {
     console.log(`[RemoveBG] Job ID: ${jobId}`);
     console.log(`[RemoveBG] Source: ${imageS3Key ? `S3:${imageS3Key}` : `URL:${imageUrl}`}`);
 
-    // Define the background removal processor
-    const backgroundProcessor = async (jobData) => {
-      const {
-        imageS3Key,
-        imageUrl,
-        size,
-        format,
-        type,
-        typeLevel,
-        channels,
-        bgColor,
-        bgImageUrl,
-        semitransparency,
-        crop,
-        scale,
-        position,
-        userId,
-        username,
-        originalFilename
-      } = jobData;
-
-      console.log(`[RemoveBG] Starting background removal for job ${jobId}`);
-
-      // Check for API key
-      const apiKey = process.env.REMOVEBG_API_KEY;
-      if (!apiKey) {
-        throw new Error('remove.bg API key not configured. Please set REMOVEBG_API_KEY in environment variables.');
-      }
-
-      const formData = new FormData();
-
-      // Add image source (either S3 download URL or direct URL)
-      if (imageS3Key) {
-        // Generate temporary presigned URL for the image
-        const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-        const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-        const s3Client = new S3Client({ region: process.env.AWS_REGION });
-        const getCommand = new GetObjectCommand({ 
-          Bucket: process.env.AWS_BUCKET_NAME, 
-          Key: imageS3Key 
-        });
-        const imageDownloadUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
-        formData.append('image_url', imageDownloadUrl);
-      } else if (imageUrl) {
-        formData.append('image_url', imageUrl);
-      }
-
-      // Add parameters
-      formData.append('size', size);
-      if (format && format !== 'png') formData.append('format', format);
-      if (type && type !== 'auto') formData.append('type', type);
-      if (typeLevel && typeLevel !== 'latest') formData.append('type_level', typeLevel);
-      if (channels && channels !== 'rgba') formData.append('channels', channels);
-      if (bgColor) formData.append('bg_color', bgColor);
-      if (bgImageUrl) formData.append('bg_image_url', bgImageUrl);
-      if (semitransparency) formData.append('semitransparency', 'true');
-      if (crop) formData.append('crop', 'true');
-      if (scale) formData.append('scale', scale);
-      if (position) formData.append('position', position);
-
-      console.log('[RemoveBG] Calling remove.bg API...');
-
-      // Call remove.bg API
-      const removeBgResponse = await axios.post(
-        'https://api.remove.bg/v1.0/removebg',
-        formData,
-        {
-          headers: {
-            'X-Api-Key': apiKey,
-            ...formData.getHeaders()
-          },
-          responseType: 'arraybuffer',
-          maxContentLength: 50 * 1024 * 1024, // 50MB max
-          maxBodyLength: 50 * 1024 * 1024
-        }
-      );
-
-      console.log('[RemoveBG] API response received');
-      
-      // Check for rate limiting
-      const rateLimitRemaining = removeBgResponse.headers['x-ratelimit-remaining'];
-      const rateLimitReset = removeBgResponse.headers['x-ratelimit-reset'];
-      const creditsCharged = removeBgResponse.headers['x-credits-charged'];
-      
-      console.log(`[RemoveBG] Credits charged: ${creditsCharged}, Rate limit remaining: ${rateLimitRemaining}`);
-
-      // Extract the result image
-      const imageBuffer = Buffer.from(removeBgResponse.data);
-
-      if (!imageBuffer || imageBuffer.length === 0) {
-        throw new Error('Background removal failed - no image data returned');
-      }
-
-      // Determine content type based on format
-      let contentType = 'image/png';
-      if (format === 'jpg') contentType = 'image/jpeg';
-      else if (format === 'zip') contentType = 'application/zip';
-
-      // Generate meaningful filename
-      const meaningfulFilename = generateNoBackgroundFilename(
-        originalFilename || imageS3Key || 'image'
-      );
-
-      // Upload to S3 using existing service
-      console.log('[RemoveBG] Uploading result to S3...');
-      const s3Result = await s3Service.uploadImageBuffer(
-        imageBuffer,
-        contentType,
-        userId,
-        username,
-        {
-          backgroundRemoved: 'true',
-          originalImage: imageS3Key || imageUrl,
-          customFilename: meaningfulFilename
-        }
-      );
-
-      if (!s3Result || !s3Result.key) {
-        throw new Error('Failed to upload result to S3');
-      }
-
-      // Save to database
-      const Video = require('../models/Video');
-      let videoRecord = await Video.findOne({ s3Key: s3Result.key });
-      if (!videoRecord) {
-        videoRecord = new Video({
-          s3Key: s3Result.key,
-          owner: userId,
-          title: `${originalFilename || 'Image'} (Background Removed)`,
-          description: 'Background removed using remove.bg AI',
-          provider: 'remove-bg',
-        });
-        await videoRecord.save();
-        console.log('[RemoveBG] Image metadata saved to database');
-      }
-
-      // Generate signed download URL
-      const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-      const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-      const s3Client = new S3Client({ region: process.env.AWS_REGION });
-      const getCommand = new GetObjectCommand({ 
-        Bucket: process.env.AWS_BUCKET_NAME, 
-        Key: s3Result.key 
-      });
-      const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
-
-      console.log('[RemoveBG] Background removal complete');
-
-      return {
-        imageUrl: signedUrl,
-        url: signedUrl,
-        s3Key: s3Result.key,
-        originalImage: imageS3Key || imageUrl,
-        userId,
-        creditsCharged: parseFloat(creditsCharged) || 1,
-        rateLimitRemaining: parseInt(rateLimitRemaining) || 0,
-        createdAt: new Date().toISOString(),
-        provider: 'remove-bg',
-        format,
-        size
-      };
-    };
-
     // Add job to queue
-    const queueResult = backgroundRemovalQueueService.addJob(jobId, {
+    const queueResult = await backgroundRemovalQueueService.addJob(jobId, {
       userId,
       username,
       imageS3Key,
@@ -285,8 +283,7 @@ async function removeBackground(req, res) {
       crop,
       scale,
       position,
-      originalFilename,
-      processor: backgroundProcessor
+      originalFilename
     });
 
     console.log(`[RemoveBG] Job ${jobId} added to queue at position ${queueResult.position}`);
@@ -306,6 +303,7 @@ async function removeBackground(req, res) {
     });
 
   } catch (err) {
+    if (sendLimitError(res, err)) return;
     console.error('[RemoveBG] Error:', err.message);
     return res.status(500).json({
       error: 'Internal server error',
@@ -326,15 +324,16 @@ async function getBackgroundRemovalStatus(req, res) {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const status = backgroundRemovalQueueService.getJobStatus(jobId);
+    const status = await backgroundRemovalQueueService.getJobStatus(jobId);
 
     // If completed, return the result data
     if (status.status === 'completed') {
+      const url = await s3Service.getSignedDownloadUrl(status.result.s3Key);
       return res.json({
         jobId,
         status: 'completed',
-        imageUrl: status.result.imageUrl,
-        url: status.result.url,
+        imageUrl: url,
+        url,
         s3Key: status.result.s3Key,
         originalImage: status.result.originalImage,
         creditsCharged: status.result.creditsCharged,
@@ -351,6 +350,8 @@ async function getBackgroundRemovalStatus(req, res) {
         jobId,
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
         failedAt: status.failedAt,
         message: 'Background removal failed'
       });
@@ -373,7 +374,7 @@ async function getBackgroundRemovalStatus(req, res) {
  */
 async function getBackgroundRemovalQueueStats(req, res) {
   try {
-    const stats = backgroundRemovalQueueService.getStats();
+    const stats = await backgroundRemovalQueueService.getStats();
     return res.json(stats);
   } catch (err) {
     console.error('[RemoveBG] Queue stats error:', err.message);
@@ -385,7 +386,7 @@ async function getBackgroundRemovalQueueStats(req, res) {
 
 /**
  * DELETE /api/ai/bg-removal-job/:jobId
- * Cancel a queued background removal job
+ * Cancel a queued or running background removal job
  */
 async function cancelBackgroundRemovalJob(req, res) {
   try {
@@ -395,25 +396,23 @@ async function cancelBackgroundRemovalJob(req, res) {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const status = backgroundRemovalQueueService.getJobStatus(jobId);
+    const status = await backgroundRemovalQueueService.getJobStatus(jobId);
 
     if (status.status === 'not_found') {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    if (status.status === 'processing') {
-      return res.status(400).json({
-        error: 'Cannot cancel job that is currently processing'
-      });
+    if (status.userId && status.userId !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
     }
 
-    if (status.status === 'completed' || status.status === 'failed') {
+    if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled') {
       return res.status(400).json({
-        error: 'Cannot cancel completed or failed job'
+        error: 'Cannot cancel a finished job'
       });
     }
 
-    const removed = backgroundRemovalQueueService.removeJob(jobId);
+    const removed = await backgroundRemovalQueueService.removeJob(jobId);
 
     if (removed) {
       return res.json({
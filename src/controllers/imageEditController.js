@@ -19,6 +19,7 @@ const s3Service = require('../s3Service');
 const { getAccessToken } = require('../utils/googleAuth');
 const imageEditQueueService = require('../services/imageEditQueueService');
 const crypto = require('crypto');
+const { sendLimitError } = require('../utils/errors');
 
 /**
  * Helper function to generate meaningful filename from prompt
@@ -66,6 +67,269 @@ function generateShortTitle(prompt) {
   return title || 'Edited Image';
 }
 
+/**
+ * Queue processor for Imagen edit jobs
+ * Receives the stored job data from the persistent image edit queue
+ */
+async function processImageEditJob(jobData, job) {
+  const { jobId } = job;
+  const { prompt, imageS3Key, userId, username } = jobData;
+
+  console.log(`[Imagen-Edit] Starting image edit for job ${jobId}`);
+
+  // Get Google Cloud credentials
+  const projectId = process.env.GCP_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('Google Cloud project not configured');
+  }
+
+  // Fetch image from S3
+  console.log('[Imagen-Edit] Fetching image from S3...');
+  let imageBuffer;
+  try {
+    imageBuffer = await s3Service.getFileBuffer(imageS3Key);
+  } catch (err) {
+    throw new Error('Failed to fetch image from S3: ' + err.message);
+  }
+
+  // Get access token using shared auth utility
+  const accessToken = await getAccessToken();
+
+  // Convert image to base64
+  const imageBase64 = imageBuffer.toString('base64');
+
+  // Use the same model that works for image generation
+  const imagenModel = "imagen-4.0-fast-generate-001";
+  const location = "us-central1";
+  const vertexApiUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${imagenModel}:predict`;
+
+  console.log('[Imagen-Edit] Calling Vertex AI API...');
+  console.log('[Imagen-Edit] Using model:', imagenModel);
+  
+  const startTime = Date.now();
+
+  // Try a very neutral prompt approach - similar to pure generation
+  const requestBody = {
+    instances: [
+      {
+        prompt: prompt,  // Use the prompt directly without mentioning editing
+        image: {
+          bytesBase64Encoded: imageBase64
+        }
+      }
+    ],
+    parameters: {
+      sampleCount: 1,
+      aspectRatio: "1:1",
+      safetyFilterLevel: "BLOCK_ONLY_HIGH",
+      personGeneration: "ALLOW_ADULT",
+      addWatermark: false
+    }
+  };
+
+  let vertexResponse;
+  let requestAttempted = false;
+  
+  // Try with initial safety settings
+  try {
+    vertexResponse = await axios.post(
+      vertexApiUrl,
+      requestBody,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 60000, // 60 second timeout
+        signal: job.signal // Aborted when the job is cancelled
+      }
+    );
+    requestAttempted = true;
+    
+    // Check if the successful response was actually RAI filtered
+    if (vertexResponse.data.predictions && 
+        vertexResponse.data.predictions.length > 0 && 
+        vertexResponse.data.predictions[0].raiFilteredReason) {
+      console.log('[Imagen-Edit] First attempt was RAI filtered, trying with more permissive settings...');
+      
+      // Update request body with most permissive safety settings and simplified prompt
+      requestBody.parameters.safetyFilterLevel = "BLOCK_NONE";
+      requestBody.instances[0].prompt = prompt.replace(/edit|modify|change|alter|transform/gi, 'show').replace(/remove|delete|erase/gi, 'without');
+      
+      try {
+        vertexResponse = await axios.post(
+          vertexApiUrl,
+          requestBody,
+          {
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+              'Content-Type': 'application/json'
+            },
+            timeout: 60000,
+            signal: job.signal
+          }
+        );
+        console.log('[Imagen-Edit] Second attempt with permissive settings completed');
+      } catch (retryError) {
+        console.error('[Imagen-Edit] Second attempt failed:', retryError.response?.data);
+        throw new Error('Image editing request failed even with permissive settings. Please try a different prompt or image.');
+      }
+    }
+  } catch (apiError) {
+    console.error('[Imagen-Edit] First attempt API Error:', {
+      status: apiError.response?.status,
+      statusText: apiError.response?.statusText,
+      data: apiError.response?.data
+    });
+    
+    const errorMessage = apiError.response?.data?.error?.message || apiError.message;
+    
+    // If it's a safety filter violation, try with most permissive settings
+    if (errorMessage.includes('response is blocked') || 
+        errorMessage.includes('may violate our policies') ||
+        errorMessage.includes('Error Code: 72817394')) {
+      
+      console.log('[Imagen-Edit] Retrying with most permissive safety settings...');
+      
+      // Update request body with most permissive safety settings
+      requestBody.parameters.safetyFilterLevel = "BLOCK_NONE";
+      
+      try {
+        vertexResponse = await axios.post(
+          vertexApiUrl,
+          requestBody,
+          {
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+              'Content-Type': 'application/json'
+            },
+            timeout: 60000,
+            signal: job.signal
+          }
+        );
+        requestAttempted = true;
+        console.log('[Imagen-Edit] Second attempt with permissive settings succeeded');
+      } catch (retryError) {
+        console.error('[Imagen-Edit] Second attempt also failed:', retryError.response?.data);
+        throw new Error('Image editing request was blocked by Google\'s safety filters even with permissive settings. The content may contain elements that cannot be processed.');
+      }
+    } else {
+      // For other errors, don't retry
+      console.error('[Imagen-Edit] Request that failed:', JSON.stringify(requestBody, null, 2));
+      
+      // Check for model unavailability
+      if (errorMessage.includes('unavailable') || errorMessage.includes('not found')) {
+        throw new Error('The image editing model is temporarily unavailable. Please try again later.');
+      }
+      
+      throw new Error(`Imagen API error: ${errorMessage}`);
+    }
+  }
+
+  const apiTime = Date.now() - startTime;
+  console.log(`[Imagen-Edit] Image edited in ${apiTime}ms`);
+  
+  // Debug: Log the actual response structure
+  console.log('[Imagen-Edit] Response structure:', {
+    hasData: !!vertexResponse.data,
+    dataKeys: Object.keys(vertexResponse.data || {}),
+    predictions: vertexResponse.data?.predictions ? 'exists' : 'missing',
+    predictionsLength: vertexResponse.data?.predictions?.length,
+    firstPrediction: vertexResponse.data?.predictions?.[0] ? Object.keys(vertexResponse.data.predictions[0]) : 'no first prediction'
+  });
+
+  // Extract the generated image from the response
+  let imageBase64Output;
+  
+  // Check for RAI (Responsible AI) filtering first
+  if (vertexResponse.data.predictions && 
+      vertexResponse.data.predictions.length > 0 && 
+      vertexResponse.data.predictions[0].raiFilteredReason) {
+    const raiReason = vertexResponse.data.predictions[0].raiFilteredReason;
+    console.log('[Imagen-Edit] Content blocked by RAI filters:', raiReason);
+    throw new Error(`Image editing request was blocked by Google's content safety filters (Code: ${raiReason}). Please try with a different image or more general prompt.`);
+  }
+  
+  // Try different response structures
+  if (vertexResponse.data.predictions && vertexResponse.data.predictions.length > 0) {
+    // Standard predictions format
+    const prediction = vertexResponse.data.predictions[0];
+    imageBase64Output = prediction.bytesBase64Encoded || prediction.image?.bytesBase64Encoded;
+  } else if (vertexResponse.data.candidates && vertexResponse.data.candidates.length > 0) {
+    // Alternative candidates format
+    const candidate = vertexResponse.data.candidates[0];
+    imageBase64Output = candidate.bytesBase64Encoded || candidate.image?.bytesBase64Encoded;
+  } else if (vertexResponse.data.bytesBase64Encoded) {
+    // Direct format
+    imageBase64Output = vertexResponse.data.bytesBase64Encoded;
+  }
+  
+  if (!imageBase64Output) {
+    console.error('[Imagen-Edit] Full response data:', JSON.stringify(vertexResponse.data, null, 2));
+    throw new Error('Image editing failed - no image data found in response');
+  }
+
+  const editedImageBuffer = Buffer.from(imageBase64Output, 'base64');
+  console.log(`[Imagen-Edit] Edited image size: ${(editedImageBuffer.length / 1024).toFixed(2)} KB`);
+  
+  // Generate meaningful filename from prompt
+  const meaningfulFilename = generateMeaningfulFilename(prompt);
+  const shortTitle = generateShortTitle(prompt);
+
+  // Upload edited image to S3
+  console.log('[Imagen-Edit] Uploading to S3...');
+  const s3Result = await s3Service.uploadImageBuffer(
+    editedImageBuffer,
+    'image/png',
+    userId,
+    username,
+    { 
+      edited: "true", 
+      prompt,
+      customFilename: meaningfulFilename
+    }
+  );
+  
+  if (!s3Result || !s3Result.key) {
+    throw new Error('Failed to upload edited image to S3');
+  }
+
+  console.log(`[Imagen-Edit] Uploaded to S3: ${s3Result.key}`);
+
+  // Save to database
+  const Video = require('../models/Video');
+  let videoRecord = await Video.findOne({ s3Key: s3Result.key });
+  if (!videoRecord) {
+    videoRecord = new Video({
+      s3Key: s3Result.key,
+      owner: userId,
+      title: shortTitle,
+      description: `Edited: ${prompt}`,
+      prompt: prompt,
+      provider: 'vertex-ai-imagen-3',
+    });
+    await videoRecord.save();
+    console.log('[Imagen-Edit] Image metadata saved to database');
+  }
+
+  console.log(`[Imagen-Edit] Image edit complete`);
+
+  // No download URL here: jobs are kept for days and signed URLs expire,
+  // so the status endpoint signs one from s3Key when it is read
+  return {
+    s3Key: s3Result.key,
+    prompt,
+    title: shortTitle,
+    createdAt: new Date().toISOString(),
+    provider: 'vertex-ai-imagen-3',
+    editType: 'instruct-editing',
+    model: 'imagen-3.0-capability-001',
+    processingTime: apiTime
+  };
+}
+
+imageEditQueueService.registerProcessor(processImageEditJob);
+
 /**
  * POST /api/ai/edit-image
  * Body: { prompt: string, imageS3Key: string }
@@ -117,278 +381,12 @@ async function editImage(req, res) {
     console.log(`[Imagen-Edit] Job ID: ${jobId}`);
     console.log(`[Imagen-Edit] Prompt: ${prompt.substring(0, 100)}...`);
 
-    // Define the image edit processor
-    const imageEditProcessor = async (jobData) => {
-      const { prompt, imageS3Key, userId, username } = jobData;
-
-      console.log(`[Imagen-Edit] Starting image edit for job ${jobId}`);
-
-      // Get Google Cloud credentials
-      const projectId = process.env.GCP_PROJECT_ID;
-      if (!projectId) {
-        throw new Error('Google Cloud project not configured');
-      }
-
-      // Fetch image from S3
-      console.log('[Imagen-Edit] Fetching image from S3...');
-      let imageBuffer;
-      try {
-        imageBuffer = await s3Service.getFileBuffer(imageS3Key);
-      } catch (err) {
-        throw new Error('Failed to fetch image from S3: ' + err.message);
-      }
-
-      // Get access token using shared auth utility
-      const accessToken = await getAccessToken();
-
-      // Convert image to base64
-      const imageBase64 = imageBuffer.toString('base64');
-
-      // Use the same model that works for image generation
-      const imagenModel = "imagen-4.0-fast-generate-001";
-      const location = "us-central1";
-      const vertexApiUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${imagenModel}:predict`;
-
-      console.log('[Imagen-Edit] Calling Vertex AI API...');
-      console.log('[Imagen-Edit] Using model:', imagenModel);
-      
-      const startTime = Date.now();
-
-      // Try a very neutral prompt approach - similar to pure generation
-      const requestBody = {
-        instances: [
-          {
-            prompt: prompt,  // Use the prompt directly without mentioning editing
-            image: {
-              bytesBase64Encoded: imageBase64
-            }
-          }
-        ],
-        parameters: {
-          sampleCount: 1,
-          aspectRatio: "1:1",
-          safetyFilterLevel: "BLOCK_ONLY_HIGH",
-          personGeneration: "ALLOW_ADULT",
-          addWatermark: false
-        }
-      };
-
-      let vertexResponse;
-      let requestAttempted = false;
-      
-      // Try with initial safety settings
-      try {
-        vertexResponse = await axios.post(
-          vertexApiUrl,
-          requestBody,
-          {
-            headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 60000 // 60 second timeout
-          }
-        );
-        requestAttempted = true;
-        
-        // Check if the successful response was actually RAI filtered
-        if (vertexResponse.data.predictions && 
-            vertexResponse.data.predictions.length > 0 && 
-            vertexResponse.data.predictions[0].raiFilteredReason) {
-          console.log('[Imagen-Edit] First attempt was RAI filtered, trying with more permissive settings...');
-          
-          // Update request body with most permissive safety settings and simplified prompt
-          requestBody.parameters.safetyFilterLevel = "BLOCK_NONE";
-          requestBody.instances[0].prompt = prompt.replace(/edit|modify|change|alter|transform/gi, 'show').replace(/remove|delete|erase/gi, 'without');
-          
-          try {
-            vertexResponse = await axios.post(
-              vertexApiUrl,
-              requestBody,
-              {
-                headers: {
-                  'Authorization': `Bearer ${accessToken}`,
-                  'Content-Type': 'application/json'
-                },
-                timeout: 60000
-              }
-            );
-            console.log('[Imagen-Edit] Second attempt with permissive settings completed');
-          } catch (retryError) {
-            console.error('[Imagen-Edit] Second attempt failed:', retryError.response?.data);
-            throw new Error('Image editing request failed even with permissive settings. Please try a different prompt or image.');
-          }
-        }
-      } catch (apiError) {
-        console.error('[Imagen-Edit] First attempt API Error:', {
-          status: apiError.response?.status,
-          statusText: apiError.response?.statusText,
-          data: apiError.response?.data
-        });
-        
-        const errorMessage = apiError.response?.data?.error?.message || apiError.message;
-        
-        // If it's a safety filter violation, try with most permissive settings
-        if (errorMessage.includes('response is blocked') || 
-            errorMessage.includes('may violate our policies') ||
-            errorMessage.includes('Error Code: 72817394')) {
-          
-          console.log('[Imagen-Edit] Retrying with most permissive safety settings...');
-          
-          // Update request body with most permissive safety settings
-          requestBody.parameters.safetyFilterLevel = "BLOCK_NONE";
-          
-          try {
-            vertexResponse = await axios.post(
-              vertexApiUrl,
-              requestBody,
-              {
-                headers: {
-                  'Authorization': `Bearer ${accessToken}`,
-                  'Content-Type': 'application/json'
-                },
-                timeout: 60000
-              }
-            );
-            requestAttempted = true;
-            console.log('[Imagen-Edit] Second attempt with permissive settings succeeded');
-          } catch (retryError) {
-            console.error('[Imagen-Edit] Second attempt also failed:', retryError.response?.data);
-            throw new Error('Image editing request was blocked by Google\'s safety filters even with permissive settings. The content may contain elements that cannot be processed.');
-          }
-        } else {
-          // For other errors, don't retry
-          console.error('[Imagen-Edit] Request that failed:', JSON.stringify(requestBody, null, 2));
-          
-          // Check for model unavailability
-          if (errorMessage.includes('unavailable') || errorMessage.includes('not found')) {
-            throw new Error('The image editing model is temporarily unavailable. Please try again later.');
-          }
-          
-          throw new Error(`Imagen API error: ${errorMessage}`);
-        }
-      }
-
-      const apiTime = Date.now() - startTime;
-      console.log(`[Imagen-Edit] Image edited in ${apiTime}ms`);
-      
-      // Debug: Log the actual response structure
-      console.log('[Imagen-Edit] Response structure:', {
-        hasData: !!vertexResponse.data,
-        dataKeys: Object.keys(vertexResponse.data || {}),
-        predictions: vertexResponse.data?.predictions ? 'exists' : 'missing',
-        predictionsLength: vertexResponse.data?.predictions?.length,
-        firstPrediction: vertexResponse.data?.predictions?.[0] ? Object.keys(vertexResponse.data.predictions[0]) : 'no first prediction'
-      });
-
-      // Extract the generated image from the response
-      let imageBase64Output;
-      
-      // Check for RAI (Responsible AI) filtering first
-      if (vertexResponse.data.predictions && 
-          vertexResponse.data.predictions.length > 0 && 
-          vertexResponse.data.predictions[0].raiFilteredReason) {
-        const raiReason = vertexResponse.data.predictions[0].raiFilteredReason;
-        console.log('[Imagen-Edit] Content blocked by RAI filters:', raiReason);
-        throw new Error(`Image editing request was blocked by Google's content safety filters (Code: ${raiReason}). Please try with a different image or more general prompt.`);
-      }
-      
-      // Try different response structures
-      if (vertexResponse.data.predictions && vertexResponse.data.predictions.length > 0) {
-        // Standard predictions format
-        const prediction = vertexResponse.data.predictions[0];
-        imageBase64Output = prediction.bytesBase64Encoded || prediction.image?.bytesBase64Encoded;
-      } else if (vertexResponse.data.candidates && vertexResponse.data.candidates.length > 0) {
-        // Alternative candidates format
-        const candidate = vertexResponse.data.candidates[0];
-        imageBase64Output = candidate.bytesBase64Encoded || candidate.image?.bytesBase64Encoded;
-      } else if (vertexResponse.data.bytesBase64Encoded) {
-        // Direct format
-        imageBase64Output = vertexResponse.data.bytesBase64Encoded;
-      }
-      
-      if (!imageBase64Output) {
-        console.error('[Imagen-Edit] Full response data:', JSON.stringify(vertexResponse.data, null, 2));
-        throw new Error('Image editing failed - no image data found in response');
-      }
-
-      const editedImageBuffer = Buffer.from(imageBase64Output, 'base64');
-      console.log(`[Imagen-Edit] Edited image size: ${(editedImageBuffer.length / 1024).toFixed(2)} KB`);
-      
-      // Generate meaningful filename from prompt
-      const meaningfulFilename = generateMeaningfulFilename(prompt);
-      const shortTitle = generateShortTitle(prompt);
-
-      // Upload edited image to S3
-      console.log('[Imagen-Edit] Uploading to S3...');
-      const s3Result = await s3Service.uploadImageBuffer(
-        editedImageBuffer,
-        'image/png',
-        userId,
-        username,
-        { 
-          edited: "true", 
-          prompt,
-          customFilename: meaningfulFilename
-        }
-      );
-      
-      if (!s3Result || !s3Result.key) {
-        throw new Error('Failed to upload edited image to S3');
-      }
-
-      console.log(`[Imagen-Edit] Uploaded to S3: ${s3Result.key}`);
-
-      // Save to database
-      const Video = require('../models/Video');
-      let videoRecord = await Video.findOne({ s3Key: s3Result.key });
-      if (!videoRecord) {
-        videoRecord = new Video({
-          s3Key: s3Result.key,
-          owner: userId,
-          title: shortTitle,
-          description: `Edited: ${prompt}`,
-          prompt: prompt,
-          provider: 'vertex-ai-imagen-3',
-        });
-        await videoRecord.save();
-        console.log('[Imagen-Edit] Image metadata saved to database');
-      }
-
-      // Generate signed download URL
-      const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-      const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-      const s3Client = new S3Client({ region: process.env.AWS_REGION });
-      const getCommand = new GetObjectCommand({ 
-        Bucket: process.env.AWS_BUCKET_NAME, 
-        Key: s3Result.key 
-      });
-      const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
-
-      console.log(`[Imagen-Edit] Image edit complete`);
-
-      return {
-        imageUrl: signedUrl,
-        url: signedUrl,
-        editedImageUrl: signedUrl,
-        s3Key: s3Result.key,
-        prompt,
-        title: shortTitle,
-        createdAt: new Date().toISOString(),
-        provider: 'vertex-ai-imagen-3',
-        editType: 'instruct-editing',
-        model: 'imagen-3.0-capability-001',
-        processingTime: apiTime
-      };
-    };
-
     // Add job to queue
-    const queueResult = imageEditQueueService.addJob(jobId, {
+    const queueResult = await imageEditQueueService.addJob(jobId, {
       userId,
       username,
       prompt,
-      imageS3Key,
-      processor: imageEditProcessor
+      imageS3Key
     });
 
     console.log(`[Imagen-Edit] Job ${jobId} added to queue at position ${queueResult.position}`);
@@ -408,6 +406,7 @@ async function editImage(req, res) {
     });
 
   } catch (err) {
+    if (sendLimitError(res, err)) return;
     console.error('[Imagen-Edit] Error:', err.message);
     return res.status(500).json({
       error: 'Internal server error',
@@ -428,16 +427,17 @@ async function getEditImageJobStatus(req, res) {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const status = imageEditQueueService.getJobStatus(jobId);
+    const status = await imageEditQueueService.getJobStatus(jobId);
 
     // If completed, return the image data
     if (status.status === 'completed') {
+      const url = await s3Service.getSignedDownloadUrl(status.result.s3Key);
       return res.json({
         jobId,
         status: 'completed',
-        imageUrl: status.result.imageUrl,
-        url: status.result.url,
-        editedImageUrl: status.result.editedImageUrl,
+        imageUrl: url,
+        url,
+        editedImageUrl: url,
         s3Key: status.result.s3Key,
         title: status.result.title,
         prompt: status.result.prompt,
@@ -453,6 +453,8 @@ async function getEditImageJobStatus(req, res) {
         jobId,
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
         failedAt: status.failedAt
       });
     }
@@ -465,6 +467,8 @@ async function getEditImageJobStatus(req, res) {
         position: status.position,
         queueLength: status.queueLength,
         estimatedWaitTime: status.estimatedWaitTime,
+        attempts: status.attempts,
+        nextRetryAt: status.nextRetryAt,
         message: status.status === 'processing' 
           ? 'Your image is being edited...' 
           : `In queue at position ${status.position}`
@@ -493,7 +497,7 @@ async function getEditImageJobStatus(req, res) {
  */
 async function getEditImageQueueStats(req, res) {
   try {
-    const stats = imageEditQueueService.getStats();
+    const stats = await imageEditQueueService.getStats();
     return res.json(stats);
   } catch (err) {
     console.error('[Imagen-Edit] Error getting queue stats:', err.message);
@@ -516,7 +520,7 @@ async function cancelEditImageJob(req, res) {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const cancelled = imageEditQueueService.cancelJob(jobId);
+    const cancelled = await imageEditQueueService.cancelJob(jobId);
 
     if (cancelled) {
       return res.json({
@@ -527,7 +531,7 @@ async function cancelEditImageJob(req, res) {
     } else {
       return res.status(400).json({
         jobId,
-        error: 'Job cannot be cancelled (not in queue or already processing)'
+        error: 'Job cannot be cancelled (not found or already finished)'
       });
     }
 
@@ -21,6 +21,7 @@ const s3Service = require('../s3Service');
 const { getAccessToken } = require('../utils/googleAuth');
 const imageQueueService = require('../services/imageQueueService');
 const crypto = require('crypto');
+const { sendLimitError } = require('../utils/errors');
 
 /**
  * Helper function to generate meaningful filename from prompt
@@ -68,6 +69,125 @@ function generateShortTitle(prompt) {
   return title || 'Generated Image';
 }
 
+/**
+ * Queue processor for Imagen generation jobs
+ * Receives the stored job data from the persistent image queue
+ */
+async function processImageJob(jobData, job) {
+  const { jobId } = job;
+  const { prompt, aspectRatio, userId, username } = jobData;
+
+  console.log(`[Imagen] Starting image generation for job ${jobId}`);
+
+  // Get Google Cloud credentials
+  const projectId = process.env.GCP_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('Google Cloud project not configured');
+  }
+
+  // Get access token using shared auth utility
+  const accessToken = await getAccessToken();
+
+  // Use Imagen 4 Fast model for image generation
+  const imagenModel = "imagen-4.0-fast-generate-001";
+  const location = "us-central1";
+  const vertexApiUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${imagenModel}:predict`;
+
+  console.log('[Imagen] Calling Vertex AI API...');
+  const vertexResponse = await axios.post(
+    vertexApiUrl,
+    {
+      instances: [
+        {
+          prompt: prompt
+        }
+      ],
+      parameters: {
+        sampleCount: 1,
+        aspectRatio: aspectRatio
+      }
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      signal: job.signal, // Aborted when the job is cancelled
+    }
+  );
+
+  console.log('[Imagen] Vertex AI API response received');
+
+  // The API returns predictions array
+  const predictions = vertexResponse.data.predictions;
+  if (!predictions || !predictions.length) {
+    throw new Error('Image generation failed - no predictions returned');
+  }
+
+  // Extract the base64 image from the response
+  const imageBase64 = predictions[0].bytesBase64Encoded;
+  if (!imageBase64) {
+    throw new Error('Image generation failed - no image data returned');
+  }
+
+  const imageBuffer = Buffer.from(imageBase64, 'base64');
+  
+  // Generate meaningful filename from prompt (short version for file system)
+  const meaningfulFilename = generateMeaningfulFilename(prompt);
+  
+  // Generate short, user-friendly title for display
+  const shortTitle = generateShortTitle(prompt);
+  
+  // Upload to S3 using existing service
+  console.log('[Imagen] Uploading to S3...');
+  const s3Result = await s3Service.uploadImageBuffer(
+    imageBuffer,
+    'image/png',
+    userId,
+    username,
+    { 
+      generated: "true", 
+      prompt,
+      customFilename: meaningfulFilename
+    }
+  );
+  
+  if (!s3Result || !s3Result.key) {
+    throw new Error('Failed to upload image to S3');
+  }
+
+  // Save to database
+  const Video = require('../models/Video');
+  let videoRecord = await Video.findOne({ s3Key: s3Result.key });
+  if (!videoRecord) {
+    videoRecord = new Video({
+      s3Key: s3Result.key,
+      owner: userId,
+      title: shortTitle,
+      description: prompt,
+      prompt: prompt,
+      provider: 'vertex-ai-imagen-4',
+    });
+    await videoRecord.save();
+    console.log('[Imagen] Image metadata saved to database');
+  }
+
+  console.log('[Imagen] Image generation complete');
+
+  // No download URL here: jobs are kept for days and signed URLs expire,
+  // so the status endpoint signs one from s3Key when it is read
+  return {
+    s3Key: s3Result.key,
+    prompt,
+    userId,
+    title: shortTitle,
+    createdAt: new Date().toISOString(),
+    provider: 'vertex-ai-imagen-4',
+  };
+}
+
+imageQueueService.registerProcessor(processImageJob);
+
 /**
  * POST /api/ai/generate-image
  * Body: { prompt: string, aspectRatio?: string }
@@ -111,132 +231,12 @@ async function generateImage(req, res) {
     console.log(`[Imagen] Job ID: ${jobId}`);
     console.log(`[Imagen] Prompt: ${prompt.substring(0, 100)}...`);
 
-    // Define the image generation processor
-    const imageProcessor = async (jobData) => {
-      const { prompt, aspectRatio, userId, username } = jobData;
-
-      console.log(`[Imagen] Starting image generation for job ${jobId}`);
-
-      // Get Google Cloud credentials
-      const projectId = process.env.GCP_PROJECT_ID;
-      if (!projectId) {
-        throw new Error('Google Cloud project not configured');
-      }
-
-      // Get access token using shared auth utility
-      const accessToken = await getAccessToken();
-
-      // Use Imagen 4 Fast model for image generation
-      const imagenModel = "imagen-4.0-fast-generate-001";
-      const location = "us-central1";
-      const vertexApiUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${imagenModel}:predict`;
-
-      console.log('[Imagen] Calling Vertex AI API...');
-      const vertexResponse = await axios.post(
-        vertexApiUrl,
-        {
-          instances: [
-            {
-              prompt: prompt
-            }
-          ],
-          parameters: {
-            sampleCount: 1,
-            aspectRatio: aspectRatio
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          },
-        }
-      );
-
-      console.log('[Imagen] Vertex AI API response received');
-
-      // The API returns predictions array
-      const predictions = vertexResponse.data.predictions;
-      if (!predictions || !predictions.length) {
-        throw new Error('Image generation failed - no predictions returned');
-      }
-
-      // Extract the base64 image from the response
-      const imageBase64 = predictions[0].bytesBase64Encoded;
-      if (!imageBase64) {
-        throw new Error('Image generation failed - no image data returned');
-      }
-
-      const imageBuffer = Buffer.from(imageBase64, 'base64');
-      
-      // Generate meaningful filename from prompt (short version for file system)
-      const meaningfulFilename = generateMeaningfulFilename(prompt);
-      
-      // Generate short, user-friendly title for display
-      const shortTitle = generateShortTitle(prompt);
-      
-      // Upload to S3 using existing service
-      console.log('[Imagen] Uploading to S3...');
-      const s3Result = await s3Service.uploadImageBuffer(
-        imageBuffer,
-        'image/png',
-        userId,
-        username,
-        { 
-          generated: "true", 
-          prompt,
-          customFilename: meaningfulFilename
-        }
-      );
-      
-      if (!s3Result || !s3Result.key) {
-        throw new Error('Failed to upload image to S3');
-      }
-
-      // Save to database
-      const Video = require('../models/Video');
-      let videoRecord = await Video.findOne({ s3Key: s3Result.key });
-      if (!videoRecord) {
-        videoRecord = new Video({
-          s3Key: s3Result.key,
-          owner: userId,
-          title: shortTitle,
-          description: prompt,
-          prompt: prompt,
-          provider: 'vertex-ai-imagen-4',
-        });
-        await videoRecord.save();
-        console.log('[Imagen] Image metadata saved to database');
-      }
-
-      // Generate signed download URL
-      const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-      const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-      const s3Client = new S3Client({ region: process.env.AWS_REGION });
-      const getCommand = new GetObjectCommand({ Bucket: process.env.AWS_BUCKET_NAME, Key: s3Result.key });
-      const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
-
-      console.log('[Imagen] Image generation complete');
-
-      return {
-        imageUrl: signedUrl,
-        url: signedUrl,
-        s3Key: s3Result.key,
-        prompt,
-        userId,
-        title: shortTitle,
-        createdAt: new Date().toISOString(),
-        provider: 'vertex-ai-imagen-4',
-      };
-    };
-
     // Add job to queue
-    const queueResult = imageQueueService.addJob(jobId, {
+    const queueResult = await imageQueueService.addJob(jobId, {
       userId,
       username,
       prompt,
-      aspectRatio: selectedAspectRatio,
-      processor: imageProcessor
+      aspectRatio: selectedAspectRatio
     });
 
     console.log(`[Imagen] Job ${jobId} added to queue at position ${queueResult.position}`);
@@ -256,6 +256,7 @@ async function generateImage(req, res) {
     });
 
   } catch (err) {
+    if (sendLimitError(res, err)) return;
     console.error('[Imagen] Error:', err.message);
     return res.status(500).json({
       error: 'Internal server error',
@@ -276,15 +277,16 @@ async function getImageJobStatus(req, res) {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const status = imageQueueService.getJobStatus(jobId);
+    const status = await imageQueueService.getJobStatus(jobId);
 
     // If completed, return the image data
     if (status.status === 'completed') {
+      const url = await s3Service.getSignedDownloadUrl(status.result.s3Key);
       return res.json({
         jobId,
         status: 'completed',
-        imageUrl: status.result.imageUrl,
-        url: status.result.url,
+        imageUrl: url,
+        url,
         s3Key: status.result.s3Key,
         title: status.result.title,
         prompt: status.result.prompt,
@@ -300,6 +302,8 @@ async function getImageJobStatus(req, res) {
         jobId,
         status: 'failed',
         error: status.error,
+        attempts: status.attempts,
+        attemptHistory: status.attemptHistory,
         failedAt: status.failedAt,
         message: 'Image generation failed'
       });
@@ -322,7 +326,7 @@ async function getImageJobStatus(req, res) {
  */
 async function getImageQueueStats(req, res) {
   try {
-    const stats = imageQueueService.getStats();
+    const stats = await imageQueueService.getStats();
     return res.json(stats);
   } catch (err) {
     console.error('[Imagen] Queue stats error:', err.message);
@@ -334,7 +338,7 @@ async function getImageQueueStats(req, res) {
 
 /**
  * DELETE /api/ai/image-job/:jobId
- * Cancel a queued image job
+ * Cancel a queued or running image job
  */
 async function cancelImageJob(req, res) {
   try {
@@ -344,25 +348,23 @@ async function cancelImageJob(req, res) {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const status = imageQueueService.getJobStatus(jobId);
+    const status = await imageQueueService.getJobStatus(jobId);
     
     if (status.status === 'not_found') {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    if (status.status === 'processing') {
-      return res.status(400).json({ 
-        error: 'Cannot cancel job that is currently processing' 
-      });
+    if (status.userId && status.userId !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
     }
 
-    if (status.status === 'completed' || status.status === 'failed') {
+    if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled') {
       return res.status(400).json({ 
-        error: 'Cannot cancel completed or failed job' 
+        error: 'Cannot cancel a finished job' 
       });
     }
 
-    const removed = imageQueueService.removeJob(jobId);
+    const removed = await imageQueueService.removeJob(jobId);
 
     if (removed) {
       return res.json({ 
@@ -6,6 +6,7 @@ const Video = require("../models/Video");
 const { google } = require("googleapis");
 const axios = require("axios");
 const schedulingService = require("../services/schedulingService");
+const webhookService = require("../services/webhookService");
 
 // Export the publishVideoToYouTube function for use by other modules
 exports.publishVideoToYouTube = publishVideoToYouTube;
@@ -114,6 +115,15 @@ async function publishVideoToYouTube(userId, s3Key, metadata = {}) {
   videoDoc.lastPublishedAt = new Date();
   await videoDoc.save();
 
+  webhookService.emit(userId, "video.published", {
+    platform: "youtube",
+    s3Key,
+    videoId: response.data.id,
+    url: `https://www.youtube.com/watch?v=${response.data.id}`,
+    title: requestBody.snippet.title,
+    scheduledPostId: metadata.scheduledPostId || null
+  });
+
   return response.data.id;
 }
 
@@ -202,13 +212,19 @@ exports.publishToInstagram = async (req, res) => {
       const creationId = containerRes.data.id;
     
       // 3. Publish the container
-      await axios.post(
+      const publishRes = await axios.post(
         `https://graph.facebook.com/v19.0/${igUserId}/media_publish`,
         {
           creation_id: creationId,
           access_token: pageToken,
         }
       );
+      webhookService.emit(user._id, "video.published", {
+        platform: "instagram",
+        s3Key: req.body.s3Key,
+        videoId: publishRes.data.id,
+        caption: caption || ""
+      });
       return res.json({ success: true, message: "Video posted to Instagram." });
     } catch (err) {
       return res.status(500).json({ error: "Instagram upload failed", details: err.message });
@@ -2,7 +2,9 @@ require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 // Gemini and Veo-3 API integration service
 const axios = require('axios');
 const { getAccessToken, isGoogleAuthConfigured } = require('./utils/googleAuth');
+const { CATEGORIES, terminalError } = require('./utils/jobErrors');
 const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not set in environment');
@@ -66,13 +68,14 @@ async function listModels(apiKey = GEMINI_API_KEY) {
   }
 }
 
-async function generateScript(prompt) {
+async function generateScript(prompt, options = {}) {
   try {
     const response = await axios.post(
       `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
       {
         contents: [{ parts: [{ text: prompt }] }]
-      }
+      },
+      { signal: options.signal }
     );
     // Gemini returns candidates[0].content.parts[0].text
     const script = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
@@ -244,7 +247,7 @@ function sanitizePrompt(prompt) {
   
   // Ensure prompt is not too short or too long
   if (text.length < 10) {
-    throw new Error('Prompt too short. Minimum 10 characters required.');
+    throw terminalError('Prompt too short. Minimum 10 characters required.');
   }
   if (text.length > 500) {
     console.warn('⚠ Prompt is very long. Truncating to 500 characters for better results.');
@@ -273,10 +276,11 @@ function sanitizePrompt(prompt) {
   for (const namePattern of celebrityNames) {
     if (namePattern.test(text)) {
       const match = text.match(namePattern);
-      throw new Error(
+      throw terminalError(
         `Veo-3 Content Policy: Cannot use real people's names or likenesses (found: "${match[0]}"). ` +
         `Instead, describe the character's appearance (e.g., "a man with dark hair wearing a black suit" instead of "Keanu Reeves"). ` +
-        `This policy prevents deepfakes and protects individuals' identities.`
+        `This policy prevents deepfakes and protects individuals' identities.`,
+        CATEGORIES.CONTENT_POLICY
       );
     }
   }
@@ -421,6 +425,11 @@ async function generateVideo(prompt, videoConfig = {}) {
     };
 
   } catch (err) {
+    // Prompt validation errors are passed through unchanged so they are not retried
+    if (err.retryable === false) {
+      throw err;
+    }
+
     // Handle specific error cases
     if (err.response?.status === 403) {
       return {
@@ -450,9 +459,10 @@ async function generateVideo(prompt, videoConfig = {}) {
 /**
  * Poll Veo-3 operation status
  * @param {string} operationName - Full operation name from generateVideo response
+ * @param {object} options - { signal } to abort the request
  * @returns {Promise<object>} - Operation status and video data when complete
  */
-async function getVideoOperationStatus(operationName) {
+async function getVideoOperationStatus(operationName, options = {}) {
   if (!googleAuthConfigured) {
     throw new Error('Google Auth not initialized');
   }
@@ -470,7 +480,8 @@ async function getVideoOperationStatus(operationName) {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
-      }
+      },
+      signal: options.signal
     });
 
     const operation = response.data;
@@ -599,7 +610,9 @@ async function getVideoOperationStatus(operationName) {
  * Generate video and wait for completion (with polling and retry on internal errors)
  * @param {string} prompt - Video generation prompt
  * @param {object} videoConfig - Video configuration options
- * @param {object} options - Polling options { maxAttempts, pollInterval, retryOnInternalError }
+ * @param {object} options - Polling options { maxAttempts, pollInterval, retryOnInternalError, onPoll, signal }
+ *   onPoll({ attempt, maxAttempts, retry }) is called after every status check that is still running
+ *   signal (AbortSignal) stops waiting and polling; the Veo operation itself is left to finish
  * @returns {Promise<object>} - Completed video data
  */
 async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
@@ -607,6 +620,7 @@ async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
   const pollInterval = options.pollInterval || 5000; // 5 seconds
   const maxRetries = options.maxRetries || 2; // Retry on internal errors
   const retryDelay = options.retryDelay || 10000; // 10 seconds between retries
+  const { signal } = options;
   
   let lastError = null;
   
@@ -621,7 +635,7 @@ async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
   for (let retry = 0; retry <= maxRetries; retry++) {
     if (retry > 0) {
       const strategy = retryStrategies[Math.min(retry, retryStrategies.length - 1)];
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      await sleep(retryDelay, undefined, { signal });
       
       // Apply retry strategy
       videoConfig = { ...videoConfig, ...strategy.config };
@@ -629,6 +643,7 @@ async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
     
     try {
       // Start video generation
+      if (signal) signal.throwIfAborted();
       const result = await generateVideo(prompt, videoConfig);
       
       // Handle mock mode
@@ -638,9 +653,9 @@ async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
       
       // Poll for completion
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        await sleep(pollInterval, undefined, { signal });
         
-        const status = await getVideoOperationStatus(result.operationName);
+        const status = await getVideoOperationStatus(result.operationName, { signal });
         
         if (status.status === 'COMPLETED') {
           return {
@@ -665,6 +680,10 @@ async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
             : status.error;
           throw new Error(`Video generation failed: ${errorMsg}`);
         }
+
+        if (options.onPoll) {
+          options.onPoll({ attempt, maxAttempts, retry });
+        }
       }
       
       // If we got here, it's a timeout (not an error that broke the loop)
@@ -688,9 +707,10 @@ async function generateVideoAndWait(prompt, videoConfig = {}, options = {}) {
 /**
  * Download video from Cloud Storage URL
  * @param {string} gcsUri - Cloud Storage URI (gs://bucket/path)
+ * @param {object} options - { signal } to abort the download
  * @returns {Promise<Buffer>} - Video data as buffer
  */
-async function downloadVideoFromGCS(gcsUri) {
+async function downloadVideoFromGCS(gcsUri, options = {}) {
   if (!googleAuthConfigured) {
     throw new Error('Google Auth not initialized');
   }
@@ -712,7 +732,8 @@ async function downloadVideoFromGCS(gcsUri) {
       headers: {
         'Authorization': `Bearer ${accessToken}`
       },
-      responseType: 'arraybuffer'
+      responseType: 'arraybuffer',
+      signal: options.signal
     });
     
     return Buffer.from(response.data);
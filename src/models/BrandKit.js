@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Logo image stored in S3 under brand-kits/<userId>/
+const logoSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  s3Key: { type: String, required: true },
+  url: { type: String, required: true },
+  contentType: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A user's brand: logos, colours, fonts and watermark settings (services/brandKitService.js)
+const brandKitSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false // Used when a job asks for the brand kit without naming one
+  },
+  logos: {
+    type: [logoSchema],
+    default: []
+  },
+  colors: {
+    primary: String, // #RRGGBB
+    secondary: String,
+    accent: String,
+    text: String,
+    background: String
+  },
+  fonts: {
+    heading: String, // Font family names, installed on the servers
+    body: String
+  },
+  watermark: {
+    logoId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = first logo
+    position: { type: String, default: 'bottom-right' },
+    opacity: { type: Number, default: 0.8 },
+    scale: { type: Number, default: 0.15 }, // Logo width as a fraction of the video width
+    margin: { type: Number, default: 0.03 } // Fraction of the video width
+  }
+}, {
+  timestamps: true
+});
+
+brandKitSchema.index({ userId: 1, isDefault: -1, createdAt: -1 });
+
+const BrandKit = mongoose.model('BrandKit', brandKitSchema);
+
+module.exports = BrandKit;
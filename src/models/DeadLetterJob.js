@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Queue job that failed for good, kept for debugging and replay (services/deadLetterService.js).
+// Unlike QueueJob it has no TTL: entries stay until an admin replays or discards them.
+const DeadLetterJobSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true }, // Original QueueJob jobId
+  type: { type: String, required: true },
+  userId: { type: String, default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }, // Processor inputs, as submitted
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  hasFiles: { type: Boolean, default: false }, // Uploaded files are not kept, so such jobs cannot be replayed
+  error: { type: String, default: null },
+  stack: { type: String, default: null },
+  category: { type: String, default: null }, // utils/jobErrors.js category of the last failure
+  statusCode: { type: Number, default: null },
+  // What the provider answered, e.g. { status, statusText, data } of an axios error (truncated)
+  providerResponse: { type: mongoose.Schema.Types.Mixed, default: null },
+  attempts: { type: Number, default: 0 },
+  attemptHistory: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  jobCreatedAt: { type: Date, default: null },
+  failedAt: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: ['dead', 'replayed'],
+    default: 'dead'
+  },
+  replays: { type: [mongoose.Schema.Types.Mixed], default: [] }, // { jobId, replayedAt, replayedBy }
+  updatedAt: { type: Date, default: Date.now }
+}, { collection: 'deadLetterJobs', minimize: false });
+
+DeadLetterJobSchema.index({ status: 1, failedAt: -1 });
+DeadLetterJobSchema.index({ type: 1, failedAt: -1 });
+
+module.exports = mongoose.model('DeadLetterJob', DeadLetterJobSchema);
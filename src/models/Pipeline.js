@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A chain of tool steps run as one job (services/pipelineService.js).
+// Each queue step runs as a regular QueueJob; the pipeline tracks which one is current.
+const PipelineStepSchema = new mongoose.Schema({
+  id: { type: String, required: true }, // Unique within the pipeline, used in {{steps.<id>.<field>}} references
+  type: { type: String, required: true }, // script, tts, veo, mount-audio, publish
+  input: { type: mongoose.Schema.Types.Mixed, default: {} }, // As submitted, may contain references
+  resolvedInput: { type: mongoose.Schema.Types.Mixed, default: null }, // Input of the current/last run
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  jobId: { type: String, default: null }, // QueueJob of the current/last run (queue steps)
+  progress: { type: Number, default: null },
+  output: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  runs: { type: Number, default: 0 }, // Times the step was started (resumes count)
+  // One entry per failed run: { run, jobId, error, failedAt }
+  history: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null }
+}, { _id: false, minimize: false });
+
+const PipelineSchema = new mongoose.Schema({
+  pipelineId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  username: { type: String, default: null },
+  name: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'cancelled'],
+    default: 'running'
+  },
+  steps: { type: [PipelineStepSchema], default: [] },
+  error: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+}, { collection: 'pipelines', minimize: false });
+
+PipelineSchema.index({ userId: 1, createdAt: -1 });
+PipelineSchema.index({ status: 1 });
+PipelineSchema.index({ 'steps.jobId': 1 });
+
+module.exports = mongoose.model('Pipeline', PipelineSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Persistent record of a job handled by the shared queue engine (services/jobQueueService.js)
+const QueueJobSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true },
+  type: { type: String, required: true }, // Queue/job type, e.g. 'veo-video', 'tts', 'meme'
+  userId: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }, // Processor inputs (must be JSON-serialisable)
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} }, // Informational fields shown in stats
+  hasFiles: { type: Boolean, default: false }, // Job needs uploaded files that are only held in memory
+  holdsQueuedSlot: { type: Boolean, default: false }, // Counted against the user's queued job cap until it first starts
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  progress: { type: Number, default: null }, // 0-100 while processing, if the processor reports it
+  progressMessage: { type: String, default: null },
+  attempts: { type: Number, default: 0 }, // Times the job has been started
+  maxAttempts: { type: Number, default: 1 },
+  // One entry per failed attempt: { attempt, startedAt, failedAt, error, category, retryable, statusCode, nextRetryAt }
+  attemptHistory: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  runAfter: { type: Date, default: null }, // Queued for a retry; not claimed before this time
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null } // Set when the job finishes; removed by the TTL index
+}, { collection: 'queueJobs', minimize: false });
+
+// Claiming the next job of a type and computing queue positions
+QueueJobSchema.index({ type: 1, status: 1, createdAt: 1 });
+
+// Finding the next retry that becomes due
+QueueJobSchema.index({ type: 1, status: 1, runAfter: 1 });
+
+// Listing a user's jobs
+QueueJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Finished jobs are kept for a while so clients can still fetch results, then dropped
+QueueJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.QueueJob || mongoose.model('QueueJob', QueueJobSchema);
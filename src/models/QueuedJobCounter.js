@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Jobs a user has waiting to start in one queue; caps maxQueuedPerUser (services/jobQueueService.js)
+const queuedJobCounterSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  type: { type: String, required: true }, // Queue job type, e.g. 'veo-video'
+  count: { type: Number, default: 0 }
+}, { collection: 'queuedJobCounters' });
+
+// One counter per user and queue; also makes concurrent upserts safe
+queuedJobCounterSchema.index({ userId: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('QueuedJobCounter', queuedJobCounterSchema);
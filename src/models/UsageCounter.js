@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Number of jobs a user started with one tool in one quota period (services/quotaService.js)
+const usageCounterSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  tool: { type: String, required: true }, // Queue job type, e.g. 'veo-video'
+  period: { type: String, enum: ['day', 'month'], required: true },
+  periodStart: { type: Date, required: true }, // UTC start of the day/month
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true } // Removed by the TTL index once the period is over
+}, { collection: 'usageCounters' });
+
+// One counter per user, tool and period; also makes concurrent upserts safe
+usageCounterSchema.index({ userId: 1, tool: 1, period: 1, periodStart: 1 }, { unique: true });
+
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
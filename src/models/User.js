@@ -21,6 +21,10 @@ const userSchema = new mongoose.Schema({
   facebookAccessToken: { type: String, select: false },
   facebookRefreshToken: { type: String, select: false },
 
+  // Plan tier, decides the daily/monthly usage quotas (services/quotaService.js)
+  plan: { type: String, enum: ['free', 'pro', 'business'], default: 'free' },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' }, // admin unlocks /api/admin
+
   // Metadata
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -10,6 +10,62 @@ const VideoSchema = new mongoose.Schema({
   publishCount: { type: Number, default: 0 },
   publishedToYouTube: { type: Boolean, default: false },
   lastPublishedAt: { type: Date },
+  // Renditions made from this video by export jobs
+  exports: [{
+    preset: { type: String },
+    s3Key: { type: String },
+    jobId: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Streaming renditions made by the crop worker (videoRenditions.js); status null = never requested
+  renditions: {
+    status: { type: String, enum: ['pending', 'processing', 'ready', 'failed', null], default: null },
+    jobId: { type: String },
+    error: { type: String },
+    hls: {
+      masterKey: { type: String },
+      variants: [{
+        _id: false,
+        name: { type: String }, // e.g. '720p'
+        playlistKey: { type: String },
+        width: { type: Number },
+        height: { type: Number },
+        bandwidth: { type: Number } // bits per second
+      }]
+    },
+    preview: {
+      s3Key: { type: String },
+      width: { type: Number },
+      height: { type: Number }
+    },
+    updatedAt: { type: Date }
+  },
+  // Source of a video or image made from another video by a job (e.g. highlight clips, animated GIFs)
+  derivedFrom: {
+    kind: { type: String }, // 'highlight' | 'animation'
+    s3Key: { type: String },
+    videoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+    jobId: { type: String }, // Job that proposed or made it
+    start: { type: Number }, // seconds in the source
+    end: { type: Number },
+    rank: { type: Number },
+    score: { type: Number }
+  },
+  // Probed with ffprobe by the crop worker (videoMetadata.js) on registration and after jobs that write the video
+  media: {
+    duration: { type: Number }, // seconds
+    width: { type: Number }, // as displayed (rotation applied)
+    height: { type: Number },
+    aspectRatio: { type: String }, // e.g. '9:16'
+    orientation: { type: String, enum: ['portrait', 'landscape', 'square'] },
+    videoCodec: { type: String },
+    audioCodec: { type: String },
+    bitrate: { type: Number }, // bits per second
+    fps: { type: Number },
+    hasAudio: { type: Boolean },
+    size: { type: Number }, // bytes
+    probedAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
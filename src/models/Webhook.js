@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Endpoint a user registered to receive event notifications (services/webhookService.js)
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [String], // e.g. 'job.completed', 'video.published'
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false // Only returned when the webhook is created or the secret rotated
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+// Index to help with finding a user's subscribers for an event
+webhookSchema.index({ userId: 1, active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
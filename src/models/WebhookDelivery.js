@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One event sent (or being retried) to a webhook endpoint; doubles as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed, // Exact body that is signed and sent
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // One entry per attempt: { attempt, attemptedAt, statusCode, error, durationMs }
+  attemptHistory: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  expiresAt: Date // Removed by the TTL index once the delivery log entry is old enough
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index to help with picking up due retries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index to help with the delivery log of a webhook
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
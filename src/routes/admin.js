@@ -0,0 +1,123 @@
+const express = require('express');
+const authMiddleware = require('./authMiddleware');
+const adminMiddleware = require('./adminMiddleware');
+const deadLetterService = require('../services/deadLetterService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+router.use(authMiddleware, adminMiddleware);
+
+// Helper: parse date or return undefined
+function parseDate(dateStr) {
+  if (!dateStr) return undefined;
+  const d = new Date(dateStr);
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+// Comma separated query value -> array (undefined when absent)
+function parseList(value) {
+  if (!value) return undefined;
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return items.length ? items : undefined;
+}
+
+// Dates in bulk filters arrive as strings
+function parseFilter(filter) {
+  if (!filter || typeof filter !== 'object') return filter;
+  return { ...filter, startDate: parseDate(filter.startDate), endDate: parseDate(filter.endDate) };
+}
+
+/**
+ * GET /api/admin/dead-letters - Jobs that failed for good, newest first
+ * Query: type, status (dead | replayed), category (comma separated lists), userId,
+ *        startDate, endDate (failure time), page (default 1), limit (default 20, max 100)
+ * Returns: { entries, page, limit, total, totalPages }
+ */
+router.get('/dead-letters', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const { entries, total } = await deadLetterService.list({
+      type: parseList(req.query.type),
+      status: parseList(req.query.status),
+      category: parseList(req.query.category),
+      userId: req.query.userId,
+      startDate: parseDate(req.query.startDate),
+      endDate: parseDate(req.query.endDate)
+    }, { skip: (page - 1) * limit, limit });
+
+    res.json({ entries, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('[Admin] List dead letters error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/dead-letters/:jobId - Inputs, error stack, provider response and attempts
+router.get('/dead-letters/:jobId', async (req, res) => {
+  try {
+    const entry = await deadLetterService.get(req.params.jobId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('[Admin] Get dead letter error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/dead-letters/replay - Body: { jobIds: [...] } or { filter: { type, status, category, userId, startDate, endDate } }
+router.post('/dead-letters/replay', async (req, res) => {
+  try {
+    const { jobIds, filter } = req.body || {};
+    const results = await deadLetterService.replay({ jobIds, filter: parseFilter(filter) }, req.user._id);
+    res.json({
+      success: true,
+      replayed: results.filter(result => result.replayJobId).length,
+      failed: results.filter(result => result.error).length,
+      results
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Admin] Replay dead letters error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/dead-letters/discard - Body: { jobIds: [...] } or { filter: {...} }
+router.post('/dead-letters/discard', async (req, res) => {
+  try {
+    const { jobIds, filter } = req.body || {};
+    const discarded = await deadLetterService.discard({ jobIds, filter: parseFilter(filter) });
+    res.json({ success: true, discarded });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Admin] Discard dead letters error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/admin/dead-letters/:jobId - Discard one entry
+router.delete('/dead-letters/:jobId', async (req, res) => {
+  try {
+    const discarded = await deadLetterService.discard({ jobIds: [req.params.jobId] });
+    if (!discarded) {
+      return res.status(404).json({ error: 'Dead-letter entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Admin] Discard dead letter error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
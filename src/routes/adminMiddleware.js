@@ -0,0 +1,26 @@
+// server/src/routes/adminMiddleware.js
+// Use after authMiddleware: only lets users with role 'admin' through.
+// The role is read from the database, so granting or revoking it takes effect immediately.
+
+const User = require('../models/User');
+
+async function adminMiddleware(req, res, next) {
+  if (!req.user || !req.user._id) {
+    return res.status(401).json({ error: 'Authentication failed' });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select('role').lean();
+    if (!user || user.role !== 'admin') {
+      console.warn('[adminMiddleware] Access denied:', { userId: req.user._id, path: req.originalUrl });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    req.user.role = user.role;
+    next();
+  } catch (err) {
+    console.error('[adminMiddleware] Failed to check role:', err.message);
+    return res.status(500).json({ error: 'Failed to verify admin access' });
+  }
+}
+
+module.exports = adminMiddleware;
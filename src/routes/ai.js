@@ -54,7 +54,7 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-router.post('/generate-script', handleGenerateScript);
+router.post('/generate-script', authMiddleware, handleGenerateScript);
 router.get('/script-generation-status/:jobId', getScriptGenerationStatus);
 router.get('/script-generation-queue-stats', getScriptGenerationQueueStats);
 router.delete('/script-generation-job/:jobId', cancelScriptGenerationJob);
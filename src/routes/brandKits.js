@@ -0,0 +1,94 @@
+const express = require('express');
+const multer = require('multer');
+const authMiddleware = require('./authMiddleware');
+const brandKitService = require('../services/brandKitService');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB per logo
+});
+
+function sendError(res, error, action) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`[BrandKits] ${action} error:`, error);
+  return res.status(500).json({ error: error.message });
+}
+
+// POST /api/brand-kits - Create a brand kit (the first one becomes the default)
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const kit = await brandKitService.createKit(req.user._id, req.body || {});
+    res.status(201).json({ success: true, brandKit: kit });
+  } catch (error) {
+    sendError(res, error, 'Create brand kit');
+  }
+});
+
+// GET /api/brand-kits - List the user's brand kits, default first
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const brandKits = await brandKitService.listKits(req.user._id);
+    res.json({ brandKits });
+  } catch (error) {
+    sendError(res, error, 'List brand kits');
+  }
+});
+
+// GET /api/brand-kits/:id
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const kit = await brandKitService.getKit(req.user._id, req.params.id);
+    res.json({ brandKit: kit.toJSON() });
+  } catch (error) {
+    sendError(res, error, 'Get brand kit');
+  }
+});
+
+// PATCH /api/brand-kits/:id - Change name, colors, fonts, watermark or make it the default
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const kit = await brandKitService.updateKit(req.user._id, req.params.id, req.body || {});
+    res.json({ success: true, brandKit: kit });
+  } catch (error) {
+    sendError(res, error, 'Update brand kit');
+  }
+});
+
+// DELETE /api/brand-kits/:id - Remove a brand kit and its logos
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await brandKitService.deleteKit(req.user._id, req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Delete brand kit');
+  }
+});
+
+// POST /api/brand-kits/:id/logos - Upload a logo (multipart field "logo", optional "name")
+router.post('/:id/logos', authMiddleware, upload.single('logo'), async (req, res) => {
+  try {
+    const kit = await brandKitService.addLogo(req.user._id, req.params.id, req.file, req.body && req.body.name);
+    res.status(201).json({ success: true, brandKit: kit });
+  } catch (error) {
+    sendError(res, error, 'Upload logo');
+  }
+});
+
+// DELETE /api/brand-kits/:id/logos/:logoId
+router.delete('/:id/logos/:logoId', authMiddleware, async (req, res) => {
+  try {
+    const kit = await brandKitService.removeLogo(req.user._id, req.params.id, req.params.logoId);
+    res.json({ success: true, brandKit: kit });
+  } catch (error) {
+    sendError(res, error, 'Delete logo');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,97 @@ const { getGeminiModel } = require("../aimodel/gemini");
 const { getFileBuffer } = require("../s3Service");
 const axios = require("axios");
 const imageToPromptQueueService = require("../services/imageToPromptQueueService");
+const { sendLimitError } = require("../utils/errors");
+
+/**
+ * Queue processor for image-to-prompt jobs
+ * Downloads the image from S3 or imageUrl and asks Gemini Vision for a prompt
+ */
+async function processImageToPromptJob({
+  imageS3Key,
+  imageUrl,
+  promptStyle,
+  modelName,
+  includeColors,
+  includeMood,
+  includeComposition,
+}, job) {
+  try {
+    console.log(`[ImageToPrompt] Starting processing...`);
+
+    // Get image data
+    let imageBuffer;
+    let mimeType = "image/jpeg";
+
+    if (imageS3Key) {
+      // Download from S3
+      console.log(`[ImageToPrompt] Downloading image from S3: ${imageS3Key}`);
+      imageBuffer = await getFileBuffer(imageS3Key);
+
+      // Determine MIME type from S3 key
+      if (imageS3Key.toLowerCase().endsWith(".png")) {
+        mimeType = "image/png";
+      } else if (
+        imageS3Key.toLowerCase().endsWith(".jpg") ||
+        imageS3Key.toLowerCase().endsWith(".jpeg")
+      ) {
+        mimeType = "image/jpeg";
+      }
+    } else if (imageUrl) {
+      // Download from URL
+      console.log(`[ImageToPrompt] Downloading image from URL: ${imageUrl}`);
+      const response = await axios.get(imageUrl, {
+        responseType: "arraybuffer",
+        signal: job.signal,
+      });
+      imageBuffer = Buffer.from(response.data);
+      mimeType = response.headers["content-type"] || "image/jpeg";
+    }
+
+    // Convert buffer to base64
+    const base64Image = imageBuffer.toString("base64");
+
+    // Build prompt based on style and options
+    let systemPrompt = buildSystemPrompt(
+      promptStyle,
+      includeColors,
+      includeMood,
+      includeComposition
+    );
+
+    // Get Gemini model with vision
+    // Use the model selected by the user (default: gemini-2.5-flash)
+    // No "models/" prefix needed for @google/generative-ai package
+    console.log(`[ImageToPrompt] Using model: ${modelName}`);
+    const model = getGeminiModel(modelName);
+
+    // Generate prompt using Gemini Vision
+    console.log(`[ImageToPrompt] Analyzing image with Gemini Vision...`);
+    const result = await model.generateContent([
+      {
+        inlineData: {
+          data: base64Image,
+          mimeType: mimeType,
+        },
+      },
+      systemPrompt,
+    ], { signal: job.signal }); // Aborted when the job is cancelled
+
+    const response = await result.response;
+    const generatedPrompt = response.text();
+
+    console.log(
+      `[ImageToPrompt] Generated prompt (${generatedPrompt.length} chars)`
+    );
+
+    return { prompt: generatedPrompt };
+  } catch (error) {
+    console.error(`[ImageToPrompt] Error in processor:`, error);
+    throw error;
+  }
+}
+
+imageToPromptQueueService.registerProcessor(processImageToPromptJob);
 
 /**
  * POST /api/ai/image-to-prompt
@@ -22,7 +113,7 @@ router.post("/image-to-prompt", authenticateToken, async (req, res) => {
       includeComposition = true,
     } = req.body;
 
-    const userId = req.user?.id || req.user?.email || "anonymous";
+    const userId = req.user?._id?.toString() || "anonymous";
 
     // Validate input
     if (!imageS3Key && !imageUrl) {
@@ -39,95 +130,30 @@ router.post("/image-to-prompt", authenticateToken, async (req, res) => {
       });
     }
 
-    // Create processor function that will be executed by the queue
-    const processor = async () => {
-      try {
-        console.log(`[ImageToPrompt] Starting processing...`);
-
-        // Get image data
-        let imageBuffer;
-        let mimeType = "image/jpeg";
-
-        if (imageS3Key) {
-          // Download from S3
-          console.log(`[ImageToPrompt] Downloading image from S3: ${imageS3Key}`);
-          imageBuffer = await getFileBuffer(imageS3Key);
-
-          // Determine MIME type from S3 key
-          if (imageS3Key.toLowerCase().endsWith(".png")) {
-            mimeType = "image/png";
-          } else if (
-            imageS3Key.toLowerCase().endsWith(".jpg") ||
-            imageS3Key.toLowerCase().endsWith(".jpeg")
-          ) {
-            mimeType = "image/jpeg";
-          }
-        } else if (imageUrl) {
-          // Download from URL
-          console.log(`[ImageToPrompt] Downloading image from URL: ${imageUrl}`);
-          const response = await axios.get(imageUrl, {
-            responseType: "arraybuffer",
-          });
-          imageBuffer = Buffer.from(response.data);
-          mimeType = response.headers["content-type"] || "image/jpeg";
-        }
-
-        // Convert buffer to base64
-        const base64Image = imageBuffer.toString("base64");
-
-        // Build prompt based on style and options
-        let systemPrompt = buildSystemPrompt(
-          promptStyle,
-          includeColors,
-          includeMood,
-          includeComposition
-        );
-
-        // Get Gemini model with vision
-        // Use the model selected by the user (default: gemini-2.5-flash)
-        // No "models/" prefix needed for @google/generative-ai package
-        console.log(`[ImageToPrompt] Using model: ${modelName}`);
-        const model = getGeminiModel(modelName);
-
-        // Generate prompt using Gemini Vision
-        console.log(`[ImageToPrompt] Analyzing image with Gemini Vision...`);
-        const result = await model.generateContent([
-          {
-            inlineData: {
-              data: base64Image,
-              mimeType: mimeType,
-            },
-          },
-          systemPrompt,
-        ]);
-
-        const response = await result.response;
-        const generatedPrompt = response.text();
-
-        console.log(
-          `[ImageToPrompt] Generated prompt (${generatedPrompt.length} chars)`
-        );
-
-        return { prompt: generatedPrompt };
-      } catch (error) {
-        console.error(`[ImageToPrompt] Error in processor:`, error);
-        throw error;
-      }
-    };
-
     // Add job to queue with metadata
-    const jobId = imageToPromptQueueService.addJob(processor, {
-      userId,
-      imageS3Key,
-      imageUrl,
-      promptStyle,
-      includeColors,
-      includeMood,
-      includeComposition,
-      createdAt: new Date().toISOString(),
-    });
+    const jobId = await imageToPromptQueueService.addJob(
+      {
+        imageS3Key,
+        imageUrl,
+        promptStyle,
+        modelName,
+        includeColors,
+        includeMood,
+        includeComposition,
+      },
+      {
+        userId,
+        imageS3Key,
+        imageUrl,
+        promptStyle,
+        includeColors,
+        includeMood,
+        includeComposition,
+        createdAt: new Date().toISOString(),
+      }
+    );
 
-    const status = imageToPromptQueueService.getJobStatus(jobId);
+    const status = await imageToPromptQueueService.getJobStatus(jobId);
 
     console.log(`[ImageToPrompt] Job ${jobId} queued at position ${status.position}`);
 
@@ -141,6 +167,7 @@ router.post("/image-to-prompt", authenticateToken, async (req, res) => {
       message: "Image-to-prompt generation job queued",
     });
   } catch (error) {
+    if (sendLimitError(res, error)) return;
     console.error("[ImageToPrompt] Error creating job:", error);
     res.status(500).json({ error: "Failed to create job" });
   }
@@ -153,7 +180,7 @@ router.post("/image-to-prompt", authenticateToken, async (req, res) => {
 router.get("/image-to-prompt-status/:jobId", authenticateToken, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const status = imageToPromptQueueService.getJobStatus(jobId);
+    const status = await imageToPromptQueueService.getJobStatus(jobId);
 
     if (status.status === "not_found") {
       return res.status(404).json({ error: "Job not found" });
@@ -172,7 +199,7 @@ router.get("/image-to-prompt-status/:jobId", authenticateToken, async (req, res)
  */
 router.get("/image-to-prompt-queue-stats", authenticateToken, async (req, res) => {
   try {
-    const stats = imageToPromptQueueService.getQueueStats();
+    const stats = await imageToPromptQueueService.getQueueStats();
     res.json(stats);
   } catch (error) {
     console.error("[ImageToPrompt] Error getting queue stats:", error);
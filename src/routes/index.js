@@ -6,6 +6,12 @@ const scriptHistoryRouter = require("./scriptHistory");
 const s3Router = require("./s3");
 
 const statsRouter = require("./stats");
+const jobsRouter = require("./jobs");
+const webhooksRouter = require("./webhooks");
+const usageRouter = require("./usage");
+const adminRouter = require("./admin");
+const pipelinesRouter = require("./pipelines");
+const brandKitsRouter = require("./brandKits");
 const router = express.Router();
 
 const bodyParser = express.json;
@@ -19,5 +25,11 @@ router.use("/", videoRouter); // No body parser for videoRouter (upload-video)
 router.use("/scripts", bodyParser(), urlencoded({ extended: true }), scriptHistoryRouter);
 router.use("/stats", statsRouter);
 router.use("/s3", s3Router);
+router.use("/jobs", jobsRouter);
+router.use("/webhooks", webhooksRouter);
+router.use("/usage", usageRouter);
+router.use("/admin", adminRouter);
+router.use("/pipelines", pipelinesRouter);
+router.use("/brand-kits", brandKitsRouter);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,345 @@
+const express = require('express');
+const authMiddleware = require('./authMiddleware');
+const jobQueue = require('../services/jobQueueService');
+const jobEvents = require('../services/jobEventsService');
+const { EDIT_JOB_TYPES, getJob, getJobsByUser, listJobs: listEditJobs } = require('../videoEditJob');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25000; // Keep proxies from closing idle streams
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const JOB_STATUSES = ['queued', 'processing', ...TERMINAL_STATUSES];
+const SORT_FIELDS = ['createdAt', 'updatedAt'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Helper: parse date or return undefined
+function parseDate(dateStr) {
+  if (!dateStr) return undefined;
+  const d = new Date(dateStr);
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+// Comma separated query value -> array (undefined when absent)
+function parseList(value) {
+  if (!value) return undefined;
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return items.length ? items : undefined;
+}
+
+/**
+ * Start a Server-Sent Events response
+ * @returns {{ send: Function, close: Function }}
+ */
+function openEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  let closed = false;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+  req.on('close', cleanup);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    }
+  };
+}
+
+// Only the user who submitted a job can follow it
+function canAccess(jobUserId, userId) {
+  return !!jobUserId && String(jobUserId) === userId;
+}
+
+// Result of a completed video edit job, with any extra files (e.g. caption files)
+function editJobResult(job) {
+  const result = { downloadUrl: job.downloadUrl, s3Key: job.s3Key };
+  if (job.outputs && Object.keys(job.outputs).length) result.outputs = job.outputs;
+  return result;
+}
+
+// Inputs worth showing in job lists, by edit job type
+function editJobMetadata(job) {
+  switch (job.type) {
+    case 'timeline':
+      return { exportName: job.exportName, clips: (job.clips || []).length, resolution: job.resolution, fps: job.fps };
+    case 'captions':
+      return {
+        exportName: job.exportName,
+        source: job.captions && job.captions.source,
+        preset: job.captions && job.captions.style && job.captions.style.preset
+      };
+    case 'export':
+      return {
+        exportName: job.exportName,
+        presets: (job.exportPresets || []).map(preset => preset.name),
+        reframe: job.reframe || 'center',
+        brandKitId: job.watermark ? job.watermark.brandKitId : null,
+        loudness: job.loudness ? job.loudness.preset || `${job.loudness.target} LUFS` : null
+      };
+    case 'highlights':
+      return {
+        exportName: job.exportName,
+        source: job.s3Key,
+        targetDuration: job.highlights && job.highlights.targetDuration,
+        render: job.highlights && job.highlights.render
+      };
+    case 'jumpcut':
+      return {
+        exportName: job.exportName,
+        threshold: job.jumpcut && job.jumpcut.threshold,
+        minSilence: job.jumpcut && job.jumpcut.minSilence,
+        padding: job.jumpcut && job.jumpcut.padding
+      };
+    case 'speed':
+    case 'reverse':
+    case 'loop':
+    case 'boomerang':
+      return { exportName: job.exportName, ...job.effect, start: job.start, end: job.end };
+    case 'animation':
+      return {
+        exportName: job.exportName,
+        format: job.animation && job.animation.format,
+        width: job.animation && job.animation.width,
+        fps: job.animation && job.animation.fps
+      };
+    case 'loudness':
+      return {
+        exportName: job.exportName,
+        preset: job.loudness && job.loudness.preset,
+        target: job.loudness && job.loudness.target,
+        analyzeOnly: !!(job.loudness && job.loudness.analyzeOnly)
+      };
+    case 'renditions':
+    case 'thumbnails':
+    case 'probe':
+      return { source: job.s3Key };
+    default:
+      return {
+        exportName: job.exportName,
+        aspectRatio: job.aspectRatio,
+        reframe: job.reframe || 'center',
+        start: job.start,
+        end: job.end,
+        brandKitId: job.watermark ? job.watermark.brandKitId : null
+      };
+  }
+}
+
+// Video edit jobs wait as 'pending'; present them with the queue's 'queued' status
+function editJobStatus(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    userId: job.userId,
+    status: job.status === 'pending' ? 'queued' : job.status,
+    progress: job.progress,
+    result: job.status === 'completed' ? editJobResult(job) : undefined,
+    error: job.error
+  };
+}
+
+// Video edit job in the same list shape as jobQueue.toListItem
+function editJobListItem(job) {
+  const status = job.status === 'pending' ? 'queued' : job.status;
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status,
+    progress: status === 'completed' ? 100 : (status === 'processing' ? job.progress : null),
+    progressMessage: null,
+    position: null,
+    attempts: job.attempts || null, // Times a crop worker claimed the job
+    error: status === 'failed' ? job.error : null,
+    result: status === 'completed' ? editJobResult(job) : null,
+    metadata: editJobMetadata(job),
+    createdAt: job.createdAt ? new Date(job.createdAt).getTime() : null,
+    startedAt: null,
+    completedAt: TERMINAL_STATUSES.includes(status) && job.updatedAt ? new Date(job.updatedAt).getTime() : null,
+    updatedAt: job.updatedAt ? new Date(job.updatedAt).getTime() : null
+  };
+}
+
+// Snapshot of a stored job in the same shape as live events
+function snapshotEvent(status) {
+  const event = {
+    event: status.status,
+    jobId: status.jobId,
+    type: status.type,
+    userId: status.userId || null,
+    status: status.status,
+    timestamp: Date.now()
+  };
+  ['position', 'queueLength', 'estimatedWaitTime', 'progress', 'attempts', 'nextRetryAt', 'result', 'error'].forEach((field) => {
+    if (status[field] !== undefined && status[field] !== null) event[field] = status[field];
+  });
+  return event;
+}
+
+/**
+ * GET /api/jobs
+ * List the authenticated user's jobs across every tool (AI queues and video edit jobs)
+ * Query: type, status (comma separated), startDate, endDate (createdAt range),
+ *        page (default 1), limit (default 20, max 100), sort (createdAt | updatedAt), order (asc | desc)
+ * Returns: { jobs, page, limit, total, totalPages }
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+
+  const knownTypes = [...jobQueue.getTypes(), ...EDIT_JOB_TYPES];
+  const types = parseList(req.query.type);
+  const statuses = parseList(req.query.status);
+  const unknownType = (types || []).find(type => !knownTypes.includes(type));
+  if (unknownType) {
+    return res.status(400).json({ error: `Unknown job type "${unknownType}"`, types: knownTypes });
+  }
+  const unknownStatus = (statuses || []).find(status => !JOB_STATUSES.includes(status));
+  if (unknownStatus) {
+    return res.status(400).json({ error: `Unknown job status "${unknownStatus}"`, statuses: JOB_STATUSES });
+  }
+
+  const from = parseDate(req.query.startDate);
+  const to = parseDate(req.query.endDate);
+  if ((req.query.startDate && !from) || (req.query.endDate && !to)) {
+    return res.status(400).json({ error: 'Invalid startDate or endDate' });
+  }
+
+  const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+  const order = req.query.order === 'asc' ? 1 : -1;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  const queueTypes = types ? types.filter(type => !EDIT_JOB_TYPES.includes(type)) : undefined;
+  const editTypes = types ? types.filter(type => EDIT_JOB_TYPES.includes(type)) : EDIT_JOB_TYPES;
+
+  try {
+    // Each source is sorted the same way, so the first page * limit of each
+    // contains everything needed for the requested page of the merged list
+    const range = { sort, order, skip: 0, limit: page * limit };
+    const [queueJobs, editJobs] = await Promise.all([
+      !queueTypes || queueTypes.length
+        ? jobQueue.listJobs({ userId, types: queueTypes, statuses, from, to }, range)
+        : { jobs: [], total: 0 },
+      editTypes.length
+        ? listEditJobs({
+          userId,
+          types: editTypes,
+          // Edit jobs wait as 'pending'
+          statuses: statuses && statuses.map(status => (status === 'queued' ? 'pending' : status)),
+          from,
+          to
+        }, range)
+        : { jobs: [], total: 0 }
+    ]);
+
+    const jobs = [...queueJobs.jobs, ...editJobs.jobs.map(editJobListItem)]
+      .sort((a, b) => ((a[sort] || 0) - (b[sort] || 0)) * order)
+      .slice((page - 1) * limit, page * limit);
+    const total = queueJobs.total + editJobs.total;
+
+    res.json({ jobs, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('[Jobs] Failed to list jobs:', err.message);
+    res.status(500).json({ error: err.message || 'Failed to list jobs' });
+  }
+});
+
+/**
+ * GET /api/jobs/events
+ * Stream events for all of the authenticated user's jobs (AI queue and video edit jobs).
+ * Active jobs are sent first as a snapshot.
+ */
+router.get('/events', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+
+  let unsubscribe = () => {};
+  const stream = openEventStream(req, res, () => unsubscribe());
+  unsubscribe = jobEvents.subscribe({ userId }, (event) => stream.send(event.event, event));
+
+  try {
+    const [queueJobs, editJobs] = await Promise.all([
+      jobQueue.getUserJobs(userId),
+      getJobsByUser(userId, ['pending', 'processing'])
+    ]);
+    queueJobs.forEach((job) => stream.send(job.status, snapshotEvent({ ...job, userId })));
+    editJobs.forEach((job) => {
+      const status = editJobStatus(job);
+      stream.send(status.status, snapshotEvent(status));
+    });
+  } catch (err) {
+    console.error('[JobEvents] Failed to load active jobs:', err.message);
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Stream events for one job. The current state is sent first; the stream
+ * closes after the job completes, fails or is cancelled.
+ */
+router.get('/:jobId/events', authMiddleware, async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+
+  try {
+    let status = await jobQueue.getJobStatus(jobId);
+    if (status.status === 'not_found') {
+      const editJob = await getJob(jobId);
+      if (!editJob) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      status = editJobStatus(editJob);
+    }
+
+    if (!canAccess(status.userId, userId)) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
+    }
+
+    let unsubscribe = () => {};
+    const stream = openEventStream(req, res, () => unsubscribe());
+
+    // Subscribe before sending the snapshot so no change in between is lost
+    unsubscribe = jobEvents.subscribe({ jobId }, (event) => {
+      stream.send(event.event, event);
+      if (TERMINAL_STATUSES.includes(event.status)) {
+        stream.close();
+      }
+    });
+
+    stream.send(status.status, snapshotEvent(status));
+    if (TERMINAL_STATUSES.includes(status.status)) {
+      stream.close();
+    }
+  } catch (err) {
+    console.error('[JobEvents] Failed to open job stream:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message || 'Failed to open job event stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { getGeminiModel } = require("../aimodel/gemini");
 const axios = require("axios");
 const memeGeneratorQueueService = require("../services/memeGeneratorQueueService");
 const multer = require("multer");
+const { sendLimitError } = require("../utils/errors");
 
 // Configure multer for in-memory file storage (no disk/S3 upload)
 const upload = multer({
@@ -14,6 +15,79 @@ const upload = multer({
   },
 });
 
+/**
+ * Queue processor for meme generation jobs
+ * An uploaded image arrives in memory via job.files; otherwise imageUrl is downloaded
+ */
+async function processMemeJob({ imageUrl, memeStyle, captionCount: captionCountNumber, modelName }, job) {
+  const uploadedFile = job.files && job.files.file;
+  try {
+    console.log(`[MemeGenerator] Starting processing...`);
+
+    // Get image data
+    let imageBuffer;
+    let mimeType = "image/jpeg";
+
+    if (uploadedFile) {
+      // Use uploaded file from memory (no S3 storage)
+      console.log(`[MemeGenerator] Processing uploaded file: ${uploadedFile.originalname}`);
+      imageBuffer = uploadedFile.buffer;
+      mimeType = uploadedFile.mimetype;
+    } else if (imageUrl) {
+      // Download from URL
+      console.log(`[MemeGenerator] Downloading image from URL: ${imageUrl}`);
+      const response = await axios.get(imageUrl, {
+        responseType: "arraybuffer",
+        signal: job.signal,
+      });
+      imageBuffer = Buffer.from(response.data);
+      mimeType = response.headers["content-type"] || "image/jpeg";
+    }
+
+    // Convert buffer to base64
+    const base64Image = imageBuffer.toString("base64");
+
+    // Build prompt based on meme style
+    let systemPrompt = buildMemePrompt(memeStyle, captionCountNumber);
+
+    // Get Gemini model with vision
+    console.log(`[MemeGenerator] Using model: ${modelName}`);
+    const model = getGeminiModel(modelName);
+
+    // Generate meme captions using Gemini Vision
+    console.log(`[MemeGenerator] Analyzing image and generating meme captions...`);
+    const result = await model.generateContent([
+      {
+        inlineData: {
+          data: base64Image,
+          mimeType: mimeType,
+        },
+      },
+      systemPrompt,
+    ], { signal: job.signal }); // Aborted when the job is cancelled
+
+    const response = await result.response;
+    const generatedText = response.text();
+
+    // Parse the response to extract captions
+    const captions = parseMemeResponse(generatedText);
+
+    console.log(
+      `[MemeGenerator] Generated ${captions.length} meme captions`
+    );
+
+    return { 
+      captions,
+      memeStyle,
+    };
+  } catch (error) {
+    console.error(`[MemeGenerator] Error in processor:`, error);
+    throw error;
+  }
+}
+
+memeGeneratorQueueService.registerProcessor(processMemeJob);
+
 /**
  * POST /api/ai/generate-meme
  * Generate funny meme captions from image using Gemini Vision
@@ -27,7 +101,7 @@ router.post("/generate-meme", authenticateToken, upload.single("file"), async (r
       modelName = "gemini-2.5-flash",
     } = req.body;
 
-    const userId = req.user?.id || req.user?.email || "anonymous";
+    const userId = req.user?._id?.toString() || "anonymous";
     const uploadedFile = req.file; // File from FormData
 
     // Convert string values to proper types
@@ -55,83 +129,21 @@ router.post("/generate-meme", authenticateToken, upload.single("file"), async (r
       });
     }
 
-    // Create processor function that will be executed by the queue
-    const processor = async () => {
-      try {
-        console.log(`[MemeGenerator] Starting processing...`);
-
-        // Get image data
-        let imageBuffer;
-        let mimeType = "image/jpeg";
-
-        if (uploadedFile) {
-          // Use uploaded file from memory (no S3 storage)
-          console.log(`[MemeGenerator] Processing uploaded file: ${uploadedFile.originalname}`);
-          imageBuffer = uploadedFile.buffer;
-          mimeType = uploadedFile.mimetype;
-        } else if (imageUrl) {
-          // Download from URL
-          console.log(`[MemeGenerator] Downloading image from URL: ${imageUrl}`);
-          const response = await axios.get(imageUrl, {
-            responseType: "arraybuffer",
-          });
-          imageBuffer = Buffer.from(response.data);
-          mimeType = response.headers["content-type"] || "image/jpeg";
-        }
-
-        // Convert buffer to base64
-        const base64Image = imageBuffer.toString("base64");
-
-        // Build prompt based on meme style
-        let systemPrompt = buildMemePrompt(memeStyle, captionCountNumber);
-
-        // Get Gemini model with vision
-        console.log(`[MemeGenerator] Using model: ${modelName}`);
-        const model = getGeminiModel(modelName);
-
-        // Generate meme captions using Gemini Vision
-        console.log(`[MemeGenerator] Analyzing image and generating meme captions...`);
-        const result = await model.generateContent([
-          {
-            inlineData: {
-              data: base64Image,
-              mimeType: mimeType,
-            },
-          },
-          systemPrompt,
-        ]);
-
-        const response = await result.response;
-        const generatedText = response.text();
-
-        // Parse the response to extract captions
-        const captions = parseMemeResponse(generatedText);
-
-        console.log(
-          `[MemeGenerator] Generated ${captions.length} meme captions`
-        );
-
-        return { 
-          captions,
-          memeStyle,
-        };
-      } catch (error) {
-        console.error(`[MemeGenerator] Error in processor:`, error);
-        throw error;
-      }
-    };
-
     // Add job to queue with metadata
-    const jobId = memeGeneratorQueueService.addJob(processor, {
-      userId,
-      hasUploadedFile: !!uploadedFile,
-      imageUrl,
-      memeStyle,
-      captionCount: captionCountNumber,
-      createdAt: new Date().toISOString(),
-    });
-
-    const status = memeGeneratorQueueService.getJobStatus(jobId);
+    const jobId = await memeGeneratorQueueService.addJob(
+      { imageUrl, memeStyle, captionCount: captionCountNumber, modelName },
+      {
+        userId,
+        hasUploadedFile: !!uploadedFile,
+        imageUrl,
+        memeStyle,
+        captionCount: captionCountNumber,
+        createdAt: new Date().toISOString(),
+      },
+      uploadedFile ? { file: uploadedFile } : undefined
+    );
+
+    const status = await memeGeneratorQueueService.getJobStatus(jobId);
 
     console.log(`[MemeGenerator] Job ${jobId} queued at position ${status.position}`);
 
@@ -145,6 +157,7 @@ router.post("/generate-meme", authenticateToken, upload.single("file"), async (r
       message: "Meme generation job queued",
     });
   } catch (error) {
+    if (sendLimitError(res, error)) return;
     console.error("[MemeGenerator] Error creating job:", error);
     res.status(500).json({ error: "Failed to create job" });
   }
@@ -157,7 +170,7 @@ router.post("/generate-meme", authenticateToken, upload.single("file"), async (r
 router.get("/meme-status/:jobId", authenticateToken, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const status = memeGeneratorQueueService.getJobStatus(jobId);
+    const status = await memeGeneratorQueueService.getJobStatus(jobId);
 
     if (status.status === "not_found") {
       return res.status(404).json({ error: "Job not found" });
@@ -176,7 +189,7 @@ router.get("/meme-status/:jobId", authenticateToken, async (req, res) => {
  */
 router.get("/meme-queue-stats", authenticateToken, async (req, res) => {
   try {
-    const stats = memeGeneratorQueueService.getQueueStats();
+    const stats = await memeGeneratorQueueService.getQueueStats();
     res.json(stats);
   } catch (error) {
     console.error("[MemeGenerator] Error getting queue stats:", error);
@@ -191,7 +204,7 @@ router.get("/meme-queue-stats", authenticateToken, async (req, res) => {
 router.delete("/meme-job/:jobId", authenticateToken, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const cancelled = memeGeneratorQueueService.cancelJob(jobId);
+    const cancelled = await memeGeneratorQueueService.cancelJob(jobId);
 
     if (!cancelled) {
       return res.status(404).json({ error: "Job not found or cannot be cancelled" });
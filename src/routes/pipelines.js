@@ -0,0 +1,107 @@
+const express = require('express');
+const authMiddleware = require('./authMiddleware');
+const pipelineService = require('../services/pipelineService');
+const { sendLimitError } = require('../utils/errors');
+
+const router = express.Router();
+
+const PIPELINE_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * POST /api/pipelines - Submit a chain of steps to run as one job
+ * Body: { name?, steps: [{ id?, type: 'script' | 'tts' | 'veo' | 'mount-audio' | 'publish', input? }] }
+ * Returns 202 with the pipeline status; poll GET /api/pipelines/:pipelineId
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { name, steps } = req.body || {};
+    const pipeline = await pipelineService.createPipeline(req.user, { name, steps });
+    res.status(202).json({
+      ...pipeline,
+      statusUrl: `/api/pipelines/${pipeline.pipelineId}`
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (sendLimitError(res, error)) return;
+    console.error('[Pipeline] Create error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pipelines - The user's pipelines, newest first
+ * Query: status (running | completed | failed | cancelled), page (default 1), limit (default 20, max 100)
+ * Returns: { pipelines, page, limit, total, totalPages }
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  const { status } = req.query;
+  if (status && !PIPELINE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status "${status}". Expected one of: ${PIPELINE_STATUSES.join(', ')}` });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const { pipelines, total } = await pipelineService.listPipelines(req.user._id, {
+      status,
+      skip: (page - 1) * limit,
+      limit
+    });
+    res.json({ pipelines, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('[Pipeline] List error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/pipelines/:pipelineId - Overall progress and per-step status/output
+router.get('/:pipelineId', authMiddleware, async (req, res) => {
+  try {
+    const pipeline = await pipelineService.getPipeline(req.user._id, req.params.pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    res.json(pipeline);
+  } catch (error) {
+    console.error('[Pipeline] Get error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/pipelines/:pipelineId/resume - Re-run a failed/cancelled pipeline from its failed step
+router.post('/:pipelineId/resume', authMiddleware, async (req, res) => {
+  try {
+    const pipeline = await pipelineService.resumePipeline(req.user._id, req.params.pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    res.status(202).json(pipeline);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('[Pipeline] Resume error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/pipelines/:pipelineId/cancel - Stop a running pipeline and its current job
+router.post('/:pipelineId/cancel', authMiddleware, async (req, res) => {
+  try {
+    const cancelled = await pipelineService.cancelPipeline(req.user._id, req.params.pipelineId);
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Cannot cancel pipeline (not found or not running)' });
+    }
+    res.json({ message: 'Pipeline cancelled successfully' });
+  } catch (error) {
+    console.error('[Pipeline] Cancel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
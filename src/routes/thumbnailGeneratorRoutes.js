@@ -3,12 +3,14 @@ const router = express.Router();
 const authenticateToken = require("./authMiddleware");
 const { getGeminiModel } = require("../aimodel/gemini");
 const thumbnailGeneratorQueueService = require("../services/thumbnailGeneratorQueueService");
+const brandKitService = require("../services/brandKitService");
 const sharp = require("sharp");
 const ffmpeg = require("fluent-ffmpeg");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
 const multer = require("multer");
+const { sendLimitError } = require("../utils/errors");
 
 // Configure multer for in-memory file storage (no disk/S3 upload)
 const upload = multer({
@@ -18,6 +20,161 @@ const upload = multer({
   },
 });
 
+/**
+ * Queue processor for thumbnail generation jobs
+ * The uploaded image/video arrives in memory via job.files
+ */
+async function processThumbnailJob(
+  {
+    thumbnailStyle,
+    textOverlay,
+    includeEmoji: includeEmojiBoolean,
+    colorScheme,
+    thumbnailCount: thumbnailCountNumber,
+    modelName,
+    mediaType,
+    brand,
+  },
+  job
+) {
+  const uploadedFile = job.files && job.files.file;
+  if (!uploadedFile) {
+    throw new Error("Uploaded file is no longer available. Please resubmit.");
+  }
+
+  try {
+    console.log(`[ThumbnailGenerator] Starting processing...`);
+
+    // Get image/video data from uploaded file
+    let imageBuffer;
+    let mimeType = "image/jpeg";
+
+    console.log(`[ThumbnailGenerator] Processing uploaded file: ${uploadedFile.originalname}`);
+    
+    if (mediaType === "video" || uploadedFile.mimetype.startsWith("video/")) {
+      // For video, extract a frame using ffmpeg
+      imageBuffer = await extractVideoFrame(uploadedFile.buffer, job.signal);
+      mimeType = "image/jpeg";
+    } else {
+      // For image, use directly
+      imageBuffer = uploadedFile.buffer;
+      mimeType = uploadedFile.mimetype;
+    }
+
+    // Convert buffer to base64
+    const base64Image = imageBuffer.toString("base64");
+
+    // Build prompt for thumbnail design
+    let systemPrompt = buildThumbnailPrompt(
+      thumbnailStyle,
+      textOverlay,
+      includeEmojiBoolean,
+      colorScheme,
+      thumbnailCountNumber,
+      brand
+    );
+
+    // Get Gemini model with vision
+    console.log(`[ThumbnailGenerator] Using model: ${modelName}`);
+    const model = getGeminiModel(modelName);
+
+    // Generate thumbnail designs using Gemini Vision
+    console.log(`[ThumbnailGenerator] Analyzing content and generating thumbnail designs...`);
+    const result = await model.generateContent([
+      {
+        inlineData: {
+          data: base64Image,
+          mimeType: mimeType,
+        },
+      },
+      systemPrompt,
+    ], { signal: job.signal }); // Aborted when the job is cancelled
+
+    const response = await result.response;
+    const generatedText = response.text();
+
+    // Parse the response to extract thumbnail designs
+    const thumbnailDesigns = parseThumbnailResponse(generatedText);
+
+    // Generate actual thumbnail images with text overlays using sharp
+    const thumbnails = await Promise.all(
+      thumbnailDesigns.map(async (design, index) => {
+        try {
+          // Resize to YouTube thumbnail size (1280x720)
+          let processedImage = await sharp(imageBuffer)
+            .resize(1280, 720, {
+              fit: "cover",
+              position: "center",
+            })
+            .toBuffer();
+
+          // Add text overlays if textElements exist
+          if (design.textElements && design.textElements.length > 0) {
+            const composites = [];
+
+            for (const textElement of design.textElements) {
+              // Create SVG text overlay
+              const svgText = createTextOverlaySVG(
+                textElement.text,
+                textElement.position,
+                textElement.size,
+                textElement.color,
+                brand
+              );
+
+              composites.push({
+                input: Buffer.from(svgText),
+                gravity: getGravityFromPosition(textElement.position),
+              });
+            }
+
+            // Composite all text elements onto the image
+            if (composites.length > 0) {
+              processedImage = await sharp(processedImage)
+                .composite(composites)
+                .toBuffer();
+            }
+          }
+
+          const thumbnailBase64 = processedImage.toString("base64");
+
+          return {
+            id: index + 1,
+            title: design.title,
+            description: design.description,
+            textElements: design.textElements,
+            colorPalette: design.colorPalette,
+            imageData: `data:image/jpeg;base64,${thumbnailBase64}`,
+            layout: design.layout,
+          };
+        } catch (err) {
+          console.error(`[ThumbnailGenerator] Error creating thumbnail ${index + 1}:`, err);
+          return {
+            id: index + 1,
+            title: design.title,
+            description: design.description,
+            error: "Failed to generate image",
+          };
+        }
+      })
+    );
+
+    console.log(
+      `[ThumbnailGenerator] Generated ${thumbnails.length} thumbnails`
+    );
+
+    return { 
+      thumbnails,
+      thumbnailStyle,
+    };
+  } catch (error) {
+    console.error(`[ThumbnailGenerator] Error in processor:`, error);
+    throw error;
+  }
+}
+
+thumbnailGeneratorQueueService.registerProcessor(processThumbnailJob);
+
 /**
  * POST /api/ai/generate-thumbnail
  * Generate YouTube-optimized thumbnails from video/image using Gemini Vision
@@ -32,9 +189,10 @@ router.post("/generate-thumbnail", authenticateToken, upload.single("file"), asy
       thumbnailCount = "3",
       modelName = "gemini-2.5-flash",
       mediaType = "image",
+      brandKit = "default", // brand kit id, "default" (the user's default kit, if any) or "none"
     } = req.body;
 
-    const userId = req.user?.id || req.user?.email || "anonymous";
+    const userId = req.user?._id?.toString() || "anonymous";
     const uploadedFile = req.file; // File from FormData
 
     // Convert string values to proper types
@@ -63,152 +221,38 @@ router.post("/generate-thumbnail", authenticateToken, upload.single("file"), asy
       });
     }
 
-    // Create processor function that will be executed by the queue
-    const processor = async () => {
-      try {
-        console.log(`[ThumbnailGenerator] Starting processing...`);
-
-        // Get image/video data from uploaded file
-        let imageBuffer;
-        let mimeType = "image/jpeg";
-
-        console.log(`[ThumbnailGenerator] Processing uploaded file: ${uploadedFile.originalname}`);
-        
-        if (mediaType === "video" || uploadedFile.mimetype.startsWith("video/")) {
-          // For video, extract a frame using ffmpeg
-          imageBuffer = await extractVideoFrame(uploadedFile.buffer);
-          mimeType = "image/jpeg";
-        } else {
-          // For image, use directly
-          imageBuffer = uploadedFile.buffer;
-          mimeType = uploadedFile.mimetype;
-        }
-
-        // Convert buffer to base64
-        const base64Image = imageBuffer.toString("base64");
-
-        // Build prompt for thumbnail design
-        let systemPrompt = buildThumbnailPrompt(
-          thumbnailStyle,
-          textOverlay,
-          includeEmojiBoolean,
-          colorScheme,
-          thumbnailCountNumber
-        );
-
-        // Get Gemini model with vision
-        console.log(`[ThumbnailGenerator] Using model: ${modelName}`);
-        const model = getGeminiModel(modelName);
-
-        // Generate thumbnail designs using Gemini Vision
-        console.log(`[ThumbnailGenerator] Analyzing content and generating thumbnail designs...`);
-        const result = await model.generateContent([
-          {
-            inlineData: {
-              data: base64Image,
-              mimeType: mimeType,
-            },
-          },
-          systemPrompt,
-        ]);
-
-        const response = await result.response;
-        const generatedText = response.text();
-
-        // Parse the response to extract thumbnail designs
-        const thumbnailDesigns = parseThumbnailResponse(generatedText);
-
-        // Generate actual thumbnail images with text overlays using sharp
-        const thumbnails = await Promise.all(
-          thumbnailDesigns.map(async (design, index) => {
-            try {
-              // Resize to YouTube thumbnail size (1280x720)
-              let processedImage = await sharp(imageBuffer)
-                .resize(1280, 720, {
-                  fit: "cover",
-                  position: "center",
-                })
-                .toBuffer();
-
-              // Add text overlays if textElements exist
-              if (design.textElements && design.textElements.length > 0) {
-                const composites = [];
-
-                for (const textElement of design.textElements) {
-                  // Create SVG text overlay
-                  const svgText = createTextOverlaySVG(
-                    textElement.text,
-                    textElement.position,
-                    textElement.size,
-                    textElement.color
-                  );
-
-                  composites.push({
-                    input: Buffer.from(svgText),
-                    gravity: getGravityFromPosition(textElement.position),
-                  });
-                }
-
-                // Composite all text elements onto the image
-                if (composites.length > 0) {
-                  processedImage = await sharp(processedImage)
-                    .composite(composites)
-                    .toBuffer();
-                }
-              }
-
-              const thumbnailBase64 = processedImage.toString("base64");
-
-              return {
-                id: index + 1,
-                title: design.title,
-                description: design.description,
-                textElements: design.textElements,
-                colorPalette: design.colorPalette,
-                imageData: `data:image/jpeg;base64,${thumbnailBase64}`,
-                layout: design.layout,
-              };
-            } catch (err) {
-              console.error(`[ThumbnailGenerator] Error creating thumbnail ${index + 1}:`, err);
-              return {
-                id: index + 1,
-                title: design.title,
-                description: design.description,
-                error: "Failed to generate image",
-              };
-            }
-          })
-        );
-
-        console.log(
-          `[ThumbnailGenerator] Generated ${thumbnails.length} thumbnails`
-        );
-
-        return { 
-          thumbnails,
-          thumbnailStyle,
-        };
-      } catch (error) {
-        console.error(`[ThumbnailGenerator] Error in processor:`, error);
-        throw error;
-      }
-    };
+    // Brand fonts and colours for the text overlays (a snapshot, so later kit edits don't change the job)
+    const brand = await brandKitService.resolveBrand(userId, brandKit);
 
     // Add job to queue with metadata
-    const jobId = thumbnailGeneratorQueueService.addJob(processor, {
-      userId,
-      fileName: uploadedFile.originalname,
-      fileSize: uploadedFile.size,
-      mediaType,
-      thumbnailStyle,
-      textOverlay,
-      includeEmoji: includeEmojiBoolean,
-      colorScheme,
-      thumbnailCount: thumbnailCountNumber,
-      createdAt: new Date().toISOString(),
-    });
-
-    const status = thumbnailGeneratorQueueService.getJobStatus(jobId);
+    const jobId = await thumbnailGeneratorQueueService.addJob(
+      {
+        thumbnailStyle,
+        textOverlay,
+        includeEmoji: includeEmojiBoolean,
+        colorScheme,
+        thumbnailCount: thumbnailCountNumber,
+        modelName,
+        mediaType,
+        brand,
+      },
+      {
+        userId,
+        fileName: uploadedFile.originalname,
+        fileSize: uploadedFile.size,
+        mediaType,
+        thumbnailStyle,
+        textOverlay,
+        includeEmoji: includeEmojiBoolean,
+        colorScheme,
+        thumbnailCount: thumbnailCountNumber,
+        brandKit: brand ? brand.name : null,
+        createdAt: new Date().toISOString(),
+      },
+      { file: uploadedFile }
+    );
+
+    const status = await thumbnailGeneratorQueueService.getJobStatus(jobId);
 
     console.log(`[ThumbnailGenerator] Job ${jobId} queued at position ${status.position}`);
 
@@ -222,6 +266,10 @@ router.post("/generate-thumbnail", authenticateToken, upload.single("file"), asy
       message: "Thumbnail generation job queued",
     });
   } catch (error) {
+    if (error.name === "ValidationError" || error.name === "NotFoundError") {
+      return res.status(400).json({ error: error.message });
+    }
+    if (sendLimitError(res, error)) return;
     console.error("[ThumbnailGenerator] Error creating job:", error);
     res.status(500).json({ error: "Failed to create job" });
   }
@@ -234,7 +282,7 @@ router.post("/generate-thumbnail", authenticateToken, upload.single("file"), asy
 router.get("/thumbnail-status/:jobId", authenticateToken, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const status = thumbnailGeneratorQueueService.getJobStatus(jobId);
+    const status = await thumbnailGeneratorQueueService.getJobStatus(jobId);
 
     if (status.status === "not_found") {
       return res.status(404).json({ error: "Job not found" });
@@ -253,7 +301,7 @@ router.get("/thumbnail-status/:jobId", authenticateToken, async (req, res) => {
  */
 router.get("/thumbnail-queue-stats", authenticateToken, async (req, res) => {
   try {
-    const stats = thumbnailGeneratorQueueService.getQueueStats();
+    const stats = await thumbnailGeneratorQueueService.getQueueStats();
     res.json(stats);
   } catch (error) {
     console.error("[ThumbnailGenerator] Error getting queue stats:", error);
@@ -268,7 +316,7 @@ router.get("/thumbnail-queue-stats", authenticateToken, async (req, res) => {
 router.delete("/thumbnail-job/:jobId", authenticateToken, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const cancelled = thumbnailGeneratorQueueService.cancelJob(jobId);
+    const cancelled = await thumbnailGeneratorQueueService.cancelJob(jobId);
 
     if (!cancelled) {
       return res.status(404).json({ error: "Job not found or cannot be cancelled" });
@@ -284,7 +332,7 @@ router.delete("/thumbnail-job/:jobId", authenticateToken, async (req, res) => {
 /**
  * Build thumbnail prompt based on style and preferences
  */
-function buildThumbnailPrompt(style, textOverlay, includeEmoji, colorScheme, count) {
+function buildThumbnailPrompt(style, textOverlay, includeEmoji, colorScheme, count, brand) {
   let basePrompt = `Analyze this image/video frame and generate ${count} YouTube thumbnail design${count > 1 ? 's' : ''}.`;
 
   // Add style-specific instructions
@@ -306,8 +354,13 @@ function buildThumbnailPrompt(style, textOverlay, includeEmoji, colorScheme, cou
       break;
   }
 
-  // Add color scheme guidance
-  basePrompt += ` Use a ${colorScheme} color palette.`;
+  // Add color scheme guidance (the brand palette wins over the generic scheme)
+  const brandColors = brandPalette(brand);
+  if (brandColors.length > 0) {
+    basePrompt += ` Use only the brand colors ${brandColors.join(", ")} for text and accents.`;
+  } else {
+    basePrompt += ` Use a ${colorScheme} color palette.`;
+  }
 
   // Add text overlay guidance
   if (textOverlay) {
@@ -380,7 +433,9 @@ function parseThumbnailResponse(text) {
 /**
  * Extract a frame from video buffer using ffmpeg
  */
-async function extractVideoFrame(videoBuffer) {
+async function extractVideoFrame(videoBuffer, signal) {
+  if (signal) signal.throwIfAborted();
+
   return new Promise((resolve, reject) => {
     // Create temporary file for the video
     const tempVideoPath = path.join(os.tmpdir(), `temp-video-${Date.now()}.mp4`);
@@ -391,7 +446,7 @@ async function extractVideoFrame(videoBuffer) {
 
     console.log('[ThumbnailGenerator] Extracting frame from temporary video file');
 
-    ffmpeg(tempVideoPath)
+    const command = ffmpeg(tempVideoPath)
       .seekInput(1)              // Seek to 1 second
       .frames(1)                 // Extract only 1 frame
       .output(tempFramePath)     // Output to temp file
@@ -429,15 +484,33 @@ async function extractVideoFrame(videoBuffer) {
           console.error('[ThumbnailGenerator] Error reading frame:', readErr);
           reject(readErr);
         }
-      })
-      .run();
+      });
+
+    // Killing ffmpeg on cancel goes through the 'error' handler above, which removes the temp files
+    if (signal) {
+      signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    }
+
+    command.run();
   });
 }
 
+/**
+ * Colours of a brand kit snapshot ({ colors }), for prompts and text overlays
+ */
+function brandPalette(brand) {
+  if (!brand || !brand.colors) return [];
+  return ["primary", "secondary", "accent", "text", "background"]
+    .map((field) => brand.colors[field])
+    .filter(Boolean);
+}
+
 /**
  * Create SVG text overlay for thumbnail
+ * With a brand kit, the text uses its heading font and colours: colours outside
+ * the palette are replaced by the brand's text (or primary) colour.
  */
-function createTextOverlaySVG(text, position, size, color) {
+function createTextOverlaySVG(text, position, size, color, brand) {
   // Determine font size based on size parameter
   let fontSize = 80;
   if (size === "small") fontSize = 50;
@@ -450,19 +523,33 @@ function createTextOverlaySVG(text, position, size, color) {
   if (position === "top") y = 100;
   else if (position === "bottom") y = 620;
 
+  // Brand font first; fonts missing on the server fall back to the default
+  const fontFamily = brand && brand.fonts && brand.fonts.heading
+    ? `'${brand.fonts.heading}', 'Arial Black', Arial, sans-serif`
+    : "'Arial Black', Arial, sans-serif";
+
+  const palette = brandPalette(brand);
+  let fill = color;
+  if (palette.length > 0 && !palette.includes(String(color).toUpperCase())) {
+    fill = brand.colors.text || brand.colors.primary || palette[0];
+  }
+
   // Add stroke for better readability
   const strokeWidth = 4;
-  const strokeColor = color === "#FFFFFF" ? "#000000" : "#FFFFFF";
+  let strokeColor = fill === "#FFFFFF" ? "#000000" : "#FFFFFF";
+  if (brand && brand.colors && brand.colors.background && brand.colors.background !== fill) {
+    strokeColor = brand.colors.background;
+  }
 
   // Create SVG with text
   const svg = `
     <svg width="1280" height="720">
       <style>
         .text { 
-          font-family: 'Arial Black', Arial, sans-serif; 
+          font-family: ${fontFamily};
           font-weight: 900;
           font-size: ${fontSize}px;
-          fill: ${color};
+          fill: ${fill};
           stroke: ${strokeColor};
           stroke-width: ${strokeWidth}px;
           paint-order: stroke fill;
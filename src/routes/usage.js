@@ -0,0 +1,21 @@
+const express = require('express');
+const authMiddleware = require('./authMiddleware');
+const quotaService = require('../services/quotaService');
+
+const router = express.Router();
+
+/**
+ * GET /api/usage - Plan and remaining allowance per tool for the current day/month
+ * Returns: { plan, tools: { [jobType]: { label, unlimited, day?: { limit, used, remaining, resetAt }, month?: {...} } } }
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const usage = await quotaService.getUsage(req.user._id);
+    res.json(usage);
+  } catch (error) {
+    console.error('[Usage] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,7 @@ const {
   generateFilenameFromPrompt
 } = require('../geminiService');
 const { uploadVideoBuffer } = require('../s3Service');
+const videoThumbnailService = require('../services/videoThumbnailService');
 
 /**
  * POST /api/veo/generate
@@ -178,6 +179,7 @@ router.post('/generate-and-wait', authMiddleware, async (req, res) => {
             username,
             { customFilename }
           );
+          await videoThumbnailService.queueThumbnails(s3Result.key, { userId, username });
           
           processedVideos.push({
             ...video,
@@ -252,6 +254,7 @@ router.post('/download-and-upload', authMiddleware, async (req, res) => {
       username,
       { customFilename }
     );
+    await videoThumbnailService.queueThumbnails(s3Result.key, { userId, username });
 
     res.status(200).json({
       success: true,
@@ -19,6 +19,25 @@ const {
   createJob,
   getJob
 } = require('../videoEditJob');
+const { normalizeTimeline } = require('../videoTimeline');
+const { normalizeReframe } = require('../videoReframe');
+const { PRESETS: EXPORT_PRESETS, normalizeExport } = require('../videoExport');
+const { PRESETS: CAPTION_PRESETS, normalizeCaptionOptions, cleanScriptText } = require('../videoCaptions');
+const { normalizeHighlights } = require('../videoHighlights');
+const { normalizeJumpcut } = require('../videoJumpcut');
+const { EFFECTS, normalizeEffect } = require('../videoEffects');
+const { normalizeAnimation } = require('../videoAnimation');
+const { PRESETS: LOUDNESS_PRESETS, normalizeLoudness } = require('../audioLoudness');
+const brandKitService = require('../services/brandKitService');
+const videoRenditionService = require('../services/videoRenditionService');
+const videoThumbnailService = require('../services/videoThumbnailService');
+const videoMetadataService = require('../services/videoMetadataService');
+const { thumbnailKeys } = require('../videoThumbnails');
+const { apiBaseUrl } = require('../utils/signedUrls');
+const { isPrivateHost } = require('../utils/privateAddresses');
+const ScriptHistory = require('../models/ScriptHistory');
+const QueueJob = require('../models/QueueJob');
+const mongoose = require('mongoose');
 
 // GET /api/signed-url endpoint (after router is initialized)
 router.get('/signed-url', authMiddleware, async (req, res) => {
@@ -63,6 +82,8 @@ router.delete('/delete-video', authMiddleware, async (req, res) => {
   }
   try {
     await deleteVideoFromS3(s3Key);
+    // Thumbnails go with the video (best effort: they may not have been generated)
+    await Promise.all(Object.values(thumbnailKeys(s3Key)).map(key => deleteVideoFromS3(key).catch(() => {})));
 
     // Also delete the videoEditJob from MongoDB
     try {
@@ -154,6 +175,7 @@ router.post(
     try {
       const username = req.user && req.user.username ? req.user.username : null;
       const { url, key } = await uploadVideoBuffer(buffer, mimetype, userId, username, {});
+      await videoThumbnailService.queueThumbnails(key, { userId, username });
       res.json({ success: true, videoUrl: url, s3Key: key });
     } catch (err) {
       console.error('[UPLOAD-VIDEO] Error:', err);
@@ -217,6 +239,7 @@ router.get('/images', authMiddleware, async (req, res) => {
           description: dbRecord.description,
           prompt: dbRecord.prompt, // Add prompt from database
           provider: dbRecord.provider,
+          derivedFrom: dbRecord.derivedFrom && dbRecord.derivedFrom.kind ? dbRecord.derivedFrom : undefined,
           createdAt: dbRecord.createdAt || img.createdAt
         };
       }
@@ -312,6 +335,7 @@ router.post('/s3-multipart/complete', authMiddleware, async (req, res) => {
   }
   try {
     const { fileUrl } = await completeMultipartUpload(key, uploadId, parts);
+    await videoThumbnailService.queueThumbnails(key, { userId: req.user._id, username: req.user.username });
     res.json({ fileUrl });
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to complete multipart upload' });
@@ -336,20 +360,11 @@ router.post('/s3-multipart/abort', authMiddleware, async (req, res) => {
   }
 });
 
-/**
- * POST /api/video/crop
- * Body: { videoUrl (or s3Key), start, end }
- * Returns: { jobId, status }
- */
 const User = require('../models/User');
 
-router.post('/video/crop', authMiddleware, async (req, res) => {
-  const { videoUrl, s3Key, start, end, aspectRatio, exportName } = req.body;
-  // Extract userId from authenticated user
-  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+// Username of the authenticated user, fetched from the DB if the token lacks it
+async function resolveUsername(req, userId) {
   let username = req.user && req.user.username ? req.user.username : null;
-
-  // If username is missing, fetch from DB
   if (!username && userId) {
     try {
       const userDoc = await User.findById(userId).select('username');
@@ -357,9 +372,40 @@ router.post('/video/crop', authMiddleware, async (req, res) => {
         username = userDoc.username;
       }
     } catch (e) {
-      console.error('[VIDEO-CROP][API] Failed to fetch username from DB:', e);
+      console.error('[VIDEO-EDIT][API] Failed to fetch username from DB:', e);
     }
   }
+  return username;
+}
+
+// S3 prefixes holding the user's videos (uploads fall back to the userId without a username)
+function userVideoPrefixes(userId, username) {
+  const prefixes = [`videos/${userId}/`];
+  if (username) prefixes.push(`videos/${username}/`);
+  return prefixes;
+}
+
+// videoUrl inputs are downloaded by the worker, which refuses private addresses; reject the obvious ones here
+function isAllowedVideoUrl(videoUrl) {
+  let url;
+  try {
+    url = new URL(videoUrl);
+  } catch (err) {
+    return false;
+  }
+  return (url.protocol === 'http:' || url.protocol === 'https:') && !isPrivateHost(url.hostname);
+}
+
+/**
+ * POST /api/video/crop
+ * Body: { videoUrl (or s3Key), start, end, aspectRatio?, reframe?, keyframes?, watermark?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/crop', authMiddleware, async (req, res) => {
+  const { videoUrl, s3Key, start, end, aspectRatio, exportName } = req.body;
+  // Extract userId from authenticated user
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  const username = await resolveUsername(req, userId);
 
   
   if ((!videoUrl && !s3Key) || typeof start !== 'number' || typeof end !== 'number') {
@@ -368,6 +414,21 @@ router.post('/video/crop', authMiddleware, async (req, res) => {
   if (!userId) {
     return res.status(401).json({ error: 'User authentication required' });
   }
+  if (s3Key && (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix)))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+  let reframe;
+  let watermark;
+  try {
+    reframe = normalizeReframe(req.body);
+    watermark = await brandKitService.resolveWatermark(userId, req.body.watermark);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'NotFoundError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-CROP][API] Failed to validate crop options:', err);
+    return res.status(500).json({ error: 'Failed to create crop job' });
+  }
   try {
     const job = await createJob({
       type: 'crop',
@@ -376,6 +437,8 @@ router.post('/video/crop', authMiddleware, async (req, res) => {
       start,
       end,
       aspectRatio,
+      ...reframe,
+      watermark,
       userId,
       username,
       exportName
@@ -406,6 +469,714 @@ router.get('/video/crop/:job_id', async (req, res) => {
   });
 });
 
+/**
+ * POST /api/video/timeline
+ * Join several of the user's videos into one (processed by the crop worker)
+ * Body: { clips: [{ s3Key, in?, out?, transition? }], transition?, resolution?, fps?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/timeline', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+
+  let timeline;
+  try {
+    // Clips can only come from the user's own S3 folder
+    timeline = normalizeTimeline(req.body, userVideoPrefixes(userId, username));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-TIMELINE][API] Failed to validate timeline:', err);
+    return res.status(500).json({ error: 'Failed to create timeline job' });
+  }
+
+  try {
+    const job = await createJob({
+      type: 'timeline',
+      ...timeline,
+      userId,
+      username,
+      exportName: req.body.exportName
+    });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-TIMELINE][API] Failed to create timeline job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create timeline job' });
+  }
+});
+
+/**
+ * GET /api/video/timeline/:job_id
+ * Returns: { jobId, status, progress, error, downloadUrl, key }
+ */
+router.get('/video/timeline/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  // Other users' jobs answer as if they did not exist
+  if (!job || job.type !== 'timeline' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    downloadUrl: job.downloadUrl,
+    key: job.s3Key || null
+  });
+});
+
+/**
+ * Caption text and source of a captions request: a saved script or a finished TTS job
+ * @returns {Promise<{ text: string, source: { type: string, id: string } } | { error: string, status: number }>}
+ */
+async function resolveCaptionSource({ scriptId, ttsJobId }, userId) {
+  if (!!scriptId === !!ttsJobId) {
+    return { status: 400, error: 'Provide either scriptId or ttsJobId' };
+  }
+  if (scriptId) {
+    if (!mongoose.Types.ObjectId.isValid(String(scriptId))) {
+      return { status: 400, error: 'Invalid scriptId' };
+    }
+    const entry = await ScriptHistory.findOne({ _id: scriptId, userId }).lean();
+    if (!entry) return { status: 404, error: 'Script not found' };
+    return { text: cleanScriptText(entry.script), source: { type: 'script', id: String(entry._id) } };
+  }
+
+  const ttsJob = await QueueJob.findOne({ jobId: String(ttsJobId), type: 'tts' }).lean();
+  if (!ttsJob || ttsJob.userId !== userId) {
+    return { status: 404, error: 'TTS job not found' };
+  }
+  if (ttsJob.status !== 'completed') {
+    return { status: 409, error: `TTS job is ${ttsJob.status}` };
+  }
+  const text = String((ttsJob.data && ttsJob.data.text) || '').replace(/\s+/g, ' ').trim();
+  return { text, source: { type: 'tts', id: ttsJob.jobId } };
+}
+
+/**
+ * GET /api/video/captions/presets
+ * Returns: { presets: { [name]: style } }
+ */
+router.get('/video/captions/presets', (req, res) => {
+  res.json({ presets: CAPTION_PRESETS });
+});
+
+/**
+ * POST /api/video/captions
+ * Burn timed captions into one of the user's videos and/or export SRT/VTT next to it
+ * Body: { s3Key, scriptId | ttsJobId, preset?, style?, offset?, duration?, burnIn?, exportFormats?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/captions', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, exportName } = req.body;
+  if (!s3Key || typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix))) {
+    return res.status(400).json({ error: 'Missing s3Key, or it is not one of your videos' });
+  }
+
+  let options;
+  try {
+    options = normalizeCaptionOptions(req.body);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-CAPTIONS][API] Failed to validate caption options:', err);
+    return res.status(500).json({ error: 'Failed to create captions job' });
+  }
+
+  try {
+    const source = await resolveCaptionSource(req.body, userId);
+    if (source.error) {
+      return res.status(source.status).json({ error: source.error });
+    }
+    if (!source.text) {
+      return res.status(400).json({ error: 'The script has no text to caption' });
+    }
+    const job = await createJob({
+      type: 'captions',
+      s3Key,
+      userId,
+      username,
+      exportName,
+      captions: { ...options, source: source.source, text: source.text }
+    });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-CAPTIONS][API] Failed to create captions job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create captions job' });
+  }
+});
+
+/**
+ * GET /api/video/captions/:job_id
+ * Returns: { jobId, status, progress, error, downloadUrl, key, files }
+ */
+router.get('/video/captions/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || job.type !== 'captions' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    downloadUrl: job.downloadUrl,
+    key: job.status === 'completed' ? job.s3Key : null,
+    files: job.outputs || {}
+  });
+});
+
+/**
+ * GET /api/video/export/presets
+ * Returns: { presets: { [name]: preset } }
+ */
+router.get('/video/export/presets', (req, res) => {
+  res.json({ presets: EXPORT_PRESETS });
+});
+
+/**
+ * POST /api/video/export
+ * Render one video in several formats at once (one rendition per preset)
+ * Body: { s3Key | videoUrl, presets: (name | { name, preset?, aspectRatio?, resolution?, ... })[], reframe?, start?, end?, watermark?, loudness?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/export', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, videoUrl, exportName } = req.body;
+  if (!s3Key && !videoUrl) {
+    return res.status(400).json({ error: 'Missing s3Key or videoUrl' });
+  }
+  if (s3Key && (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix)))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+  if (!s3Key && !isAllowedVideoUrl(videoUrl)) {
+    return res.status(400).json({ error: 'videoUrl must be a public http(s) URL' });
+  }
+
+  let options;
+  let watermark;
+  try {
+    options = normalizeExport(req.body);
+    watermark = await brandKitService.resolveWatermark(userId, req.body.watermark);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'NotFoundError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-EXPORT][API] Failed to validate export options:', err);
+    return res.status(500).json({ error: 'Failed to create export job' });
+  }
+
+  try {
+    const job = await createJob({
+      type: 'export',
+      s3Key,
+      videoUrl: s3Key ? undefined : videoUrl,
+      ...options,
+      watermark,
+      userId,
+      username,
+      exportName
+    });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-EXPORT][API] Failed to create export job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create export job' });
+  }
+});
+
+/**
+ * GET /api/video/export/:job_id
+ * Returns: { jobId, status, progress, error, source, renditions: { [preset]: { key, url, width, height, ... } }, loudness }
+ */
+router.get('/video/export/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || job.type !== 'export' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const outputs = job.outputs || {};
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    source: job.s3Key || job.videoUrl || null,
+    presets: (job.exportPresets || []).map(preset => preset.name),
+    renditions: outputs.renditions || {},
+    loudness: outputs.loudness || null
+  });
+});
+
+// The user's video by id, null if it doesn't exist or belongs to someone else
+async function findOwnVideo(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.videoId)) return null;
+  const video = await Video.findById(req.params.videoId);
+  if (!video || String(video.owner) !== String(req.user._id)) return null;
+  return video;
+}
+
+/**
+ * POST /api/video/highlights
+ * Propose highlight segments of one of the user's videos, optionally cut the best ones as 9:16 clips
+ * Body: { s3Key, targetDuration?, count?, render?, reframe?, sceneThreshold?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/highlights', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, exportName } = req.body;
+  if (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+
+  let highlights;
+  try {
+    highlights = normalizeHighlights(req.body);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-HIGHLIGHTS][API] Failed to validate highlight options:', err);
+    return res.status(500).json({ error: 'Failed to create highlights job' });
+  }
+
+  try {
+    const job = await createJob({ type: 'highlights', s3Key, highlights, userId, username, exportName });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-HIGHLIGHTS][API] Failed to create highlights job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create highlights job' });
+  }
+});
+
+/**
+ * GET /api/video/highlights/:job_id
+ * Returns: { jobId, status, progress, error, source, segments, clips: [{ rank, jobId, status, progress, error, downloadUrl, key }] }
+ */
+router.get('/video/highlights/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || job.type !== 'highlights' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const outputs = job.outputs || {};
+  const clips = await Promise.all((outputs.clips || []).map(async (clip) => {
+    const clipJob = await getJob(clip.jobId);
+    if (!clipJob) return { ...clip, status: 'not_found' };
+    return {
+      ...clip,
+      status: clipJob.status,
+      progress: clipJob.progress,
+      error: clipJob.error,
+      downloadUrl: clipJob.downloadUrl,
+      key: clipJob.status === 'completed' ? clipJob.s3Key : null
+    };
+  }));
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    source: job.s3Key,
+    options: job.highlights,
+    duration: outputs.duration,
+    sceneCuts: outputs.sceneCuts,
+    segments: outputs.segments || [],
+    clips
+  });
+});
+
+/**
+ * POST /api/video/jumpcut
+ * Cut the silences out of a video (talking heads, tutorials)
+ * Body: { s3Key | videoUrl, threshold? (dB, default -35), minSilence? (s, default 0.6), padding? (s, default 0.15), exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/jumpcut', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, videoUrl, exportName } = req.body;
+  if (!s3Key && !videoUrl) {
+    return res.status(400).json({ error: 'Missing s3Key or videoUrl' });
+  }
+  if (s3Key && (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix)))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+  if (!s3Key && !isAllowedVideoUrl(videoUrl)) {
+    return res.status(400).json({ error: 'videoUrl must be a public http(s) URL' });
+  }
+
+  let jumpcut;
+  try {
+    jumpcut = normalizeJumpcut(req.body);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-JUMPCUT][API] Failed to validate jumpcut options:', err);
+    return res.status(500).json({ error: 'Failed to create jumpcut job' });
+  }
+
+  try {
+    const job = await createJob({
+      type: 'jumpcut',
+      s3Key,
+      videoUrl: s3Key ? undefined : videoUrl,
+      jumpcut,
+      userId,
+      username,
+      exportName
+    });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-JUMPCUT][API] Failed to create jumpcut job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create jumpcut job' });
+  }
+});
+
+/**
+ * GET /api/video/jumpcut/:job_id
+ * Returns: { jobId, status, progress, error, downloadUrl, key, cutList, files: { json, edl } }
+ * - cutList: { source, options, kept: [{ start, end, outputStart }], removed: [{ start, end, duration }],
+ *   originalDuration, editedDuration, removedDuration } (seconds)
+ */
+router.get('/video/jumpcut/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || job.type !== 'jumpcut' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const { cutList = null, ...files } = job.outputs || {};
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    downloadUrl: job.downloadUrl,
+    key: job.status === 'completed' ? job.s3Key : null,
+    cutList,
+    files
+  });
+});
+
+/**
+ * POST /api/video/effects
+ * Apply a playback effect to a video or to its start/end range
+ * Body: { s3Key | videoUrl, effect: 'speed' | 'reverse' | 'loop' | 'boomerang', speed?, loops?, start?, end?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/effects', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, videoUrl, exportName } = req.body;
+  if (!s3Key && !videoUrl) {
+    return res.status(400).json({ error: 'Missing s3Key or videoUrl' });
+  }
+  if (s3Key && (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix)))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+  if (!s3Key && !isAllowedVideoUrl(videoUrl)) {
+    return res.status(400).json({ error: 'videoUrl must be a public http(s) URL' });
+  }
+
+  let options;
+  try {
+    options = normalizeEffect(req.body);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-EFFECTS][API] Failed to validate effect options:', err);
+    return res.status(500).json({ error: 'Failed to create effect job' });
+  }
+
+  try {
+    const job = await createJob({
+      type: options.type,
+      s3Key,
+      videoUrl: s3Key ? undefined : videoUrl,
+      start: options.start,
+      end: options.end,
+      effect: options.effect,
+      userId,
+      username,
+      exportName
+    });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-EFFECTS][API] Failed to create effect job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create effect job' });
+  }
+});
+
+/**
+ * GET /api/video/effects/:job_id
+ * Returns: { jobId, effect, status, progress, error, downloadUrl, key }
+ */
+router.get('/video/effects/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || !EFFECTS.includes(job.type) || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({
+    jobId: job.jobId,
+    effect: job.type,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    downloadUrl: job.downloadUrl,
+    key: job.status === 'completed' ? job.s3Key : null
+  });
+});
+
+/**
+ * POST /api/video/animation
+ * Export part of one of the user's videos as an animated GIF, WebP or APNG (listed in /api/images)
+ * Body: { s3Key, format?, start?, end?, width?, fps?, palette?, dither?, quality?, plays?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/animation', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, exportName } = req.body;
+  if (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+
+  let animation;
+  try {
+    animation = normalizeAnimation(req.body);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-ANIMATION][API] Failed to validate animation options:', err);
+    return res.status(500).json({ error: 'Failed to create animation job' });
+  }
+
+  try {
+    const job = await createJob({ type: 'animation', s3Key, animation, userId, username, exportName });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-ANIMATION][API] Failed to create animation job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create animation job' });
+  }
+});
+
+/**
+ * GET /api/video/animation/:job_id
+ * Returns: { jobId, status, progress, error, format, downloadUrl, key, size }
+ */
+router.get('/video/animation/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || job.type !== 'animation' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const outputs = job.outputs || {};
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    format: job.animation && job.animation.format,
+    downloadUrl: job.downloadUrl,
+    key: job.status === 'completed' ? job.s3Key : null,
+    size: outputs.size || null
+  });
+});
+
+/**
+ * GET /api/video/loudness/presets
+ * Returns: { presets: { [name]: { label, target, truePeak, lra } } }
+ */
+router.get('/video/loudness/presets', (req, res) => {
+  res.json({ presets: LOUDNESS_PRESETS });
+});
+
+/**
+ * POST /api/video/loudness
+ * Measure the loudness of one of the user's videos and normalise it to a target (EBU R128)
+ * Body: { s3Key, preset?, target? (LUFS), truePeak? (dBTP), lra? (LU), analyzeOnly?, exportName? }
+ * Returns: { jobId, status }
+ */
+router.post('/video/loudness', authMiddleware, async (req, res) => {
+  const userId = req.user && req.user._id ? req.user._id.toString() : null;
+  if (!userId) {
+    return res.status(401).json({ error: 'User authentication required' });
+  }
+  const username = await resolveUsername(req, userId);
+  const { s3Key, preset, target, truePeak, lra, analyzeOnly, exportName } = req.body;
+  if (typeof s3Key !== 'string' || !userVideoPrefixes(userId, username).some(prefix => s3Key.startsWith(prefix))) {
+    return res.status(400).json({ error: 's3Key must be one of your videos' });
+  }
+
+  let loudness;
+  try {
+    loudness = { ...normalizeLoudness({ preset, target, truePeak, lra }), analyzeOnly: !!analyzeOnly };
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[VIDEO-LOUDNESS][API] Failed to validate loudness options:', err);
+    return res.status(500).json({ error: 'Failed to create loudness job' });
+  }
+
+  try {
+    const job = await createJob({ type: 'loudness', s3Key, loudness, userId, username, exportName });
+    res.json({ jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error('[VIDEO-LOUDNESS][API] Failed to create loudness job:', err);
+    res.status(500).json({ error: err.message || 'Failed to create loudness job' });
+  }
+});
+
+/**
+ * GET /api/video/loudness/:job_id
+ * Returns: { jobId, status, progress, error, downloadUrl, key, report }
+ * - key/downloadUrl: the normalised video (null when only analysing)
+ */
+router.get('/video/loudness/:job_id', authMiddleware, async (req, res) => {
+  const job = await getJob(req.params.job_id);
+  if (!job || job.type !== 'loudness' || job.userId !== String(req.user._id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const outputs = job.outputs || {};
+  const normalised = job.status === 'completed' && !(job.loudness && job.loudness.analyzeOnly);
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    downloadUrl: normalised ? job.downloadUrl : null,
+    key: normalised ? job.s3Key : null,
+    report: outputs.report || null
+  });
+});
+
+/**
+ * GET /api/video/stream/:videoId
+ * Streaming renditions of a library video
+ * Returns: { videoId, status, playlistUrl, previewUrl, variants, expiresAt }
+ * - status: pending | processing | ready | failed | null (never queued)
+ * - playlistUrl: signed HLS master playlist, valid until expiresAt (no auth header needed)
+ */
+router.get('/video/stream/:videoId', authMiddleware, async (req, res) => {
+  try {
+    const video = await findOwnVideo(req);
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    const renditions = video.renditions || {};
+    const result = {
+      videoId: video._id,
+      status: renditions.status || null,
+      error: renditions.error || null,
+      playlistUrl: null,
+      previewUrl: null,
+      variants: [],
+      expiresAt: null
+    };
+    if (renditions.status === 'ready') {
+      Object.assign(result, await videoRenditionService.playbackUrls(video, apiBaseUrl(req)));
+      result.variants = renditions.hls.variants.map(({ name, width, height, bandwidth }) => ({ name, width, height, bandwidth }));
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[VIDEO-RENDITIONS][API] Failed to get stream:', err);
+    res.status(500).json({ error: err.message || 'Failed to get stream' });
+  }
+});
+
+/**
+ * POST /api/video/stream/:videoId/renditions
+ * (Re)build the renditions of a video, e.g. after a failure
+ * Returns: { jobId, status }
+ */
+router.post('/video/stream/:videoId/renditions', authMiddleware, async (req, res) => {
+  try {
+    const video = await findOwnVideo(req);
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (['pending', 'processing'].includes(video.renditions && video.renditions.status)) {
+      return res.status(409).json({ error: 'Renditions are already being built', jobId: video.renditions.jobId });
+    }
+    const jobId = await videoRenditionService.queueRenditions(video, { username: req.user.username, force: true });
+    if (!jobId) return res.status(400).json({ error: 'This file has no streaming renditions' });
+    res.json({ jobId, status: 'pending' });
+  } catch (err) {
+    console.error('[VIDEO-RENDITIONS][API] Failed to queue renditions:', err);
+    res.status(500).json({ error: err.message || 'Failed to queue renditions' });
+  }
+});
+
+/**
+ * GET /api/video/stream/:videoId/:file?expires=...&sig=...
+ * Signed playlists: master.m3u8 and <variant>.m3u8 (segments are presigned S3 URLs)
+ */
+router.get('/video/stream/:videoId/:file', async (req, res) => {
+  try {
+    const { videoId, file } = req.params;
+    if (!videoRenditionService.verify(videoId, file, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+    const video = await Video.findById(videoId);
+    if (!video || !video.renditions || video.renditions.status !== 'ready') {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+    const playlist = file === 'master.m3u8'
+      ? await videoRenditionService.masterPlaylist(video, req.query.expires)
+      : await videoRenditionService.variantPlaylist(video, file.replace(/\.m3u8$/, ''));
+    if (playlist === null) return res.status(404).json({ error: 'Stream not found' });
+    res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(playlist);
+  } catch (err) {
+    console.error('[VIDEO-RENDITIONS][API] Failed to serve playlist:', err);
+    res.status(500).json({ error: err.message || 'Failed to serve playlist' });
+  }
+});
+
+/**
+ * GET /api/video/thumbnails.vtt?key=...&expires=...&sig=...
+ * WebVTT thumbnail track of a video, cues pointing at its sprite sheet (signed URL from /api/videos)
+ */
+router.get('/video/thumbnails.vtt', async (req, res) => {
+  try {
+    const { key, expires, sig } = req.query;
+    if (typeof key !== 'string' || !videoThumbnailService.verify(key, expires, sig)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+    const track = await videoThumbnailService.track(key);
+    res.set('Content-Type', 'text/vtt; charset=utf-8');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(track);
+  } catch (err) {
+    if (err.name === 'NoSuchKey') return res.status(404).json({ error: 'Thumbnails not found' });
+    console.error('[VIDEO-THUMBNAILS][API] Failed to serve track:', err);
+    res.status(500).json({ error: err.message || 'Failed to serve thumbnail track' });
+  }
+});
+
 // Register a video in the database (uploaded or AI-generated)
 
 router.post('/register-video', authMiddleware, async (req, res) => {
@@ -426,6 +1197,20 @@ router.post('/register-video', authMiddleware, async (req, res) => {
         provider: provider || '',
       });
       await video.save();
+      await videoRenditionService.queueRenditions(video, { username: req.user.username });
+      await videoThumbnailService.queueThumbnails(s3Key, { userId, username: req.user.username });
+    } else if (String(video.owner) === userId) {
+      // Job outputs get a record when the worker probes them; registering fills in the details
+      ['title', 'description', 'prompt', 'provider'].forEach((field) => {
+        if (req.body[field] && !video[field]) video[field] = req.body[field];
+      });
+      await video.save();
+      if (!video.renditions || !video.renditions.status) {
+        await videoRenditionService.queueRenditions(video, { username: req.user.username });
+      }
+    }
+    if (String(video.owner) === userId && !(video.media && video.media.probedAt)) {
+      await videoMetadataService.queueProbe(s3Key, { userId, username: req.user.username });
     }
     res.json({ success: true, video });
   } catch (err) {
@@ -0,0 +1,109 @@
+const express = require('express');
+const authMiddleware = require('./authMiddleware');
+const webhookService = require('../services/webhookService');
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function sendError(res, error, action) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`[Webhooks] ${action} error:`, error);
+  return res.status(500).json({ error: error.message });
+}
+
+// POST /api/webhooks - Register a webhook; the signing secret is only returned here
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { url, events, description } = req.body || {};
+    const { webhook, secret } = await webhookService.createWebhook(req.user._id, { url, events, description });
+    res.status(201).json({ success: true, webhook, secret });
+  } catch (error) {
+    sendError(res, error, 'Create webhook');
+  }
+});
+
+// GET /api/webhooks - List the user's webhooks and the events they can subscribe to
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.user._id);
+    res.json({ webhooks, events: webhookService.EVENTS });
+  } catch (error) {
+    sendError(res, error, 'List webhooks');
+  }
+});
+
+// GET /api/webhooks/:id
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.user._id, req.params.id);
+    res.json({ webhook: webhook.toJSON() });
+  } catch (error) {
+    sendError(res, error, 'Get webhook');
+  }
+});
+
+// PATCH /api/webhooks/:id - Change url, events, description or active
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await webhookService.updateWebhook(req.user._id, req.params.id, req.body || {});
+    res.json({ success: true, webhook });
+  } catch (error) {
+    sendError(res, error, 'Update webhook');
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Issue a new signing secret
+router.post('/:id/rotate-secret', authMiddleware, async (req, res) => {
+  try {
+    const { webhook, secret } = await webhookService.rotateSecret(req.user._id, req.params.id);
+    res.json({ success: true, webhook, secret });
+  } catch (error) {
+    sendError(res, error, 'Rotate webhook secret');
+  }
+});
+
+// DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await webhookService.deleteWebhook(req.user._id, req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Delete webhook');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Delivery log, newest first
+ * Query: status (pending | delivered | failed), page (default 1), limit (default 20, max 100)
+ * Returns: { deliveries, page, limit, total, totalPages }
+ */
+router.get('/:id/deliveries', authMiddleware, async (req, res) => {
+  const { status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status "${status}". Expected one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const { deliveries, total } = await webhookService.listDeliveries(req.user._id, req.params.id, {
+      status,
+      skip: (page - 1) * limit,
+      limit
+    });
+    res.json({ deliveries, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    sendError(res, error, 'List webhook deliveries');
+  }
+});
+
+module.exports = router;
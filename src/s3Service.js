@@ -5,6 +5,7 @@ const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/cl
 const { PutObjectCommand: PresignPutObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const crypto = require('crypto');
+const { thumbnailKeys } = require('./videoThumbnails');
 
 // Multipart upload imports
 const {
@@ -33,6 +34,10 @@ const s3 = new S3Client({
   },
 });
 
+// Files stored next to a video (same key, other extension) that are not videos themselves:
+// captions, thumbnails (see videoThumbnails.js) and jump-cut lists (see videoJumpcut.js)
+const SIDECAR_EXTENSIONS = ['srt', 'vtt', 'jpg', 'json', 'edl'];
+
 /**
  * Uploads a base64-encoded MP4 video to S3 and returns the public URL.
  * @param {string} videoBase64 - Base64-encoded MP4 string.
@@ -253,9 +258,12 @@ async function listUserVideosFromS3(userId, username) {
     if (!data.Contents) {
       return [];
     }
+    // Caption files etc. live next to the videos but are not videos
+    const videos = data.Contents.filter(obj => !SIDECAR_EXTENSIONS.includes(obj.Key.split('.').pop().toLowerCase()));
+    const allKeys = new Set(data.Contents.map(obj => obj.Key));
     // Fetch metadata for each video (parallel)
     const mapped = await Promise.all(
-      data.Contents.map(async (obj) => {
+      videos.map(async (obj) => {
         let isEdited = false;
         try {
           const head = await s3.send(new HeadObjectCommand({
@@ -275,7 +283,8 @@ async function listUserVideosFromS3(userId, username) {
           createdAt: obj.LastModified,
           size: obj.Size,
           isEdited,
-          // Thumbnail logic can be added if thumbnails are stored with a convention
+          // Keys of the poster, sprite sheet and thumbnail track, once generated
+          thumbnails: allKeys.has(thumbnailKeys(obj.Key).poster) ? thumbnailKeys(obj.Key) : null,
         };
       })
     );
@@ -523,8 +532,105 @@ async function uploadAudioBuffer(buffer, mimetype, userId, username, metadata =
   }
 }
 
+/**
+ * Uploads a file that belongs to a video (e.g. captions, thumbnails) next to it: same key, different extension.
+ * @param {Buffer|string} body - File contents.
+ * @param {string} contentType - MIME type (e.g., "application/x-subrip").
+ * @param {string} videoKey - S3 key of the video.
+ * @param {string} ext - Extension of the file, ending in one of SIDECAR_EXTENSIONS (e.g. "srt", "poster.jpg").
+ * @param {object} metadata - Additional metadata.
+ * @returns {Promise<{ url: string, key: string }>}
+ */
+async function uploadSidecarFile(body, contentType, videoKey, ext, metadata = {}) {
+  if (!videoKey) throw new Error('videoKey is required');
+  if (!ext || !SIDECAR_EXTENSIONS.includes(ext.split('.').pop())) throw new Error(`Unsupported sidecar extension: ${ext}`);
+  const key = `${videoKey.replace(/\.[^./]+$/, '')}.${ext}`;
+  try {
+    await s3.send(new PutObjectCommand({
+      Bucket: AWS_BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Metadata: { ...metadata, video: videoKey },
+    }));
+    const url = `https://${AWS_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/${key}`;
+    return { url, key };
+  } catch (err) {
+    console.error('[S3][UPLOAD][SIDECAR] Failed:', err);
+    throw new Error(`Failed to upload .${ext} file to S3`);
+  }
+}
+
+/**
+ * Uploads a brand kit asset (logo) to brand-kits/{userId}/.
+ * @param {Buffer} buffer - File contents.
+ * @param {string} mimetype - MIME type (e.g., "image/png").
+ * @param {string} userId - MongoDB ObjectId of the kit's owner.
+ * @param {object} metadata - Additional metadata.
+ * @returns {Promise<{ url: string, key: string }>}
+ */
+async function uploadBrandAsset(buffer, mimetype, userId, metadata = {}) {
+  if (!userId) {
+    throw new Error('userId is required for brand asset upload');
+  }
+  const ext = (mimetype && mimetype.split('/')[1]) || 'png';
+  const key = `brand-kits/${userId}/logo-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${ext}`;
+  try {
+    await s3.send(new PutObjectCommand({
+      Bucket: AWS_BUCKET_NAME,
+      Key: key,
+      Body: buffer,
+      ContentType: mimetype || 'image/png',
+      Metadata: { ...metadata, userid: String(userId) },
+    }));
+    const url = `https://${AWS_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/${key}`;
+    return { url, key };
+  } catch (err) {
+    console.error('[S3][UPLOAD][BRAND] Failed:', err);
+    throw new Error('Failed to upload brand asset to S3');
+  }
+}
+
+/**
+ * Uploads a file of a video's streaming renditions (HLS playlists/segments, preview) under renditions/.
+ * @param {Buffer|string} body - File contents.
+ * @param {string} contentType - MIME type (e.g., "application/vnd.apple.mpegurl").
+ * @param {string} key - Full S3 key, starting with renditions/.
+ * @returns {Promise<{ url: string, key: string }>}
+ */
+async function uploadRenditionFile(body, contentType, key) {
+  if (!key || !key.startsWith('renditions/')) throw new Error('Rendition keys must start with renditions/');
+  try {
+    await s3.send(new PutObjectCommand({
+      Bucket: AWS_BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    }));
+    const url = `https://${AWS_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/${key}`;
+    return { url, key };
+  } catch (err) {
+    console.error('[S3][UPLOAD][RENDITION] Failed:', err);
+    throw new Error('Failed to upload rendition to S3');
+  }
+}
+
+/**
+ * Presigned GET URL of an object.
+ * @param {string} key - S3 object key.
+ * @param {number} expiresIn - Seconds the URL stays valid.
+ * @returns {Promise<string>}
+ */
+async function getSignedDownloadUrl(key, expiresIn = 3600) {
+  return getSignedUrl(s3, new GetObjectCommand({ Bucket: AWS_BUCKET_NAME, Key: key }), { expiresIn });
+}
+
 module.exports = {
    uploadAudioBuffer, 
+  uploadSidecarFile,
+  uploadBrandAsset,
+  uploadRenditionFile,
+  getSignedDownloadUrl,
   uploadVideoBase64,
   uploadVideoBuffer,
   uploadImageBuffer,
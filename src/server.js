@@ -193,6 +193,18 @@ mongoose
     const schedulingService = require('./services/schedulingService');
     schedulingService.ensureProcessingJob();
 
+    // Recover unfinished AI jobs and start processing the persistent queues
+    const jobQueue = require('./services/jobQueueService');
+    jobQueue.start();
+
+    // Follow running content pipelines (after the queues have recovered their jobs)
+    const pipelineService = require('./services/pipelineService');
+    pipelineService.start();
+
+    // Forward job/publish events to user webhooks and retry failed deliveries
+    const webhookService = require('./services/webhookService');
+    webhookService.start();
+
     app.listen(PORT, () => {
     });
   })
@@ -0,0 +1,305 @@
+/**
+ * brandKitService.js
+ * Brand kits: a user's logos, colour palette, fonts and watermark settings,
+ * applied to rendered assets instead of being added by hand afterwards.
+ *
+ * - Crop and export jobs take `watermark` (true = the default kit) and get
+ *   the kit's logo overlaid by the crop worker (see videoWatermark.js)
+ * - Thumbnail generation uses the kit's fonts and colours for text overlays
+ * - A user can keep several kits; one is the default. Jobs store a snapshot
+ *   of the settings they use, so editing a kit does not change queued jobs.
+ */
+
+const mongoose = require('mongoose');
+const BrandKit = require('../models/BrandKit');
+const { uploadBrandAsset, deleteVideoFromS3 } = require('../s3Service');
+const { POSITIONS } = require('../videoWatermark');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const MAX_KITS_PER_USER = parseInt(process.env.BRAND_KIT_MAX_PER_USER, 10) || 10;
+const MAX_LOGOS = 10;
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const COLOR_FIELDS = ['primary', 'secondary', 'accent', 'text', 'background'];
+const FONT_FIELDS = ['heading', 'body'];
+
+function validateId(id, what) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${what} ID format`);
+  }
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new ValidationError('name must be a non-empty string of up to 100 characters');
+  }
+  return name.trim();
+}
+
+// { primary?, secondary?, ... } of #RRGGBB colours; null clears a colour
+function validateColors(colors, current = {}) {
+  if (typeof colors !== 'object' || colors === null || Array.isArray(colors)) {
+    throw new ValidationError(`colors must be an object with ${COLOR_FIELDS.join(', ')}`);
+  }
+  const result = { ...current };
+  Object.keys(colors).forEach((field) => {
+    if (!COLOR_FIELDS.includes(field)) {
+      throw new ValidationError(`Unknown color "${field}" (${COLOR_FIELDS.join(', ')})`);
+    }
+    const value = colors[field];
+    if (value !== null && !/^#[0-9a-fA-F]{6}$/.test(value)) {
+      throw new ValidationError(`colors.${field} must look like #RRGGBB`);
+    }
+    result[field] = value ? value.toUpperCase() : undefined;
+  });
+  return result;
+}
+
+// Family names only: they end up in SVG styles and ffmpeg filters
+function validateFonts(fonts, current = {}) {
+  if (typeof fonts !== 'object' || fonts === null || Array.isArray(fonts)) {
+    throw new ValidationError(`fonts must be an object with ${FONT_FIELDS.join(', ')}`);
+  }
+  const result = { ...current };
+  Object.keys(fonts).forEach((field) => {
+    if (!FONT_FIELDS.includes(field)) {
+      throw new ValidationError(`Unknown font "${field}" (${FONT_FIELDS.join(', ')})`);
+    }
+    const value = fonts[field];
+    if (value !== null && (typeof value !== 'string' || !/^[\w][\w \-]{0,63}$/.test(value))) {
+      throw new ValidationError(`fonts.${field} must be a font family name (letters, digits, spaces and dashes)`);
+    }
+    result[field] = value ? value.trim() : undefined;
+  });
+  return result;
+}
+
+// { logoId?, position?, opacity?, scale?, margin? }
+function validateWatermark(watermark, current = {}) {
+  if (typeof watermark !== 'object' || watermark === null || Array.isArray(watermark)) {
+    throw new ValidationError('watermark must be an object');
+  }
+  const result = { ...current };
+  const { logoId, position, opacity, scale, margin } = watermark;
+  if (logoId !== undefined) {
+    if (logoId !== null) validateId(logoId, 'logo');
+    result.logoId = logoId;
+  }
+  if (position !== undefined) {
+    if (!POSITIONS.includes(position)) {
+      throw new ValidationError(`watermark.position must be one of ${POSITIONS.join(', ')}`);
+    }
+    result.position = position;
+  }
+  if (opacity !== undefined) {
+    if (typeof opacity !== 'number' || !(opacity > 0) || opacity > 1) {
+      throw new ValidationError('watermark.opacity must be a number between 0 and 1');
+    }
+    result.opacity = opacity;
+  }
+  if (scale !== undefined) {
+    if (typeof scale !== 'number' || scale < 0.02 || scale > 0.5) {
+      throw new ValidationError('watermark.scale must be between 0.02 and 0.5 (fraction of the video width)');
+    }
+    result.scale = scale;
+  }
+  if (margin !== undefined) {
+    if (typeof margin !== 'number' || margin < 0 || margin > 0.2) {
+      throw new ValidationError('watermark.margin must be between 0 and 0.2 (fraction of the video width)');
+    }
+    result.margin = margin;
+  }
+  return result;
+}
+
+// Nested settings (colors, fonts, watermark) of a kit as a plain object
+function settingsOf(kit, field) {
+  return kit.toObject()[field] || {};
+}
+
+class BrandKitService {
+  /**
+   * Create a brand kit; the user's first kit becomes the default
+   * @param {string} userId - Owner
+   * @param {object} input - { name, colors?, fonts?, watermark?, isDefault? }
+   */
+  async createKit(userId, { name, colors, fonts, watermark, isDefault } = {}) {
+    const count = await BrandKit.countDocuments({ userId });
+    if (count >= MAX_KITS_PER_USER) {
+      throw new ValidationError(`You can have at most ${MAX_KITS_PER_USER} brand kits`);
+    }
+
+    const kit = new BrandKit({
+      userId,
+      name: validateName(name),
+      colors: colors === undefined ? {} : validateColors(colors),
+      fonts: fonts === undefined ? {} : validateFonts(fonts),
+      isDefault: count === 0 || isDefault === true
+    });
+    if (watermark !== undefined) {
+      kit.watermark = validateWatermark(watermark, settingsOf(kit, 'watermark'));
+    }
+    if (kit.isDefault) {
+      await BrandKit.updateMany({ userId, isDefault: true }, { $set: { isDefault: false } });
+    }
+    await kit.save();
+    return kit.toJSON();
+  }
+
+  async listKits(userId) {
+    const kits = await BrandKit.find({ userId }).sort({ isDefault: -1, createdAt: -1 });
+    return kits.map(kit => kit.toJSON());
+  }
+
+  async getKit(userId, kitId) {
+    validateId(kitId, 'brand kit');
+    const kit = await BrandKit.findOne({ _id: kitId, userId });
+    if (!kit) {
+      throw new NotFoundError('Brand kit not found');
+    }
+    return kit;
+  }
+
+  /**
+   * Update name, colors, fonts or watermark (merged field by field), or make the kit the default
+   */
+  async updateKit(userId, kitId, updates = {}) {
+    const kit = await this.getKit(userId, kitId);
+
+    if (updates.name !== undefined) kit.name = validateName(updates.name);
+    if (updates.colors !== undefined) kit.colors = validateColors(updates.colors, settingsOf(kit, 'colors'));
+    if (updates.fonts !== undefined) kit.fonts = validateFonts(updates.fonts, settingsOf(kit, 'fonts'));
+    if (updates.watermark !== undefined) {
+      const watermark = validateWatermark(updates.watermark, settingsOf(kit, 'watermark'));
+      if (watermark.logoId && !kit.logos.id(watermark.logoId)) {
+        throw new ValidationError('watermark.logoId is not a logo of this brand kit');
+      }
+      kit.watermark = watermark;
+    }
+    if (updates.isDefault === true && !kit.isDefault) {
+      await BrandKit.updateMany({ userId, isDefault: true }, { $set: { isDefault: false } });
+      kit.isDefault = true;
+    }
+
+    await kit.save();
+    return kit.toJSON();
+  }
+
+  /**
+   * Delete a kit and its logos; another kit becomes the default if needed
+   */
+  async deleteKit(userId, kitId) {
+    const kit = await this.getKit(userId, kitId);
+    await BrandKit.deleteOne({ _id: kit._id });
+    await Promise.all(kit.logos.map(logo => deleteVideoFromS3(logo.s3Key).catch((err) => {
+      console.error(`[BrandKits] Failed to delete logo ${logo.s3Key}:`, err.message);
+    })));
+    if (kit.isDefault) {
+      await BrandKit.findOneAndUpdate({ userId }, { $set: { isDefault: true } }, { sort: { createdAt: -1 } });
+    }
+    return { success: true };
+  }
+
+  /**
+   * Upload a logo to the kit
+   * @param {object} file - multer file { buffer, mimetype, originalname }
+   */
+  async addLogo(userId, kitId, file, name) {
+    const kit = await this.getKit(userId, kitId);
+    if (!file || !file.buffer) {
+      throw new ValidationError('A logo file is required');
+    }
+    if (!LOGO_TYPES.includes(file.mimetype)) {
+      throw new ValidationError(`Logos must be ${LOGO_TYPES.join(', ')}`);
+    }
+    if (kit.logos.length >= MAX_LOGOS) {
+      throw new ValidationError(`A brand kit can have at most ${MAX_LOGOS} logos`);
+    }
+
+    const { url, key } = await uploadBrandAsset(file.buffer, file.mimetype, String(userId), { brandkit: String(kit._id) });
+    kit.logos.push({
+      name: typeof name === 'string' && name ? name.slice(0, 100) : (file.originalname || ''),
+      s3Key: key,
+      url,
+      contentType: file.mimetype
+    });
+    await kit.save();
+    return kit.toJSON();
+  }
+
+  async removeLogo(userId, kitId, logoId) {
+    const kit = await this.getKit(userId, kitId);
+    validateId(logoId, 'logo');
+    const logo = kit.logos.id(logoId);
+    if (!logo) {
+      throw new NotFoundError('Logo not found');
+    }
+    logo.deleteOne();
+    if (kit.watermark.logoId && String(kit.watermark.logoId) === String(logoId)) {
+      kit.watermark.logoId = null;
+    }
+    await kit.save();
+    await deleteVideoFromS3(logo.s3Key).catch((err) => {
+      console.error(`[BrandKits] Failed to delete logo ${logo.s3Key}:`, err.message);
+    });
+    return kit.toJSON();
+  }
+
+  /**
+   * The kit a job asks for: an id, or the user's default kit
+   * @returns {Promise<object|null>} null when the user has no default kit
+   */
+  async findKit(userId, kitId) {
+    if (kitId) return this.getKit(userId, kitId);
+    return BrandKit.findOne({ userId, isDefault: true });
+  }
+
+  /**
+   * Watermark settings for a crop/export job
+   * @param {string} userId
+   * @param {boolean|object} option - true (default kit) or { brandKitId?, logoId?, position?, opacity?, scale?, margin? }
+   *   overriding the kit's settings for this job
+   * @returns {Promise<object|undefined>} { s3Key, position, opacity, scale, margin }, undefined for no watermark
+   * @throws {ValidationError} If the kit or logo is missing
+   */
+  async resolveWatermark(userId, option) {
+    if (option === undefined || option === null || option === false) return undefined;
+    if (option !== true && (typeof option !== 'object' || Array.isArray(option))) {
+      throw new ValidationError('watermark must be true or an object');
+    }
+    const { brandKitId, ...overrides } = option === true ? {} : option;
+    const kit = await this.findKit(userId, brandKitId);
+    if (!kit) {
+      throw new ValidationError('No brand kit: create one (POST /api/brand-kits) or pass watermark.brandKitId');
+    }
+    const settings = validateWatermark(overrides, settingsOf(kit, 'watermark'));
+    const logo = settings.logoId ? kit.logos.id(settings.logoId) : kit.logos[0];
+    if (!logo) {
+      throw new ValidationError(`Brand kit "${kit.name}" has no ${settings.logoId ? 'such ' : ''}logo`);
+    }
+    return {
+      brandKitId: String(kit._id),
+      s3Key: logo.s3Key,
+      position: settings.position,
+      opacity: settings.opacity,
+      scale: settings.scale,
+      margin: settings.margin
+    };
+  }
+
+  /**
+   * Colours and fonts for thumbnail generation
+   * @param {string} userId
+   * @param {string} brandKit - A kit id, 'default' or 'none'
+   * @returns {Promise<object|null>} { name, colors, fonts }, null for none (or no default kit)
+   */
+  async resolveBrand(userId, brandKit = 'default') {
+    if (brandKit === 'none' || !mongoose.Types.ObjectId.isValid(String(userId))) return null;
+    const kit = await this.findKit(userId, brandKit === 'default' ? null : brandKit);
+    if (!kit) return null;
+    return { name: kit.name, colors: settingsOf(kit, 'colors'), fonts: settingsOf(kit, 'fonts') };
+  }
+}
+
+const brandKitService = new BrandKitService();
+
+module.exports = brandKitService;
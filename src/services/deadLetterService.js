@@ -0,0 +1,173 @@
+/**
+ * deadLetterService.js
+ * Admin access to queue jobs that failed for good (DeadLetterJob)
+ *
+ * jobQueueService writes an entry whenever a job ends as failed; this service
+ * lists and inspects them, replays them as new jobs or discards them.
+ * Bulk operations take either explicit jobIds or the same filters as the list.
+ */
+
+const DeadLetterJob = require('../models/DeadLetterJob');
+const jobQueue = require('./jobQueueService');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_BULK = 100;
+
+/**
+ * Build a Mongo query from list filters
+ * @param {object} filter - { type, status, category, userId, startDate, endDate } (type/status/category may be arrays)
+ */
+function buildQuery(filter = {}) {
+  const query = {};
+  ['type', 'status', 'category'].forEach(field => {
+    const value = filter[field];
+    if (Array.isArray(value) && value.length) query[field] = { $in: value };
+    else if (typeof value === 'string' && value) query[field] = value;
+  });
+  if (filter.userId) query.userId = String(filter.userId);
+  if (filter.startDate || filter.endDate) {
+    query.failedAt = {};
+    if (filter.startDate) query.failedAt.$gte = filter.startDate;
+    if (filter.endDate) query.failedAt.$lte = filter.endDate;
+  }
+  return query;
+}
+
+// Replays need the processor inputs; uploaded files were only held in memory
+function replayBlocker(entry) {
+  if (entry.hasFiles) return 'Job was created from an uploaded file, which is not kept';
+  if (!jobQueue.getTypes().includes(entry.type)) return `No queue for job type "${entry.type}"`;
+  return null;
+}
+
+function toListItem(entry) {
+  return {
+    jobId: entry.jobId,
+    type: entry.type,
+    userId: entry.userId,
+    status: entry.status,
+    error: entry.error,
+    category: entry.category,
+    statusCode: entry.statusCode,
+    attempts: entry.attempts,
+    metadata: entry.metadata || {},
+    replayable: !replayBlocker(entry),
+    replays: (entry.replays || []).length,
+    jobCreatedAt: entry.jobCreatedAt,
+    failedAt: entry.failedAt
+  };
+}
+
+class DeadLetterService {
+  /**
+   * List dead-letter entries, newest failure first
+   * @param {object} filter - See buildQuery
+   * @param {object} options - { skip, limit }
+   * @returns {Promise<{ entries: object[], total: number }>}
+   */
+  async list(filter, { skip = 0, limit = 20 } = {}) {
+    const query = buildQuery(filter);
+    const [entries, total] = await Promise.all([
+      DeadLetterJob.find(query)
+        .select('-data -stack -providerResponse -attemptHistory')
+        .sort({ failedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      DeadLetterJob.countDocuments(query)
+    ]);
+    return { entries: entries.map(toListItem), total };
+  }
+
+  /**
+   * Full entry: inputs, stack, provider response and attempt history
+   * @param {string} jobId - Original job ID
+   * @returns {Promise<object|null>}
+   */
+  async get(jobId) {
+    const entry = await DeadLetterJob.findOne({ jobId }).lean();
+    if (!entry) return null;
+    const { _id, __v, ...rest } = entry;
+    return { ...rest, replayable: !replayBlocker(entry), replayBlockedReason: replayBlocker(entry) };
+  }
+
+  // Entries selected by { jobIds } or { filter } for a bulk operation; defaults fill
+  // filter fields the caller left out
+  async select({ jobIds, filter } = {}, defaults = {}) {
+    if (Array.isArray(jobIds) && jobIds.length) {
+      if (jobIds.length > MAX_BULK) {
+        throw new ValidationError(`At most ${MAX_BULK} jobs per request`);
+      }
+      return DeadLetterJob.find({ jobId: { $in: jobIds.map(String) } }).lean();
+    }
+    const query = filter && typeof filter === 'object' ? buildQuery(filter) : {};
+    if (Object.keys(query).length) {
+      return DeadLetterJob.find({ ...defaults, ...query }).sort({ failedAt: 1 }).limit(MAX_BULK).lean();
+    }
+    throw new ValidationError('Provide jobIds or a filter (type, status, category, userId, startDate, endDate)');
+  }
+
+  /**
+   * Submit selected entries again as new jobs with the original inputs.
+   * Replays skip the user's queue cap and usage quota. A filter without a status
+   * only matches entries not replayed yet, so repeated calls work through the backlog.
+   * @param {object} selection - { jobIds } or { filter }
+   * @param {string} adminId - Admin who asked for the replay
+   * @returns {Promise<object[]>} One result per entry: { jobId, replayJobId } or { jobId, error }
+   */
+  async replay(selection, adminId) {
+    const entries = await this.select(selection, { status: 'dead' });
+    const results = [];
+
+    for (const entry of entries) {
+      const blocker = replayBlocker(entry);
+      if (blocker) {
+        results.push({ jobId: entry.jobId, error: blocker });
+        continue;
+      }
+
+      try {
+        const status = await jobQueue.addJob(entry.type, entry.data || {}, {
+          userId: entry.userId,
+          metadata: { ...(entry.metadata || {}), replayOf: entry.jobId },
+          skipLimits: true
+        });
+        await DeadLetterJob.updateOne(
+          { jobId: entry.jobId },
+          {
+            $set: { status: 'replayed', updatedAt: new Date() },
+            $push: { replays: { jobId: status.jobId, replayedAt: new Date(), replayedBy: adminId ? String(adminId) : null } }
+          }
+        );
+        console.log(`[DeadLetter] Replayed ${entry.type} job ${entry.jobId} as ${status.jobId}`);
+        results.push({ jobId: entry.jobId, replayJobId: status.jobId });
+      } catch (err) {
+        console.error(`[DeadLetter] Failed to replay job ${entry.jobId}:`, err.message);
+        results.push({ jobId: entry.jobId, error: err.message });
+      }
+    }
+
+    if (Array.isArray(selection.jobIds)) {
+      const found = new Set(entries.map(entry => entry.jobId));
+      selection.jobIds.filter(jobId => !found.has(String(jobId)))
+        .forEach(jobId => results.push({ jobId, error: 'Not found' }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete selected entries
+   * @param {object} selection - { jobIds } or { filter }
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async discard(selection) {
+    const entries = await this.select(selection);
+    if (entries.length === 0) return 0;
+    const result = await DeadLetterJob.deleteMany({ jobId: { $in: entries.map(entry => entry.jobId) } });
+    console.log(`[DeadLetter] Discarded ${result.deletedCount} entries`);
+    return result.deletedCount;
+  }
+}
+
+module.exports = new DeadLetterService();
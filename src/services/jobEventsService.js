@@ -0,0 +1,132 @@
+/**
+ * jobEventsService.js
+ * Single source of job lifecycle events for real-time clients (SSE)
+ *
+ * - AI queue jobs: forwarded from jobQueueService 'job' events
+ * - Video edit (crop) jobs: run in the separate crop worker process, so their
+ *   changes are picked up by polling the videoEditJobs collection while at
+ *   least one client is subscribed
+ *
+ * Event shape: { event, jobId, type, userId, status, timestamp, ... }
+ */
+
+const jobQueue = require('./jobQueueService');
+const { getJobsUpdatedSince } = require('../videoEditJob');
+
+const EDIT_JOB_POLL_INTERVAL = parseInt(process.env.EDIT_JOB_EVENTS_POLL_MS, 10) || 2000;
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobEventsService {
+  constructor() {
+    this.subscribers = new Set();
+    this.editJobState = new Map(); // jobId -> { status, progress }
+    this.editJobTimer = null;
+    this.lastEditJobCheck = null;
+    this.polling = false;
+
+    jobQueue.on('job', (event) => this.publish(event));
+  }
+
+  /**
+   * Subscribe to job events
+   * @param {object} filter - { jobId } for one job or { userId } for all of a user's jobs
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filter, listener) {
+    const subscriber = { filter, listener };
+    this.subscribers.add(subscriber);
+    this.startEditJobWatcher();
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) {
+        this.stopEditJobWatcher();
+      }
+    };
+  }
+
+  publish(event) {
+    for (const { filter, listener } of this.subscribers) {
+      if (filter.jobId && filter.jobId !== event.jobId) continue;
+      if (filter.userId && filter.userId !== event.userId) continue;
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('[JobEvents] Listener failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Build an event from a video edit job document
+   * @param {object} job - videoEditJobs document
+   * @param {string} [event] - Event name (defaults to the job's status)
+   * @returns {object}
+   */
+  buildEditJobEvent(job, event) {
+    // Edit jobs wait as 'pending'; clients see the same 'queued' status as AI jobs
+    const status = job.status === 'pending' ? 'queued' : job.status;
+    const payload = {
+      event: event || status,
+      jobId: job.jobId,
+      type: job.type,
+      userId: job.userId || null,
+      status,
+      timestamp: Date.now()
+    };
+    if (status === 'processing') payload.progress = typeof job.progress === 'number' ? job.progress : null;
+    if (status === 'completed') {
+      payload.result = { downloadUrl: job.downloadUrl, s3Key: job.s3Key };
+    }
+    if (status === 'failed') payload.error = job.error;
+    return payload;
+  }
+
+  startEditJobWatcher() {
+    if (this.editJobTimer) return;
+    this.lastEditJobCheck = new Date();
+    this.editJobTimer = setInterval(() => this.pollEditJobs(), EDIT_JOB_POLL_INTERVAL);
+  }
+
+  stopEditJobWatcher() {
+    clearInterval(this.editJobTimer);
+    this.editJobTimer = null;
+    this.editJobState.clear();
+  }
+
+  async pollEditJobs() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const jobs = await getJobsUpdatedSince(this.lastEditJobCheck);
+      for (const job of jobs) {
+        if (job.updatedAt > this.lastEditJobCheck) {
+          this.lastEditJobCheck = job.updatedAt;
+        }
+
+        const previous = this.editJobState.get(job.jobId);
+        if (previous && previous.status === job.status && previous.progress === job.progress) continue;
+
+        const event = previous && previous.status === job.status && job.status === 'processing'
+          ? 'progress'
+          : undefined;
+        this.publish(this.buildEditJobEvent(job, event));
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+          this.editJobState.delete(job.jobId);
+        } else {
+          this.editJobState.set(job.jobId, { status: job.status, progress: job.progress });
+        }
+      }
+    } catch (err) {
+      console.error('[JobEvents] Failed to poll video edit jobs:', err.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobEventsService();
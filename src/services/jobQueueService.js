@@ -0,0 +1,1219 @@
+/**
+ * jobQueueService.js
+ * Persistent job queue engine shared by every AI tool queue
+ *
+ * Job state, inputs and results are stored in MongoDB (queueJobs collection),
+ * so queued and finished jobs survive deploys and crashes. Each tool defines its
+ * queue and registers a processor for its job type; the engine claims jobs,
+ * runs them with a timeout and records the outcome.
+ *
+ * Usage:
+ * jobQueue.defineQueue('tts', { label: 'TtsQueue', concurrency: 1, timeout: 3 * 60 * 1000 });
+ * jobQueue.registerProcessor('tts', async (data, job) => ({ ... }));
+ * const status = await jobQueue.addJob('tts', { text, voiceId }, { userId });
+ * const current = await jobQueue.getJobStatus(status.jobId, 'tts');
+ *
+ * Scheduling:
+ * - Queued jobs are claimed round-robin across users: each user's jobs run in
+ *   submission order, but one user's backlog cannot hold up everyone else.
+ * - Concurrency can be overridden per queue with QUEUE_<TYPE>_CONCURRENCY
+ *   (e.g. QUEUE_VEO_VIDEO_CONCURRENCY=2).
+ * - Each user may have at most maxQueuedPerUser jobs waiting per queue
+ *   (QUEUE_<TYPE>_MAX_QUEUED_PER_USER, QUEUE_MAX_QUEUED_PER_USER, default 5).
+ *   Waiting jobs are counted in queuedJobCounters, taken with a conditional
+ *   update so concurrent submissions cannot go over the cap; a job gives its
+ *   slot back when it first starts or is cancelled before starting.
+ * - Adding a job uses up one of the user's daily/monthly allowance for the job
+ *   type (services/quotaService.js); it is handed back if the job is cancelled
+ *   before it starts.
+ *
+ * Retries:
+ * - Failed jobs are classified (utils/jobErrors.js). Retryable errors (quota, network,
+ *   timeout, 5xx) put the job back in the queue after an exponential backoff with
+ *   jitter, until the queue's retry.maxAttempts is reached (QUEUE_<TYPE>_MAX_ATTEMPTS).
+ *   Terminal errors (content policy, validation) fail the job straight away.
+ * - Every failed attempt is recorded in attemptHistory and returned by getJobStatus.
+ * - Jobs that fail for good are copied to the dead-letter collection (DeadLetterJob)
+ *   with their inputs, error stack and provider response; admins can replay them
+ *   (services/deadLetterService.js).
+ *
+ * Cancellation:
+ * - cancelJob works for queued and running jobs. Running jobs get their
+ *   job.signal (AbortSignal) aborted and their slot is freed right away;
+ *   processors should pass the signal to HTTP calls, stop polling and kill
+ *   child processes. The job ends in the 'cancelled' state.
+ * - The job timeout aborts job.signal as well, so timed out work stops too.
+ *
+ * Events:
+ * - The service is an EventEmitter. Every job state change is emitted as a 'job'
+ *   event: { event, jobId, type, userId, status, timestamp, ... } where event is
+ *   queued, position-changed, processing, progress, retrying, completed, failed or cancelled.
+ * - Processors can report progress with job.reportProgress(percent, message).
+ *
+ * Notes:
+ * - Job data must be JSON-serialisable. Uploaded files can be passed as `files`;
+ *   they are held in memory only, so such jobs are failed if the server restarts.
+ * - Recovery on startup assumes a single API instance owns the queues.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const QueueJob = require('../models/QueueJob');
+const DeadLetterJob = require('../models/DeadLetterJob');
+const QueuedJobCounter = require('../models/QueuedJobCounter');
+const quotaService = require('./quotaService');
+const { classifyError } = require('../utils/jobErrors');
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_ESTIMATED_TIME = 30; // seconds per job
+const DEFAULT_MAX_QUEUED_PER_USER = 5;
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  baseDelay: 5000, // 5s before the first retry, doubling after each attempt
+  maxDelay: 5 * 60 * 1000 // Never wait more than 5 minutes between attempts
+};
+
+// Jobs without a user share one scheduling slot and are not subject to the per-user cap
+const ANONYMOUS_USER = 'anonymous';
+
+// How long finished jobs are kept before the TTL index removes them (default 7 days)
+const RETENTION_MS = (parseInt(process.env.QUEUE_JOB_RETENTION_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
+
+// Provider responses larger than this are stored truncated in the dead-letter entry
+const MAX_PROVIDER_RESPONSE_LENGTH = 10000;
+
+const toMillis = (date) => (date ? new Date(date).getTime() : null);
+
+const userKey = (userId) => (userId ? String(userId) : ANONYMOUS_USER);
+
+// e.g. ('veo-video', 'CONCURRENCY') -> QUEUE_VEO_VIDEO_CONCURRENCY
+const envName = (type, setting) => `QUEUE_${type.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${setting}`;
+
+const readIntEnv = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : null;
+};
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, so jobs that
+ * hit the same rate limit do not all come back at the same moment
+ * @param {object} retry - Queue retry options { baseDelay, maxDelay }
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} Delay in ms
+ */
+const retryDelay = (retry, attempt) => {
+  const delay = Math.min(retry.maxDelay, retry.baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+const serializeAttempt = (entry) => ({
+  ...entry,
+  startedAt: toMillis(entry.startedAt),
+  failedAt: toMillis(entry.failedAt),
+  nextRetryAt: toMillis(entry.nextRetryAt)
+});
+
+/**
+ * What the provider answered for a failed request (axios, AWS SDK or Gemini SDK errors)
+ * @param {Error} error
+ * @returns {object|null} { status, statusText, data } with data truncated if large
+ */
+const getProviderResponse = (error) => {
+  if (!error) return null;
+  const response = error.response;
+  if (!response && !error.$metadata && !error.errorDetails) return null;
+
+  let data = response ? response.data : (error.errorDetails || null);
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    data = Buffer.from(data).toString('utf8');
+  } else if (data && typeof data === 'object' && typeof data.pipe === 'function') {
+    data = '[stream]';
+  }
+  if (data && typeof data !== 'string') {
+    try {
+      const json = JSON.stringify(data);
+      if (json.length > MAX_PROVIDER_RESPONSE_LENGTH) data = json;
+    } catch (e) {
+      data = String(data);
+    }
+  }
+  if (typeof data === 'string' && data.length > MAX_PROVIDER_RESPONSE_LENGTH) {
+    data = `${data.slice(0, MAX_PROVIDER_RESPONSE_LENGTH)}... [truncated]`;
+  }
+
+  return {
+    status: response ? response.status : (error.$metadata && error.$metadata.httpStatusCode) || error.status || null,
+    statusText: (response ? response.statusText : error.statusText) || null,
+    data: data === undefined ? null : data
+  };
+};
+
+/**
+ * Abort reason for a running job cancelled through cancelJob
+ */
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Thrown by addJob when a user already has too many jobs waiting in a queue
+ */
+class QueueLimitError extends Error {
+  constructor(message, limit) {
+    super(message);
+    this.name = 'QueueLimitError';
+    this.limit = limit;
+  }
+}
+
+class JobQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE connection
+    this.queues = new Map(); // type -> { options, processor, running, draining, drainAgain }
+    this.files = new Map(); // jobId -> uploaded files (memory only)
+    this.controllers = new Map(); // jobId -> AbortController of a running job
+    this.started = false;
+  }
+
+  /**
+   * Define (or redefine) a queue for a job type
+   * @param {string} type - Job type, e.g. 'veo-video'
+   * @param {object} options - { label, concurrency, timeout, estimatedTimePerJob, resumable, maxQueuedPerUser, retry, listResult }
+   *   retry: { maxAttempts, baseDelay, maxDelay } (ms); maxAttempts 1 disables retries
+   *   listResult: (result) => summary shown in job lists instead of the full result
+   * @returns {object} Queue definition
+   */
+  defineQueue(type, options = {}) {
+    const existing = this.queues.get(type);
+    const queue = {
+      type,
+      options: {
+        label: options.label || type,
+        concurrency: readIntEnv(envName(type, 'CONCURRENCY')) || options.concurrency || 1,
+        timeout: options.timeout || DEFAULT_TIMEOUT,
+        estimatedTimePerJob: options.estimatedTimePerJob || DEFAULT_ESTIMATED_TIME,
+        maxQueuedPerUser: readIntEnv(envName(type, 'MAX_QUEUED_PER_USER'))
+          || options.maxQueuedPerUser
+          || readIntEnv('QUEUE_MAX_QUEUED_PER_USER')
+          || DEFAULT_MAX_QUEUED_PER_USER,
+        // Jobs interrupted mid-processing are re-run on startup unless this is false
+        resumable: options.resumable !== false,
+        listResult: options.listResult || null,
+        retry: {
+          ...DEFAULT_RETRY,
+          ...options.retry,
+          maxAttempts: readIntEnv(envName(type, 'MAX_ATTEMPTS'))
+            || (options.retry && options.retry.maxAttempts)
+            || DEFAULT_RETRY.maxAttempts
+        }
+      },
+      processor: existing ? existing.processor : null,
+      running: existing ? existing.running : new Set(),
+      positions: existing ? existing.positions : new Map(), // jobId -> last announced position
+      draining: false,
+      drainAgain: false,
+      retryTimer: existing ? existing.retryTimer : null,
+      retryAt: existing ? existing.retryAt : null
+    };
+    this.queues.set(type, queue);
+    return queue;
+  }
+
+  /**
+   * Register the processor for a job type
+   * @param {string} type - Job type
+   * @param {Function} processor - Async function (data, job) => result
+   */
+  registerProcessor(type, processor) {
+    if (typeof processor !== 'function') {
+      throw new Error(`Processor for queue "${type}" must be a function`);
+    }
+    const queue = this.queues.get(type) || this.defineQueue(type);
+    queue.processor = processor;
+    this.drain(type);
+  }
+
+  getQueue(type) {
+    const queue = this.queues.get(type);
+    if (!queue) {
+      throw new Error(`Unknown queue type: ${type}`);
+    }
+    return queue;
+  }
+
+  /**
+   * Job types that have a queue defined
+   * @returns {string[]}
+   */
+  getTypes() {
+    return Array.from(this.queues.keys());
+  }
+
+  /**
+   * Whether any job of the given type is currently running
+   * @param {string} type - Job type
+   * @returns {boolean}
+   */
+  isProcessing(type) {
+    const queue = this.queues.get(type);
+    return !!queue && queue.running.size > 0;
+  }
+
+  /**
+   * Add a job to a queue
+   * @param {string} type - Job type
+   * @param {object} data - Processor inputs (persisted)
+   * @param {object} options - { jobId, userId, metadata, files, skipLimits }
+   *   skipLimits bypasses the queued job cap and usage quota (admin replays)
+   * @returns {Promise<object>} Job status with queue position
+   * @throws {QueueLimitError} If the user already has maxQueuedPerUser jobs waiting
+   * @throws {QuotaExceededError} If the user has used up their allowance for the job type
+   */
+  async addJob(type, data = {}, options = {}) {
+    const queue = this.getQueue(type);
+    const jobId = options.jobId || crypto.randomBytes(16).toString('hex');
+    const userId = options.userId ? String(options.userId) : null;
+
+    const existing = await QueueJob.findOne({ jobId }).lean();
+    if (existing) {
+      console.log(`[${queue.options.label}] Job ${jobId} already exists`);
+      return this.buildStatus(existing);
+    }
+
+    const holdsQueuedSlot = !!userId && userId !== ANONYMOUS_USER && !options.skipLimits;
+    if (holdsQueuedSlot) {
+      const limit = queue.options.maxQueuedPerUser;
+      if (!(await this.reserveQueuedSlot(type, userId, limit))) {
+        console.log(`[${queue.options.label}] User ${userId} reached the queued job limit (${limit})`);
+        throw new QueueLimitError(
+          `You already have ${limit} jobs waiting in this queue (limit ${limit}). Please wait for them to start before submitting more.`,
+          limit
+        );
+      }
+    }
+
+    if (!options.skipLimits) {
+      try {
+        await quotaService.consume(userId, type);
+      } catch (err) {
+        if (holdsQueuedSlot) await this.decrementQueuedSlots(type, userId);
+        throw err;
+      }
+    }
+
+    let doc;
+    try {
+      doc = await QueueJob.create({
+        jobId,
+        type,
+        userId,
+        data,
+        metadata: options.metadata || {},
+        hasFiles: !!options.files,
+        holdsQueuedSlot,
+        maxAttempts: queue.options.retry.maxAttempts
+      });
+    } catch (err) {
+      if (holdsQueuedSlot) await this.decrementQueuedSlots(type, userId).catch(() => {});
+      if (!options.skipLimits) await quotaService.release(userId, type).catch(() => {});
+      throw err;
+    }
+
+    if (options.files) {
+      this.files.set(jobId, options.files);
+    }
+
+    const status = await this.buildStatus(doc.toObject());
+    console.log(`[${queue.options.label}] Job ${jobId} added to queue at position ${status.position}`);
+
+    queue.positions.set(jobId, status.position);
+    this.emitJobEvent('queued', doc, {
+      position: status.position,
+      queueLength: status.queueLength,
+      estimatedWaitTime: status.estimatedWaitTime
+    });
+    this.publishPositions(type);
+
+    this.drain(type);
+    return status;
+  }
+
+  /**
+   * Atomically count one more waiting job for a user unless the cap is reached
+   * @param {string} type - Job type
+   * @param {string} userId - User identifier
+   * @param {number} limit - maxQueuedPerUser of the queue
+   * @returns {Promise<boolean>} False when the user already has `limit` jobs waiting
+   */
+  async reserveQueuedSlot(type, userId, limit) {
+    if (limit <= 0) return false;
+    const key = { userId, type };
+    try {
+      const counter = await QueuedJobCounter.findOneAndUpdate(
+        { ...key, count: { $lt: limit } },
+        { $inc: { count: 1 } },
+        { upsert: true, new: true }
+      ).lean();
+      return !!counter;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // The counter exists and is full, or a concurrent request created it first
+      const counter = await QueuedJobCounter.findOneAndUpdate({ ...key, count: { $lt: limit } }, { $inc: { count: 1 } }, { new: true }).lean();
+      return !!counter;
+    }
+  }
+
+  async decrementQueuedSlots(type, userId) {
+    await QueuedJobCounter.updateOne({ userId, type, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  /**
+   * Give back the queued slot of a job that started or left the queue. Safe to call
+   * more than once: only the call that clears holdsQueuedSlot decrements. Never throws.
+   * @param {object} job - QueueJob document
+   */
+  async releaseQueuedSlot(job) {
+    if (!job.holdsQueuedSlot) return;
+    try {
+      const released = await QueueJob.updateOne({ jobId: job.jobId, holdsQueuedSlot: true }, { $set: { holdsQueuedSlot: false } });
+      if (released.modifiedCount > 0) {
+        await this.decrementQueuedSlots(job.type, job.userId);
+      }
+    } catch (err) {
+      console.error(`[JobQueue] Failed to release queued slot of job ${job.jobId}:`, err.message);
+    }
+  }
+
+  /**
+   * Rebuild the queued job counters from the jobs still holding a slot
+   * (counters can drift if the server stopped between two writes)
+   */
+  async resyncQueuedSlots() {
+    await QueueJob.updateMany({ holdsQueuedSlot: true, status: { $ne: 'queued' } }, { $set: { holdsQueuedSlot: false } });
+    const waiting = await QueueJob.aggregate([
+      { $match: { holdsQueuedSlot: true } },
+      { $group: { _id: { userId: '$userId', type: '$type' }, count: { $sum: 1 } } }
+    ]);
+    await QueuedJobCounter.updateMany({}, { $set: { count: 0 } });
+    if (waiting.length > 0) {
+      await QueuedJobCounter.bulkWrite(waiting.map(({ _id, count }) => ({
+        updateOne: { filter: { userId: _id.userId, type: _id.type }, update: { $set: { count } }, upsert: true }
+      })));
+    }
+  }
+
+  /**
+   * Get the status of a job
+   * @param {string} jobId - Job identifier
+   * @param {string} [type] - Restrict the lookup to one job type
+   * @returns {Promise<object>} Job status info
+   */
+  async getJobStatus(jobId, type) {
+    const query = { jobId };
+    if (type) query.type = type;
+    const job = await QueueJob.findOne(query).lean();
+    if (!job) {
+      return {
+        jobId,
+        status: 'not_found',
+        error: 'Job not found',
+        message: 'Job not found. It may have expired or never existed.'
+      };
+    }
+    return this.buildStatus(job);
+  }
+
+  /**
+   * Build the public status object for a stored job
+   * @param {object} job - QueueJob document (lean)
+   * @param {Array} [order] - Fair queue order for the job's type, if already computed
+   * @returns {Promise<object>}
+   */
+  async buildStatus(job, order) {
+    const queue = this.queues.get(job.type);
+    const estimatedTimePerJob = queue ? queue.options.estimatedTimePerJob : DEFAULT_ESTIMATED_TIME;
+    const concurrency = queue ? queue.options.concurrency : 1;
+    const queueOrder = order || await this.getQueueOrder(job.type);
+    const queueLength = queueOrder.length;
+
+    const status = {
+      jobId: job.jobId,
+      type: job.type,
+      userId: job.userId,
+      status: job.status,
+      position: null,
+      queueLength,
+      estimatedWaitTime: 0,
+      createdAt: toMillis(job.createdAt),
+      metadata: job.metadata || {},
+      attempts: job.attempts || 0,
+      maxAttempts: job.maxAttempts || (queue ? queue.options.retry.maxAttempts : 1),
+      attemptHistory: (job.attemptHistory || []).map(serializeAttempt)
+    };
+
+    if (job.status === 'queued') {
+      const index = queueOrder.findIndex(queued => queued.jobId === job.jobId);
+      status.position = index === -1 ? queueLength + 1 : index + 1;
+      // Jobs start in batches of `concurrency` as running slots free up
+      status.estimatedWaitTime = Math.ceil(status.position / concurrency) * estimatedTimePerJob;
+
+      // Waiting for a retry: it is not in the queue order until the backoff is over
+      const retryIn = job.runAfter ? toMillis(job.runAfter) - Date.now() : 0;
+      if (retryIn > 0) {
+        status.nextRetryAt = toMillis(job.runAfter);
+        status.estimatedWaitTime = Math.max(status.estimatedWaitTime, Math.ceil(retryIn / 1000));
+      }
+    }
+
+    if (job.status === 'processing') {
+      status.position = 0;
+      status.startedAt = toMillis(job.startedAt);
+      status.runningTime = job.startedAt ? Date.now() - toMillis(job.startedAt) : 0;
+      status.progress = job.progress;
+      status.progressMessage = job.progressMessage;
+    }
+
+    if (job.status === 'completed') {
+      status.result = job.result;
+      status.startedAt = toMillis(job.startedAt);
+      status.completedAt = toMillis(job.completedAt);
+      status.processingTime = job.startedAt ? toMillis(job.completedAt) - toMillis(job.startedAt) : null;
+    }
+
+    if (job.status === 'failed') {
+      status.error = job.error;
+      status.failedAt = toMillis(job.completedAt);
+    }
+
+    if (job.status === 'cancelled') {
+      status.cancelledAt = toMillis(job.completedAt);
+    }
+
+    return status;
+  }
+
+  /**
+   * Claim and start queued jobs until the queue's concurrency limit is reached
+   * @param {string} type - Job type
+   */
+  async drain(type) {
+    const queue = this.queues.get(type);
+    if (!this.started || !queue || !queue.processor) return;
+
+    // A drain already in progress will loop once more and pick up new jobs
+    if (queue.draining) {
+      queue.drainAgain = true;
+      return;
+    }
+
+    queue.draining = true;
+    try {
+      do {
+        queue.drainAgain = false;
+        while (queue.running.size < queue.options.concurrency) {
+          const job = await this.claimNextJob(queue);
+          if (!job) break;
+          queue.running.add(job.jobId);
+          queue.positions.delete(job.jobId);
+          this.emitJobEvent('processing', job, { startedAt: toMillis(job.startedAt) });
+          this.publishPositions(queue.type);
+          this.runJob(queue, job);
+        }
+      } while (queue.drainAgain);
+    } catch (err) {
+      console.error(`[${queue.options.label}] Failed to claim next job:`, err.message);
+    } finally {
+      queue.draining = false;
+    }
+  }
+
+  /**
+   * Make sure the queue is drained again when a job's retry backoff is over
+   * @param {object} queue - Queue definition
+   * @param {Date} runAfter - When the retry becomes due
+   */
+  scheduleRetryDrain(queue, runAfter) {
+    const at = toMillis(runAfter);
+    if (queue.retryTimer && queue.retryAt <= at) return;
+
+    clearTimeout(queue.retryTimer);
+    queue.retryAt = at;
+    queue.retryTimer = setTimeout(async () => {
+      queue.retryTimer = null;
+      queue.retryAt = null;
+      await this.drain(queue.type);
+      await this.scheduleNextRetry(queue);
+    }, Math.max(0, at - Date.now()));
+  }
+
+  /**
+   * Arm the retry timer for the earliest job still waiting on its backoff
+   * @param {object} queue - Queue definition
+   */
+  async scheduleNextRetry(queue) {
+    try {
+      const next = await QueueJob.findOne({ type: queue.type, status: 'queued', runAfter: { $gt: new Date() } })
+        .sort({ runAfter: 1 })
+        .select('runAfter')
+        .lean();
+      if (next) this.scheduleRetryDrain(queue, next.runAfter);
+    } catch (err) {
+      console.error(`[${queue.options.label}] Failed to schedule retries:`, err.message);
+    }
+  }
+
+  /**
+   * Order the queued jobs of a type round-robin across users.
+   * A job's round is the number of jobs its user already has ahead of it
+   * (processing or queued earlier); lower rounds run first, ties go to the oldest job.
+   * Jobs waiting for a retry are left out until their backoff is over.
+   * @param {string} type - Job type
+   * @returns {Promise<Array>} Queued jobs ({ _id, jobId, userId, createdAt }) in run order
+   */
+  async getQueueOrder(type) {
+    const [queued, processing] = await Promise.all([
+      QueueJob.find({ type, status: 'queued', $or: [{ runAfter: null }, { runAfter: { $lte: new Date() } }] })
+        .sort({ createdAt: 1, _id: 1 })
+        .select('jobId userId createdAt')
+        .lean(),
+      QueueJob.aggregate([
+        { $match: { type, status: 'processing' } },
+        { $group: { _id: '$userId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const jobsAhead = new Map();
+    processing.forEach(({ _id, count }) => jobsAhead.set(userKey(_id), count));
+
+    return queued
+      .map((job, index) => {
+        const key = userKey(job.userId);
+        const round = jobsAhead.get(key) || 0;
+        jobsAhead.set(key, round + 1);
+        return { job, round, index };
+      })
+      .sort((a, b) => a.round - b.round || a.index - b.index)
+      .map(entry => entry.job);
+  }
+
+  /**
+   * Atomically move the next queued job (in fair order) to processing
+   * @param {object} queue - Queue definition
+   * @returns {Promise<object|null>} Claimed job
+   */
+  async claimNextJob(queue) {
+    const order = await this.getQueueOrder(queue.type);
+    for (const candidate of order) {
+      const now = new Date();
+      const job = await QueueJob.findOneAndUpdate(
+        { _id: candidate._id, status: 'queued' },
+        {
+          $set: { status: 'processing', startedAt: now, updatedAt: now, runAfter: null, progress: 0, progressMessage: null },
+          $inc: { attempts: 1 }
+        },
+        { new: true }
+      ).lean();
+      // null means it was cancelled in the meantime; try the next one
+      if (job) {
+        await this.releaseQueuedSlot(job);
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a claimed job and persist its outcome
+   * @param {object} queue - Queue definition
+   * @param {object} job - Claimed QueueJob document
+   */
+  async runJob(queue, job) {
+    const { label, timeout, retry } = queue.options;
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let timer = null;
+    let retrying = false;
+    this.controllers.set(job.jobId, controller);
+
+    const attemptInfo = job.attempts > 1 ? `, attempt ${job.attempts}/${job.maxAttempts || retry.maxAttempts}` : '';
+    console.log(`[${label}] Processing job ${job.jobId} (${queue.running.size}/${queue.options.concurrency} running${attemptInfo})`);
+
+    try {
+      // Settles as soon as the job is cancelled or times out, even if the processor ignores the signal
+      const abortPromise = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      });
+      timer = setTimeout(
+        () => controller.abort(new Error(`Job timeout - exceeded ${Math.round(timeout / 60000)} minutes`)),
+        timeout
+      );
+
+      const result = await Promise.race([
+        queue.processor(job.data || {}, {
+          ...job,
+          files: this.files.get(job.jobId) || null,
+          signal: controller.signal,
+          reportProgress: (percent, message) => this.reportProgress(job, percent, message)
+        }),
+        abortPromise
+      ]);
+
+      await this.finishJob(job.jobId, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        error: null
+      });
+      console.log(`[${label}] ✓ Job ${job.jobId} completed in ${(Date.now() - startedAt) / 1000}s`);
+    } catch (caught) {
+      // Processors usually fail with a generic AbortError; the abort reason says why
+      const error = controller.signal.aborted ? controller.signal.reason : caught;
+      if (error instanceof JobCancelledError) {
+        // cancelJob has already stored the cancelled state
+        console.log(`[${label}] ⊘ Job ${job.jobId} cancelled after ${(Date.now() - startedAt) / 1000}s`);
+        return;
+      }
+
+      const { category, retryable, statusCode } = classifyError(error);
+      const maxAttempts = job.maxAttempts || retry.maxAttempts;
+      const attempt = {
+        attempt: job.attempts || 1,
+        startedAt: job.startedAt,
+        failedAt: new Date(),
+        error: error.message || 'Job failed',
+        category,
+        retryable,
+        statusCode
+      };
+
+      if (retryable && attempt.attempt < maxAttempts) {
+        const delay = retryDelay(retry, attempt.attempt);
+        attempt.nextRetryAt = new Date(Date.now() + delay);
+        console.warn(`[${label}] ↻ Job ${job.jobId} attempt ${attempt.attempt}/${maxAttempts} failed (${category}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        retrying = await this.scheduleRetry(queue, job, attempt, maxAttempts);
+      } else {
+        const reason = retryable ? `after ${attempt.attempt} attempts` : `(${category}, not retryable)`;
+        console.error(`[${label}] ✗ Job ${job.jobId} failed ${reason}:`, error.message);
+        await this.finishJob(job.jobId, { status: 'failed', error: attempt.error }, attempt, error);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.controllers.delete(job.jobId);
+      queue.running.delete(job.jobId);
+      // Uploaded files are still needed for the next attempt
+      if (!retrying) this.files.delete(job.jobId);
+      this.drain(queue.type);
+    }
+  }
+
+  /**
+   * Put a failed job back in the queue until its backoff is over
+   * @param {object} queue - Queue definition
+   * @param {object} job - Processing QueueJob document
+   * @param {object} attempt - attemptHistory entry for the failed attempt (with nextRetryAt)
+   * @param {number} maxAttempts - Attempt limit for the job
+   * @returns {Promise<boolean>} True if the retry was scheduled
+   */
+  async scheduleRetry(queue, job, attempt, maxAttempts) {
+    let queued = null;
+    try {
+      queued = await QueueJob.findOneAndUpdate(
+        { jobId: job.jobId, status: 'processing' },
+        {
+          $set: {
+            status: 'queued',
+            runAfter: attempt.nextRetryAt,
+            startedAt: null,
+            progress: null,
+            progressMessage: null,
+            error: attempt.error,
+            updatedAt: new Date()
+          },
+          $push: { attemptHistory: attempt }
+        },
+        { new: true }
+      ).lean();
+    } catch (err) {
+      console.error(`[${queue.options.label}] Failed to schedule retry of job ${job.jobId}:`, err.message);
+    }
+
+    if (!queued) {
+      return false;
+    }
+
+    this.emitJobEvent('retrying', queued, {
+      attempt: attempt.attempt,
+      maxAttempts,
+      error: attempt.error,
+      category: attempt.category,
+      nextRetryAt: toMillis(attempt.nextRetryAt)
+    });
+    this.scheduleRetryDrain(queue, attempt.nextRetryAt);
+    return true;
+  }
+
+  /**
+   * Persist the final state of a processing job
+   * @param {string} jobId - Job identifier
+   * @param {object} updates - Final fields (status, result, error)
+   * @param {object} [attempt] - attemptHistory entry for a failed last attempt
+   * @param {Error} [error] - Error of a failed last attempt, for the dead-letter entry
+   */
+  async finishJob(jobId, updates, attempt, error) {
+    const now = new Date();
+    const finalFields = {
+      completedAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + RETENTION_MS)
+    };
+
+    let finished = null;
+    try {
+      const update = { $set: { ...updates, ...finalFields } };
+      if (attempt) update.$push = { attemptHistory: attempt };
+      finished = await QueueJob.findOneAndUpdate({ jobId, status: 'processing' }, update, { new: true }).lean();
+    } catch (err) {
+      // Most likely the result could not be stored (e.g. document too large)
+      console.error(`[JobQueue] Failed to store outcome of job ${jobId}:`, err.message);
+      error = err;
+      try {
+        finished = await QueueJob.findOneAndUpdate(
+          { jobId, status: 'processing' },
+          { $set: { status: 'failed', error: `Failed to store job result: ${err.message}`, ...finalFields } },
+          { new: true }
+        ).lean();
+      } catch (e) {
+        console.error(`[JobQueue] Failed to mark job ${jobId} as failed:`, e.message);
+      }
+    }
+
+    if (finished) {
+      this.emitJobEvent(finished.status, finished, finished.status === 'completed'
+        ? { result: finished.result, completedAt: toMillis(finished.completedAt) }
+        : { error: finished.error, failedAt: toMillis(finished.completedAt) });
+      if (finished.status === 'failed') {
+        await this.deadLetter(finished, error);
+      }
+    }
+  }
+
+  /**
+   * Copy a failed job to the dead-letter collection. Never throws.
+   * @param {object} job - Failed QueueJob document
+   * @param {Error} [error] - Error of the last attempt (stack and provider response)
+   */
+  async deadLetter(job, error) {
+    const history = job.attemptHistory || [];
+    const last = history[history.length - 1] || {};
+    const classification = error ? classifyError(error) : {};
+
+    try {
+      await DeadLetterJob.updateOne(
+        { jobId: job.jobId },
+        {
+          $set: {
+            type: job.type,
+            userId: job.userId || null,
+            data: job.data || {},
+            metadata: job.metadata || {},
+            hasFiles: !!job.hasFiles,
+            error: job.error,
+            stack: error && error.stack ? error.stack : null,
+            category: last.category || classification.category || null,
+            statusCode: last.statusCode || classification.statusCode || null,
+            providerResponse: getProviderResponse(error),
+            attempts: job.attempts || 0,
+            attemptHistory: history,
+            jobCreatedAt: job.createdAt || null,
+            failedAt: job.completedAt || new Date(),
+            status: 'dead',
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      console.error(`[JobQueue] Failed to dead-letter job ${job.jobId}:`, err.message);
+    }
+  }
+
+  /**
+   * Record progress for a processing job (called by processors via job.reportProgress)
+   * @param {object} job - Processing QueueJob document
+   * @param {number} percent - 0-100
+   * @param {string} [message] - Optional human readable step, e.g. 'Uploading to S3'
+   */
+  async reportProgress(job, percent, message) {
+    const progress = Math.max(0, Math.min(100, Math.round(Number(percent) || 0)));
+    this.emitJobEvent('progress', job, { progress, message: message || null });
+    try {
+      await QueueJob.updateOne(
+        { jobId: job.jobId, status: 'processing' },
+        { $set: { progress, progressMessage: message || null, updatedAt: new Date() } }
+      );
+    } catch (err) {
+      console.error(`[JobQueue] Failed to store progress of job ${job.jobId}:`, err.message);
+    }
+  }
+
+  /**
+   * Emit a job lifecycle event to subscribers (SSE streams)
+   * @param {string} event - queued, position-changed, processing, progress, retrying, completed, failed, cancelled
+   * @param {object} job - QueueJob document
+   * @param {object} [fields] - Event specific fields
+   */
+  emitJobEvent(event, job, fields = {}) {
+    const statusByEvent = { 'position-changed': 'queued', progress: 'processing', retrying: 'queued' };
+    this.emit('job', {
+      event,
+      jobId: job.jobId,
+      type: job.type,
+      userId: job.userId || null,
+      status: statusByEvent[event] || event,
+      timestamp: Date.now(),
+      ...fields
+    });
+  }
+
+  /**
+   * Emit position-changed for queued jobs of a type whose position moved
+   * since it was last announced. Only runs while someone is listening.
+   * @param {string} type - Job type
+   */
+  async publishPositions(type) {
+    const queue = this.queues.get(type);
+    if (!queue || this.listenerCount('job') === 0) return;
+
+    try {
+      const order = await this.getQueueOrder(type);
+      const queueLength = order.length;
+      const seen = new Set();
+
+      order.forEach((job, index) => {
+        const position = index + 1;
+        seen.add(job.jobId);
+        if (queue.positions.get(job.jobId) === position) return;
+        queue.positions.set(job.jobId, position);
+        this.emitJobEvent('position-changed', { ...job, type }, {
+          position,
+          queueLength,
+          estimatedWaitTime: Math.ceil(position / queue.options.concurrency) * queue.options.estimatedTimePerJob
+        });
+      });
+
+      for (const jobId of queue.positions.keys()) {
+        if (!seen.has(jobId)) queue.positions.delete(jobId);
+      }
+    } catch (err) {
+      console.error(`[${queue.options.label}] Failed to publish queue positions:`, err.message);
+    }
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's signal is aborted and its
+   * queue slot is released immediately.
+   * @param {string} jobId - Job identifier
+   * @param {string} [type] - Restrict to one job type
+   * @returns {Promise<boolean>} True if the job was cancelled
+   */
+  async cancelJob(jobId, type) {
+    const query = { jobId, status: { $in: ['queued', 'processing'] } };
+    if (type) query.type = type;
+    const now = new Date();
+    const previous = await QueueJob.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          status: 'cancelled',
+          runAfter: null,
+          completedAt: now,
+          updatedAt: now,
+          expiresAt: new Date(now.getTime() + RETENTION_MS)
+        }
+      },
+      { new: false }
+    ).lean();
+
+    if (!previous) {
+      return false;
+    }
+
+    const queue = this.queues.get(previous.type);
+    const label = queue ? queue.options.label : 'JobQueue';
+    const cancelled = { ...previous, status: 'cancelled', completedAt: now };
+
+    if (previous.status === 'processing') {
+      const controller = this.controllers.get(jobId);
+      if (controller) {
+        controller.abort(new JobCancelledError());
+      } else {
+        console.warn(`[${label}] Job ${jobId} was cancelled but is not running in this process`);
+      }
+    } else {
+      this.files.delete(jobId);
+      await this.releaseQueuedSlot(previous);
+      if (!previous.attempts) {
+        // Never ran, so it does not count against the user's quota
+        quotaService.release(previous.userId, previous.type, previous.createdAt).catch(err => {
+          console.error(`[${label}] Failed to release quota for job ${jobId}:`, err.message);
+        });
+      }
+    }
+
+    console.log(`[${label}] Job ${jobId} cancelled (was ${previous.status})`);
+    this.emitJobEvent('cancelled', cancelled, { cancelledAt: toMillis(now) });
+    if (queue) {
+      queue.positions.delete(jobId);
+      this.publishPositions(previous.type);
+    }
+    return true;
+  }
+
+  /**
+   * Get statistics for one queue
+   * @param {string} type - Job type
+   * @returns {Promise<object>} Queue stats
+   */
+  async getStats(type) {
+    const queue = this.getQueue(type);
+    const counts = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    const grouped = await QueueJob.aggregate([
+      { $match: { type } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    grouped.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+
+    const [jobs, order] = await Promise.all([
+      QueueJob.find({ type, status: { $in: ['queued', 'processing'] } })
+        .select('jobId userId status metadata createdAt startedAt attempts runAfter')
+        .lean(),
+      this.getQueueOrder(type)
+    ]);
+
+    // Running jobs first (oldest first), then queued jobs in the order they will run
+    const ranks = new Map(order.map((job, index) => [job.jobId, index]));
+    const rank = (jobId) => (ranks.has(jobId) ? ranks.get(jobId) : order.length);
+    const activeJobs = jobs.sort((a, b) => {
+      if (a.status !== b.status) return a.status === 'processing' ? -1 : 1;
+      if (a.status === 'processing') return toMillis(a.startedAt) - toMillis(b.startedAt);
+      return rank(a.jobId) - rank(b.jobId);
+    });
+
+    const currentJobs = activeJobs
+      .filter(job => job.status === 'processing')
+      .map(job => ({
+        jobId: job.jobId,
+        userId: job.userId,
+        startedAt: toMillis(job.startedAt),
+        runningTime: job.startedAt ? Date.now() - toMillis(job.startedAt) : 0
+      }));
+
+    return {
+      type,
+      queueLength: counts.queued,
+      processing: queue.running.size > 0,
+      concurrency: queue.options.concurrency,
+      maxQueuedPerUser: queue.options.maxQueuedPerUser,
+      maxAttempts: queue.options.retry.maxAttempts,
+      currentJob: currentJobs[0] || null,
+      currentJobs,
+      counts,
+      completedCount: counts.completed,
+      failedCount: counts.failed,
+      totalInQueue: counts.queued + counts.processing,
+      activeJobs: activeJobs.map(job => ({
+        id: job.jobId,
+        status: job.status,
+        position: job.status === 'queued' ? rank(job.jobId) + 1 : 0,
+        metadata: job.metadata,
+        attempts: job.attempts || 0,
+        nextRetryAt: job.runAfter && toMillis(job.runAfter) > Date.now() ? toMillis(job.runAfter) : null,
+        createdAt: toMillis(job.createdAt)
+      }))
+    };
+  }
+
+  /**
+   * Get a user's queued and processing jobs
+   * @param {string} userId - User identifier
+   * @param {string} [type] - Restrict to one job type
+   * @returns {Promise<Array>} User's active jobs
+   */
+  async getUserJobs(userId, type) {
+    const query = { userId: String(userId), status: { $in: ['queued', 'processing'] } };
+    if (type) query.type = type;
+    const jobs = await QueueJob.find(query).sort({ createdAt: 1, _id: 1 }).lean();
+    const orders = new Map();
+    for (const type of new Set(jobs.map(job => job.type))) {
+      orders.set(type, await this.getQueueOrder(type));
+    }
+    return Promise.all(jobs.map(async job => {
+      const status = await this.buildStatus(job, orders.get(job.type));
+      return { jobId: status.jobId, type: status.type, status: status.status, position: status.position };
+    }));
+  }
+
+  /**
+   * List stored jobs, newest first by default (job history / activity feed)
+   * @param {object} filter - { userId, types, statuses, from, to }; from/to bound createdAt
+   * @param {object} [options] - { sort: 'createdAt' | 'updatedAt', order: 1 | -1, skip, limit }
+   * @returns {Promise<{ jobs: Array, total: number }>} Jobs in list shape (see toListItem)
+   */
+  async listJobs(filter = {}, options = {}) {
+    const query = {};
+    if (filter.userId) query.userId = String(filter.userId);
+    if (filter.types) query.type = { $in: filter.types };
+    if (filter.statuses) query.status = { $in: filter.statuses };
+    if (filter.from || filter.to) {
+      query.createdAt = {};
+      if (filter.from) query.createdAt.$gte = filter.from;
+      if (filter.to) query.createdAt.$lte = filter.to;
+    }
+
+    const sortField = options.sort || 'createdAt';
+    const order = options.order === 1 ? 1 : -1;
+    const [jobs, total] = await Promise.all([
+      QueueJob.find(query)
+        .sort({ [sortField]: order, _id: order })
+        .skip(options.skip || 0)
+        .limit(options.limit || 20)
+        .select('-data')
+        .lean(),
+      QueueJob.countDocuments(query)
+    ]);
+
+    const orders = new Map();
+    for (const type of new Set(jobs.filter(job => job.status === 'queued').map(job => job.type))) {
+      orders.set(type, await this.getQueueOrder(type));
+    }
+
+    return { jobs: jobs.map(job => this.toListItem(job, orders.get(job.type))), total };
+  }
+
+  /**
+   * Compact job shape used by job lists (no inputs, summarised result)
+   * @param {object} job - QueueJob document (lean)
+   * @param {Array} [order] - Fair queue order for the job's type, for queued jobs
+   * @returns {object}
+   */
+  toListItem(job, order) {
+    const queue = this.queues.get(job.type);
+    const listResult = queue && queue.options.listResult;
+
+    const item = {
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      progress: job.status === 'completed' ? 100 : (job.status === 'processing' ? job.progress : null),
+      progressMessage: job.status === 'processing' ? job.progressMessage : null,
+      position: job.status === 'processing' ? 0 : null,
+      attempts: job.attempts || 0,
+      error: job.status === 'failed' ? job.error : null,
+      result: null,
+      metadata: job.metadata || {},
+      createdAt: toMillis(job.createdAt),
+      startedAt: toMillis(job.startedAt),
+      completedAt: toMillis(job.completedAt),
+      updatedAt: toMillis(job.updatedAt)
+    };
+
+    if (job.status === 'completed' && job.result) {
+      item.result = listResult ? listResult(job.result) : job.result;
+    }
+
+    if (job.status === 'queued' && order) {
+      const index = order.findIndex(queued => queued.jobId === job.jobId);
+      item.position = index === -1 ? null : index + 1;
+      if (job.runAfter && toMillis(job.runAfter) > Date.now()) item.nextRetryAt = toMillis(job.runAfter);
+    }
+
+    return item;
+  }
+
+  /**
+   * Delete finished jobs of a type
+   * @param {string} type - Job type
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async clearHistory(type) {
+    const result = await QueueJob.deleteMany({ type, status: { $in: ['completed', 'failed', 'cancelled'] } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Recover jobs left over from a previous run and start processing.
+   * Must be called once the MongoDB connection is open.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      await this.recoverJobs();
+    } catch (err) {
+      console.error('[JobQueue] Job recovery failed:', err.message);
+    }
+
+    for (const queue of this.queues.values()) {
+      this.drain(queue.type);
+      this.scheduleNextRetry(queue);
+    }
+  }
+
+  /**
+   * Resume or fail jobs that were queued or processing when the server stopped
+   */
+  async recoverJobs() {
+    const pending = await QueueJob.find({ status: { $in: ['queued', 'processing'] } }).lean();
+    let resumed = 0;
+    let failed = 0;
+
+    for (const job of pending) {
+      const queue = this.queues.get(job.type);
+      let failure = null;
+
+      if (!queue || !queue.processor) {
+        failure = `No processor registered for job type "${job.type}"`;
+      } else if (job.hasFiles && !this.files.has(job.jobId)) {
+        failure = 'Uploaded file is no longer available after a server restart. Please resubmit.';
+      } else if (job.status === 'processing' && !queue.options.resumable) {
+        failure = 'Server restarted while the job was processing. Please resubmit.';
+      }
+
+      const now = new Date();
+      if (failure) {
+        await QueueJob.updateOne(
+          { jobId: job.jobId, status: job.status },
+          { $set: { status: 'failed', error: failure, completedAt: now, updatedAt: now, expiresAt: new Date(now.getTime() + RETENTION_MS) } }
+        );
+        await this.deadLetter({ ...job, status: 'failed', error: failure, completedAt: now });
+        await this.releaseQueuedSlot(job);
+        failed++;
+      } else if (job.status === 'processing') {
+        // Put it back in the queue; its original createdAt keeps it at the front.
+        // The interrupted run does not count as an attempt.
+        await QueueJob.updateOne(
+          { jobId: job.jobId, status: 'processing' },
+          { $set: { status: 'queued', startedAt: null, updatedAt: now }, $inc: { attempts: job.attempts > 0 ? -1 : 0 } }
+        );
+        resumed++;
+      }
+    }
+
+    if (pending.length > 0) {
+      console.log(`[JobQueue] Recovered ${pending.length} unfinished jobs (${resumed} resumed, ${failed} failed)`);
+    }
+
+    await this.resyncQueuedSlots();
+  }
+}
+
+// Export singleton instance
+const jobQueueService = new JobQueueService();
+module.exports = jobQueueService;
@@ -1,141 +1,81 @@
 /**
  * memeGeneratorQueueService.js
- * In-memory queue for AI meme generation (Gemini Vision API)
+ * Queue for AI meme generation (Gemini Vision API), backed by the persistent job queue engine
  * Analyzes images and generates funny captions/meme text
  */
 
+const jobQueue = require("./jobQueueService");
+
+const JOB_TYPE = "meme";
+
 class MemeGeneratorQueueService {
   constructor() {
-    this.queue = [];
-    this.jobs = new Map();
-    this.processing = false;
-    this.maxConcurrent = 2; // Can process 2 meme generations concurrently
+    this.type = JOB_TYPE;
+    jobQueue.defineQueue(JOB_TYPE, {
+      label: "MemeGeneratorQueue",
+      concurrency: 2, // Can process 2 meme generations concurrently
+      timeout: 3 * 60 * 1000, // 3 minutes max for meme generation
+      estimatedTimePerJob: 20, // ~20 seconds per job average
+      retry: { maxAttempts: 3, baseDelay: 5 * 1000 },
+    });
   }
 
   /**
-   * Add a new meme generation job to the queue
-   * @param {Function} processor - Async function that performs the actual meme generation
-   * @param {Object} metadata - Job metadata (userId, imageS3Key, etc.)
-   * @returns {string} jobId
+   * Register the function that performs the actual meme generation
+   * @param {Function} processor - Async function (data, job) => result
    */
-  addJob(processor, metadata = {}) {
-    const jobId = `meme_${Date.now()}_${Math.random().toString(36).slice(2)}`;
-    const job = {
-      id: jobId,
-      processor,
-      metadata,
-      status: "queued",
-      result: null,
-      error: null,
-      createdAt: Date.now(),
-      startedAt: null,
-      completedAt: null,
-    };
-
-    this.jobs.set(jobId, job);
-    this.queue.push(jobId);
-
-    console.log(
-      `[MemeGeneratorQueue] Job ${jobId} added to queue. Queue size: ${this.queue.length}`
-    );
-
-    // Start processing if not already running
-    if (!this.processing) {
-      this.processQueue();
-    }
-
-    return jobId;
+  registerProcessor(processor) {
+    jobQueue.registerProcessor(JOB_TYPE, processor);
   }
 
   /**
-   * Process jobs in the queue
+   * Add a new meme generation job to the queue
+   * @param {Object} data - Processor inputs (imageUrl, memeStyle, etc.)
+   * @param {Object} metadata - Job metadata (userId, imageS3Key, etc.)
+   * @param {Object} [files] - Uploaded files (kept in memory only)
+   * @returns {Promise<string>} jobId
    */
-  async processQueue() {
-    if (this.processing) return;
-    this.processing = true;
-
-    while (this.queue.length > 0) {
-      const jobId = this.queue.shift();
-      const job = this.jobs.get(jobId);
-
-      if (!job) continue;
-
-      job.status = "processing";
-      job.startedAt = Date.now();
-
-      console.log(
-        `[MemeGeneratorQueue] Processing job ${jobId}. Remaining in queue: ${this.queue.length}`
-      );
-
-      try {
-        // Set a timeout for the job (3 minutes max for meme generation)
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Job timeout - meme generation took too long")), 3 * 60 * 1000)
-        );
-
-        const result = await Promise.race([
-          job.processor(),
-          timeoutPromise,
-        ]);
-
-        job.result = result;
-        job.status = "completed";
-        job.completedAt = Date.now();
-
-        console.log(
-          `[MemeGeneratorQueue] Job ${jobId} completed in ${
-            job.completedAt - job.startedAt
-          }ms`
-        );
-      } catch (error) {
-        job.error = error.message || "Meme generation failed";
-        job.status = "failed";
-        job.completedAt = Date.now();
-
-        console.error(
-          `[MemeGeneratorQueue] Job ${jobId} failed:`,
-          error.message
-        );
-      }
-
-      // Small delay between jobs to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-
-    this.processing = false;
-    console.log("[MemeGeneratorQueue] Queue processing complete");
+  async addJob(data, metadata = {}, files) {
+    const { jobId } = await jobQueue.addJob(JOB_TYPE, data, {
+      jobId: `meme_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+      userId: metadata.userId,
+      metadata,
+      files,
+    });
+    return jobId;
   }
 
   /**
    * Get job status and queue information
    * @param {string} jobId
-   * @returns {Object} Status object
+   * @returns {Promise<Object>} Status object
    */
-  getJobStatus(jobId) {
-    const job = this.jobs.get(jobId);
+  async getJobStatus(jobId) {
+    const job = await jobQueue.getJobStatus(jobId, JOB_TYPE);
 
-    if (!job) {
+    if (job.status === "not_found") {
       return {
         status: "not_found",
         error: "Job not found",
       };
     }
 
-    const position = this.queue.indexOf(jobId) + 1;
-    const queueLength = this.queue.length;
-
-    // Estimate wait time: ~20 seconds per job average
-    const estimatedWaitTime = position > 0 ? position * 20 : 0;
-
     const response = {
-      jobId: job.id,
+      jobId: job.jobId,
       status: job.status,
-      position: position > 0 ? position : undefined,
-      queueLength,
-      estimatedWaitTime,
+      position: job.position || undefined,
+      queueLength: job.queueLength,
+      estimatedWaitTime: job.estimatedWaitTime,
       createdAt: job.createdAt,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      attemptHistory: job.attemptHistory,
     };
 
+    if (job.nextRetryAt) {
+      response.nextRetryAt = job.nextRetryAt;
+    }
+
     if (job.status === "completed" && job.result) {
       response.captions = job.result.captions;
       response.memeStyle = job.result.memeStyle;
@@ -146,7 +86,7 @@ class MemeGeneratorQueueService {
     }
 
     if (job.status === "processing") {
-      response.processingTime = Date.now() - job.startedAt;
+      response.processingTime = job.runningTime;
     }
 
     return response;
@@ -154,71 +94,28 @@ class MemeGeneratorQueueService {
 
   /**
    * Get queue statistics
-   * @returns {Object} Queue stats
+   * @returns {Promise<Object>} Queue stats
    */
-  getQueueStats() {
-    const stats = {
-      queueLength: this.queue.length,
-      processing: this.processing,
-      totalJobs: this.jobs.size,
-      completedJobs: 0,
-      failedJobs: 0,
-      queuedJobs: 0,
-      processingJobs: 0,
+  async getQueueStats() {
+    const stats = await jobQueue.getStats(JOB_TYPE);
+    return {
+      queueLength: stats.queueLength,
+      processing: stats.processing,
+      totalJobs: Object.values(stats.counts).reduce((sum, count) => sum + count, 0),
+      completedJobs: stats.counts.completed,
+      failedJobs: stats.counts.failed,
+      queuedJobs: stats.counts.queued,
+      processingJobs: stats.counts.processing,
     };
-
-    this.jobs.forEach((job) => {
-      if (job.status === "completed") stats.completedJobs++;
-      if (job.status === "failed") stats.failedJobs++;
-      if (job.status === "queued") stats.queuedJobs++;
-      if (job.status === "processing") stats.processingJobs++;
-    });
-
-    return stats;
   }
 
   /**
    * Cancel a job
    * @param {string} jobId
-   * @returns {boolean} Success
-   */
-  cancelJob(jobId) {
-    const job = this.jobs.get(jobId);
-
-    if (!job) {
-      return false;
-    }
-
-    if (job.status === "queued") {
-      const index = this.queue.indexOf(jobId);
-      if (index > -1) {
-        this.queue.splice(index, 1);
-      }
-      job.status = "cancelled";
-      job.completedAt = Date.now();
-      console.log(`[MemeGeneratorQueue] Job ${jobId} cancelled`);
-      return true;
-    }
-
-    return false;
-  }
-
-  /**
-   * Clean up old completed/failed jobs (keep last 100)
+   * @returns {Promise<boolean>} Success
    */
-  cleanup() {
-    const jobArray = Array.from(this.jobs.entries());
-    const completedOrFailed = jobArray
-      .filter(([_, job]) => job.status === "completed" || job.status === "failed")
-      .sort((a, b) => b[1].completedAt - a[1].completedAt);
-
-    if (completedOrFailed.length > 100) {
-      const toDelete = completedOrFailed.slice(100);
-      toDelete.forEach(([jobId]) => {
-        this.jobs.delete(jobId);
-      });
-      console.log(`[MemeGeneratorQueue] Cleaned up ${toDelete.length} old jobs`);
-    }
+  async cancelJob(jobId) {
+    return jobQueue.cancelJob(jobId, JOB_TYPE);
   }
 }
 
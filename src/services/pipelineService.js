@@ -0,0 +1,672 @@
+/**
+ * pipelineService.js
+ * Multi-step content pipelines: a declarative chain of tool steps run as one job
+ *
+ * Example (one short, end to end):
+ * {
+ *   name: 'Morning short',
+ *   steps: [
+ *     { type: 'script', input: { prompt: 'A 20 second video about cold brew' } },
+ *     { type: 'tts', input: { voiceId: 'en-US-Neural2-D' } },                  // text <- script
+ *     { type: 'veo', input: { prompt: 'Cold brew being poured, close-up', aspectRatio: '9:16' } },
+ *     { type: 'mount-audio' },                                                   // video <- veo, audio <- tts
+ *     { type: 'publish', input: { title: 'Cold brew in 20 seconds', description: '{{steps.script.script}}' } }
+ *   ]
+ * }
+ *
+ * - Steps run one after another. Queue steps (script, tts, veo, mount-audio) are
+ *   submitted as regular queue jobs, so they get the same fair scheduling,
+ *   retries, quotas and cancellation; publish runs inline.
+ * - A step's input is wired from earlier outputs: explicit references
+ *   ("{{steps.<id>.<field>}}", "{{prev.<field>}}") or, for inputs left out,
+ *   the latest earlier step that produces them (see STEP_TYPES defaults).
+ * - Progress is tracked per step; when a step fails the pipeline stops and can
+ *   be resumed from that step, reusing the outputs of the completed ones.
+ * - State lives in the pipelines collection; running pipelines are picked up
+ *   again on startup.
+ */
+
+const crypto = require('crypto');
+const Pipeline = require('../models/Pipeline');
+const jobQueue = require('./jobQueueService');
+const { uploadAudioBuffer } = require('../s3Service');
+const { normalizeMix } = require('../audioMix');
+const publishController = require('../controllers/publishController');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_STEPS = 10;
+const MAX_RUNNING_PER_USER = parseInt(process.env.PIPELINE_MAX_RUNNING_PER_USER, 10) || 3;
+const REFERENCE_PATTERN = /\{\{\s*(?:steps\.([\w-]+)|(prev))\.([\w-]+)\s*\}\}/g;
+
+/**
+ * Thrown when a user already has MAX_RUNNING_PER_USER pipelines running
+ */
+class PipelineLimitError extends Error {
+  constructor(message, limit) {
+    super(message);
+    this.name = 'PipelineLimitError';
+    this.limit = limit;
+  }
+}
+
+const requireString = (input, field, stepId) => {
+  if (typeof input[field] !== 'string' || !input[field].trim()) {
+    throw new ValidationError(`Step "${stepId}": ${field} is required`);
+  }
+  return input[field];
+};
+
+/**
+ * Step types
+ * - queue: job type the step is submitted to (omitted for inline steps, which have run)
+ * - defaults: input field -> { from: step types to take it from (latest first), field: output field }
+ * - outputs: fields the step produces, for validating references
+ * - build(input, pipeline, stepId): queue job data / inline run input, validated
+ * - output(result, pipeline): step output from the queue job result
+ */
+const STEP_TYPES = {
+  script: {
+    queue: 'script',
+    outputs: ['script'],
+    build: (input, pipeline, stepId) => ({ prompt: requireString(input, 'prompt', stepId) }),
+    output: (result) => ({ script: result.script })
+  },
+
+  tts: {
+    queue: 'tts',
+    defaults: { text: { from: ['script'], field: 'script' } },
+    outputs: ['audioUrl', 'audioS3Key'],
+    build: (input, pipeline, stepId) => ({
+      text: requireString(input, 'text', stepId),
+      voiceId: input.voiceId
+    }),
+    // TTS jobs return base64 audio; the next steps need a URL
+    output: async (result, pipeline) => {
+      const { url, key } = await uploadAudioBuffer(
+        Buffer.from(result.audioContent, 'base64'),
+        'audio/mpeg',
+        pipeline.userId,
+        pipeline.username,
+        { pipeline: pipeline.pipelineId }
+      );
+      return { audioUrl: url, audioS3Key: key };
+    }
+  },
+
+  veo: {
+    queue: 'veo-video',
+    defaults: { prompt: { from: ['script'], field: 'script' } },
+    outputs: ['videoUrl', 's3Key', 'duration'],
+    // Same defaults as POST /api/gemini-veo3/generate-video
+    build: (input, pipeline, stepId) => ({
+      userId: pipeline.userId,
+      username: pipeline.username,
+      prompt: requireString(input, 'prompt', stepId),
+      resolution: input.quality || '720p',
+      aspectRatio: ['16:9', '9:16'].includes(input.aspectRatio) ? input.aspectRatio : '16:9',
+      durationSeconds: [4, 6, 8].includes(input.durationSeconds) ? input.durationSeconds : 8,
+      modelType: ['standard', 'fast'].includes(input.modelType) ? input.modelType : 'standard',
+      enhancePrompt: typeof input.enhancePrompt === 'boolean' ? input.enhancePrompt : true
+    }),
+    output: (result) => ({ videoUrl: result.s3Url, s3Key: result.s3Key, duration: result.duration })
+  },
+
+  'mount-audio': {
+    queue: 'audio-mount',
+    defaults: {
+      videoUrl: { from: ['mount-audio', 'veo'], field: 'videoUrl' },
+      audioUrl: { from: ['tts'], field: 'audioUrl' }
+    },
+    outputs: ['videoUrl', 's3Key'],
+    // audioUrl is the voiceover; original, music, ducking and fades as in POST /api/video/mount-audio
+    build: (input, pipeline, stepId) => {
+      const videoUrl = requireString(input, 'videoUrl', stepId);
+      const voiceover = { ...input.voiceover, url: requireString(input, 'audioUrl', stepId) };
+      let mix;
+      try {
+        mix = normalizeMix({ ...input, voiceover });
+      } catch (err) {
+        throw new ValidationError(`Step "${stepId}": ${err.message}`);
+      }
+      return { videoUrl, mix, userId: pipeline.userId, username: pipeline.username };
+    },
+    output: (result) => ({ videoUrl: result.url, s3Key: result.s3Key })
+  },
+
+  publish: {
+    defaults: { s3Key: { from: ['mount-audio', 'veo'], field: 's3Key' } },
+    outputs: ['videoId', 'url'],
+    build: (input, pipeline, stepId) => {
+      const s3Key = requireString(input, 's3Key', stepId);
+      // Same ownership rule as POST /api/publish/youtube
+      if (!s3Key.startsWith(`videos/${pipeline.username || pipeline.userId}/`)) {
+        throw new ValidationError(`Step "${stepId}": you do not have permission to publish this video`);
+      }
+      return {
+        s3Key,
+        title: typeof input.title === 'string' && input.title ? input.title : (pipeline.name || undefined),
+        description: typeof input.description === 'string' ? input.description : ''
+      };
+    },
+    run: async ({ s3Key, title, description }, pipeline) => {
+      const videoId = await publishController.publishVideoToYouTube(pipeline.userId, s3Key, { title, description });
+      return { videoId, url: `https://www.youtube.com/watch?v=${videoId}` };
+    }
+  }
+};
+
+const toMillis = (date) => (date ? new Date(date).getTime() : null);
+
+/**
+ * Replace {{steps.<id>.<field>}} / {{prev.<field>}} references in an input value.
+ * A value that is exactly one reference takes the referenced value as is.
+ */
+function resolveValue(value, lookup) {
+  if (typeof value === 'string') {
+    const exact = /^\{\{\s*(?:steps\.([\w-]+)|(prev))\.([\w-]+)\s*\}\}$/.exec(value);
+    if (exact) return lookup(exact[1], exact[2], exact[3]);
+    return value.replace(REFERENCE_PATTERN, (match, stepId, prev, field) => {
+      const resolved = lookup(stepId, prev, field);
+      return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolveValue(item, lookup));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item, lookup)]));
+  }
+  return value;
+}
+
+// Every reference in an input value: [{ stepId, prev, field }]
+function findReferences(value, found = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(REFERENCE_PATTERN)) {
+      found.push({ stepId: match[1], prev: !!match[2], field: match[3] });
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findReferences(item, found));
+  }
+  return found;
+}
+
+// Latest step before index whose type is in types (in order of preference)
+function findSource(steps, index, types) {
+  for (const type of types) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (steps[i].type === type) return steps[i];
+    }
+  }
+  return null;
+}
+
+class PipelineService {
+  constructor() {
+    this.activeJobs = new Map(); // jobId of a running queue step -> pipelineId
+    this.started = false;
+    this.onJobEvent = this.onJobEvent.bind(this);
+  }
+
+  /**
+   * Validate submitted steps and give every step an id
+   * @param {Array} steps - [{ id?, type, input? }]
+   * @returns {Array} Normalised steps
+   * @throws {ValidationError}
+   */
+  validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new ValidationError('steps must be a non-empty array');
+    }
+    if (steps.length > MAX_STEPS) {
+      throw new ValidationError(`A pipeline can have at most ${MAX_STEPS} steps`);
+    }
+
+    const normalised = [];
+    steps.forEach((step, index) => {
+      if (!step || !STEP_TYPES[step.type]) {
+        throw new ValidationError(`Step ${index + 1}: type must be one of ${Object.keys(STEP_TYPES).join(', ')}`);
+      }
+      const input = step.input === undefined ? {} : step.input;
+      if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError(`Step ${index + 1}: input must be an object`);
+      }
+
+      // Default id: the type, numbered when it repeats (tts, tts-2, ...)
+      let id = step.id;
+      if (id === undefined) {
+        const count = normalised.filter(other => other.type === step.type).length;
+        id = count ? `${step.type}-${count + 1}` : step.type;
+      }
+      if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+        throw new ValidationError(`Step ${index + 1}: id may only contain letters, digits, _ and -`);
+      }
+      if (normalised.some(other => other.id === id)) {
+        throw new ValidationError(`Step ${index + 1}: duplicate id "${id}"`);
+      }
+
+      findReferences(input).forEach(({ stepId, prev, field }) => {
+        const source = prev ? normalised[index - 1] : normalised.find(other => other.id === stepId);
+        if (!source) {
+          throw new ValidationError(`Step "${id}": ${prev ? '{{prev}} has no previous step' : `unknown or later step "${stepId}"`}`);
+        }
+        if (!STEP_TYPES[source.type].outputs.includes(field)) {
+          throw new ValidationError(`Step "${id}": step "${source.id}" (${source.type}) has no output "${field}"`);
+        }
+      });
+
+      // Inputs left out must come from an earlier step
+      Object.entries(STEP_TYPES[step.type].defaults || {}).forEach(([field, { from }]) => {
+        if (input[field] === undefined && !findSource(normalised, index, from)) {
+          throw new ValidationError(`Step "${id}": ${field} is required (or add an earlier ${from.join('/')} step)`);
+        }
+      });
+
+      normalised.push({ id, type: step.type, input });
+    });
+
+    return normalised;
+  }
+
+  /**
+   * Create and start a pipeline
+   * @param {object} user - { _id, username }
+   * @param {object} definition - { name, steps }
+   * @returns {Promise<object>} Pipeline status
+   */
+  async createPipeline(user, { name, steps } = {}) {
+    const normalised = this.validateSteps(steps);
+    const userId = String(user._id);
+
+    const running = await Pipeline.countDocuments({ userId, status: 'running' });
+    if (running >= MAX_RUNNING_PER_USER) {
+      throw new PipelineLimitError(
+        `You already have ${running} pipelines running (limit ${MAX_RUNNING_PER_USER}). Please wait for one to finish.`,
+        MAX_RUNNING_PER_USER
+      );
+    }
+
+    const pipeline = await Pipeline.create({
+      pipelineId: crypto.randomBytes(16).toString('hex'),
+      userId,
+      username: user.username || null,
+      name: typeof name === 'string' ? name.slice(0, 200) : '',
+      steps: normalised
+    });
+    console.log(`[Pipeline] ${pipeline.pipelineId} created for user ${userId}: ${normalised.map(step => step.type).join(' -> ')}`);
+
+    await this.advance(pipeline.pipelineId);
+    return this.getPipeline(userId, pipeline.pipelineId);
+  }
+
+  /**
+   * @returns {Promise<object|null>} Pipeline status, or null if not found for this user
+   */
+  async getPipeline(userId, pipelineId) {
+    const pipeline = await Pipeline.findOne({ pipelineId, userId: String(userId) }).lean();
+    return pipeline ? this.toStatus(pipeline) : null;
+  }
+
+  /**
+   * A user's pipelines, newest first
+   * @returns {Promise<{ pipelines: object[], total: number }>}
+   */
+  async listPipelines(userId, { status, skip = 0, limit = 20 } = {}) {
+    const filter = { userId: String(userId) };
+    if (status) filter.status = status;
+    const [pipelines, total] = await Promise.all([
+      Pipeline.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Pipeline.countDocuments(filter)
+    ]);
+    return { pipelines: pipelines.map(pipeline => this.toStatus(pipeline)), total };
+  }
+
+  /**
+   * Start the first unfinished step of a running pipeline, or complete it
+   * @param {string} pipelineId
+   */
+  async advance(pipelineId) {
+    const pipeline = await Pipeline.findOne({ pipelineId, status: 'running' }).lean();
+    if (!pipeline) return;
+
+    const index = pipeline.steps.findIndex(step => step.status !== 'completed');
+    if (index === -1) {
+      const now = new Date();
+      const done = await Pipeline.updateOne(
+        { pipelineId, status: 'running' },
+        { $set: { status: 'completed', completedAt: now, updatedAt: now } }
+      );
+      if (done.modifiedCount) console.log(`[Pipeline] ✓ ${pipelineId} completed`);
+      return;
+    }
+
+    if (pipeline.steps[index].status === 'pending') {
+      await this.startStep(pipeline, index);
+    }
+  }
+
+  /**
+   * Resolve a step's input and run it (submit its queue job, or run it inline)
+   * @param {object} pipeline - Pipeline document
+   * @param {number} index - Step index
+   */
+  async startStep(pipeline, index) {
+    const step = pipeline.steps[index];
+    const definition = STEP_TYPES[step.type];
+    const jobId = definition.queue ? crypto.randomBytes(16).toString('hex') : null;
+
+    let data;
+    let resolvedInput;
+    try {
+      resolvedInput = this.resolveInput(pipeline, index);
+      data = definition.build(resolvedInput, pipeline, step.id);
+    } catch (err) {
+      await this.claimStep(pipeline.pipelineId, index, resolvedInput || null, null);
+      return this.failStep(pipeline.pipelineId, index, null, err.message);
+    }
+
+    // Claim the step first, so a second advance() cannot start it twice
+    const claimed = await this.claimStep(pipeline.pipelineId, index, resolvedInput, jobId);
+    if (!claimed) return;
+    console.log(`[Pipeline] ${pipeline.pipelineId} step "${step.id}" (${step.type}) started`);
+
+    if (!definition.queue) {
+      definition.run(data, pipeline)
+        .then(output => this.completeStep(pipeline.pipelineId, index, null, output))
+        .catch(err => this.failStep(pipeline.pipelineId, index, null, err.message));
+      return;
+    }
+
+    this.activeJobs.set(jobId, pipeline.pipelineId);
+    try {
+      await jobQueue.addJob(definition.queue, data, {
+        jobId,
+        userId: pipeline.userId,
+        metadata: { pipelineId: pipeline.pipelineId, stepId: step.id }
+      });
+    } catch (err) {
+      // e.g. queue cap or usage quota reached; the pipeline can be resumed later
+      this.activeJobs.delete(jobId);
+      await this.failStep(pipeline.pipelineId, index, jobId, err.message);
+    }
+  }
+
+  // Mark a pending step running; false if it was not pending any more
+  async claimStep(pipelineId, index, resolvedInput, jobId) {
+    const now = new Date();
+    const claimed = await Pipeline.findOneAndUpdate(
+      { pipelineId, status: 'running', [`steps.${index}.status`]: 'pending' },
+      {
+        $set: {
+          [`steps.${index}.status`]: 'running',
+          [`steps.${index}.resolvedInput`]: resolvedInput,
+          [`steps.${index}.jobId`]: jobId,
+          [`steps.${index}.progress`]: 0,
+          [`steps.${index}.error`]: null,
+          [`steps.${index}.startedAt`]: now,
+          [`steps.${index}.completedAt`]: null,
+          updatedAt: now
+        },
+        $inc: { [`steps.${index}.runs`]: 1 }
+      },
+      { new: true }
+    ).lean();
+    return !!claimed;
+  }
+
+  /**
+   * Input of a step with defaults filled in and references replaced by earlier outputs
+   */
+  resolveInput(pipeline, index) {
+    const step = pipeline.steps[index];
+    const earlier = pipeline.steps.slice(0, index);
+    const input = { ...(step.input || {}) };
+
+    Object.entries(STEP_TYPES[step.type].defaults || {}).forEach(([field, { from, field: outputField }]) => {
+      if (input[field] !== undefined) return;
+      const source = findSource(earlier, index, from);
+      if (source && source.output) input[field] = source.output[outputField];
+    });
+
+    return resolveValue(input, (stepId, prev, field) => {
+      const source = prev ? earlier[index - 1] : earlier.find(other => other.id === stepId);
+      return source && source.output ? source.output[field] : undefined;
+    });
+  }
+
+  async completeStep(pipelineId, index, jobId, output) {
+    const now = new Date();
+    const filter = { pipelineId, [`steps.${index}.status`]: 'running' };
+    if (jobId) filter[`steps.${index}.jobId`] = jobId;
+
+    const updated = await Pipeline.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          [`steps.${index}.status`]: 'completed',
+          [`steps.${index}.output`]: output || {},
+          [`steps.${index}.progress`]: 100,
+          [`steps.${index}.completedAt`]: now,
+          updatedAt: now
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!updated) return;
+
+    console.log(`[Pipeline] ${pipelineId} step "${updated.steps[index].id}" completed`);
+    await this.advance(pipelineId);
+  }
+
+  /**
+   * Stop the pipeline at a failed step; it can be resumed from there
+   * @param {string} [status] - Step status, 'failed' or 'cancelled'
+   */
+  async failStep(pipelineId, index, jobId, error, status = 'failed') {
+    const now = new Date();
+    const filter = { pipelineId, [`steps.${index}.status`]: 'running' };
+    if (jobId) filter[`steps.${index}.jobId`] = jobId;
+
+    const pipeline = await Pipeline.findOne(filter).lean();
+    if (!pipeline) return;
+    const step = pipeline.steps[index];
+
+    const updated = await Pipeline.updateOne(
+      filter,
+      {
+        $set: {
+          [`steps.${index}.status`]: status,
+          [`steps.${index}.error`]: error,
+          [`steps.${index}.completedAt`]: now,
+          updatedAt: now,
+          // A cancelled pipeline stays cancelled
+          ...(pipeline.status === 'running' ? {
+            status: 'failed',
+            error: `Step "${step.id}" (${step.type}) failed: ${error}`,
+            completedAt: now
+          } : {})
+        },
+        $push: { [`steps.${index}.history`]: { run: step.runs, jobId: jobId || step.jobId, error, failedAt: now } }
+      }
+    );
+    if (updated.modifiedCount) {
+      console.error(`[Pipeline] ✗ ${pipelineId} step "${step.id}" ${status}: ${error}`);
+    }
+  }
+
+  /**
+   * Continue a failed or cancelled pipeline from its first unfinished step
+   * @returns {Promise<object|null>} Pipeline status, or null if not found
+   * @throws {ValidationError} If the pipeline is not failed/cancelled
+   */
+  async resumePipeline(userId, pipelineId) {
+    const pipeline = await Pipeline.findOne({ pipelineId, userId: String(userId) }).lean();
+    if (!pipeline) return null;
+    if (!['failed', 'cancelled'].includes(pipeline.status)) {
+      throw new ValidationError(`Only failed or cancelled pipelines can be resumed (status: ${pipeline.status})`);
+    }
+
+    const index = pipeline.steps.findIndex(step => step.status !== 'completed');
+    if (index !== -1 && pipeline.steps[index].status === 'running') {
+      throw new ValidationError(`Step "${pipeline.steps[index].id}" is still running`);
+    }
+
+    const set = { status: 'running', error: null, completedAt: null, updatedAt: new Date() };
+    if (index !== -1) {
+      set[`steps.${index}.status`] = 'pending';
+      set[`steps.${index}.error`] = null;
+      set[`steps.${index}.progress`] = null;
+    }
+    const resumed = await Pipeline.updateOne({ pipelineId, status: pipeline.status }, { $set: set });
+    if (!resumed.modifiedCount) {
+      throw new ValidationError('Pipeline changed while resuming, please try again');
+    }
+
+    console.log(`[Pipeline] ${pipelineId} resumed${index !== -1 ? ` from step "${pipeline.steps[index].id}"` : ''}`);
+    await this.advance(pipelineId);
+    return this.getPipeline(userId, pipelineId);
+  }
+
+  /**
+   * Cancel a running pipeline and the queue job of its current step
+   * @returns {Promise<boolean>} False if not found or not running
+   */
+  async cancelPipeline(userId, pipelineId) {
+    const now = new Date();
+    const pipeline = await Pipeline.findOneAndUpdate(
+      { pipelineId, userId: String(userId), status: 'running' },
+      { $set: { status: 'cancelled', error: null, completedAt: now, updatedAt: now } },
+      { new: true }
+    ).lean();
+    if (!pipeline) return false;
+
+    const index = pipeline.steps.findIndex(step => step.status === 'running');
+    const step = pipeline.steps[index];
+    // Inline steps (publish) cannot be interrupted and are left to finish
+    if (step && step.jobId) {
+      await jobQueue.cancelJob(step.jobId);
+      await this.failStep(pipelineId, index, step.jobId, 'Pipeline was cancelled', 'cancelled');
+      this.activeJobs.delete(step.jobId);
+    }
+
+    console.log(`[Pipeline] ${pipelineId} cancelled`);
+    return true;
+  }
+
+  // Follow the queue jobs of running steps
+  async onJobEvent(event) {
+    const pipelineId = this.activeJobs.get(event.jobId);
+    if (!pipelineId) return;
+
+    try {
+      if (event.event === 'progress') {
+        await Pipeline.updateOne(
+          { pipelineId, 'steps.jobId': event.jobId },
+          { $set: { 'steps.$.progress': event.progress, updatedAt: new Date() } }
+        );
+      } else if (['completed', 'failed', 'cancelled'].includes(event.event)) {
+        await this.handleJobFinished(pipelineId, event.jobId);
+      }
+    } catch (err) {
+      console.error(`[Pipeline] Failed to handle ${event.event} of job ${event.jobId}:`, err.message);
+    }
+  }
+
+  /**
+   * Record the outcome of a step's queue job and move on
+   */
+  async handleJobFinished(pipelineId, jobId) {
+    this.activeJobs.delete(jobId);
+
+    const pipeline = await Pipeline.findOne({ pipelineId }).lean();
+    if (!pipeline) return;
+    const index = pipeline.steps.findIndex(step => step.jobId === jobId);
+    if (index === -1 || pipeline.steps[index].status !== 'running') return;
+
+    const status = await jobQueue.getJobStatus(jobId);
+    if (status.status === 'completed') {
+      try {
+        const output = await STEP_TYPES[pipeline.steps[index].type].output(status.result || {}, pipeline);
+        await this.completeStep(pipelineId, index, jobId, output);
+      } catch (err) {
+        await this.failStep(pipelineId, index, jobId, err.message);
+      }
+    } else if (status.status === 'cancelled') {
+      await this.failStep(pipelineId, index, jobId, 'Job was cancelled', 'cancelled');
+    } else if (status.status === 'failed' || status.status === 'not_found') {
+      await this.failStep(pipelineId, index, jobId, status.error || 'Job failed');
+    } else {
+      // Still queued or processing (e.g. checked during recovery): keep following it
+      this.activeJobs.set(jobId, pipelineId);
+    }
+  }
+
+  /**
+   * Overall and per-step status for API responses
+   */
+  toStatus(pipeline) {
+    const steps = pipeline.steps || [];
+    const completed = steps.filter(step => step.status === 'completed').length;
+    const current = steps.find(step => step.status === 'running');
+    const currentShare = current && typeof current.progress === 'number' ? current.progress / 100 : 0;
+
+    return {
+      pipelineId: pipeline.pipelineId,
+      name: pipeline.name,
+      status: pipeline.status,
+      progress: steps.length ? Math.round(((completed + currentShare) / steps.length) * 100) : 0,
+      currentStep: current ? current.id : null,
+      completedSteps: completed,
+      totalSteps: steps.length,
+      error: pipeline.error,
+      steps: steps.map(step => ({
+        id: step.id,
+        type: step.type,
+        status: step.status,
+        jobId: step.jobId,
+        progress: step.status === 'completed' ? 100 : step.progress,
+        input: step.input,
+        resolvedInput: step.resolvedInput,
+        output: step.output,
+        error: step.error,
+        runs: step.runs,
+        history: step.history,
+        startedAt: toMillis(step.startedAt),
+        completedAt: toMillis(step.completedAt)
+      })),
+      createdAt: toMillis(pipeline.createdAt),
+      updatedAt: toMillis(pipeline.updatedAt),
+      completedAt: toMillis(pipeline.completedAt)
+    };
+  }
+
+  /**
+   * Follow queue job events and pick up pipelines that were running when the
+   * server stopped (call once the DB is connected, after jobQueue.start())
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+    jobQueue.on('job', this.onJobEvent);
+
+    try {
+      const running = await Pipeline.find({ status: 'running' }).lean();
+      for (const pipeline of running) {
+        const index = pipeline.steps.findIndex(step => step.status === 'running');
+        const step = pipeline.steps[index];
+        if (step && step.jobId) {
+          await this.handleJobFinished(pipeline.pipelineId, step.jobId);
+        } else if (step) {
+          await this.failStep(pipeline.pipelineId, index, null, 'Interrupted by a server restart');
+        } else {
+          await this.advance(pipeline.pipelineId);
+        }
+      }
+      if (running.length > 0) {
+        console.log(`[Pipeline] Recovered ${running.length} running pipelines`);
+      }
+    } catch (err) {
+      console.error('[Pipeline] Recovery failed:', err.message);
+    }
+  }
+}
+
+module.exports = new PipelineService();
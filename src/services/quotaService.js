@@ -0,0 +1,248 @@
+/**
+ * quotaService.js
+ * Per-user usage quotas for the AI tools, by plan tier
+ *
+ * - Each plan tier (User.plan) has limits per tool (queue job type) and
+ *   period: 'day' and/or 'month', both in UTC
+ * - A limit can be overridden with QUOTA_<PLAN>_<TOOL>_<PERIOD>
+ *   (e.g. QUOTA_FREE_VEO_VIDEO_DAY=3); 0 blocks the tool for that plan
+ * - Usage is reserved when a job is enqueued (jobQueueService.addJob) and
+ *   handed back if the job is cancelled before it started
+ * - Tools without a limit for the user's plan are unlimited
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UsageCounter = require('../models/UsageCounter');
+
+const PERIODS = ['day', 'month'];
+const DEFAULT_PLAN = 'free';
+
+// Shown in quota messages and GET /api/usage
+const TOOLS = {
+  'veo-video': 'Veo videos',
+  image: 'images',
+  'image-edit': 'image edits',
+  'remove-bg': 'background removals',
+  'vertex-remove-bg': 'background removals (Vertex)',
+  tts: 'text-to-speech clips',
+  script: 'scripts',
+  'audio-mount': 'audio mounts',
+  meme: 'memes',
+  thumbnail: 'thumbnail sets',
+  'image-to-prompt': 'image-to-prompt analyses'
+};
+
+const PLANS = {
+  free: {
+    'veo-video': { day: 2, month: 20 },
+    image: { day: 20 },
+    'image-edit': { day: 20 },
+    'remove-bg': { day: 10 },
+    'vertex-remove-bg': { day: 10 },
+    tts: { day: 20 },
+    script: { day: 30 },
+    'audio-mount': { day: 20 },
+    meme: { day: 20 },
+    thumbnail: { day: 10 },
+    'image-to-prompt': { day: 30 }
+  },
+  pro: {
+    'veo-video': { day: 5, month: 100 },
+    image: { day: 50 },
+    'image-edit': { day: 50 },
+    'remove-bg': { day: 50 },
+    'vertex-remove-bg': { day: 50 },
+    tts: { day: 100 },
+    script: { day: 200 },
+    'audio-mount': { day: 100 },
+    meme: { day: 100 },
+    thumbnail: { day: 50 },
+    'image-to-prompt': { day: 200 }
+  },
+  business: {
+    'veo-video': { day: 20, month: 400 },
+    image: { day: 200 },
+    'image-edit': { day: 200 },
+    'remove-bg': { day: 200 },
+    'vertex-remove-bg': { day: 200 },
+    tts: { day: 500 },
+    script: { day: 1000 },
+    'audio-mount': { day: 500 },
+    meme: { day: 500 },
+    thumbnail: { day: 200 },
+    'image-to-prompt': { day: 1000 }
+  }
+};
+
+const PERIOD_NAMES = { day: 'Daily', month: 'Monthly' };
+
+/**
+ * Thrown when a user has used up a tool's allowance for the current period
+ */
+class QuotaExceededError extends Error {
+  constructor(quota) {
+    super(`${PERIOD_NAMES[quota.period]} limit of ${quota.limit} ${TOOLS[quota.tool] || quota.tool} reached for the ${quota.plan} plan. Resets at ${quota.resetAt.toISOString()}.`);
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+    this.retryAfter = Math.max(1, Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)); // seconds
+  }
+}
+
+// UTC start of the period containing date
+function periodStart(period, date = new Date()) {
+  return period === 'day'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function periodEnd(period, start) {
+  return period === 'day'
+    ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 1))
+    : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+}
+
+// e.g. ('free', 'veo-video', 'day') -> QUOTA_FREE_VEO_VIDEO_DAY
+const envName = (plan, tool, period) => `QUOTA_${[plan, tool, period].join('_').toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+
+// Quotas only apply to registered users; anonymous jobs come from public routes
+const isUserId = (userId) => !!userId && mongoose.Types.ObjectId.isValid(String(userId));
+
+class QuotaService {
+  /**
+   * Limits of a plan for one tool
+   * @param {string} plan - Plan tier
+   * @param {string} tool - Queue job type
+   * @returns {object} { day?: number, month?: number }
+   */
+  getToolLimits(plan, tool) {
+    const defaults = (PLANS[plan] || PLANS[DEFAULT_PLAN])[tool] || {};
+    const limits = {};
+    PERIODS.forEach(period => {
+      const override = parseInt(process.env[envName(plan, tool, period)], 10);
+      const limit = Number.isInteger(override) && override >= 0 ? override : defaults[period];
+      if (typeof limit === 'number') limits[period] = limit;
+    });
+    return limits;
+  }
+
+  async getPlan(userId) {
+    const user = await User.findById(userId).select('plan').lean();
+    return (user && PLANS[user.plan]) ? user.plan : DEFAULT_PLAN;
+  }
+
+  /**
+   * Reserve one use of a tool for the current periods
+   * @param {string} userId - User identifier
+   * @param {string} tool - Queue job type
+   * @throws {QuotaExceededError} If any period's limit is already reached
+   */
+  async consume(userId, tool) {
+    if (!isUserId(userId)) return;
+
+    const plan = await this.getPlan(userId);
+    const limits = this.getToolLimits(plan, tool);
+    const now = new Date();
+    const reserved = [];
+
+    for (const period of PERIODS) {
+      if (typeof limits[period] !== 'number') continue;
+
+      const start = periodStart(period, now);
+      const key = { userId: String(userId), tool, period, periodStart: start };
+      if (!(await this.increment(key, limits[period], periodEnd(period, start)))) {
+        // All or nothing: give back the periods already counted
+        await Promise.all(reserved.map(reservedKey => this.decrement(reservedKey)));
+        const counter = await UsageCounter.findOne(key).lean();
+        console.log(`[Quota] User ${userId} reached the ${period} limit for ${tool} (${limits[period]}, ${plan} plan)`);
+        throw new QuotaExceededError({
+          tool,
+          plan,
+          period,
+          limit: limits[period],
+          used: counter ? counter.count : limits[period],
+          resetAt: periodEnd(period, start)
+        });
+      }
+      reserved.push(key);
+    }
+  }
+
+  /**
+   * Hand back a use reserved by consume (e.g. the job was cancelled before it ran)
+   * @param {string} userId - User identifier
+   * @param {string} tool - Queue job type
+   * @param {Date} reservedAt - When the use was reserved (job createdAt)
+   */
+  async release(userId, tool, reservedAt = new Date()) {
+    if (!isUserId(userId)) return;
+    const date = new Date(reservedAt);
+    await Promise.all(PERIODS.map(period => this.decrement({
+      userId: String(userId),
+      tool,
+      period,
+      periodStart: periodStart(period, date)
+    })));
+  }
+
+  // Atomically add one use unless the limit is reached; false when it is
+  async increment(key, limit, expiresAt) {
+    if (limit <= 0) return false;
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt } };
+    try {
+      const counter = await UsageCounter.findOneAndUpdate(
+        { ...key, count: { $lt: limit } },
+        update,
+        { upsert: true, new: true }
+      ).lean();
+      return !!counter;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // The counter exists and is full, or a concurrent request created it first
+      const counter = await UsageCounter.findOneAndUpdate({ ...key, count: { $lt: limit } }, update, { new: true }).lean();
+      return !!counter;
+    }
+  }
+
+  async decrement(key) {
+    await UsageCounter.updateOne({ ...key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  /**
+   * Current usage and remaining allowance of every tool for a user
+   * @param {string} userId - User identifier
+   * @returns {Promise<object>} { plan, tools: { [tool]: { label, day?, month? } } }
+   */
+  async getUsage(userId) {
+    const plan = await this.getPlan(userId);
+    const now = new Date();
+    const starts = Object.fromEntries(PERIODS.map(period => [period, periodStart(period, now)]));
+
+    const counters = await UsageCounter.find({
+      userId: String(userId),
+      $or: PERIODS.map(period => ({ period, periodStart: starts[period] }))
+    }).lean();
+    const used = new Map(counters.map(counter => [`${counter.tool}:${counter.period}`, counter.count]));
+
+    const tools = {};
+    Object.keys(TOOLS).forEach(tool => {
+      const limits = this.getToolLimits(plan, tool);
+      const usage = { label: TOOLS[tool], unlimited: Object.keys(limits).length === 0 };
+      PERIODS.forEach(period => {
+        if (typeof limits[period] !== 'number') return;
+        const count = used.get(`${tool}:${period}`) || 0;
+        usage[period] = {
+          limit: limits[period],
+          used: count,
+          remaining: Math.max(0, limits[period] - count),
+          resetAt: periodEnd(period, starts[period])
+        };
+      });
+      tools[tool] = usage;
+    });
+
+    return { plan, tools };
+  }
+}
+
+module.exports = new QuotaService();
@@ -2,13 +2,8 @@ const ScheduledPost = require('../models/ScheduledPost');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const publishController = require('../controllers/publishController');
-
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'ValidationError';
-  }
-}
+const webhookService = require('./webhookService');
+const { ValidationError } = require('../utils/errors');
 
 class SchedulingService {
   async validateSchedulingRequest(userId, videoS3Key, scheduledTime) {
@@ -125,6 +120,7 @@ class SchedulingService {
               status: 'failed',
               error: 'YouTube account not connected'
             });
+            this.notifyFailed(post, 'YouTube account not connected');
             continue;
           }
 
@@ -132,7 +128,7 @@ class SchedulingService {
           const videoId = await publishController.publishVideoToYouTube(
             post.userId._id.toString(),
             post.videoS3Key,
-            { title: post.title, description: post.description }
+            { title: post.title, description: post.description, scheduledPostId: post._id.toString() }
           );
           
           await ScheduledPost.findByIdAndUpdate(post._id, {
@@ -146,6 +142,7 @@ class SchedulingService {
             status: 'failed',
             error: error.message
           });
+          this.notifyFailed(post, error.message);
         }
       }
     } catch (error) {
@@ -153,6 +150,19 @@ class SchedulingService {
     }
   }
 
+  // Let the owner's webhooks know a scheduled post could not be published
+  notifyFailed(post, error) {
+    const userId = post.userId && post.userId._id ? post.userId._id : post.userId;
+    webhookService.emit(userId, 'schedule.failed', {
+      scheduledPostId: post._id.toString(),
+      platform: post.platform,
+      videoS3Key: post.videoS3Key,
+      title: post.title || null,
+      scheduledTime: post.scheduledTime,
+      error
+    });
+  }
+
   // Ensure the processing job runs frequently
   ensureProcessingJob() {
     if (!global.schedulingInterval) {
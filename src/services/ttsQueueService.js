@@ -1,182 +1,79 @@
 /**
  * ttsQueueService.js
- * In-memory queue for text-to-speech generation
+ * Queue for text-to-speech generation, backed by the persistent job queue engine
  * Ensures only 1 TTS generation runs at a time to control costs
  */
 
+const jobQueue = require("./jobQueueService");
+
+const JOB_TYPE = "tts";
+
 class TtsQueueService {
   constructor() {
-    this.queue = [];
-    this.jobs = new Map();
-    this.processing = false;
-    this.maxConcurrent = 1;
+    this.type = JOB_TYPE;
+    jobQueue.defineQueue(JOB_TYPE, {
+      label: "TtsQueue",
+      concurrency: 1,
+      timeout: 3 * 60 * 1000, // 3 minutes max for TTS
+      estimatedTimePerJob: 20, // ~20s per TTS
+      retry: { maxAttempts: 3, baseDelay: 5 * 1000 },
+      // The base64 audio is too large for job lists; it is fetched from /video-tts/tts-status
+      listResult: () => ({ audio: true }),
+    });
   }
 
   /**
-   * Add a new TTS generation job to the queue
-   * @param {Function} processor - Async function that performs the actual TTS generation
-   * @param {Object} metadata - Job metadata (userId, text length, etc.)
-   * @returns {string} jobId
+   * Register the function that performs the actual TTS generation
+   * @param {Function} processor - Async function (data, job) => result
    */
-  addJob(processor, metadata = {}) {
-    const jobId = Math.random().toString(36).substring(2, 15);
-    const job = {
-      id: jobId,
-      processor,
-      metadata,
-      status: "queued",
-      result: null,
-      error: null,
-      createdAt: Date.now(),
-      startedAt: null,
-      completedAt: null,
-    };
-
-    this.jobs.set(jobId, job);
-    this.queue.push(jobId);
-
-    console.log(
-      `[TtsQueue] Job ${jobId} added to queue. Queue size: ${this.queue.length}`
-    );
-
-    // Start processing if not already running
-    if (!this.processing) {
-      this.processQueue();
-    }
-
-    return jobId;
+  registerProcessor(processor) {
+    jobQueue.registerProcessor(JOB_TYPE, processor);
   }
 
   /**
-   * Process jobs in the queue sequentially
+   * Add a new TTS generation job to the queue
+   * @param {Object} data - Processor inputs (text, voiceId)
+   * @param {Object} metadata - Job metadata (userId, text length, etc.)
+   * @returns {Promise<string>} jobId
    */
-  async processQueue() {
-    if (this.processing) return;
-    this.processing = true;
-
-    while (this.queue.length > 0) {
-      const jobId = this.queue.shift();
-      const job = this.jobs.get(jobId);
-
-      if (!job) continue;
-
-      job.status = "processing";
-      job.startedAt = Date.now();
-
-      console.log(
-        `[TtsQueue] Processing job ${jobId}. Remaining in queue: ${this.queue.length}`
-      );
-
-      try {
-        // Set a timeout for the job (3 minutes max for TTS)
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Job timeout")), 3 * 60 * 1000)
-        );
-
-        const result = await Promise.race([
-          job.processor(),
-          timeoutPromise,
-        ]);
-
-        job.result = result;
-        job.status = "completed";
-        job.completedAt = Date.now();
-
-        console.log(
-          `[TtsQueue] Job ${jobId} completed in ${
-            job.completedAt - job.startedAt
-          }ms`
-        );
-      } catch (error) {
-        job.error = error.message || "TTS generation failed";
-        job.status = "failed";
-        job.completedAt = Date.now();
-
-        console.error(`[TtsQueue] Job ${jobId} failed:`, error.message);
-      }
-
-      // Schedule cleanup after 1 hour
-      setTimeout(() => {
-        if (this.jobs.has(jobId)) {
-          console.log(`[TtsQueue] Cleaning up job ${jobId}`);
-          this.jobs.delete(jobId);
-        }
-      }, 60 * 60 * 1000);
-    }
-
-    this.processing = false;
-    console.log("[TtsQueue] Queue processing complete");
+  async addJob(data, metadata = {}) {
+    const { jobId } = await jobQueue.addJob(JOB_TYPE, data, {
+      userId: metadata.userId,
+      metadata,
+    });
+    return jobId;
   }
 
   /**
    * Get job status
    * @param {string} jobId
-   * @returns {Object} Job status info
+   * @returns {Promise<Object>} Job status info
    */
-  getJobStatus(jobId) {
-    const job = this.jobs.get(jobId);
-    if (!job) {
-      return { status: "not_found" };
-    }
-
-    const position = this.queue.indexOf(jobId) + 1;
-    const response = {
-      status: job.status,
-      position: position > 0 ? position : null,
-      queueLength: this.queue.length,
-    };
-
-    if (job.status === "completed") {
-      response.result = job.result;
-    } else if (job.status === "failed") {
-      response.error = job.error;
-    } else if (job.status === "queued") {
-      // Estimated wait time: position in queue * avg time per TTS (~20s)
-      response.estimatedWaitTime = position * 20;
-    }
-
-    return response;
+  async getJobStatus(jobId) {
+    return jobQueue.getJobStatus(jobId, JOB_TYPE);
   }
 
   /**
    * Get queue statistics
-   * @returns {Object} Queue stats
+   * @returns {Promise<Object>} Queue stats
    */
-  getStats() {
+  async getStats() {
+    const stats = await jobQueue.getStats(JOB_TYPE);
     return {
-      queueLength: this.queue.length,
-      totalJobs: this.jobs.size,
-      processing: this.processing,
-      jobs: Array.from(this.jobs.values()).map((job) => ({
-        id: job.id,
-        status: job.status,
-        metadata: job.metadata,
-        createdAt: job.createdAt,
-      })),
+      queueLength: stats.queueLength,
+      totalJobs: stats.totalInQueue,
+      processing: stats.processing,
+      jobs: stats.activeJobs,
     };
   }
 
   /**
-   * Cancel a queued job
+   * Cancel a queued or running job
    * @param {string} jobId
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  cancelJob(jobId) {
-    const job = this.jobs.get(jobId);
-    if (!job || job.status !== "queued") {
-      return false;
-    }
-
-    const index = this.queue.indexOf(jobId);
-    if (index > -1) {
-      this.queue.splice(index, 1);
-    }
-
-    job.status = "cancelled";
-    job.completedAt = Date.now();
-
-    console.log(`[TtsQueue] Job ${jobId} cancelled`);
-    return true;
+  async cancelJob(jobId) {
+    return jobQueue.cancelJob(jobId, JOB_TYPE);
   }
 }
 
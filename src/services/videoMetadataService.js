@@ -0,0 +1,36 @@
+/**
+ * videoMetadataService.js
+ * Probed media metadata of videos (Video.media, see videoMetadata.js)
+ *
+ * queueProbe is called when a video is registered, and when a job outside the
+ * crop worker writes one (Veo, mount-audio); it creates a 'probe' edit job.
+ * The crop worker probes its own outputs right after uploading them.
+ */
+
+const { createJob, findActiveJob } = require('../videoEditJob');
+
+class VideoMetadataService {
+  /**
+   * Queue probing of a video. Never throws: a failure must not break the
+   * registration or job that triggered it.
+   * @param {string} s3Key - Key of the video (videos/...)
+   * @param {object} owner - { userId, username }
+   * @returns {Promise<string|null>} Edit job id, null if nothing was queued
+   */
+  async queueProbe(s3Key, { userId, username } = {}) {
+    try {
+      if (!s3Key || !s3Key.startsWith('videos/')) return null;
+      if (await findActiveJob('probe', s3Key)) return null;
+      const job = await createJob({ type: 'probe', s3Key, userId: userId ? String(userId) : undefined, username });
+      console.log(`[VIDEO-PROBE] Queued probe of ${s3Key} (job ${job.jobId})`);
+      return job.jobId;
+    } catch (err) {
+      console.error(`[VIDEO-PROBE] Failed to queue probe of ${s3Key}:`, err);
+      return null;
+    }
+  }
+}
+
+const videoMetadataService = new VideoMetadataService();
+
+module.exports = videoMetadataService;
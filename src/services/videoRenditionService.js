@@ -0,0 +1,114 @@
+/**
+ * videoRenditionService.js
+ * Streaming renditions of library videos (HLS + preview MP4, see videoRenditions.js)
+ *
+ * - queueRenditions is called when a video is registered or generated; it
+ *   creates a 'renditions' edit job for the crop worker and marks the Video
+ *   as pending. The worker records the result on Video.renditions.
+ * - Playback: the API hands out a signed master playlist URL. Playlists are
+ *   served by the API with signed URLs (HMAC of video id, file and expiry),
+ *   and segments with presigned S3 URLs, so players need no auth headers.
+ */
+
+const Video = require('../models/Video');
+const { createJob } = require('../videoEditJob');
+const { getFileBuffer, getSignedDownloadUrl } = require('../s3Service');
+const { rewritePlaylist } = require('../videoRenditions');
+const { URL_TTL_SECONDS, expiryTime, signedQuery, verifySignature } = require('../utils/signedUrls');
+
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+class VideoRenditionService {
+  /**
+   * Queue HLS/preview renditions of a video. Never throws: a failure must not break
+   * the registration or generation that triggered it.
+   * @param {object} video - Video document (s3Key, owner)
+   * @param {object} options - { username, force }: force re-renders ready or failed renditions
+   * @returns {Promise<string|null>} Edit job id, null if nothing was queued
+   */
+  async queueRenditions(video, { username, force = false } = {}) {
+    try {
+      // Image generations are stored as Video records too; only videos get renditions
+      if (!video || !video.s3Key || !video.s3Key.startsWith('videos/')) return null;
+      const status = video.renditions && video.renditions.status;
+      if (ACTIVE_STATUSES.includes(status) || (status === 'ready' && !force)) return null;
+
+      const job = await createJob({
+        type: 'renditions',
+        s3Key: video.s3Key,
+        userId: String(video.owner),
+        username
+      });
+      await Video.updateOne({ _id: video._id }, {
+        $set: {
+          'renditions.status': 'pending',
+          'renditions.jobId': job.jobId,
+          'renditions.error': null,
+          'renditions.updatedAt': new Date()
+        }
+      });
+      console.log(`[VIDEO-RENDITIONS][API] Queued renditions of ${video.s3Key} (job ${job.jobId})`);
+      return job.jobId;
+    } catch (err) {
+      console.error(`[VIDEO-RENDITIONS][API] Failed to queue renditions of ${video && video.s3Key}:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Signed URL of the master playlist and a presigned URL of the preview MP4
+   * @param {object} video - Video document with ready renditions
+   * @param {string} baseUrl - Public URL of the API, e.g. https://api.example.com/api
+   * @returns {Promise<{ playlistUrl: string, previewUrl: string|null, expiresAt: Date }>}
+   */
+  async playbackUrls(video, baseUrl) {
+    const expires = expiryTime();
+    const videoId = String(video._id);
+    const { preview } = video.renditions;
+    return {
+      playlistUrl: `${baseUrl}/video/stream/${videoId}/master.m3u8?${signedQuery(`${videoId}:master.m3u8`, expires)}`,
+      previewUrl: preview && preview.s3Key ? await getSignedDownloadUrl(preview.s3Key, URL_TTL_SECONDS) : null,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  /**
+   * Check the signature of a playlist request
+   * @returns {boolean}
+   */
+  verify(videoId, file, expires, sig) {
+    return verifySignature(`${videoId}:${file}`, expires, sig);
+  }
+
+  /**
+   * Master playlist pointing at signed variant playlists (same expiry as the master URL)
+   */
+  async masterPlaylist(video, expires) {
+    const videoId = String(video._id);
+    const master = (await getFileBuffer(video.renditions.hls.masterKey)).toString('utf8');
+    return rewritePlaylist(master, (uri) => {
+      const name = uri.split('/')[0];
+      return `${name}.m3u8?${signedQuery(`${videoId}:${name}.m3u8`, parseInt(expires, 10))}`;
+    });
+  }
+
+  /**
+   * Variant playlist with presigned segment URLs
+   * @returns {Promise<string|null>} null for an unknown variant
+   */
+  async variantPlaylist(video, name) {
+    const variant = (video.renditions.hls.variants || []).find(entry => entry.name === name);
+    if (!variant) return null;
+    const dir = variant.playlistKey.slice(0, variant.playlistKey.lastIndexOf('/') + 1);
+    const playlist = (await getFileBuffer(variant.playlistKey)).toString('utf8');
+    const segments = playlist.split(/\r?\n/).filter(line => line && !line.startsWith('#'));
+    const urls = new Map(await Promise.all(
+      segments.map(async segment => [segment, await getSignedDownloadUrl(`${dir}${segment}`, URL_TTL_SECONDS)])
+    ));
+    return rewritePlaylist(playlist, uri => urls.get(uri) || uri);
+  }
+}
+
+const videoRenditionService = new VideoRenditionService();
+
+module.exports = videoRenditionService;
@@ -0,0 +1,84 @@
+/**
+ * videoThumbnailService.js
+ * Poster frames, sprite sheets and WebVTT thumbnail tracks of videos (see videoThumbnails.js)
+ *
+ * - queueThumbnails is called whenever a video lands in S3 (uploads, Veo,
+ *   crop worker outputs, mount-audio); it creates a 'thumbnails' edit job for
+ *   the crop worker, which stores the files next to the video.
+ * - /api/videos lists presigned URLs of the poster and sprite, and a signed
+ *   URL of the track, which the API serves with a presigned sprite URL.
+ */
+
+const { createJob, findActiveJob } = require('../videoEditJob');
+const { getFileBuffer, getSignedDownloadUrl } = require('../s3Service');
+const { thumbnailKeys, rewriteTrack } = require('../videoThumbnails');
+const { URL_TTL_SECONDS, expiryTime, signedQuery, verifySignature } = require('../utils/signedUrls');
+
+class VideoThumbnailService {
+  /**
+   * Queue thumbnails of a video. Never throws: a failure must not break the
+   * upload or job that triggered it.
+   * @param {string} s3Key - Key of the video (videos/...)
+   * @param {object} owner - { userId, username }
+   * @returns {Promise<string|null>} Edit job id, null if nothing was queued
+   */
+  async queueThumbnails(s3Key, { userId, username } = {}) {
+    try {
+      if (!s3Key || !s3Key.startsWith('videos/')) return null;
+      // Uploads are often registered right after completing; one job per video is enough
+      if (await findActiveJob('thumbnails', s3Key)) return null;
+      const job = await createJob({ type: 'thumbnails', s3Key, userId: userId ? String(userId) : undefined, username });
+      console.log(`[VIDEO-THUMBNAILS] Queued thumbnails of ${s3Key} (job ${job.jobId})`);
+      return job.jobId;
+    } catch (err) {
+      console.error(`[VIDEO-THUMBNAILS] Failed to queue thumbnails of ${s3Key}:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * URLs of a video's thumbnails for the library
+   * @param {string} s3Key - Key of the video
+   * @param {string} baseUrl - Public URL of the API, e.g. https://api.example.com/api
+   * @returns {Promise<{ poster: string, sprite: string, track: string, expiresAt: Date }>}
+   */
+  async thumbnailUrls(s3Key, baseUrl) {
+    const keys = thumbnailKeys(s3Key);
+    const expires = expiryTime();
+    const [poster, sprite] = await Promise.all([
+      getSignedDownloadUrl(keys.poster, URL_TTL_SECONDS),
+      getSignedDownloadUrl(keys.sprite, URL_TTL_SECONDS)
+    ]);
+    return {
+      poster,
+      sprite,
+      track: `${baseUrl}/video/thumbnails.vtt?key=${encodeURIComponent(s3Key)}&${signedQuery(`thumbnails:${s3Key}`, expires)}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  /**
+   * Check the signature of a track request
+   * @returns {boolean}
+   */
+  verify(s3Key, expires, sig) {
+    return verifySignature(`thumbnails:${s3Key}`, expires, sig);
+  }
+
+  /**
+   * Stored thumbnail track with its cues pointing at a presigned sprite URL
+   * @returns {Promise<string>}
+   */
+  async track(s3Key) {
+    const keys = thumbnailKeys(s3Key);
+    const [track, spriteUrl] = await Promise.all([
+      getFileBuffer(keys.track),
+      getSignedDownloadUrl(keys.sprite, URL_TTL_SECONDS)
+    ]);
+    return rewriteTrack(track.toString('utf8'), spriteUrl);
+  }
+}
+
+const videoThumbnailService = new VideoThumbnailService();
+
+module.exports = videoThumbnailService;
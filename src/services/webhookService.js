@@ -0,0 +1,393 @@
+/**
+ * webhookService.js
+ * Outbound webhooks: users register endpoints and subscribe to events,
+ * and every matching event is POSTed to them as signed JSON.
+ *
+ * - Events: job.completed, job.failed (AI queue jobs), video.published,
+ *   schedule.failed
+ * - Each delivery is stored in WebhookDelivery (the delivery log) before it
+ *   is sent, so failed deliveries survive restarts and are retried with
+ *   exponential backoff by a poller
+ * - Signature: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *   using the webhook's secret
+ * - URLs must not point to loopback, private or metadata addresses: the host is
+ *   checked when a webhook is saved, and the resolved address when each delivery
+ *   connects (utils/privateAddresses.js), so DNS rebinding cannot get around it
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const QueueJob = require('../models/QueueJob');
+const jobQueue = require('./jobQueueService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { isPrivateHost, guardedLookup } = require('../utils/privateAddresses');
+
+const EVENTS = ['job.completed', 'job.failed', 'video.published', 'schedule.failed'];
+
+const MAX_WEBHOOKS_PER_USER = parseInt(process.env.WEBHOOK_MAX_PER_USER, 10) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const BASE_RETRY_DELAY = 30 * 1000; // Doubles after every failed attempt
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const POLL_INTERVAL = parseInt(process.env.WEBHOOK_RETRY_POLL_MS, 10) || 15000;
+const RETENTION_MS = (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const MAX_RESPONSE_LOGGED = 500; // Characters of the endpoint's response body kept in the log
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds, also sent in the header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value
+ */
+function sign(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+// Exponential backoff with jitter: 30s, 1m, 2m, 4m ... capped at 1h
+function retryDelay(attempts) {
+  const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, attempts - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Loopback, private and link-local addresses are only allowed in development
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Deliveries connect through these agents, which refuse hosts resolving to private addresses
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup() }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup() })
+};
+
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    throw new ValidationError('Invalid webhook URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError('Webhook URL must use http or https');
+  }
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+    throw new ValidationError('Webhook URL must use https');
+  }
+  if (isPrivateHost(url.hostname) && !allowPrivateUrls()) {
+    throw new ValidationError('Webhook URL must not point to a private or local address');
+  }
+  return url.toString();
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new ValidationError(`events must be a non-empty array of: ${EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter(event => !EVENTS.includes(event));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown event(s): ${unknown.join(', ')}. Supported events: ${EVENTS.join(', ')}`);
+  }
+  return [...new Set(events)];
+}
+
+function validateId(id, what) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${what} ID format`);
+  }
+}
+
+class WebhookService {
+  constructor() {
+    this.pollTimer = null;
+    this.polling = false;
+    this.onJobEvent = this.onJobEvent.bind(this);
+  }
+
+  /**
+   * Register a webhook
+   * @param {string} userId - Owner
+   * @param {object} input - { url, events, description }
+   * @returns {Promise<{ webhook: object, secret: string }>} The secret is only returned here and on rotation
+   */
+  async createWebhook(userId, { url, events, description } = {}) {
+    const count = await Webhook.countDocuments({ userId });
+    if (count >= MAX_WEBHOOKS_PER_USER) {
+      throw new ValidationError(`You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      userId,
+      url: validateUrl(url),
+      events: validateEvents(events),
+      description: typeof description === 'string' ? description.slice(0, 200) : '',
+      secret
+    });
+
+    return { webhook: webhook.toJSON(), secret };
+  }
+
+  async listWebhooks(userId) {
+    const webhooks = await Webhook.find({ userId }).sort({ createdAt: -1 });
+    return webhooks.map(webhook => webhook.toJSON());
+  }
+
+  async getWebhook(userId, webhookId) {
+    validateId(webhookId, 'webhook');
+    const webhook = await Webhook.findOne({ _id: webhookId, userId });
+    if (!webhook) {
+      throw new NotFoundError('Webhook not found');
+    }
+    return webhook;
+  }
+
+  /**
+   * Update url, events, description or active flag of a webhook
+   */
+  async updateWebhook(userId, webhookId, updates = {}) {
+    const webhook = await this.getWebhook(userId, webhookId);
+
+    if (updates.url !== undefined) webhook.url = validateUrl(updates.url);
+    if (updates.events !== undefined) webhook.events = validateEvents(updates.events);
+    if (typeof updates.description === 'string') webhook.description = updates.description.slice(0, 200);
+    if (updates.active !== undefined) {
+      if (typeof updates.active !== 'boolean') {
+        throw new ValidationError('active must be a boolean');
+      }
+      webhook.active = updates.active;
+    }
+
+    await webhook.save();
+    return webhook.toJSON();
+  }
+
+  async rotateSecret(userId, webhookId) {
+    const webhook = await this.getWebhook(userId, webhookId);
+    const secret = generateSecret();
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { secret } });
+    return { webhook: webhook.toJSON(), secret };
+  }
+
+  async deleteWebhook(userId, webhookId) {
+    const webhook = await this.getWebhook(userId, webhookId);
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    return { success: true };
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   * @param {object} options - { status, skip, limit }
+   * @returns {Promise<{ deliveries: object[], total: number }>}
+   */
+  async listDeliveries(userId, webhookId, { status, skip = 0, limit = 20 } = {}) {
+    const webhook = await this.getWebhook(userId, webhookId);
+
+    const filter = { webhookId: webhook._id };
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    return {
+      deliveries: deliveries.map(delivery => ({
+        id: delivery._id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        attemptHistory: delivery.attemptHistory,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+        deliveredAt: delivery.deliveredAt || null,
+        payload: delivery.payload,
+        createdAt: delivery.createdAt
+      })),
+      total
+    };
+  }
+
+  /**
+   * Send an event to every active webhook of the user subscribed to it.
+   * Never throws: webhook problems must not break the caller.
+   * @param {string} userId - Owner of the resource the event is about
+   * @param {string} event - One of EVENTS
+   * @param {object} data - Event specific payload
+   */
+  async emit(userId, event, data) {
+    try {
+      if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return;
+
+      const webhooks = await Webhook.find({ userId, active: true, events: event }).select('_id');
+      if (webhooks.length === 0) return;
+
+      const now = new Date();
+      const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+          _id,
+          webhookId: webhook._id,
+          userId,
+          event,
+          payload: { id: _id.toString(), event, createdAt: now.toISOString(), data },
+          nextAttemptAt: now,
+          expiresAt: new Date(now.getTime() + RETENTION_MS)
+        };
+      }));
+
+      console.log(`[Webhooks] ${event} for user ${userId} -> ${deliveries.length} endpoint(s)`);
+
+      for (const delivery of deliveries) {
+        this.attemptDelivery(delivery._id).catch(err => {
+          console.error(`[Webhooks] Delivery ${delivery._id} failed:`, err.message);
+        });
+      }
+    } catch (err) {
+      console.error(`[Webhooks] Failed to emit ${event}:`, err.message);
+    }
+  }
+
+  /**
+   * Claim a due delivery and POST it. The claim pushes nextAttemptAt into the
+   * future so another poller (or server instance) does not send it twice; if
+   * the process dies mid-request the delivery is picked up again after that.
+   * @param {string} deliveryId
+   */
+  async attemptDelivery(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + REQUEST_TIMEOUT * 3) }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+    if (!delivery) return;
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret').lean();
+    if (!webhook) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed' } });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { attempt: delivery.attempts, attemptedAt: new Date(startedAt), statusCode: null, error: null, durationMs: null };
+
+    try {
+      // IP literals are connected to without a lookup, so they are checked here
+      if (!allowPrivateUrls() && isPrivateHost(new URL(webhook.url).hostname)) {
+        throw new Error('Webhook URL points to a private or local address');
+      }
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'StoreIQ-Webhooks/1.0',
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        },
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 0,
+        ...(allowPrivateUrls() ? {} : deliveryAgents),
+        transformRequest: [data => data], // Send the exact bytes that were signed
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+        attempt.error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_LOGGED)}` : ''}`;
+      }
+    } catch (err) {
+      attempt.error = err.code ? `${err.code}: ${err.message}` : err.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const delivered = !attempt.error;
+    const update = { $push: { attemptHistory: attempt } };
+    if (delivered) {
+      update.$set = { status: 'delivered', deliveredAt: new Date() };
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      update.$set = { status: 'failed' };
+    } else {
+      update.$set = { nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts)) };
+    }
+    await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+
+    if (delivered || update.$set.status === 'failed') {
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivered ? 'delivered' : 'failed' } }
+      );
+    }
+
+    if (!delivered) {
+      console.warn(`[Webhooks] Delivery ${delivery._id} (${delivery.event}) attempt ${delivery.attempts}/${MAX_ATTEMPTS} failed: ${attempt.error}`);
+    }
+  }
+
+  /**
+   * Retry deliveries whose next attempt is due
+   */
+  async processDueDeliveries() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(50)
+        .select('_id')
+        .lean();
+
+      for (const { _id } of due) {
+        await this.attemptDelivery(_id).catch(err => {
+          console.error(`[Webhooks] Delivery ${_id} failed:`, err.message);
+        });
+      }
+    } catch (err) {
+      console.error('[Webhooks] Failed to process due deliveries:', err.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Forward finished AI queue jobs as job.completed / job.failed
+  async onJobEvent(event) {
+    if (event.event !== 'completed' && event.event !== 'failed') return;
+    if (!event.userId || !mongoose.Types.ObjectId.isValid(String(event.userId))) return;
+
+    try {
+      const job = await QueueJob.findOne({ jobId: event.jobId }).lean();
+      if (!job) return;
+
+      await this.emit(event.userId, `job.${event.event}`, jobQueue.toListItem(job));
+    } catch (err) {
+      console.error(`[Webhooks] Failed to forward job ${event.jobId}:`, err.message);
+    }
+  }
+
+  /**
+   * Start forwarding job events and retrying pending deliveries (call once the DB is connected)
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    jobQueue.on('job', this.onJobEvent);
+    this.pollTimer = setInterval(() => this.processDueDeliveries(), POLL_INTERVAL);
+    this.processDueDeliveries();
+    console.log(`[Webhooks] Started (retry poll every ${POLL_INTERVAL / 1000}s, max ${MAX_ATTEMPTS} attempts)`);
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.EVENTS = EVENTS;
+
+module.exports = webhookService;
@@ -0,0 +1,44 @@
+// Errors thrown by services and request validation. Routes map them to HTTP
+// statuses by err.name: ValidationError -> 400, NotFoundError -> 404, and the
+// usage/queue limits of services/quotaService.js and jobQueueService.js -> 429
+// through sendLimitError.
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Answer 429 Too Many Requests when a submission hit a usage quota or a queue cap
+ * @param {object} res - Express response
+ * @param {Error} err - Error thrown while enqueueing
+ * @returns {boolean} True if a response was sent; other errors are left to the route
+ */
+function sendLimitError(res, err) {
+  if (err.name === 'QuotaExceededError') {
+    res.set('Retry-After', String(err.retryAfter));
+    res.status(429).json({ error: err.message, quota: err.quota, resetAt: err.quota.resetAt });
+    return true;
+  }
+  // Too many jobs waiting in a queue, or pipelines running
+  if (err.name === 'QueueLimitError' || err.name === 'PipelineLimitError') {
+    res.status(429).json({ error: err.message, limit: err.limit });
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  ValidationError,
+  NotFoundError,
+  sendLimitError
+};
@@ -0,0 +1,100 @@
+// Error classification for queue job retries
+// Decides whether a failed job is worth running again (quota, network, timeout)
+// or should fail right away (content policy, validation, bad input).
+
+const CATEGORIES = {
+  QUOTA: 'quota',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  SERVER: 'server',
+  CONTENT_POLICY: 'content_policy',
+  VALIDATION: 'validation',
+  UNKNOWN: 'unknown'
+};
+
+const RETRYABLE_CATEGORIES = [CATEGORIES.QUOTA, CATEGORIES.NETWORK, CATEGORIES.TIMEOUT, CATEGORIES.SERVER];
+
+// Node/axios socket error codes
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// Checked in order; the first match wins
+const MESSAGE_PATTERNS = [
+  { category: CATEGORIES.CONTENT_POLICY, pattern: /content policy|safety filter|blocked by|raiMediaFiltered|responsible ai/i },
+  { category: CATEGORIES.VALIDATION, pattern: /prompt too short|is required|invalid|not configured|no longer available|please resubmit/i },
+  { category: CATEGORIES.QUOTA, pattern: /quota|rate.?limit|resource.?exhausted|too many requests/i },
+  { category: CATEGORIES.TIMEOUT, pattern: /timed? ?out|deadline exceeded/i },
+  { category: CATEGORIES.NETWORK, pattern: /socket hang up|network error|ECONNRESET|ENOTFOUND|EAI_AGAIN|failed to download/i },
+  { category: CATEGORIES.SERVER, pattern: /temporarily unavailable|service unavailable|internal error|bad gateway/i }
+];
+
+/**
+ * Create an error that is never retried, e.g. for invalid input
+ * @param {string} message - Error message
+ * @param {string} [category] - One of CATEGORIES (default validation)
+ * @returns {Error}
+ */
+function terminalError(message, category = CATEGORIES.VALIDATION) {
+  const error = new Error(message);
+  error.category = category;
+  error.retryable = false;
+  return error;
+}
+
+// HTTP status from axios, AWS SDK or errors that embed a JSON body (e.g. Veo-3 API errors)
+function getStatusCode(error) {
+  const status = error.response?.status || error.status || error.statusCode || error.$metadata?.httpStatusCode;
+  if (status) return Number(status);
+
+  const match = /"status":\s*(\d{3})/.exec(error.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+function categoryFromStatus(status) {
+  if (status === 429) return CATEGORIES.QUOTA;
+  if (status === 408) return CATEGORIES.TIMEOUT;
+  if (status >= 500) return CATEGORIES.SERVER;
+  if (status >= 400) return CATEGORIES.VALIDATION;
+  return null;
+}
+
+/**
+ * Classify a processor error
+ * @param {Error} error
+ * @returns {{ category: string, retryable: boolean, statusCode: number|null }}
+ */
+function classifyError(error) {
+  const err = error || {};
+  const statusCode = getStatusCode(err);
+
+  let codeCategory = null;
+  if (TIMEOUT_CODES.includes(err.code)) codeCategory = CATEGORIES.TIMEOUT;
+  if (NETWORK_CODES.includes(err.code)) codeCategory = CATEGORIES.NETWORK;
+
+  const messageMatch = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(err.message || ''));
+  const messageCategory = messageMatch ? messageMatch.category : null;
+  const statusCategory = statusCode ? categoryFromStatus(statusCode) : null;
+
+  // Content policy violations never succeed on retry, whatever status came with them;
+  // otherwise a 429/5xx status is more reliable than the wording of the message
+  const category = err.category
+    || codeCategory
+    || (messageCategory === CATEGORIES.CONTENT_POLICY ? messageCategory : null)
+    || (RETRYABLE_CATEGORIES.includes(statusCategory) ? statusCategory : null)
+    || messageCategory
+    || statusCategory
+    || CATEGORIES.UNKNOWN;
+
+  // An explicit flag on the error always wins
+  const retryable = typeof err.retryable === 'boolean'
+    ? err.retryable
+    : RETRYABLE_CATEGORIES.includes(category);
+
+  return { category, retryable, statusCode };
+}
+
+module.exports = {
+  CATEGORIES,
+  classifyError,
+  terminalError
+};
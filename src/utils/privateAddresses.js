@@ -0,0 +1,105 @@
+// Guards outbound requests to user-supplied URLs (webhooks, media downloads) against reaching
+// internal services: loopback, private networks, shared CGNAT space and the
+// link-local range that serves cloud metadata (169.254.169.254).
+//
+// Checking the hostname when a URL is saved is not enough: a DNS name can
+// resolve, or later be re-bound, to one of these addresses. guardedLookup is
+// given to the HTTP agents instead, so the address is checked when the
+// connection is made.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Shared address space (carrier-grade NAT)
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or reserved.
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Also true for anything that is not an IP address
+ */
+function isPrivateAddress(address) {
+  const type = net.isIPv4(address) ? 'ipv4' : (net.isIPv6(address) ? 'ipv6' : null);
+  if (!type) return true;
+  return PRIVATE_ADDRESSES.check(address, type);
+}
+
+/**
+ * Whether a URL hostname is a local name or a private IP literal (no DNS lookup)
+ * @param {string} hostname - URL hostname; IPv6 literals may keep their brackets
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+  return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+/**
+ * dns.lookup replacement for http(s).Agent that refuses private addresses
+ * @param {Function} [lookup] - Underlying resolver, dns.lookup by default
+ * @returns {Function} (hostname, options, callback) like dns.lookup
+ */
+function guardedLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof options === 'number') options = { family: options };
+
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        const error = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+        error.code = 'EPRIVATEADDRESS';
+        return callback(error);
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// axios options for downloads from user-supplied URLs: every connection goes through
+// guardedLookup and redirects to local names or private IP literals are refused. IP
+// literals skip the lookup, so callers still check the first URL with isPrivateHost.
+const guardedRequestOptions = {
+  httpAgent: new http.Agent({ lookup: guardedLookup() }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup() }),
+  beforeRedirect: options => {
+    if (isPrivateHost(options.hostname)) {
+      throw new Error(`Redirect to a private or local address (${options.hostname})`);
+    }
+  }
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  guardedLookup,
+  guardedRequestOptions
+};
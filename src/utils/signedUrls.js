@@ -0,0 +1,49 @@
+// Signed URLs for files the API serves to players without auth headers
+// (HLS playlists, thumbnail tracks). A signature is an HMAC of what the URL
+// gives access to (the subject) and its expiry time.
+
+const crypto = require('crypto');
+
+const URL_TTL_SECONDS = parseInt(process.env.STREAM_URL_TTL_SECONDS, 10) || 3600;
+
+function signingSecret() {
+  const secret = process.env.STREAM_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('STREAM_SIGNING_SECRET (or JWT_SECRET) is not set');
+  return secret;
+}
+
+function sign(subject, expires) {
+  return crypto.createHmac('sha256', signingSecret()).update(`${subject}:${expires}`).digest('hex');
+}
+
+// Expiry (unix seconds) of URLs handed out now
+function expiryTime() {
+  return Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+}
+
+// Query string authorising `subject` until `expires` (unix seconds)
+function signedQuery(subject, expires) {
+  return `expires=${expires}&sig=${sign(subject, expires)}`;
+}
+
+// Check the expires/sig query parameters of a request for `subject`
+function verifySignature(subject, expires, sig) {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof sig !== 'string') return false;
+  const expected = Buffer.from(sign(subject, expiresAt));
+  const given = Buffer.from(sig);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Public URL of the API (with the /api prefix), used in signed URLs
+function apiBaseUrl(req) {
+  return process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}/api`;
+}
+
+module.exports = {
+  URL_TTL_SECONDS,
+  expiryTime,
+  signedQuery,
+  verifySignature,
+  apiBaseUrl
+};
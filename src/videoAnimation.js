@@ -0,0 +1,118 @@
+/**
+ * Animated image export: part of a video as an animated GIF, WebP or APNG
+ * (product pages, email campaigns), stored with the user's images.
+ *
+ * - gif: 256 colours from a palette generated for the clip; `palette` picks
+ *   palettegen's stats mode: full (one palette for all frames), diff (favours
+ *   what moves, for a static background) or single (a palette per frame)
+ * - webp: lossy, `quality` 0-100
+ * - apng: lossless, largest files
+ *
+ * normalizeAnimation validates a request (POST /api/video/animation);
+ * buildAnimationArgs gives the crop worker its ffmpeg run.
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+const FORMATS = {
+  gif: { mimetype: 'image/gif' },
+  webp: { mimetype: 'image/webp' },
+  apng: { mimetype: 'image/apng' }
+};
+const PALETTE_MODES = ['full', 'diff', 'single'];
+const DITHER_MODES = ['sierra2_4a', 'floyd_steinberg', 'bayer', 'none'];
+const DEFAULTS = { format: 'gif', width: 480, fps: 12, palette: 'full', dither: 'sierra2_4a', quality: 75, plays: 0 };
+const LIMITS = { width: [64, 1280], fps: [1, 30], quality: [0, 100], plays: [0, 100] };
+const MAX_DURATION = 30;
+
+function numberOption(body, name) {
+  if (body[name] === undefined || body[name] === null) return DEFAULTS[name];
+  const value = Number(body[name]);
+  const [min, max] = LIMITS[name];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ValidationError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+function choiceOption(body, name, choices) {
+  const value = body[name] === undefined || body[name] === null ? DEFAULTS[name] : body[name];
+  if (!choices.includes(value)) throw new ValidationError(`${name} must be one of: ${choices.join(', ')}`);
+  return value;
+}
+
+/**
+ * Validate an animation export request
+ * @param {object} body - { format?, start?, end?, width?, fps?, palette?, dither? (gif), quality? (webp), plays? (0 = forever) }
+ * @returns {{ format: string, start: number, end?: number, width: number, fps: number, plays: number, palette?: string, dither?: string, quality?: number }}
+ * @throws {ValidationError}
+ */
+function normalizeAnimation(body = {}) {
+  const format = choiceOption(body, 'format', Object.keys(FORMATS));
+  ['start', 'end'].forEach((name) => {
+    if (body[name] !== undefined && (typeof body[name] !== 'number' || !(body[name] >= 0))) {
+      throw new ValidationError(`${name} must be a non-negative number of seconds`);
+    }
+  });
+  const start = body.start || 0;
+  if (body.end !== undefined && body.end <= start) throw new ValidationError('end must be after start');
+  if (body.end !== undefined && body.end - start > MAX_DURATION) {
+    throw new ValidationError(`The clip can last up to ${MAX_DURATION} seconds`);
+  }
+  if (format !== 'gif' && (body.palette !== undefined || body.dither !== undefined)) {
+    throw new ValidationError('palette and dither only apply to gif');
+  }
+  if (format !== 'webp' && body.quality !== undefined) throw new ValidationError('quality only applies to webp');
+
+  const options = {
+    format,
+    start,
+    end: body.end,
+    width: numberOption(body, 'width'),
+    fps: numberOption(body, 'fps'),
+    plays: numberOption(body, 'plays')
+  };
+  if (format === 'gif') {
+    options.palette = choiceOption(body, 'palette', PALETTE_MODES);
+    options.dither = choiceOption(body, 'dither', DITHER_MODES);
+  }
+  if (format === 'webp') options.quality = numberOption(body, 'quality');
+  return options;
+}
+
+/**
+ * ffmpeg arguments of the export
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} options - From normalizeAnimation
+ * @param {number} duration - Clip length in seconds (end clamped to the video)
+ */
+function buildAnimationArgs(inputPath, outputPath, options, duration) {
+  if (duration > MAX_DURATION) {
+    throw new ValidationError(`The clip lasts ${Math.round(duration)} seconds; set end to keep it under ${MAX_DURATION}`);
+  }
+  const input = ['-y', '-ss', String(options.start), '-t', String(duration), '-i', inputPath];
+  const frames = `fps=${options.fps},scale=${options.width}:-2:flags=lanczos`;
+  switch (options.format) {
+    case 'gif': {
+      const use = `paletteuse=dither=${options.dither}${options.palette === 'single' ? ':new=1' : ''}`;
+      const filter = `[0:v]${frames},split[a][b];[a]palettegen=stats_mode=${options.palette}[p];[b][p]${use}`;
+      // GIF counts repeats after the first play: 0 = forever, -1 = play once
+      const repeats = options.plays === 0 ? 0 : (options.plays === 1 ? -1 : options.plays - 1);
+      return [...input, '-filter_complex', filter, '-loop', String(repeats), '-f', 'gif', outputPath];
+    }
+    case 'webp':
+      return [...input, '-vf', frames, '-an', '-c:v', 'libwebp', '-lossless', '0', '-q:v', String(options.quality),
+        '-loop', String(options.plays), '-f', 'webp', outputPath];
+    case 'apng':
+      return [...input, '-vf', frames, '-an', '-plays', String(options.plays), '-f', 'apng', outputPath];
+    default:
+      throw new ValidationError(`Unknown format: ${options.format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  normalizeAnimation,
+  buildAnimationArgs
+};
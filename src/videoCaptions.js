@@ -0,0 +1,348 @@
+/**
+ * Caption edit jobs: timed captions burned into a video, plus SRT/VTT files.
+ *
+ * The caption text comes from a saved script (ScriptHistory) or a TTS job.
+ * Neither carries word timings, so words are spread over the narration window
+ * in proportion to their length, with extra time after punctuation:
+ * - TTS: the length of the generated audio, starting at `offset`
+ * - script: from `offset` to the end of the video (or `offset + duration`)
+ *
+ * Words are grouped into short cues. Cues are burned in with an ASS subtitle
+ * file (ffmpeg's subtitles filter), which carries the style: font, size,
+ * colours, outline, position and the word-by-word highlight.
+ *
+ * normalizeCaptionOptions validates a request (POST /api/video/captions);
+ * the other helpers are used by the crop worker.
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+const EXPORT_FORMATS = ['srt', 'vtt'];
+const POSITIONS = { bottom: 2, middle: 5, top: 8 }; // ASS numpad alignment
+const REFERENCE_HEIGHT = 1920; // Style sizes are in pixels of a 1920px tall frame
+const MAX_WORDS_PER_CUE = 12;
+const MAX_TEXT_LENGTH = 20000;
+
+// Style presets; any field can be overridden per request
+const PRESETS = {
+  classic: {
+    font: 'Arial',
+    size: 64,
+    color: '#FFFFFF',
+    highlightColor: '#FFD700',
+    outlineColor: '#000000',
+    outline: 4,
+    shadow: 0,
+    bold: true,
+    uppercase: false,
+    box: false,
+    position: 'bottom',
+    wordHighlight: false,
+    maxWordsPerLine: 6
+  },
+  bold: {
+    font: 'Arial Black',
+    size: 84,
+    color: '#FFFFFF',
+    highlightColor: '#FFE600',
+    outlineColor: '#000000',
+    outline: 6,
+    shadow: 2,
+    bold: true,
+    uppercase: true,
+    box: false,
+    position: 'middle',
+    wordHighlight: true,
+    maxWordsPerLine: 3
+  },
+  karaoke: {
+    font: 'Arial',
+    size: 72,
+    color: '#FFFFFF',
+    highlightColor: '#39FF14',
+    outlineColor: '#000000',
+    outline: 5,
+    shadow: 0,
+    bold: true,
+    uppercase: false,
+    box: false,
+    position: 'bottom',
+    wordHighlight: true,
+    maxWordsPerLine: 5
+  },
+  minimal: {
+    font: 'Helvetica',
+    size: 52,
+    color: '#FFFFFF',
+    highlightColor: '#FFFFFF',
+    outlineColor: '#000000',
+    outline: 0,
+    shadow: 0,
+    bold: false,
+    uppercase: false,
+    box: true, // Text on a translucent box instead of an outline
+    position: 'bottom',
+    wordHighlight: false,
+    maxWordsPerLine: 8
+  }
+};
+const DEFAULT_PRESET = 'classic';
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+
+/**
+ * Validate caption options and resolve the style from preset + overrides
+ * @param {object} body - { preset?, style?, offset?, duration?, burnIn?, exportFormats? }
+ * @returns {{ style: object, offset: number, duration: number|null, burnIn: boolean, exportFormats: string[] }}
+ * @throws {ValidationError}
+ */
+function normalizeCaptionOptions(body = {}) {
+  const presetName = body.preset || DEFAULT_PRESET;
+  if (!PRESETS[presetName]) {
+    throw new ValidationError(`preset must be one of ${Object.keys(PRESETS).join(', ')}`);
+  }
+  const overrides = body.style || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ValidationError('style must be an object');
+  }
+  const style = { ...PRESETS[presetName], preset: presetName };
+
+  Object.keys(overrides).forEach((field) => {
+    const value = overrides[field];
+    switch (field) {
+      case 'font':
+        if (typeof value !== 'string' || !/^[\w .-]{1,64}$/.test(value)) throw new ValidationError('style.font must be a font name');
+        break;
+      case 'size':
+        if (typeof value !== 'number' || value < 12 || value > 300) throw new ValidationError('style.size must be between 12 and 300');
+        break;
+      case 'color':
+      case 'highlightColor':
+      case 'outlineColor':
+        if (!isColor(value)) throw new ValidationError(`style.${field} must be a #RRGGBB colour`);
+        break;
+      case 'outline':
+      case 'shadow':
+        if (typeof value !== 'number' || value < 0 || value > 20) throw new ValidationError(`style.${field} must be between 0 and 20`);
+        break;
+      case 'bold':
+      case 'uppercase':
+      case 'box':
+      case 'wordHighlight':
+        if (typeof value !== 'boolean') throw new ValidationError(`style.${field} must be a boolean`);
+        break;
+      case 'position':
+        if (!POSITIONS[value]) throw new ValidationError(`style.position must be one of ${Object.keys(POSITIONS).join(', ')}`);
+        break;
+      case 'maxWordsPerLine':
+        if (!Number.isInteger(value) || value < 1 || value > MAX_WORDS_PER_CUE) throw new ValidationError(`style.maxWordsPerLine must be between 1 and ${MAX_WORDS_PER_CUE}`);
+        break;
+      default:
+        throw new ValidationError(`Unknown style field "${field}"`);
+    }
+    style[field] = value;
+  });
+
+  const offset = body.offset === undefined ? 0 : body.offset;
+  if (typeof offset !== 'number' || !(offset >= 0)) {
+    throw new ValidationError('offset must be a number of seconds >= 0');
+  }
+  const duration = body.duration === undefined || body.duration === null ? null : body.duration;
+  if (duration !== null && (typeof duration !== 'number' || !(duration > 0))) {
+    throw new ValidationError('duration must be a number of seconds > 0');
+  }
+  const burnIn = body.burnIn === undefined ? true : body.burnIn;
+  if (typeof burnIn !== 'boolean') {
+    throw new ValidationError('burnIn must be a boolean');
+  }
+  const exportFormats = body.exportFormats === undefined ? [] : body.exportFormats;
+  if (!Array.isArray(exportFormats) || exportFormats.some(format => !EXPORT_FORMATS.includes(format))) {
+    throw new ValidationError(`exportFormats must be a list of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!burnIn && exportFormats.length === 0) {
+    throw new ValidationError('Nothing to do: set burnIn or exportFormats');
+  }
+
+  return { style, offset, duration, burnIn, exportFormats: [...new Set(exportFormats)] };
+}
+
+/**
+ * Spoken text of a generated script: drops markdown headings and formatting,
+ * and bracketed directions such as "[Scene 1]" or "[Upbeat music]"
+ */
+function cleanScriptText(script) {
+  return String(script || '')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/^\s*#+.*$/gm, ' ')
+    .replace(/[*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Spread the words of text over [start, end], weighting by length and pausing after punctuation
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+function timeWords(text, start, end) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  if (words.length === 0 || !(end > start)) return [];
+
+  const pause = (word) => (/[.!?]["')]*$/.test(word) ? 6 : (/[,;:]["')]*$/.test(word) ? 3 : 0));
+  const weights = words.map(word => ({ speak: Math.max(2, word.length), pause: pause(word) }));
+  const total = weights.reduce((sum, weight) => sum + weight.speak + weight.pause, 0);
+  const perUnit = (end - start) / total;
+
+  let cursor = start;
+  return words.map((word, i) => {
+    const wordStart = cursor;
+    const wordEnd = wordStart + weights[i].speak * perUnit;
+    cursor = wordEnd + weights[i].pause * perUnit;
+    return { text: word, start: wordStart, end: wordEnd };
+  });
+}
+
+/**
+ * Group timed words into cues of up to maxWords, breaking after sentence ends.
+ * A cue stays on screen until the next one starts (short pauses don't blank the captions).
+ * @returns {Array<{ start: number, end: number, words: object[] }>}
+ */
+function groupCues(words, maxWords) {
+  const cues = [];
+  let current = [];
+  words.forEach((word, i) => {
+    current.push(word);
+    const sentenceEnd = /[.!?]["')]*$/.test(word.text);
+    if (current.length >= maxWords || sentenceEnd || i === words.length - 1) {
+      cues.push({ start: current[0].start, end: current[current.length - 1].end, words: current });
+      current = [];
+    }
+  });
+  cues.forEach((cue, i) => {
+    if (i + 1 < cues.length && cues[i + 1].start - cue.end < 1) cue.end = cues[i + 1].start;
+  });
+  return cues;
+}
+
+// seconds -> H:MM:SS.cc (ASS)
+function assTime(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+// seconds -> HH:MM:SS<sep>mmm (SRT uses ',', VTT '.')
+function cueTime(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// #RRGGBB -> ASS style colour &HAABBGGRR (alpha 00 = opaque)
+function assColor(hex, alpha = '00') {
+  const value = hex.slice(1);
+  return `&H${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toUpperCase();
+}
+
+// #RRGGBB -> ASS override tag colour &HBBGGRR&
+const assTagColor = (hex) => `${assColor(hex).replace('&H00', '&H')}&`;
+
+// Braces start override blocks and backslashes escapes in ASS text
+const assText = (text) => text.replace(/[{}]/g, '').replace(/\\/g, '/');
+
+const cueText = (cue, style) => {
+  const text = cue.words.map(word => word.text).join(' ');
+  return style.uppercase ? text.toUpperCase() : text;
+};
+
+/**
+ * ASS subtitle file for burning the cues into a width x height video
+ * @param {object[]} cues - From groupCues
+ * @param {object} style - From normalizeCaptionOptions
+ */
+function buildAss(cues, style, { width, height }) {
+  const scale = height / REFERENCE_HEIGHT;
+  const fontSize = Math.round(style.size * scale);
+  const marginV = Math.round(160 * scale);
+  const marginH = Math.round(60 * scale);
+
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    [
+      'Style: Caption',
+      style.font,
+      fontSize,
+      assColor(style.color),
+      assColor(style.highlightColor),
+      assColor(style.outlineColor),
+      style.box ? assColor('#000000', '60') : assColor('#000000', '80'),
+      style.bold ? -1 : 0,
+      0, 0, 0, 100, 100, 0, 0,
+      style.box ? 3 : 1, // 3 = opaque box behind the text
+      style.box ? Math.max(1, Math.round(12 * scale)) : Math.round(style.outline * scale * 10) / 10,
+      Math.round(style.shadow * scale * 10) / 10,
+      POSITIONS[style.position],
+      marginH, marginH, marginV,
+      1
+    ].join(','),
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const events = [];
+  cues.forEach((cue) => {
+    if (!style.wordHighlight) {
+      events.push(`Dialogue: 0,${assTime(cue.start)},${assTime(cue.end)},Caption,,0,0,0,,${assText(cueText(cue, style))}`);
+      return;
+    }
+    // One event per word: the whole cue with the spoken word in the highlight colour
+    cue.words.forEach((word, i) => {
+      const start = i === 0 ? cue.start : word.start;
+      const end = i + 1 < cue.words.length ? cue.words[i + 1].start : cue.end;
+      const text = cue.words.map((other, j) => {
+        const value = assText(style.uppercase ? other.text.toUpperCase() : other.text);
+        return j === i ? `{\\1c${assTagColor(style.highlightColor)}}${value}{\\r}` : value;
+      }).join(' ');
+      events.push(`Dialogue: 0,${assTime(start)},${assTime(end)},Caption,,0,0,0,,${text}`);
+    });
+  });
+
+  return [...header, ...events, ''].join('\n');
+}
+
+function buildSrt(cues, style) {
+  return cues.map((cue, i) => (
+    `${i + 1}\n${cueTime(cue.start, ',')} --> ${cueTime(cue.end, ',')}\n${cueText(cue, style)}\n`
+  )).join('\n');
+}
+
+function buildVtt(cues, style) {
+  return ['WEBVTT', '', ...cues.map(cue => (
+    `${cueTime(cue.start, '.')} --> ${cueTime(cue.end, '.')}\n${cueText(cue, style)}\n`
+  ))].join('\n');
+}
+
+module.exports = {
+  PRESETS,
+  normalizeCaptionOptions,
+  cleanScriptText,
+  timeWords,
+  groupCues,
+  buildAss,
+  buildSrt,
+  buildVtt,
+  cueTime
+};
@@ -1,20 +1,66 @@
-// Video crop worker: polls for pending crop jobs, processes them with ffmpeg, uploads to S3, updates job status
+// Video crop worker: claims pending video edit jobs (crop, timeline, captions, export, highlights, jumpcut, speed, reverse, loop, boomerang, animation, loudness, renditions, thumbnails, probe), processes them with ffmpeg,
+// uploads to S3, updates job status
+//
+// Any number of worker instances can run side by side: each job is claimed
+// atomically with a lease (JobStore.claimJob) that is renewed while ffmpeg runs.
+// If a worker dies, its jobs' leases expire and another worker picks them up again.
+//
+// Environment:
+// - CROP_WORKER_CONCURRENCY - jobs processed at once by this instance (default 1)
+// - CROP_LEASE_MS - lease duration; renewed every third of it (default 60000)
+// - CROP_MAX_ATTEMPTS - times a job is retried after its worker died (default 3)
+// - CROP_POLL_INTERVAL_MS - how often to look for pending jobs (default 10000)
+// - CAPTION_FONTS_DIR - extra fonts for burned-in captions (optional)
 require('dotenv').config({ path: __dirname + '/../.env' });
 
 const mongoose = require('mongoose');
-const { getPendingJobs, updateJob } = require('./videoEditJob');
-const { uploadVideoBuffer } = require('./s3Service');
+const crypto = require('crypto');
+const { EDIT_JOB_TYPES, createJob, updateJob, claimJob, renewLease, releaseJob, recoverExpiredJobs } = require('./videoEditJob');
+const { uploadVideoBuffer, uploadImageBuffer, uploadSidecarFile, uploadRenditionFile, getFileBuffer, getSignedDownloadUrl } = require('./s3Service');
+const { buildTimelineFilter } = require('./videoTimeline');
+const { fitCropSize, analysisFormat, smartCropPath, manualCropPath, buildCropFilter } = require('./videoReframe');
+const { timeWords, groupCues, buildAss, buildSrt, buildVtt } = require('./videoCaptions');
+const { renditionBitrate } = require('./videoExport');
+const { buildWatermarkFilter } = require('./videoWatermark');
+const { renditionPrefix, buildRenditionArgs, variantBandwidth, buildMasterPlaylist } = require('./videoRenditions');
+const { THUMBNAIL_FILES, spriteLayout, buildPosterArgs, buildSpriteArgs, buildThumbnailTrack } = require('./videoThumbnails');
+const videoThumbnailService = require('./services/videoThumbnailService');
+const { probeArgs, parseMediaInfo } = require('./videoMetadata');
+const { RENDER_ASPECT_RATIO, buildAnalysisArgs, parseMetadataLog, rankSegments } = require('./videoHighlights');
+const { buildSilenceArgs, parseSilences, computeCuts, buildJumpcutArgs, buildEdl } = require('./videoJumpcut');
+const { buildEffectPasses } = require('./videoEffects');
+const { FORMATS: ANIMATION_FORMATS, buildAnimationArgs } = require('./videoAnimation');
+const { normalizeFilter, buildMeasureArgs, buildNormalizeArgs, parseLoudnorm, loudnessReport } = require('./audioLoudness');
+const QueueJob = require('./models/QueueJob');
+const Video = require('./models/Video');
 const fs = require('fs');
 const path = require('path');
 const { execFile } = require('child_process');
 const axios = require('axios');
 const os = require('os');
+const { isPrivateHost, guardedRequestOptions } = require('./utils/privateAddresses');
 
 const TMP_DIR = os.tmpdir();
 
-async function downloadToFile(url, dest) {
+const WORKER_ID = process.env.CROP_WORKER_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const CONCURRENCY = parseInt(process.env.CROP_WORKER_CONCURRENCY, 10) || 1;
+const LEASE_MS = parseInt(process.env.CROP_LEASE_MS, 10) || 60000;
+const HEARTBEAT_MS = Math.max(1000, Math.floor(LEASE_MS / 3));
+const MAX_ATTEMPTS = parseInt(process.env.CROP_MAX_ATTEMPTS, 10) || 3;
+const POLL_INTERVAL = parseInt(process.env.CROP_POLL_INTERVAL_MS, 10) || 10000;
+
+const running = new Map(); // jobId -> AbortController of a job this worker holds the lease for
+let polling = false;
+let shuttingDown = false;
+let pollTimer = null;
+
+// videoUrl inputs come from users, so private and local addresses are refused
+async function downloadToFile(url, dest, signal) {
+  if (isPrivateHost(new URL(url).hostname)) {
+    throw new Error('Video URL points to a private or local address');
+  }
   const writer = fs.createWriteStream(dest);
-  const response = await axios({ url, method: 'GET', responseType: 'stream' });
+  const response = await axios({ url, method: 'GET', responseType: 'stream', signal, ...guardedRequestOptions });
   return new Promise((resolve, reject) => {
     response.data.pipe(writer);
     writer.on('finish', resolve);
@@ -22,18 +68,68 @@ async function downloadToFile(url, dest) {
   });
 }
 
-async function cropWithFfmpeg(inputPath, outputPath, start, end, aspectRatio) {
+// Parse ffmpeg's "time=HH:MM:SS.xx" progress output into seconds
+function parseFfmpegTime(chunk) {
+  const matches = String(chunk).match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g);
+  if (!matches) return null;
+  const [, h, m, sec] = matches[matches.length - 1].match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  return Number(h) * 3600 + Number(m) * 60 + Number(sec);
+}
+
+// Small grayscale frames of the clip for smart reframing (see videoReframe.js)
+async function analyseFrames(inputPath, start, duration, video, signal) {
+  const format = analysisFormat(video.width, video.height, duration);
+  const frameSize = format.width * format.height;
+  const raw = await new Promise((resolve, reject) => {
+    execFile('ffmpeg', [
+      '-v', 'error',
+      '-ss', String(start),
+      '-i', inputPath,
+      '-t', String(duration),
+      '-an',
+      '-vf', `fps=${format.fps.toFixed(3)},scale=${format.width}:${format.height},format=gray`,
+      '-f', 'rawvideo',
+      'pipe:1'
+    ], { signal, encoding: 'buffer', maxBuffer: frameSize * Math.ceil(format.fps * duration + 10) }, (err, stdout, stderr) => {
+      if (err) return reject(new Error(`Frame analysis failed: ${String(stderr) || err.message}`));
+      resolve(stdout);
+    });
+  });
+  return { raw, format };
+}
+
+// Follow the subject: analyse small grayscale frames of the clip, then move the window along the smoothed path
+async function smartCropFilter(inputPath, start, duration, video, aspectRatio, signal) {
+  const crop = fitCropSize(video.width, video.height, aspectRatio);
+  const { raw, format } = await analyseFrames(inputPath, start, duration, video, signal);
+  const points = smartCropPath(raw, format, video, crop);
+  console.log(`[VIDEO-CROP][REFRAME] Smart path over ${Math.floor(raw.length / (format.width * format.height))} frames, ${points.length} points`);
+  return buildCropFilter(crop.width, crop.height, points);
+}
+
+/**
+ * Trim and crop a clip
+ * @param {object} options - { start, end, aspectRatio, reframe: 'center'|'smart'|'manual', keyframes } (see videoReframe.js)
+ *   and watermark: { logoPath, position, opacity, scale, margin } to overlay a brand logo (see videoWatermark.js)
+ */
+async function cropWithFfmpeg(inputPath, outputPath, { start, end, aspectRatio, reframe = 'center', keyframes, watermark }, onProgress, signal) {
   // Use -ss before -i (input seeking), and -t (duration) after -i for accurate cropping
   const duration = end - start;
   const baseArgs = [
     '-y',
     '-ss', String(start),
-    '-i', inputPath,
-    '-t', String(duration)
+    '-i', inputPath
   ];
+  if (watermark) baseArgs.push('-i', watermark.logoPath);
+  baseArgs.push('-t', String(duration));
   let filter = null;
 
-  if (aspectRatio) {
+  if (reframe === 'manual' && Array.isArray(keyframes) && keyframes.length) {
+    // Client-drawn rectangles; times are in the source, the output starts at `start`
+    const video = await probeMedia(inputPath, signal);
+    const path = manualCropPath(keyframes, video, { start, aspectRatio });
+    filter = buildCropFilter(path.width, path.height, path.points);
+  } else if (aspectRatio) {
     // Probe video dimensions
     const probe = await new Promise((resolve, reject) => {
       execFile('ffprobe', [
@@ -42,7 +138,7 @@ async function cropWithFfmpeg(inputPath, outputPath, start, end, aspectRatio) {
         '-show_entries', 'stream=width,height',
         '-of', 'json',
         inputPath
-      ], (err, stdout, stderr) => {
+      ], { signal }, (err, stdout, stderr) => {
         if (err) return reject(new Error(stderr || err.message));
         try {
           resolve(JSON.parse(stdout));
@@ -61,6 +157,8 @@ async function cropWithFfmpeg(inputPath, outputPath, start, end, aspectRatio) {
     if (Math.abs(inputRatio - targetRatio) < 0.01) {
       // Already matches, no filter needed
       filter = null;
+    } else if (reframe === 'smart') {
+      filter = await smartCropFilter(inputPath, start, duration, { width, height }, aspectRatio, signal);
     } else if (inputRatio > targetRatio) {
       // Video is wider than target - crop width (left/right sides)
       const cropWidth = Math.round(height * targetRatio);
@@ -82,16 +180,28 @@ async function cropWithFfmpeg(inputPath, outputPath, start, end, aspectRatio) {
     }
   }
 
+  const args = [...baseArgs];
+  if (watermark) {
+    const overlay = buildWatermarkFilter(watermark, { video: '[base]', logo: '[1:v]', output: '[vout]' });
+    args.push('-filter_complex', `[0:v]${filter || 'null'}[base];${overlay}`, '-map', '[vout]', '-map', '0:a?');
+  } else if (filter) {
+    args.push('-vf', filter);
+  }
+  // Always re-encode to ensure accurate trimming at exact timestamps
+  // Using -c copy would only cut at keyframes, causing imprecise cuts
+  args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '128k');
+  args.push(outputPath);
+  return runFfmpeg(args, duration, onProgress, signal);
+}
+
+/**
+ * Run ffmpeg, reporting the fraction (0-1) of `duration` seconds encoded so far
+ * The signal kills ffmpeg when the lease is lost or the worker shuts down
+ * Resolves with ffmpeg's log (stderr), where some filters print their results
+ */
+function runFfmpeg(args, duration, onProgress, signal) {
   return new Promise((resolve, reject) => {
-    const args = [...baseArgs];
-    if (filter) {
-      args.push('-vf', filter);
-    }
-    // Always re-encode to ensure accurate trimming at exact timestamps
-    // Using -c copy would only cut at keyframes, causing imprecise cuts
-    args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '128k');
-    args.push(outputPath);
-    execFile('ffmpeg', args, (err, stdout, stderr) => {
+    const child = execFile('ffmpeg', args, { signal, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
       // Write ffmpeg stderr to a log file for debugging
       try {
         fs.writeFileSync(
@@ -103,118 +213,1057 @@ async function cropWithFfmpeg(inputPath, outputPath, start, end, aspectRatio) {
         console.error('[VIDEO-CROP][FFMPEG][LOG] Failed to write ffmpeg log:', e);
       }
       if (err) return reject(new Error(stderr || err.message));
-      resolve();
+      resolve(stderr);
     });
+    if (onProgress && duration > 0) {
+      child.stderr.on('data', (chunk) => {
+        const seconds = parseFfmpegTime(chunk);
+        if (seconds !== null) onProgress(Math.min(1, seconds / duration));
+      });
+    }
   });
 }
 
-async function processCropJob(job) {
-  let inputPath, cleanupInput = false;
-  if (!job.userId) {
-    try {
-      await updateJob(String(job.jobId), { status: 'failed', error: 'userId is required for export' });
-    } catch (e) {
-      console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job status to failed:', e);
-    }
-    throw new Error('userId is required for export and must be present in crop job');
+// Duration (seconds), video size and which tracks the file has
+function probeMedia(inputPath, signal) {
+  return new Promise((resolve, reject) => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type,width,height',
+      '-of', 'json',
+      inputPath
+    ], { signal }, (err, stdout, stderr) => {
+      if (err) return reject(new Error(stderr || err.message));
+      try {
+        const probe = JSON.parse(stdout);
+        const streams = probe.streams || [];
+        const video = streams.find(stream => stream.codec_type === 'video');
+        resolve({
+          duration: parseFloat(probe.format && probe.format.duration) || 0,
+          hasVideo: !!video,
+          hasAudio: streams.some(stream => stream.codec_type === 'audio'),
+          width: video ? video.width : null,
+          height: video ? video.height : null
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+// Full metadata for Video.media (see videoMetadata.js); input is a path or URL
+function probeMediaInfo(input, signal) {
+  return new Promise((resolve, reject) => {
+    execFile('ffprobe', probeArgs(input), { signal, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) return reject(new Error(stderr || err.message));
+      try {
+        resolve(parseMediaInfo(JSON.parse(stdout)));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+// Store probed metadata on the video's record, creating one for job outputs that were never registered
+function recordMedia(s3Key, userId, media) {
+  return Video.updateOne(
+    { s3Key },
+    { $set: { media: { ...media, probedAt: new Date() } }, $setOnInsert: { owner: userId } },
+    { upsert: true }
+  );
+}
+
+// Export name made safe for S3 filenames, null if empty
+function safeFilename(name) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) return null;
+  return name.trim()
+    .replace(/[^a-zA-Z0-9-_\s]/g, '') // Remove special characters
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .substring(0, 50); // Limit length
+}
+
+// Upload the rendered file to the user's S3 folder, named after exportName if given
+async function uploadOutput(job, outputPath, signal) {
+  const buffer = fs.readFileSync(outputPath);
+  // Store edited video in user-specific S3 folder/key
+  if (!job.username || typeof job.username !== "string" || job.username.trim().length === 0) {
+    console.error(`[VIDEO-CROP][WORKER][ERROR] job.username is missing or empty for jobId: ${job.jobId}`);
+    throw new Error('username is required for S3 upload');
+  }
+  const username = job.username.trim();
+
+  // Prepare metadata with custom filename if exportName is provided
+  const metadata = { edited: "true" };
+  const customFilename = safeFilename(job.exportName);
+  if (customFilename) metadata.customFilename = customFilename;
+
+  signal.throwIfAborted();
+  const result = await uploadVideoBuffer(buffer, 'video/mp4', job.userId, username, metadata);
+  await videoThumbnailService.queueThumbnails(result.key, { userId: job.userId, username });
+  try {
+    const media = await probeMediaInfo(outputPath, signal);
+    if (media) await recordMedia(result.key, job.userId, media);
+  } catch (err) {
+    // The output is uploaded; missing metadata must not fail the job
+    console.error(`[VIDEO-CROP][WORKER][ERROR] Failed to record metadata of ${result.key}:`, err.message);
   }
+  return result;
+}
+
+// Persist crop progress (0-100), skipping small steps to limit writes
+function createProgressReporter(jobId) {
+  let last = -1;
+  return (percent) => {
+    const rounded = Math.round(percent);
+    if (rounded < 100 && rounded - last < 5) return;
+    last = rounded;
+    updateJob(String(jobId), { progress: rounded }, { leaseOwner: WORKER_ID }).catch((e) => {
+      console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job progress:', e);
+    });
+  };
+}
+
+// Final job state; also ends the lease. Ignored if this worker lost the lease.
+async function finishJob(jobId, updates) {
+  try {
+    return await updateJob(String(jobId), { ...updates, leaseOwner: null, leaseExpiresAt: null }, { leaseOwner: WORKER_ID });
+  } catch (e) {
+    console.error(`[VIDEO-CROP][WORKER][ERROR] Failed to update job status to ${updates.status}:`, e);
+    return null;
+  }
+}
+
+// Download the job's brand logo next to its other temp files
+async function downloadWatermark(job) {
+  if (!job.watermark) return null;
+  const logoPath = path.join(TMP_DIR, `logo_${job.jobId}${path.extname(job.watermark.s3Key)}`);
+  fs.writeFileSync(logoPath, await getFileBuffer(job.watermark.s3Key));
+  return { ...job.watermark, logoPath };
+}
+
+async function processCropJob(job, signal) {
+  let inputPath, cleanupInput = false;
+  let watermark = null;
+  const outputPath = path.join(TMP_DIR, `output_${job.jobId}.mp4`);
+  const reportProgress = createProgressReporter(job.jobId);
   try {
     // Download video if videoUrl is provided
     if (job.videoUrl) {
       inputPath = path.join(TMP_DIR, `input_${job.jobId}.mp4`);
-      await downloadToFile(job.videoUrl, inputPath);
       cleanupInput = true;
+      await downloadToFile(job.videoUrl, inputPath, signal);
       // Check if input file exists after download
       if (!fs.existsSync(inputPath)) {
         const errMsg = `[VIDEO-CROP][WORKER] Input file missing after download: ${inputPath}`;
         console.error(errMsg);
-        try {
-          await updateJob(String(job.jobId), { status: 'failed', error: 'Input file missing after download' });
-        } catch (e) {
-          console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job status to failed:', e);
-        }
+        await finishJob(job.jobId, { status: 'failed', error: 'Input file missing after download' });
         return;
       }
     } else if (job.s3Key) {
-      // TODO: Download from S3 if needed
-      throw new Error('s3Key input not implemented in demo');
+      inputPath = path.join(TMP_DIR, `input_${job.jobId}.mp4`);
+      cleanupInput = true;
+      fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
     } else {
       throw new Error('No videoUrl or s3Key');
     }
-    const outputPath = path.join(TMP_DIR, `output_${job.jobId}.mp4`);
-    await cropWithFfmpeg(inputPath, outputPath, job.start, job.end, job.aspectRatio);
+    watermark = await downloadWatermark(job);
+    reportProgress(10);
+    // Encoding covers 10% - 85%
+    const cropOptions = { start: job.start, end: job.end, aspectRatio: job.aspectRatio, reframe: job.reframe, keyframes: job.keyframes, watermark };
+    await cropWithFfmpeg(inputPath, outputPath, cropOptions, (fraction) => {
+      reportProgress(10 + fraction * 75);
+    }, signal);
+    reportProgress(85);
 
     // Upload cropped video to S3
-    const buffer = fs.readFileSync(outputPath);
-    // Store cropped video in user-specific S3 folder/key
-    if (!job.username || typeof job.username !== "string" || job.username.trim().length === 0) {
-      const errMsg = `[VIDEO-CROP][WORKER][ERROR] job.username is missing or empty for jobId: ${job.jobId}`;
-      console.error(errMsg);
-      try {
-        await updateJob(String(job.jobId), { status: 'failed', error: 'username is required for S3 upload' });
-      } catch (e) {
-        console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job status to failed:', e);
+    const { url, key } = await uploadOutput(job, outputPath, signal);
+    if (job.derivedFrom) {
+      await Video.updateOne(
+        { s3Key: key },
+        { $set: { derivedFrom: job.derivedFrom }, $setOnInsert: { owner: job.userId } },
+        { upsert: true }
+      );
+    }
+    const updatedJob = await finishJob(job.jobId, { status: 'completed', downloadUrl: url, s3Key: key, error: null, progress: 100 });
+    if (!updatedJob) {
+      console.warn(`[VIDEO-CROP][WORKER][ERROR] updateJob did not update any document for jobId: ${job.jobId}`);
+    }
+  } catch (err) {
+    if (signal.aborted) {
+      // Lease lost or shutting down: the job is someone else's now, leave its state alone
+      console.warn(`[VIDEO-CROP][WORKER] Stopped crop job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-CROP][WORKER] Failed crop job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    if (cleanupInput && inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+    if (watermark && fs.existsSync(watermark.logoPath)) fs.unlinkSync(watermark.logoPath);
+  }
+}
+
+// Join the timeline's clips into one video (see videoTimeline.js)
+async function processTimelineJob(job, signal) {
+  const outputPath = path.join(TMP_DIR, `output_${job.jobId}.mp4`);
+  const inputPaths = [];
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    const clips = Array.isArray(job.clips) ? job.clips : [];
+    if (clips.length === 0) throw new Error('Timeline has no clips');
+
+    // Downloads cover 0% - 20%
+    const probed = [];
+    for (let i = 0; i < clips.length; i++) {
+      signal.throwIfAborted();
+      const inputPath = path.join(TMP_DIR, `input_${job.jobId}_${i}.mp4`);
+      inputPaths.push(inputPath);
+      fs.writeFileSync(inputPath, await getFileBuffer(clips[i].s3Key));
+
+      const { duration, hasVideo, hasAudio } = await probeMedia(inputPath, signal);
+      if (!hasVideo) throw new Error(`Clip ${i + 1} (${clips[i].s3Key}) has no video stream`);
+      const out = clips[i].out === null || clips[i].out === undefined ? duration : Math.min(clips[i].out, duration);
+      if (!(out - clips[i].in > 0)) {
+        throw new Error(`Clip ${i + 1} (${clips[i].s3Key}) is shorter than its in point`);
       }
-      throw new Error('username is required for S3 upload and must be present in crop job');
-    }
-    const username = job.username.trim();
-    
-    // Prepare metadata with custom filename if exportName is provided
-    const metadata = { edited: "true" };
-    if (job.exportName && typeof job.exportName === 'string' && job.exportName.trim().length > 0) {
-      // Sanitize the export name to make it safe for filenames
-      const sanitizedName = job.exportName.trim()
-        .replace(/[^a-zA-Z0-9-_\s]/g, '') // Remove special characters
-        .replace(/\s+/g, '-') // Replace spaces with hyphens
-        .substring(0, 50); // Limit length
-      metadata.customFilename = sanitizedName;
-    }
-    
-    const { url, key } = await uploadVideoBuffer(buffer, 'video/mp4', job.userId, username, metadata);
-    try {
-      const updatedJob = await updateJob(String(job.jobId), { status: 'completed', downloadUrl: url, s3Key: key, error: null });
-      if (!updatedJob) {
-        console.warn(`[VIDEO-CROP][WORKER][ERROR] updateJob did not update any document for jobId: ${job.jobId}`);
+      probed.push({ in: clips[i].in, duration: out - clips[i].in, hasAudio, transition: clips[i].transition });
+      reportProgress(((i + 1) / clips.length) * 20);
+    }
+
+    const graph = buildTimelineFilter(probed, { resolution: job.resolution, fps: job.fps });
+    const args = ['-y'];
+    probed.forEach((clip, i) => {
+      args.push('-ss', String(clip.in), '-t', String(clip.duration), '-i', inputPaths[i]);
+    });
+    args.push(
+      '-filter_complex', graph.filter,
+      '-map', graph.video,
+      '-map', graph.audio,
+      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-r', String(job.fps),
+      '-c:a', 'aac', '-b:a', '128k',
+      '-movflags', '+faststart',
+      outputPath
+    );
+    // Encoding covers 20% - 85%
+    await runFfmpeg(args, graph.duration, (fraction) => {
+      reportProgress(20 + fraction * 65);
+    }, signal);
+    reportProgress(85);
+
+    const { url, key } = await uploadOutput(job, outputPath, signal);
+    await finishJob(job.jobId, { status: 'completed', downloadUrl: url, s3Key: key, error: null, progress: 100 });
+    console.log(`[VIDEO-TIMELINE][WORKER] Rendered ${clips.length} clips (${graph.duration.toFixed(1)}s) for job ${job.jobId}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-TIMELINE][WORKER] Stopped timeline job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-TIMELINE][WORKER] Failed timeline job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    [outputPath, ...inputPaths].forEach((file) => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  }
+}
+
+// Escape a file path for use as a filter option value
+const filterPath = (file) => file.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+
+// Time the caption text, burn it into the video and/or export SRT/VTT next to it (see videoCaptions.js)
+async function processCaptionJob(job, signal) {
+  const inputPath = path.join(TMP_DIR, `input_${job.jobId}.mp4`);
+  const audioPath = path.join(TMP_DIR, `tts_${job.jobId}.mp3`);
+  const assPath = path.join(TMP_DIR, `captions_${job.jobId}.ass`);
+  const outputPath = path.join(TMP_DIR, `output_${job.jobId}.mp4`);
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    const captions = job.captions || {};
+    if (!job.s3Key) throw new Error('No s3Key');
+    fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+
+    // Narration window: the TTS audio's length, else the given duration, else the rest of the video
+    const start = captions.offset || 0;
+    let length = captions.duration || null;
+    if (!length && captions.source && captions.source.type === 'tts') {
+      const ttsJob = await QueueJob.findOne({ jobId: captions.source.id, type: 'tts' }).lean();
+      if (!ttsJob || !ttsJob.result || !ttsJob.result.audioContent) {
+        throw new Error('TTS audio is no longer available');
+      }
+      fs.writeFileSync(audioPath, Buffer.from(ttsJob.result.audioContent, 'base64'));
+      length = (await probeMedia(audioPath, signal)).duration;
+    }
+    const end = Math.min(video.duration, length ? start + length : video.duration);
+    if (!(end > start)) throw new Error('offset is past the end of the video');
+
+    const cues = groupCues(timeWords(captions.text || '', start, end), captions.style.maxWordsPerLine);
+    if (cues.length === 0) throw new Error('No caption text');
+    reportProgress(10);
+
+    let result = { url: null, key: job.s3Key };
+    if (captions.burnIn) {
+      fs.writeFileSync(assPath, buildAss(cues, captions.style, video));
+      let filter = `subtitles=${filterPath(assPath)}`;
+      if (process.env.CAPTION_FONTS_DIR) filter += `:fontsdir=${filterPath(process.env.CAPTION_FONTS_DIR)}`;
+      const args = [
+        '-y', '-i', inputPath,
+        '-vf', filter,
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+        '-c:a', 'copy',
+        '-movflags', '+faststart',
+        outputPath
+      ];
+      // Encoding covers 10% - 85%
+      await runFfmpeg(args, video.duration, (fraction) => {
+        reportProgress(10 + fraction * 75);
+      }, signal);
+      reportProgress(85);
+      result = await uploadOutput(job, outputPath, signal);
+    }
+
+    // Caption files go next to the captioned video (or the source when not burning in)
+    const outputs = {};
+    for (const format of captions.exportFormats || []) {
+      signal.throwIfAborted();
+      const body = format === 'srt' ? buildSrt(cues, captions.style) : buildVtt(cues, captions.style);
+      const contentType = format === 'srt' ? 'application/x-subrip' : 'text/vtt';
+      outputs[format] = await uploadSidecarFile(body, contentType, result.key, format, { userid: job.userId });
+    }
+
+    await finishJob(job.jobId, { status: 'completed', downloadUrl: result.url, s3Key: result.key, outputs, error: null, progress: 100 });
+    console.log(`[VIDEO-CAPTIONS][WORKER] Captioned job ${job.jobId}: ${cues.length} cues${captions.burnIn ? ', burned in' : ''}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-CAPTIONS][WORKER] Stopped captions job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-CAPTIONS][WORKER] Failed captions job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    [inputPath, audioPath, assPath, outputPath].forEach((file) => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  }
+}
+
+// Render every preset of the export from a single decode of the source (see videoExport.js)
+async function processExportJob(job, signal) {
+  const inputPath = path.join(TMP_DIR, `input_${job.jobId}.mp4`);
+  const presets = Array.isArray(job.exportPresets) ? job.exportPresets : [];
+  const outputPaths = presets.map((preset) => path.join(TMP_DIR, `output_${job.jobId}_${preset.name}.mp4`));
+  const reportProgress = createProgressReporter(job.jobId);
+  let watermark = null;
+  try {
+    if (presets.length === 0) throw new Error('Export has no presets');
+    if (job.s3Key) {
+      fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    } else if (job.videoUrl) {
+      await downloadToFile(job.videoUrl, inputPath, signal);
+    } else {
+      throw new Error('No videoUrl or s3Key');
+    }
+    watermark = await downloadWatermark(job);
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+
+    const start = job.start || 0;
+    const end = Math.min(video.duration, job.end || video.duration);
+    if (!(end > start)) throw new Error('start is past the end of the video');
+    const clipDuration = end - start;
+
+    // Smart reframing analyses the clip once for all presets
+    const analysis = job.reframe === 'smart' ? await analyseFrames(inputPath, start, clipDuration, video, signal) : null;
+    // Loudness is measured on the clip, then normalised once for all presets
+    const loudness = job.loudness && video.hasAudio
+      ? parseLoudnorm(await runFfmpeg(buildMeasureArgs(inputPath, job.loudness, { start, duration: clipDuration }), 0, null, signal))
+      : null;
+    reportProgress(10);
+
+    const branches = [`[0:v]split=${presets.length}${presets.map((_, i) => `[in${i}]`).join('')}`];
+    if (watermark) {
+      // One copy of the logo per rendition, each scaled to its rendition
+      branches.push(`[1:v]split=${presets.length}${presets.map((_, i) => `[logo${i}]`).join('')}`);
+    }
+    const renditions = presets.map((preset, i) => {
+      const [width, height] = preset.resolution.split('x').map(Number);
+      const crop = fitCropSize(video.width, video.height, preset.aspectRatio);
+      let filter = '';
+      if (crop.axis && analysis) {
+        filter = `${buildCropFilter(crop.width, crop.height, smartCropPath(analysis.raw, analysis.format, video, crop))},`;
+      } else if (crop.axis) {
+        const x = Math.floor((video.width - crop.width) / 4) * 2;
+        const y = Math.floor((video.height - crop.height) / 4) * 2;
+        filter = `crop=${crop.width}:${crop.height}:${x}:${y},`;
+      }
+      if (watermark) {
+        branches.push(`[in${i}]${filter}scale=${width}:${height},setsar=1[scaled${i}]`);
+        branches.push(buildWatermarkFilter(watermark, { video: `[scaled${i}]`, logo: `[logo${i}]`, output: `[out${i}]` }));
       } else {
+        branches.push(`[in${i}]${filter}scale=${width}:${height},setsar=1[out${i}]`);
       }
-    } catch (e) {
-      console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job status to completed:', e);
+      const duration = preset.maxDuration ? Math.min(preset.maxDuration, clipDuration) : clipDuration;
+      return { preset, width, height, duration, videoBitrate: renditionBitrate(preset, duration) };
+    });
+
+    if (loudness) {
+      branches.push(`[0:a]${normalizeFilter(job.loudness, loudness)},asplit=${presets.length}${presets.map((_, i) => `[aout${i}]`).join('')}`);
+    }
+
+    const args = ['-y', '-ss', String(start), '-i', inputPath];
+    if (watermark) args.push('-i', watermark.logoPath);
+    args.push('-filter_complex', branches.join(';'));
+    renditions.forEach(({ preset, duration, videoBitrate }, i) => {
+      args.push(
+        '-map', `[out${i}]`, '-map', loudness ? `[aout${i}]` : '0:a?',
+        '-t', String(duration),
+        '-c:v', 'libx264', '-preset', 'fast',
+        '-b:v', `${videoBitrate}k`, '-maxrate', `${videoBitrate}k`, '-bufsize', `${videoBitrate * 2}k`
+      );
+      if (preset.fps) args.push('-r', String(preset.fps));
+      args.push('-c:a', 'aac', '-b:a', `${preset.audioBitrate}k`, '-movflags', '+faststart', outputPaths[i]);
+    });
+    // Encoding covers 10% - 80%
+    const log = await runFfmpeg(args, Math.max(...renditions.map(rendition => rendition.duration)), (fraction) => {
+      reportProgress(10 + fraction * 70);
+    }, signal);
+    const loudnessResult = loudness ? loudnessReport(job.loudness, loudness, parseLoudnorm(log)) : undefined;
+    reportProgress(80);
+
+    // Uploads cover 80% - 100%; keys are named after the export and the preset
+    const baseName = job.exportName || (job.s3Key ? job.s3Key.split('/').pop().replace(/\.[^.]+$/, '') : 'export');
+    const grouped = {};
+    for (let i = 0; i < renditions.length; i++) {
+      const { preset, width, height, duration, videoBitrate } = renditions[i];
+      const { url, key } = await uploadOutput({ ...job, exportName: `${baseName}-${preset.name}` }, outputPaths[i], signal);
+      grouped[preset.name] = { key, url, label: preset.label, aspectRatio: preset.aspectRatio, width, height, duration, videoBitrate };
+      reportProgress(80 + ((i + 1) / renditions.length) * 19);
     }
-    fs.unlinkSync(outputPath);
-    if (cleanupInput) fs.unlinkSync(inputPath);
+
+    if (job.s3Key) {
+      const createdAt = new Date();
+      await Video.updateOne(
+        { s3Key: job.s3Key },
+        { $push: { exports: { $each: Object.keys(grouped).map(name => ({ preset: name, s3Key: grouped[name].key, jobId: job.jobId, createdAt })) } } }
+      );
+    }
+
+    await finishJob(job.jobId, {
+      status: 'completed',
+      outputs: { source: job.s3Key || job.videoUrl, renditions: grouped, loudness: loudnessResult },
+      error: null,
+      progress: 100
+    });
+    console.log(`[VIDEO-EXPORT][WORKER] Exported ${renditions.length} renditions for job ${job.jobId}`);
   } catch (err) {
-    try {
-      await updateJob(String(job.jobId), { status: 'failed', error: err.message });
-    } catch (e) {
-      console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job status to failed:', e);
+    if (signal.aborted) {
+      console.warn(`[VIDEO-EXPORT][WORKER] Stopped export job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
     }
-    console.error(`[VIDEO-CROP][WORKER] Failed crop job:`, {
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-EXPORT][WORKER] Failed export job:`, {
       jobId: job.jobId,
       error: err.message
     });
-    if (cleanupInput && inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+  } finally {
+    [inputPath, ...outputPaths, ...(watermark ? [watermark.logoPath] : [])].forEach((file) => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
   }
 }
 
-async function pollAndProcess() {
-  let jobs;
+const RENDITION_CONTENT_TYPES = { '.m3u8': 'application/vnd.apple.mpegurl', '.ts': 'video/mp2t', '.mp4': 'video/mp4' };
+
+// HLS variants and the preview MP4 of a library video (see videoRenditions.js), recorded on the Video
+async function processRenditionsJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `renditions_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const outDir = path.join(workDir, 'out');
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    await Video.updateOne({ s3Key: job.s3Key }, { $set: { 'renditions.status': 'processing', 'renditions.updatedAt': new Date() } });
+    fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+    reportProgress(5);
+
+    // Encoding covers 5% - 75%
+    const { args, ladder, preview } = buildRenditionArgs(inputPath, outDir, video);
+    ladder.forEach(rung => fs.mkdirSync(path.join(outDir, rung.name), { recursive: true }));
+    await runFfmpeg(args, video.duration, (fraction) => {
+      reportProgress(5 + fraction * 70);
+    }, signal);
+    fs.writeFileSync(path.join(outDir, 'master.m3u8'), buildMasterPlaylist(ladder, video.hasAudio));
+    reportProgress(75);
+
+    // Uploads cover 75% - 100%
+    const prefix = renditionPrefix(job.s3Key);
+    const files = [];
+    const collect = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) collect(file);
+      else files.push(file);
+    });
+    collect(outDir);
+    for (let i = 0; i < files.length; i++) {
+      signal.throwIfAborted();
+      const relative = path.relative(outDir, files[i]).split(path.sep).join('/');
+      const key = relative === 'preview.mp4' ? `${prefix}preview.mp4` : `${prefix}hls/${relative}`;
+      const contentType = RENDITION_CONTENT_TYPES[path.extname(files[i])] || 'application/octet-stream';
+      await uploadRenditionFile(fs.readFileSync(files[i]), contentType, key);
+      reportProgress(75 + ((i + 1) / files.length) * 24);
+    }
+
+    const renditions = {
+      status: 'ready',
+      jobId: job.jobId,
+      error: null,
+      hls: {
+        masterKey: `${prefix}hls/master.m3u8`,
+        variants: ladder.map(rung => ({
+          name: rung.name,
+          playlistKey: `${prefix}hls/${rung.name}/index.m3u8`,
+          width: rung.width,
+          height: rung.height,
+          bandwidth: variantBandwidth(rung, video.hasAudio)
+        }))
+      },
+      preview: { s3Key: `${prefix}preview.mp4`, width: preview.width, height: preview.height },
+      updatedAt: new Date()
+    };
+    await Video.updateOne({ s3Key: job.s3Key }, { $set: { renditions } });
+    await finishJob(job.jobId, { status: 'completed', outputs: { hls: renditions.hls, preview: renditions.preview }, error: null, progress: 100 });
+    console.log(`[VIDEO-RENDITIONS][WORKER] ${ladder.length} HLS variants and a preview for ${job.s3Key}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-RENDITIONS][WORKER] Stopped renditions job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    await Video.updateOne({ s3Key: job.s3Key }, { $set: { 'renditions.status': 'failed', 'renditions.error': err.message, 'renditions.updatedAt': new Date() } })
+      .catch(e => console.error('[VIDEO-RENDITIONS][WORKER] Failed to record the failure on the video:', e));
+    console.error(`[VIDEO-RENDITIONS][WORKER] Failed renditions job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Poster, sprite sheet and thumbnail track of a video (see videoThumbnails.js), stored next to it
+async function processThumbnailsJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `thumbnails_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const posterPath = path.join(workDir, 'poster.jpg');
+  const spritePath = path.join(workDir, 'sprite.jpg');
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+    reportProgress(10);
+
+    await runFfmpeg(buildPosterArgs(inputPath, posterPath, video), null, () => {}, signal);
+    reportProgress(25);
+    const layout = spriteLayout(video);
+    await runFfmpeg(buildSpriteArgs(inputPath, spritePath, layout), video.duration, (fraction) => {
+      reportProgress(25 + fraction * 60);
+    }, signal);
+
+    signal.throwIfAborted();
+    const spriteName = `${path.basename(job.s3Key).replace(/\.[^.]+$/, '')}.${THUMBNAIL_FILES.sprite}`;
+    const track = buildThumbnailTrack(layout, video.duration, spriteName);
+    const [poster, sprite, trackFile] = await Promise.all([
+      uploadSidecarFile(fs.readFileSync(posterPath), 'image/jpeg', job.s3Key, THUMBNAIL_FILES.poster),
+      uploadSidecarFile(fs.readFileSync(spritePath), 'image/jpeg', job.s3Key, THUMBNAIL_FILES.sprite),
+      uploadSidecarFile(track, 'text/vtt', job.s3Key, THUMBNAIL_FILES.track)
+    ]);
+
+    await finishJob(job.jobId, {
+      status: 'completed',
+      outputs: { poster, sprite, track: trackFile, layout },
+      error: null,
+      progress: 100
+    });
+    console.log(`[VIDEO-THUMBNAILS][WORKER] Poster and ${layout.count}-tile sprite for ${job.s3Key}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-THUMBNAILS][WORKER] Stopped thumbnails job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-THUMBNAILS][WORKER] Failed thumbnails job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Probe a video in S3 (read through a presigned URL, no download) and store its metadata on the Video
+async function processProbeJob(job, signal) {
+  try {
+    const url = await getSignedDownloadUrl(job.s3Key, 900);
+    const media = await probeMediaInfo(url, signal);
+    if (!media) throw new Error('File has no video stream');
+    await recordMedia(job.s3Key, job.userId, media);
+    await finishJob(job.jobId, { status: 'completed', outputs: { media }, error: null, progress: 100 });
+    console.log(`[VIDEO-PROBE][WORKER] ${job.s3Key}: ${media.width}x${media.height}, ${media.duration}s, ${media.videoCodec}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-PROBE][WORKER] Stopped probe job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-PROBE][WORKER] Failed probe job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  }
+}
+
+// Rank highlight segments of a video (see videoHighlights.js) and queue crop jobs for the top ones
+async function processHighlightsJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `highlights_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const scenesPath = path.join(workDir, 'scenes.txt');
+  const audioPath = path.join(workDir, 'audio.txt');
+  const options = job.highlights || {};
+  const reportProgress = createProgressReporter(job.jobId);
   try {
-    jobs = await getPendingJobs('crop');
-    if (!Array.isArray(jobs)) jobs = [];
+    fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+    reportProgress(5);
+
+    // Analysis covers 5% - 90%
+    const args = buildAnalysisArgs(inputPath, { scenesPath, audioPath }, { hasAudio: video.hasAudio, sceneThreshold: options.sceneThreshold });
+    await runFfmpeg(args, video.duration, (fraction) => {
+      reportProgress(5 + fraction * 85);
+    }, signal);
+    const read = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+    const sceneCuts = parseMetadataLog(read(scenesPath), 'lavfi.scene_score').map(point => point.time);
+    const energy = video.hasAudio ? parseMetadataLog(read(audioPath), 'lavfi.astats.Overall.RMS_level') : [];
+    const segments = rankSegments({ duration: video.duration, sceneCuts, energy, hasAudio: video.hasAudio }, options);
+    reportProgress(95);
+
+    // The top segments go through the crop pipeline; each clip's Video links back to the source
+    signal.throwIfAborted();
+    const source = await Video.findOne({ s3Key: job.s3Key }, { _id: 1 });
+    const baseName = job.exportName || job.s3Key.split('/').pop().replace(/\.[^.]+$/, '');
+    const clips = [];
+    for (const segment of segments.slice(0, options.render || 0)) {
+      const clipJob = await createJob({
+        type: 'crop',
+        s3Key: job.s3Key,
+        start: segment.start,
+        end: segment.end,
+        aspectRatio: RENDER_ASPECT_RATIO,
+        reframe: options.reframe,
+        userId: job.userId,
+        username: job.username,
+        exportName: `${baseName}-highlight-${segment.rank}`,
+        derivedFrom: {
+          kind: 'highlight',
+          s3Key: job.s3Key,
+          videoId: source ? source._id : undefined,
+          jobId: job.jobId,
+          start: segment.start,
+          end: segment.end,
+          rank: segment.rank,
+          score: segment.score
+        }
+      });
+      clips.push({ rank: segment.rank, jobId: clipJob.jobId });
+    }
+
+    await finishJob(job.jobId, {
+      status: 'completed',
+      outputs: { source: job.s3Key, duration: video.duration, sceneCuts: sceneCuts.length, segments, clips },
+      error: null,
+      progress: 100
+    });
+    console.log(`[VIDEO-HIGHLIGHTS][WORKER] ${segments.length} segments, ${clips.length} clips queued for job ${job.jobId}`);
   } catch (err) {
-    console.error('[VIDEO-CROP][WORKER] Failed to fetch pending jobs:', err);
-    jobs = [];
+    if (signal.aborted) {
+      console.warn(`[VIDEO-HIGHLIGHTS][WORKER] Stopped highlights job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-HIGHLIGHTS][WORKER] Failed highlights job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
-  if (jobs.length > 0) {
+}
+
+// Cut the silences out of a video; the cut list goes next to the edited video as JSON and EDL (see videoJumpcut.js)
+async function processJumpcutJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `jumpcut_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const silencePath = path.join(workDir, 'silences.txt');
+  const outputPath = path.join(workDir, 'output.mp4');
+  const options = job.jumpcut || {};
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    if (job.s3Key) {
+      fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    } else if (job.videoUrl) {
+      await downloadToFile(job.videoUrl, inputPath, signal);
+    } else {
+      throw new Error('No videoUrl or s3Key');
+    }
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+    if (!video.hasAudio) throw new Error('File has no audio to detect silences in');
+    reportProgress(5);
+
+    // Detection covers 5% - 20%
+    await runFfmpeg(buildSilenceArgs(inputPath, silencePath, options), video.duration, (fraction) => {
+      reportProgress(5 + fraction * 15);
+    }, signal);
+    const log = fs.existsSync(silencePath) ? fs.readFileSync(silencePath, 'utf8') : '';
+    const cuts = computeCuts(parseSilences(log, video.duration), video.duration, options);
+    if (cuts.kept.length === 0) throw new Error('The whole video is silent at this threshold');
+    reportProgress(20);
+
+    // Encoding covers 20% - 85%
+    await runFfmpeg(buildJumpcutArgs(inputPath, outputPath, cuts.kept, true), video.duration, (fraction) => {
+      reportProgress(20 + fraction * 65);
+    }, signal);
+    reportProgress(85);
+    const result = await uploadOutput(job, outputPath, signal);
+
+    // Cut list next to the edited video
+    const source = job.s3Key || job.videoUrl;
+    const cutList = { source, options, ...cuts };
+    // EDL timecodes count frames of the source
+    const media = await probeMediaInfo(inputPath, signal).catch(() => null);
+    const edl = buildEdl(cuts, {
+      title: (job.exportName || result.key.split('/').pop().replace(/\.[^.]+$/, '')).slice(0, 70),
+      clipName: (job.s3Key || 'source').split('/').pop(),
+      fps: media && media.fps,
+      hasAudio: true
+    });
+    signal.throwIfAborted();
+    const outputs = {
+      json: await uploadSidecarFile(JSON.stringify(cutList, null, 2), 'application/json', result.key, 'cuts.json', { userid: job.userId }),
+      edl: await uploadSidecarFile(edl, 'text/plain', result.key, 'cuts.edl', { userid: job.userId }),
+      cutList
+    };
+
+    await finishJob(job.jobId, { status: 'completed', downloadUrl: result.url, s3Key: result.key, outputs, error: null, progress: 100 });
+    console.log(`[VIDEO-JUMPCUT][WORKER] Job ${job.jobId}: removed ${cuts.removed.length} silences (${cuts.removedDuration}s of ${cuts.originalDuration}s)`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-JUMPCUT][WORKER] Stopped jumpcut job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-JUMPCUT][WORKER] Failed jumpcut job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
-  for (const job of jobs) {
+}
+
+// Speed, reverse, loop and boomerang jobs: the effect is the job type (see videoEffects.js)
+async function processEffectJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `${job.type}_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const outputPath = path.join(workDir, 'output.mp4');
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    if (job.s3Key) {
+      fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    } else if (job.videoUrl) {
+      await downloadToFile(job.videoUrl, inputPath, signal);
+    } else {
+      throw new Error('No videoUrl or s3Key');
+    }
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+
+    const start = job.start || 0;
+    const end = Math.min(video.duration, job.end || video.duration);
+    if (!(end > start)) throw new Error('start is past the end of the video');
+    const passes = buildEffectPasses(job.type, job.effect || {}, { inputPath, outputPath, workDir }, {
+      start,
+      duration: end - start,
+      hasAudio: video.hasAudio
+    });
+    reportProgress(10);
+
+    // Encoding covers 10% - 85%, shared evenly between the passes
+    const share = 75 / passes.length;
+    for (let i = 0; i < passes.length; i++) {
+      await runFfmpeg(passes[i].args, passes[i].duration, (fraction) => {
+        reportProgress(10 + share * (i + fraction));
+      }, signal);
+    }
+    reportProgress(85);
+
+    const { url, key } = await uploadOutput(job, outputPath, signal);
+    await finishJob(job.jobId, { status: 'completed', downloadUrl: url, s3Key: key, error: null, progress: 100 });
+    console.log(`[VIDEO-EFFECTS][WORKER] Applied ${job.type} for job ${job.jobId}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-EFFECTS][WORKER] Stopped ${job.type} job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-EFFECTS][WORKER] Failed ${job.type} job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Animated GIF/WebP/APNG of part of a video, stored with the user's images (see videoAnimation.js)
+async function processAnimationJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `animation_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const options = job.animation || {};
+  const outputPath = path.join(workDir, `output.${options.format}`);
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasVideo) throw new Error('File has no video stream');
+    const start = options.start || 0;
+    const end = Math.min(video.duration, options.end || video.duration);
+    if (!(end > start)) throw new Error('start is past the end of the video');
+    reportProgress(10);
+
+    // Encoding covers 10% - 85%
+    await runFfmpeg(buildAnimationArgs(inputPath, outputPath, options, end - start), end - start, (fraction) => {
+      reportProgress(10 + fraction * 75);
+    }, signal);
+    reportProgress(85);
+
+    signal.throwIfAborted();
+    const sourceName = job.s3Key.split('/').pop().replace(/\.[^.]+$/, '');
+    const buffer = fs.readFileSync(outputPath);
+    const result = await uploadImageBuffer(buffer, ANIMATION_FORMATS[options.format].mimetype, job.userId, job.username, {
+      customFilename: safeFilename(job.exportName) || safeFilename(`${sourceName}-${options.format}`),
+      sourceVideo: job.s3Key
+    });
+    // A record like other generated images, linking back to the video
+    const source = await Video.findOne({ s3Key: job.s3Key }, { _id: 1, title: 1 });
+    await Video.updateOne(
+      { s3Key: result.key },
+      {
+        $set: {
+          title: job.exportName || `${(source && source.title) || sourceName} (${options.format.toUpperCase()})`,
+          description: `Animated ${options.format.toUpperCase()} from ${start}s to ${Math.round(end * 1000) / 1000}s of a video`,
+          provider: 'video-animation',
+          derivedFrom: { kind: 'animation', s3Key: job.s3Key, videoId: source ? source._id : undefined, jobId: job.jobId, start, end }
+        },
+        $setOnInsert: { owner: job.userId }
+      },
+      { upsert: true }
+    );
+
+    await finishJob(job.jobId, {
+      status: 'completed',
+      downloadUrl: result.url,
+      s3Key: result.key,
+      outputs: { source: job.s3Key, format: options.format, size: buffer.length, start, end },
+      error: null,
+      progress: 100
+    });
+    console.log(`[VIDEO-ANIMATION][WORKER] ${options.format} of ${buffer.length} bytes for job ${job.jobId}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-ANIMATION][WORKER] Stopped animation job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-ANIMATION][WORKER] Failed animation job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Measure a library video's loudness and, unless only analysing, normalise it (see audioLoudness.js)
+async function processLoudnessJob(job, signal) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `loudness_${job.jobId}_`));
+  const inputPath = path.join(workDir, 'input.mp4');
+  const outputPath = path.join(workDir, 'output.mp4');
+  const options = job.loudness || {};
+  const reportProgress = createProgressReporter(job.jobId);
+  try {
+    fs.writeFileSync(inputPath, await getFileBuffer(job.s3Key));
+    const video = await probeMedia(inputPath, signal);
+    if (!video.hasAudio) throw new Error('File has no audio stream');
+    reportProgress(5);
+
+    // Measuring covers 5% - 40% (everything when only analysing)
+    const measureShare = options.analyzeOnly ? 90 : 35;
+    const measured = parseLoudnorm(await runFfmpeg(buildMeasureArgs(inputPath, options), video.duration, (fraction) => {
+      reportProgress(5 + fraction * measureShare);
+    }, signal));
+
+    if (options.analyzeOnly) {
+      const report = loudnessReport(options, measured, null);
+      await finishJob(job.jobId, { status: 'completed', outputs: { source: job.s3Key, report }, error: null, progress: 100 });
+      console.log(`[VIDEO-LOUDNESS][WORKER] Measured ${report.input.integrated} LUFS for job ${job.jobId}`);
+      return;
+    }
+
+    // Normalising covers 40% - 85%
+    const log = await runFfmpeg(buildNormalizeArgs(inputPath, outputPath, options, measured), video.duration, (fraction) => {
+      reportProgress(40 + fraction * 45);
+    }, signal);
+    const report = loudnessReport(options, measured, parseLoudnorm(log));
+    reportProgress(85);
+
+    const { url, key } = await uploadOutput(job, outputPath, signal);
+    await finishJob(job.jobId, { status: 'completed', downloadUrl: url, s3Key: key, outputs: { source: job.s3Key, report }, error: null, progress: 100 });
+    console.log(`[VIDEO-LOUDNESS][WORKER] ${report.input.integrated} -> ${report.output.integrated} LUFS for job ${job.jobId}`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.warn(`[VIDEO-LOUDNESS][WORKER] Stopped loudness job ${job.jobId}: ${signal.reason && signal.reason.message}`);
+      return;
+    }
+    await finishJob(job.jobId, { status: 'failed', error: err.message });
+    console.error(`[VIDEO-LOUDNESS][WORKER] Failed loudness job:`, {
+      jobId: job.jobId,
+      error: err.message
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Edit job type -> processor
+const PROCESSORS = {
+  crop: processCropJob,
+  timeline: processTimelineJob,
+  captions: processCaptionJob,
+  export: processExportJob,
+  renditions: processRenditionsJob,
+  thumbnails: processThumbnailsJob,
+  probe: processProbeJob,
+  highlights: processHighlightsJob,
+  jumpcut: processJumpcutJob,
+  speed: processEffectJob,
+  reverse: processEffectJob,
+  loop: processEffectJob,
+  boomerang: processEffectJob,
+  animation: processAnimationJob,
+  loudness: processLoudnessJob
+};
+const JOB_TYPES = EDIT_JOB_TYPES;
+const unmatchedTypes = [
+  ...JOB_TYPES.filter(type => !PROCESSORS[type]),
+  ...Object.keys(PROCESSORS).filter(type => !JOB_TYPES.includes(type))
+];
+if (unmatchedTypes.length) {
+  throw new Error(`EDIT_JOB_TYPES and the worker's processors differ: ${unmatchedTypes.join(', ')}`);
+}
+// Jobs that only derive files or metadata from a stored video; all others save output for a user
+const USERLESS_JOB_TYPES = ['thumbnails', 'probe'];
+
+// Process a claimed job, renewing its lease until done
+async function runLeasedJob(job) {
+  if (!job.userId && !USERLESS_JOB_TYPES.includes(job.type)) {
+    await finishJob(job.jobId, { status: 'failed', error: `${job.type} jobs need a userId` });
+    return;
+  }
+  const controller = new AbortController();
+  running.set(job.jobId, controller);
+  const heartbeat = setInterval(async () => {
     try {
-      await updateJob(String(job.jobId), { status: 'processing' });
+      const held = await renewLease(String(job.jobId), WORKER_ID, LEASE_MS);
+      if (!held && !controller.signal.aborted) {
+        console.warn(`[VIDEO-CROP][WORKER] Lost lease on job ${job.jobId}, stopping`);
+        controller.abort(new Error('Lease lost'));
+      }
     } catch (e) {
-      console.error('[VIDEO-CROP][WORKER][ERROR] Failed to update job status to processing:', e);
+      console.error(`[VIDEO-CROP][WORKER][ERROR] Failed to renew lease on job ${job.jobId}:`, e.message);
+    }
+  }, HEARTBEAT_MS);
+
+  console.log(`[VIDEO-CROP][WORKER] ${WORKER_ID} processing ${job.type} job ${job.jobId} (attempt ${job.attempts}/${MAX_ATTEMPTS})`);
+  try {
+    await PROCESSORS[job.type](job, controller.signal);
+  } finally {
+    clearInterval(heartbeat);
+    running.delete(job.jobId);
+  }
+}
+
+async function pollAndProcess() {
+  if (polling || shuttingDown) return;
+  polling = true;
+  try {
+    try {
+      const { requeued, failed } = await recoverExpiredJobs(JOB_TYPES, MAX_ATTEMPTS, LEASE_MS);
+      if (requeued || failed) {
+        console.log(`[VIDEO-CROP][WORKER] Recovered jobs with expired leases: ${requeued} requeued, ${failed} failed`);
+      }
+    } catch (err) {
+      console.error('[VIDEO-CROP][WORKER] Failed to recover expired jobs:', err);
+    }
+
+    while (!shuttingDown && running.size < CONCURRENCY) {
+      let job;
+      try {
+        job = await claimJob(JOB_TYPES, WORKER_ID, LEASE_MS);
+      } catch (err) {
+        console.error('[VIDEO-CROP][WORKER] Failed to claim a pending job:', err);
+        break;
+      }
+      if (!job) break;
+      runLeasedJob(job)
+        .catch((err) => console.error(`[VIDEO-CROP][WORKER] ${job.type} job ${job.jobId} crashed:`, err))
+        .finally(() => setImmediate(pollAndProcess)); // A slot is free: look for more work right away
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+// Hand running jobs back so other workers can take them right away, then exit
+async function shutdown(signalName) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  clearInterval(pollTimer);
+  console.log(`[VIDEO-CROP][WORKER] ${signalName} received, releasing ${running.size} job(s)`);
+  for (const [jobId, controller] of running) {
+    controller.abort(new Error('Worker shutting down'));
+    try {
+      await releaseJob(String(jobId), WORKER_ID);
+    } catch (err) {
+      console.error(`[VIDEO-CROP][WORKER] Failed to release job ${jobId}:`, err.message);
     }
-    await processCropJob(job);
   }
+  await mongoose.disconnect().catch(() => {});
+  process.exit(0);
 }
 
 // Ensure mongoose connection before polling
@@ -225,13 +1274,18 @@ async function startWorker() {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
-    setInterval(pollAndProcess, 10000);
+    console.log(`[VIDEO-CROP][WORKER] ${WORKER_ID} started (concurrency ${CONCURRENCY}, lease ${LEASE_MS / 1000}s)`);
+    pollTimer = setInterval(pollAndProcess, POLL_INTERVAL);
+    pollAndProcess();
   } catch (err) {
     console.error('[VIDEO-CROP][WORKER] Failed to connect to MongoDB:', err);
     process.exit(1);
   }
 }
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startWorker();
 
 module.exports = { pollAndProcess };
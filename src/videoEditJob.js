@@ -5,17 +5,41 @@
 const {
   createJob,
   updateJob,
+  claimJob,
+  renewLease,
+  releaseJob,
+  recoverExpiredJobs,
   getJob,
   getAllJobs,
   getPendingJobs,
+  getJobsUpdatedSince,
+  getJobsByUser,
+  listJobs,
+  findActiveJob,
   deleteJobByS3Key
 } = require('./JobStore');
 
+// Every job type the crop worker runs (its PROCESSORS must match); also listed by /api/jobs.
+// renditions, thumbnails and probe are queued automatically for a user's videos.
+const EDIT_JOB_TYPES = [
+  'crop', 'timeline', 'captions', 'export', 'renditions', 'thumbnails', 'probe',
+  'highlights', 'jumpcut', 'speed', 'reverse', 'loop', 'boomerang', 'animation', 'loudness'
+];
+
 module.exports = {
+  EDIT_JOB_TYPES,
   createJob,
   updateJob,
+  claimJob,
+  renewLease,
+  releaseJob,
+  recoverExpiredJobs,
   getJob,
   getAllJobs,
   getPendingJobs,
+  getJobsUpdatedSince,
+  getJobsByUser,
+  listJobs,
+  findActiveJob,
   deleteJobByS3Key
 };
\ No newline at end of file
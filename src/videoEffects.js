@@ -0,0 +1,152 @@
+/**
+ * Playback effects for short-form edits, one edit job type each:
+ * - speed: constant speed change; audio goes through atempo, which keeps its pitch
+ * - reverse: video (and audio) played backwards
+ * - loop: the clip repeated `loops` times
+ * - boomerang: the clip forwards then backwards, repeated `loops` times, without audio
+ *
+ * Every effect applies to the whole video or to its start/end range.
+ * reverse and boomerang hold the decoded clip in memory, so the clip is
+ * limited to MAX_REVERSE_SECONDS.
+ *
+ * normalizeEffect validates a request (POST /api/video/effects);
+ * buildEffectPasses gives the crop worker the ffmpeg runs of a job.
+ */
+
+const path = require('path');
+const { ValidationError } = require('./utils/errors');
+
+const EFFECTS = ['speed', 'reverse', 'loop', 'boomerang'];
+const SPEED_LIMITS = [0.25, 4];
+const LOOP_LIMITS = { loop: [2, 20], boomerang: [1, 10] };
+const DEFAULT_LOOPS = { loop: 3, boomerang: 3 };
+const MAX_REVERSE_SECONDS = 20;
+const MAX_OUTPUT_SECONDS = 600;
+
+const ENCODE_ARGS = ['-c:v', 'libx264', '-preset', 'fast', '-crf', '20', '-pix_fmt', 'yuv420p'];
+const AUDIO_ARGS = ['-c:a', 'aac', '-b:a', '192k'];
+
+/**
+ * Validate an effect request
+ * @param {object} body - { effect, speed? (speed), loops? (loop, boomerang), start?, end? }
+ * @returns {{ type: string, effect: { speed?: number, loops?: number }, start?: number, end?: number }}
+ * @throws {ValidationError}
+ */
+function normalizeEffect(body = {}) {
+  const type = body.effect;
+  if (!EFFECTS.includes(type)) throw new ValidationError(`effect must be one of: ${EFFECTS.join(', ')}`);
+
+  const effect = {};
+  if (type === 'speed') {
+    const speed = Number(body.speed);
+    const [min, max] = SPEED_LIMITS;
+    if (!Number.isFinite(speed) || speed < min || speed > max || speed === 1) {
+      throw new ValidationError(`speed must be a number from ${min} to ${max}, other than 1`);
+    }
+    effect.speed = speed;
+  }
+  if (LOOP_LIMITS[type]) {
+    const loops = body.loops === undefined || body.loops === null ? DEFAULT_LOOPS[type] : Number(body.loops);
+    const [min, max] = LOOP_LIMITS[type];
+    if (!Number.isInteger(loops) || loops < min || loops > max) {
+      throw new ValidationError(`loops must be a whole number from ${min} to ${max}`);
+    }
+    effect.loops = loops;
+  }
+
+  ['start', 'end'].forEach((name) => {
+    if (body[name] !== undefined && (typeof body[name] !== 'number' || !(body[name] >= 0))) {
+      throw new ValidationError(`${name} must be a non-negative number of seconds`);
+    }
+  });
+  if (body.start !== undefined && body.end !== undefined && body.end <= body.start) {
+    throw new ValidationError('end must be after start');
+  }
+  return { type, effect, start: body.start, end: body.end };
+}
+
+// atempo takes 0.5-2 per instance; larger changes are chained
+function atempoChain(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  filters.push(`atempo=${Math.round(remaining * 10000) / 10000}`);
+  return filters.join(',');
+}
+
+// Input limited to the clip (seeking before -i, exact since everything is re-encoded)
+const clipInput = (inputPath, start, duration) => ['-ss', String(start), '-t', String(duration), '-i', inputPath];
+
+/**
+ * ffmpeg runs of an effect job, in order; each writes the next one's input
+ * @param {string} type - One of EFFECTS
+ * @param {object} effect - { speed?, loops? } from normalizeEffect
+ * @param {object} files - { inputPath, outputPath, workDir }
+ * @param {object} clip - { start, duration, hasAudio } in seconds of the source
+ * @returns {{ args: string[], duration: number }[]} duration: seconds written by the run (for progress)
+ * @throws {ValidationError} When the clip or the result is too long
+ */
+function buildEffectPasses(type, effect, { inputPath, outputPath, workDir }, { start, duration, hasAudio }) {
+  if ((type === 'reverse' || type === 'boomerang') && duration > MAX_REVERSE_SECONDS) {
+    throw new ValidationError(`${type} works on up to ${MAX_REVERSE_SECONDS} seconds; set start/end to a shorter clip`);
+  }
+  const outputDuration = {
+    speed: () => duration / effect.speed,
+    reverse: () => duration,
+    loop: () => duration * effect.loops,
+    boomerang: () => duration * 2 * effect.loops
+  }[type]();
+  if (outputDuration > MAX_OUTPUT_SECONDS) {
+    throw new ValidationError(`The result would last ${Math.round(outputDuration)} seconds; the maximum is ${MAX_OUTPUT_SECONDS}`);
+  }
+  const audio = hasAudio ? AUDIO_ARGS : ['-an'];
+  const finish = (args) => [...args, '-movflags', '+faststart', outputPath];
+
+  switch (type) {
+    case 'speed': {
+      const args = ['-y', ...clipInput(inputPath, start, duration), '-vf', `setpts=PTS/${effect.speed}`];
+      if (hasAudio) args.push('-af', atempoChain(effect.speed));
+      return [{ args: finish([...args, ...ENCODE_ARGS, ...audio]), duration: outputDuration }];
+    }
+    case 'reverse': {
+      const args = ['-y', ...clipInput(inputPath, start, duration), '-vf', 'reverse'];
+      if (hasAudio) args.push('-af', 'areverse');
+      return [{ args: finish([...args, ...ENCODE_ARGS, ...audio]), duration }];
+    }
+    case 'loop': {
+      // Cut the clip once, then read it `loops` times
+      const clipPath = path.join(workDir, 'clip.mp4');
+      return [
+        { args: ['-y', ...clipInput(inputPath, start, duration), ...ENCODE_ARGS, ...audio, clipPath], duration },
+        { args: finish(['-y', '-stream_loop', String(effect.loops - 1), '-i', clipPath, ...ENCODE_ARGS, ...audio]), duration: outputDuration }
+      ];
+    }
+    case 'boomerang': {
+      // Forwards then backwards, dropping the repeated frame at the turn
+      const oncePath = path.join(workDir, 'boomerang.mp4');
+      const filter = '[0:v]split[fwd][rev];[rev]reverse,trim=start_frame=1,setpts=PTS-STARTPTS[back];[fwd][back]concat=n=2:v=1:a=0[v]';
+      const once = ['-y', ...clipInput(inputPath, start, duration), '-filter_complex', filter, '-map', '[v]', ...ENCODE_ARGS, '-an'];
+      if (effect.loops === 1) return [{ args: finish(once), duration: outputDuration }];
+      return [
+        { args: [...once, oncePath], duration: duration * 2 },
+        { args: finish(['-y', '-stream_loop', String(effect.loops - 1), '-i', oncePath, ...ENCODE_ARGS, '-an']), duration: outputDuration }
+      ];
+    }
+    default:
+      throw new ValidationError(`Unknown effect: ${type}`);
+  }
+}
+
+module.exports = {
+  EFFECTS,
+  MAX_REVERSE_SECONDS,
+  normalizeEffect,
+  buildEffectPasses
+};
@@ -0,0 +1,144 @@
+/**
+ * Export edit jobs: one source video rendered for several platforms at once.
+ *
+ * Each rendition is a named preset: aspect ratio, resolution, bitrate and the
+ * platform's limits (maximum duration, maximum file size). The crop worker
+ * decodes the source once and splits it into one crop/scale branch per preset
+ * in a single ffmpeg run, so N formats cost one download and one decode.
+ *
+ * normalizeExport validates a request (POST /api/video/export);
+ * renditionBitrate is used by the worker to stay under file size limits.
+ * With `loudness` the audio is normalised once for all renditions (see audioLoudness.js).
+ */
+
+const { normalizeLoudness } = require('./audioLoudness');
+const { ValidationError } = require('./utils/errors');
+
+// Built-in presets; bitrates in kbps, durations in seconds
+const PRESETS = {
+  shorts: { label: 'YouTube Shorts', aspectRatio: '9:16', resolution: '1080x1920', maxDuration: 60, videoBitrate: 8000, audioBitrate: 128 },
+  reels: { label: 'Instagram Reels', aspectRatio: '9:16', resolution: '1080x1920', maxDuration: 90, videoBitrate: 6000, audioBitrate: 128 },
+  tiktok: { label: 'TikTok', aspectRatio: '9:16', resolution: '1080x1920', maxDuration: 600, videoBitrate: 6000, audioBitrate: 128, maxFileSizeMB: 287 },
+  'feed-square': { label: 'Feed (1:1)', aspectRatio: '1:1', resolution: '1080x1080', maxDuration: 60, videoBitrate: 5000, audioBitrate: 128 },
+  'feed-portrait': { label: 'Feed (4:5)', aspectRatio: '4:5', resolution: '1080x1350', maxDuration: 60, videoBitrate: 5000, audioBitrate: 128 },
+  youtube: { label: 'YouTube (16:9)', aspectRatio: '16:9', resolution: '1920x1080', maxDuration: null, videoBitrate: 10000, audioBitrate: 192 }
+};
+
+const MAX_RENDITIONS = 8;
+const MIN_VIDEO_BITRATE = 300;
+const REFRAME_MODES = ['center', 'smart'];
+
+function parseRatio(aspectRatio) {
+  const match = /^(\d+):(\d+)$/.exec(String(aspectRatio));
+  return match && Number(match[1]) > 0 && Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : null;
+}
+
+// Even width x height of the ratio with a 1080px short side
+function defaultResolution(ratio) {
+  const even = (value) => Math.round(value / 2) * 2;
+  return ratio >= 1 ? `${even(1080 * ratio)}x1080` : `1080x${even(1080 / ratio)}`;
+}
+
+const isPositive = (value, max) => typeof value === 'number' && value > 0 && value <= max;
+
+/**
+ * A preset name, or a custom preset { name, preset?, aspectRatio?, resolution?, maxDuration?,
+ * videoBitrate?, audioBitrate?, maxFileSizeMB?, fps? } where `preset` names a built-in to start from
+ */
+function normalizePreset(entry, index) {
+  const label = `presets[${index}]`;
+  const custom = typeof entry === 'string' ? { name: entry, preset: entry } : entry;
+  if (!custom || typeof custom !== 'object' || typeof custom.name !== 'string' || !/^[a-z0-9-]{1,32}$/.test(custom.name)) {
+    throw new ValidationError(`${label}: name must be 1-32 lowercase letters, digits or dashes`);
+  }
+  const baseName = custom.preset || (PRESETS[custom.name] ? custom.name : null);
+  if (baseName && !PRESETS[baseName]) {
+    throw new ValidationError(`${label}: unknown preset "${baseName}" (${Object.keys(PRESETS).join(', ')})`);
+  }
+  const base = baseName ? PRESETS[baseName] : { label: custom.name, videoBitrate: 6000, audioBitrate: 128, maxDuration: null };
+  const preset = { ...base, name: custom.name };
+
+  ['aspectRatio', 'resolution', 'maxDuration', 'videoBitrate', 'audioBitrate', 'maxFileSizeMB', 'fps', 'label']
+    .forEach((field) => {
+      if (custom[field] !== undefined) preset[field] = custom[field];
+    });
+
+  const ratio = parseRatio(preset.aspectRatio);
+  if (!ratio) {
+    throw new ValidationError(`${label}: aspectRatio must look like 9:16`);
+  }
+  if (custom.resolution === undefined && custom.aspectRatio !== undefined && (!base.aspectRatio || parseRatio(base.aspectRatio) !== ratio)) {
+    preset.resolution = defaultResolution(ratio); // The base resolution no longer fits the ratio
+  }
+  preset.resolution = preset.resolution || defaultResolution(ratio);
+  const size = /^(\d+)x(\d+)$/.exec(String(preset.resolution));
+  if (!size || Number(size[1]) % 2 || Number(size[2]) % 2 || Number(size[1]) > 3840 || Number(size[2]) > 3840) {
+    throw new ValidationError(`${label}: resolution must be WIDTHxHEIGHT with even dimensions up to 3840`);
+  }
+  if (Math.abs(Number(size[1]) / Number(size[2]) - ratio) / ratio > 0.02) {
+    throw new ValidationError(`${label}: resolution ${preset.resolution} does not match aspectRatio ${preset.aspectRatio}`);
+  }
+  if (preset.maxDuration !== null && preset.maxDuration !== undefined && !isPositive(preset.maxDuration, 36000)) {
+    throw new ValidationError(`${label}: maxDuration must be a number of seconds`);
+  }
+  if (!isPositive(preset.videoBitrate, 50000) || preset.videoBitrate < MIN_VIDEO_BITRATE) {
+    throw new ValidationError(`${label}: videoBitrate must be ${MIN_VIDEO_BITRATE}-50000 kbps`);
+  }
+  if (!isPositive(preset.audioBitrate, 320)) {
+    throw new ValidationError(`${label}: audioBitrate must be up to 320 kbps`);
+  }
+  if (preset.maxFileSizeMB !== undefined && !isPositive(preset.maxFileSizeMB, 10000)) {
+    throw new ValidationError(`${label}: maxFileSizeMB must be a positive number`);
+  }
+  if (preset.fps !== undefined && (!Number.isInteger(preset.fps) || preset.fps < 1 || preset.fps > 60)) {
+    throw new ValidationError(`${label}: fps must be an integer between 1 and 60`);
+  }
+  return preset;
+}
+
+/**
+ * Validate an export request and resolve its presets
+ * @param {object} body - { presets: (string|object)[], reframe?, start?, end?, loudness? }
+ * @returns {{ exportPresets: object[], reframe: string, start: number|undefined, end: number|undefined, loudness: object|undefined }}
+ * @throws {ValidationError}
+ */
+function normalizeExport(body = {}) {
+  const { presets, start, end } = body;
+  if (!Array.isArray(presets) || presets.length === 0 || presets.length > MAX_RENDITIONS) {
+    throw new ValidationError(`presets must list 1-${MAX_RENDITIONS} presets (${Object.keys(PRESETS).join(', ')} or custom)`);
+  }
+  const exportPresets = presets.map(normalizePreset);
+  const names = exportPresets.map(preset => preset.name);
+  if (new Set(names).size !== names.length) {
+    throw new ValidationError('Preset names must be unique');
+  }
+
+  const reframe = body.reframe || 'center';
+  if (!REFRAME_MODES.includes(reframe)) {
+    throw new ValidationError(`reframe must be one of ${REFRAME_MODES.join(', ')}`);
+  }
+  if (start !== undefined && (typeof start !== 'number' || !(start >= 0))) {
+    throw new ValidationError('start must be a number of seconds >= 0');
+  }
+  if (end !== undefined && (typeof end !== 'number' || !(end > (start || 0)))) {
+    throw new ValidationError('end must be a number of seconds after start');
+  }
+  const loudness = body.loudness ? normalizeLoudness(body.loudness) : undefined;
+  return { exportPresets, reframe, start, end, loudness };
+}
+
+/**
+ * Video bitrate (kbps) of a rendition, lowered when needed to fit maxFileSizeMB
+ */
+function renditionBitrate(preset, duration) {
+  if (!preset.maxFileSizeMB || !(duration > 0)) return preset.videoBitrate;
+  const totalKbps = (preset.maxFileSizeMB * 8 * 1024 * 1024) / duration / 1000;
+  const fitted = Math.floor((totalKbps - preset.audioBitrate) * 0.95); // Headroom for the container
+  return Math.max(MIN_VIDEO_BITRATE, Math.min(preset.videoBitrate, fitted));
+}
+
+module.exports = {
+  PRESETS,
+  normalizeExport,
+  renditionBitrate
+};
@@ -0,0 +1,190 @@
+/**
+ * Highlight detection for repurposing long videos into shorts.
+ *
+ * - One ffmpeg pass over the source logs scene cuts (select on the scene
+ *   score) and the audio level per half second (astats RMS)
+ * - rankSegments proposes windows of the target length that start on scene
+ *   cuts (or a regular grid when there are few), ends them on a cut when one
+ *   falls near the end, scores them on audio energy and pacing (cuts per
+ *   second) and keeps the best non-overlapping ones
+ * - The top `render` segments are cut as 9:16 clips by crop jobs
+ *
+ * normalizeHighlights validates request options; the crop worker runs the rest.
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+const DEFAULTS = { targetDuration: 30, count: 5, render: 0, reframe: 'smart', sceneThreshold: 0.3 };
+const LIMITS = { targetDuration: [5, 180], count: [1, 20], render: [0, 5], sceneThreshold: [0.05, 0.9] };
+const REFRAME_MODES = ['center', 'smart'];
+const RENDER_ASPECT_RATIO = '9:16';
+const ENERGY_WINDOW_SECONDS = 0.5;
+const SILENCE_DB = -70;
+const CUTS_PER_SECOND_MAX = 1 / 3; // Pacing score is full at one cut every 3 seconds
+
+function numberOption(body, name) {
+  if (body[name] === undefined || body[name] === null) return DEFAULTS[name];
+  const value = Number(body[name]);
+  const [min, max] = LIMITS[name];
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new ValidationError(`${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate highlight options
+ * @param {object} body - { targetDuration?, count?, render?, reframe?, sceneThreshold? }
+ * @returns {{ targetDuration: number, count: number, render: number, reframe: string, sceneThreshold: number }}
+ * @throws {ValidationError}
+ */
+function normalizeHighlights(body = {}) {
+  const options = {
+    targetDuration: numberOption(body, 'targetDuration'),
+    count: Math.round(numberOption(body, 'count')),
+    render: Math.round(numberOption(body, 'render')),
+    reframe: body.reframe === undefined ? DEFAULTS.reframe : body.reframe,
+    sceneThreshold: numberOption(body, 'sceneThreshold')
+  };
+  if (!REFRAME_MODES.includes(options.reframe)) {
+    throw new ValidationError(`reframe must be one of: ${REFRAME_MODES.join(', ')}`);
+  }
+  if (options.render > options.count) throw new ValidationError('render cannot be more than count');
+  return options;
+}
+
+/**
+ * ffmpeg arguments of the analysis pass (no output file, only the two logs)
+ * @param {string} inputPath
+ * @param {object} paths - { scenesPath, audioPath }
+ * @param {object} options - { hasAudio, sceneThreshold }
+ */
+function buildAnalysisArgs(inputPath, { scenesPath, audioPath }, { hasAudio, sceneThreshold }) {
+  const args = [
+    '-y', '-i', inputPath,
+    '-vf', `scale=320:-2,select='gt(scene,${sceneThreshold})',metadata=print:file=${scenesPath}`
+  ];
+  if (hasAudio) {
+    const samples = Math.round(16000 * ENERGY_WINDOW_SECONDS);
+    args.push('-af', [
+      'aresample=16000',
+      'aformat=channel_layouts=mono',
+      `asetnsamples=n=${samples}:p=0`,
+      'astats=metadata=1:reset=1',
+      `ametadata=print:key=lavfi.astats.Overall.RMS_level:file=${audioPath}`
+    ].join(','));
+  } else {
+    args.push('-an');
+  }
+  args.push('-f', 'null', '-');
+  return args;
+}
+
+/**
+ * Values of `key` from a metadata=print log, with the time of their frame
+ * @returns {{ time: number, value: number }[]}
+ */
+function parseMetadataLog(text, key) {
+  const points = [];
+  let time = null;
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    const frame = line.match(/pts_time:(-?[\d.]+)/);
+    if (frame) {
+      time = parseFloat(frame[1]);
+      return;
+    }
+    const separator = line.indexOf('=');
+    if (time !== null && separator > 0 && line.slice(0, separator) === key) {
+      const value = parseFloat(line.slice(separator + 1));
+      points.push({ time, value: Number.isFinite(value) ? value : -Infinity }); // -inf dB = digital silence
+    }
+  });
+  return points;
+}
+
+function percentile(sorted, fraction) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Ranked, non-overlapping candidate segments
+ * @param {object} analysis - { duration, sceneCuts: number[], energy: { time, value (dB) }[], hasAudio }
+ * @param {object} options - { targetDuration, count }
+ * @returns {object[]} [{ rank, start, end, duration, score, audioScore, sceneScore, sceneCuts }], best first
+ */
+function rankSegments({ duration, sceneCuts, energy, hasAudio }, { targetDuration, count }) {
+  const cuts = [...new Set(sceneCuts.map(time => round(time, 1)))].filter(time => time > 0 && time < duration).sort((a, b) => a - b);
+
+  // Loudness relative to this video: 10th percentile -> 0, 95th -> 1
+  const levels = energy.map(point => Math.max(SILENCE_DB, Math.min(0, point.value)));
+  const sortedLevels = [...levels].sort((a, b) => a - b);
+  const low = percentile(sortedLevels, 0.1);
+  const high = percentile(sortedLevels, 0.95);
+  const loudness = energy.map((point, i) => ({
+    time: point.time,
+    value: high > low ? Math.max(0, Math.min(1, (levels[i] - low) / (high - low))) : 0
+  }));
+
+  const score = (start, end) => {
+    const inside = loudness.filter(point => point.time >= start && point.time < end);
+    const mean = inside.length ? inside.reduce((sum, point) => sum + point.value, 0) / inside.length : 0;
+    const peak = inside.length ? Math.max(...inside.map(point => point.value)) : 0;
+    const audioScore = 0.7 * mean + 0.3 * peak;
+    const cutCount = cuts.filter(time => time > start && time < end).length;
+    const sceneScore = Math.min(1, cutCount / ((end - start) * CUTS_PER_SECOND_MAX));
+    const startsOnCut = start === 0 || cuts.includes(start) ? 1 : 0;
+    const total = hasAudio
+      ? 0.6 * audioScore + 0.3 * sceneScore + 0.1 * startsOnCut
+      : 0.85 * sceneScore + 0.15 * startsOnCut;
+    return { score: total, audioScore, sceneScore, sceneCuts: cutCount };
+  };
+
+  // Short videos are one highlight
+  if (duration <= targetDuration * 1.1) {
+    return [{ rank: 1, start: 0, end: round(duration), duration: round(duration), ...roundScores(score(0, duration)) }];
+  }
+
+  // Windows start on scene cuts, plus a grid so videos with few cuts still get candidates
+  const starts = new Set([0, ...cuts]);
+  for (let time = 0; time < duration; time += targetDuration / 2) starts.add(round(time, 1));
+  const candidates = [];
+  starts.forEach((start) => {
+    let end = Math.min(start + targetDuration, duration);
+    // End on the last cut in the final 30% of the window, so the clip doesn't stop mid-shot
+    const endCut = cuts.filter(time => time > start + targetDuration * 0.7 && time <= end).pop();
+    if (endCut !== undefined) end = endCut;
+    if (end - start < targetDuration * 0.6) return;
+    candidates.push({ start, end, ...score(start, end) });
+  });
+
+  const picked = [];
+  candidates
+    .sort((a, b) => b.score - a.score || a.start - b.start)
+    .forEach((candidate) => {
+      if (picked.length >= count) return;
+      if (picked.some(other => candidate.start < other.end && other.start < candidate.end)) return;
+      picked.push(candidate);
+    });
+  return picked.map((segment, i) => ({
+    rank: i + 1,
+    start: round(segment.start),
+    end: round(segment.end),
+    duration: round(segment.end - segment.start),
+    ...roundScores(segment)
+  }));
+}
+
+function roundScores({ score, audioScore, sceneScore, sceneCuts }) {
+  return { score: round(score, 3), audioScore: round(audioScore, 3), sceneScore: round(sceneScore, 3), sceneCuts };
+}
+
+module.exports = {
+  RENDER_ASPECT_RATIO,
+  normalizeHighlights,
+  buildAnalysisArgs,
+  parseMetadataLog,
+  rankSegments
+};
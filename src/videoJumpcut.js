@@ -0,0 +1,177 @@
+/**
+ * Jump-cut editing: remove the silences of a talking-head video.
+ *
+ * - A first ffmpeg pass logs silences (silencedetect: below `threshold` dB for
+ *   at least `minSilence` seconds)
+ * - computeCuts keeps `padding` seconds of each silence next to the speech so
+ *   words aren't clipped, and drops kept pieces shorter than MIN_KEEP_SECONDS
+ * - The second pass keeps only the kept ranges (select/aselect) and re-times them
+ * - The cut list is returned as JSON and as a CMX3600 EDL for editing software
+ *
+ * normalizeJumpcut validates request options; the crop worker runs the rest.
+ */
+
+const { parseMetadataLog } = require('./videoHighlights');
+const { ValidationError } = require('./utils/errors');
+
+const DEFAULTS = { threshold: -35, minSilence: 0.6, padding: 0.15 };
+const LIMITS = { threshold: [-80, -10], minSilence: [0.1, 10], padding: [0, 1] };
+const MIN_KEEP_SECONDS = 0.1;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Validate jump-cut options
+ * @param {object} body - { threshold? (dB), minSilence? (s), padding? (s) }
+ * @returns {{ threshold: number, minSilence: number, padding: number }}
+ * @throws {ValidationError}
+ */
+function normalizeJumpcut(body = {}) {
+  const options = {};
+  Object.keys(DEFAULTS).forEach((name) => {
+    if (body[name] === undefined || body[name] === null) {
+      options[name] = DEFAULTS[name];
+      return;
+    }
+    const value = Number(body[name]);
+    const [min, max] = LIMITS[name];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new ValidationError(`${name} must be a number from ${min} to ${max}`);
+    }
+    options[name] = value;
+  });
+  return options;
+}
+
+/**
+ * ffmpeg arguments of the detection pass (audio only, silences logged to `logPath`)
+ */
+function buildSilenceArgs(inputPath, logPath, { threshold, minSilence }) {
+  return [
+    '-y', '-i', inputPath, '-vn',
+    '-af', `silencedetect=noise=${threshold}dB:d=${minSilence},ametadata=print:file=${logPath}`,
+    '-f', 'null', '-'
+  ];
+}
+
+/**
+ * Silences from the detection log; one still running at the end lasts until `duration`
+ * @returns {{ start: number, end: number }[]}
+ */
+function parseSilences(log, duration) {
+  const starts = parseMetadataLog(log, 'lavfi.silence_start').map(point => point.value);
+  const ends = parseMetadataLog(log, 'lavfi.silence_end').map(point => point.value);
+  return starts.map((start, i) => ({
+    start: Math.max(0, start),
+    end: Math.min(duration, ends[i] !== undefined ? ends[i] : duration)
+  })).filter(silence => silence.end > silence.start);
+}
+
+/**
+ * Ranges to keep and to remove
+ * @param {object[]} silences - From parseSilences
+ * @param {number} duration - Source length in seconds
+ * @param {object} options - { padding }
+ * @returns {{ kept: object[], removed: object[], originalDuration: number, editedDuration: number, removedDuration: number }}
+ */
+function computeCuts(silences, duration, { padding }) {
+  // Padding stays next to speech only, not at the very start or end of the video
+  const removed = silences
+    .map(silence => ({
+      start: silence.start <= 0 ? 0 : silence.start + padding,
+      end: silence.end >= duration ? duration : silence.end - padding
+    }))
+    .filter(range => range.end > range.start);
+
+  const kept = [];
+  let position = 0;
+  removed.forEach((range) => {
+    if (range.start - position >= MIN_KEEP_SECONDS) kept.push({ start: position, end: range.start });
+    position = Math.max(position, range.end);
+  });
+  if (duration - position >= MIN_KEEP_SECONDS) kept.push({ start: position, end: duration });
+
+  // Removed = everything not kept (includes pieces too short to keep)
+  const gaps = [];
+  let cursor = 0;
+  kept.forEach((range) => {
+    if (range.start > cursor) gaps.push({ start: cursor, end: range.start });
+    cursor = range.end;
+  });
+  if (duration > cursor) gaps.push({ start: cursor, end: duration });
+
+  let outputStart = 0;
+  const keptList = kept.map((range) => {
+    const entry = { start: round(range.start), end: round(range.end), outputStart: round(outputStart) };
+    outputStart += range.end - range.start;
+    return entry;
+  });
+  const removedList = gaps.map(range => ({ start: round(range.start), end: round(range.end), duration: round(range.end - range.start) }));
+  return {
+    kept: keptList,
+    removed: removedList,
+    originalDuration: round(duration),
+    editedDuration: round(outputStart),
+    removedDuration: round(duration - outputStart)
+  };
+}
+
+/**
+ * ffmpeg arguments of the edit pass: keep the `kept` ranges back to back
+ * @param {object[]} kept - From computeCuts
+ */
+function buildJumpcutArgs(inputPath, outputPath, kept, hasAudio) {
+  const expr = kept.map(range => `between(t,${range.start},${range.end})`).join('+');
+  const args = ['-y', '-i', inputPath, '-vf', `select='${expr}',setpts=N/FRAME_RATE/TB`];
+  if (hasAudio) args.push('-af', `aselect='${expr}',asetpts=N/SR/TB`);
+  args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '20', '-pix_fmt', 'yuv420p');
+  if (hasAudio) args.push('-c:a', 'aac', '-b:a', '192k');
+  args.push('-movflags', '+faststart', outputPath);
+  return args;
+}
+
+// seconds -> HH:MM:SS:FF at `fps` (non-drop frame)
+function timecode(seconds, fps) {
+  const rate = Math.round(fps);
+  const frames = Math.round(seconds * rate);
+  const ff = frames % rate;
+  const totalSeconds = Math.floor(frames / rate);
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}:${pad(ff)}`;
+}
+
+/**
+ * CMX3600 EDL with one event per kept range (source in/out -> record in/out)
+ * @param {object} cuts - From computeCuts
+ * @param {object} options - { title, clipName, fps, hasAudio }
+ * @returns {string}
+ */
+function buildEdl(cuts, { title, clipName, fps, hasAudio }) {
+  const rate = fps || 30;
+  const lines = [`TITLE: ${title}`, 'FCM: NON-DROP FRAME', ''];
+  cuts.kept.forEach((range, i) => {
+    const recordOut = range.outputStart + (range.end - range.start);
+    lines.push([
+      String(i + 1).padStart(3, '0'),
+      'AX      ',
+      hasAudio ? 'AA/V ' : 'V    ',
+      'C        ',
+      timecode(range.start, rate),
+      timecode(range.end, rate),
+      timecode(range.outputStart, rate),
+      timecode(recordOut, rate)
+    ].join(' '));
+    lines.push(`* FROM CLIP NAME: ${clipName}`);
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  normalizeJumpcut,
+  buildSilenceArgs,
+  parseSilences,
+  computeCuts,
+  buildJumpcutArgs,
+  buildEdl
+};
@@ -0,0 +1,182 @@
+/**
+ * Media metadata of library videos, probed with ffprobe by the crop worker
+ * and stored on Video.media.
+ *
+ * - parseMediaInfo turns ffprobe JSON (-show_format -show_streams) into
+ *   { duration, width, height, aspectRatio, orientation, videoCodec, audioCodec,
+ *     bitrate, fps, hasAudio, size }; width/height are as displayed (rotation applied)
+ * - normalizeVideoQuery / filterAndSortVideos implement the filters and sort
+ *   of GET /api/videos on that metadata
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+// ffprobe arguments; the input may be a local path or a (presigned) URL
+const probeArgs = (input) => ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', input];
+
+// Ratios snapped to when within 1%; anything else is reduced as is (e.g. 427:240)
+const COMMON_RATIOS = ['16:9', '9:16', '1:1', '4:5', '5:4', '4:3', '3:4', '3:2', '2:3', '21:9'];
+
+const NUMERIC_FIELDS = ['duration', 'width', 'height', 'bitrate', 'fps', 'size'];
+const SORT_FIELDS = ['createdAt', 'title', ...NUMERIC_FIELDS];
+const ORIENTATIONS = ['portrait', 'landscape', 'square'];
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+function aspectRatioOf(width, height) {
+  const ratio = width / height;
+  const common = COMMON_RATIOS.find((label) => {
+    const [w, h] = label.split(':').map(Number);
+    return Math.abs(ratio / (w / h) - 1) < 0.01;
+  });
+  if (common) return common;
+  const divisor = gcd(width, height);
+  return `${width / divisor}:${height / divisor}`;
+}
+
+// "30000/1001" -> 29.97
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 1000) / 1000;
+}
+
+// Rotation of a video stream in degrees (display matrix side data or the older rotate tag)
+function rotationOf(stream) {
+  const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = sideData ? Number(sideData.rotation) : Number((stream.tags && stream.tags.rotate) || 0);
+  return Number.isFinite(rotation) ? rotation : 0;
+}
+
+const toNumber = (value) => (value === undefined || value === null || Number.isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Metadata from ffprobe output
+ * @param {object} probe - Parsed JSON of ffprobe -show_format -show_streams
+ * @returns {object|null} null when the file has no video stream
+ */
+function parseMediaInfo(probe) {
+  const streams = probe.streams || [];
+  const format = probe.format || {};
+  const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  if (!video || !video.width || !video.height) return null;
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  const rotated = Math.abs(rotationOf(video)) % 180 === 90;
+  const width = rotated ? video.height : video.width;
+  const height = rotated ? video.width : video.height;
+  const duration = toNumber(format.duration) || toNumber(video.duration);
+  return {
+    duration: duration !== null ? Math.round(duration * 1000) / 1000 : null,
+    width,
+    height,
+    aspectRatio: aspectRatioOf(width, height),
+    orientation: width === height ? 'square' : (width > height ? 'landscape' : 'portrait'),
+    videoCodec: video.codec_name || null,
+    audioCodec: audio ? audio.codec_name || null : null,
+    bitrate: toNumber(format.bit_rate),
+    fps: parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate),
+    hasAudio: !!audio,
+    size: toNumber(format.size)
+  };
+}
+
+function parseNumber(query, name) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < 0) throw new ValidationError(`${name} must be a non-negative number`);
+  return value;
+}
+
+const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+/**
+ * Filters and sort of a library listing from query parameters
+ * Query: min<Field>/max<Field> for duration (s), width, height, bitrate (bit/s), fps, size (bytes);
+ *        orientation, aspectRatio, videoCodec (comma separated), hasAudio (true | false);
+ *        sort (createdAt | title | a numeric field), order (asc | desc)
+ * @returns {{ ranges: object, orientations?: string[], aspectRatios?: string[], videoCodecs?: string[], hasAudio?: boolean, sort: string|null, order: number, filtered: boolean }}
+ * @throws {ValidationError}
+ */
+function normalizeVideoQuery(query = {}) {
+  const ranges = {};
+  NUMERIC_FIELDS.forEach((field) => {
+    const suffix = field[0].toUpperCase() + field.slice(1);
+    const min = parseNumber(query, `min${suffix}`);
+    const max = parseNumber(query, `max${suffix}`);
+    if (min !== undefined && max !== undefined && min > max) throw new ValidationError(`min${suffix} is above max${suffix}`);
+    if (min !== undefined || max !== undefined) ranges[field] = { min, max };
+  });
+
+  const orientations = parseList(query.orientation);
+  const unknown = (orientations || []).find(orientation => !ORIENTATIONS.includes(orientation));
+  if (unknown) throw new ValidationError(`orientation must be one of: ${ORIENTATIONS.join(', ')}`);
+
+  let hasAudio;
+  if (query.hasAudio !== undefined && query.hasAudio !== '') {
+    if (!['true', 'false'].includes(String(query.hasAudio))) throw new ValidationError('hasAudio must be true or false');
+    hasAudio = String(query.hasAudio) === 'true';
+  }
+
+  if (query.sort !== undefined && !SORT_FIELDS.includes(query.sort)) {
+    throw new ValidationError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const result = {
+    ranges,
+    orientations,
+    aspectRatios: parseList(query.aspectRatio),
+    videoCodecs: parseList(query.videoCodec && String(query.videoCodec).toLowerCase()),
+    hasAudio,
+    sort: query.sort || null, // Without it the listing keeps its own order
+    order: query.order === 'asc' ? 1 : -1
+  };
+  result.filtered = Object.keys(ranges).length > 0 || !!(orientations || result.aspectRatios || result.videoCodecs) || hasAudio !== undefined;
+  return result;
+}
+
+/**
+ * Apply normalizeVideoQuery's filters and sort to listed videos ({ title, createdAt, media })
+ * Videos not probed yet are left out when filtering on metadata and sorted last.
+ * @returns {object[]}
+ */
+function filterAndSortVideos(videos, options) {
+  const matches = (media) => {
+    if (!options.filtered) return true;
+    if (!media) return false;
+    const inRanges = Object.entries(options.ranges).every(([field, { min, max }]) => {
+      const value = media[field];
+      if (value === null || value === undefined) return false;
+      return (min === undefined || value >= min) && (max === undefined || value <= max);
+    });
+    return inRanges
+      && (!options.orientations || options.orientations.includes(media.orientation))
+      && (!options.aspectRatios || options.aspectRatios.includes(media.aspectRatio))
+      && (!options.videoCodecs || options.videoCodecs.includes(media.videoCodec))
+      && (options.hasAudio === undefined || media.hasAudio === options.hasAudio);
+  };
+
+  const valueOf = (video) => {
+    if (options.sort === 'createdAt') return video.createdAt ? new Date(video.createdAt).getTime() : null;
+    if (options.sort === 'title') return video.title ? String(video.title).toLowerCase() : null;
+    return video.media ? video.media[options.sort] : null;
+  };
+
+  const filtered = videos.filter(video => matches(video.media));
+  if (!options.sort) return filtered;
+  return filtered.sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+    if (right === null || right === undefined) return -1;
+    if (left < right) return -options.order;
+    if (left > right) return options.order;
+    return 0;
+  });
+}
+
+module.exports = {
+  probeArgs,
+  parseMediaInfo,
+  normalizeVideoQuery,
+  filterAndSortVideos
+};
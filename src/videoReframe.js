@@ -0,0 +1,271 @@
+/**
+ * Reframing for crop jobs: where the crop window sits over time.
+ *
+ * - center: fixed window in the middle of the frame (the original behaviour)
+ * - smart: follows the subject. The worker decodes small grayscale frames
+ *   (a few per second) and scores every column/row by edges and motion
+ *   between frames; the window is placed where the score is highest, with a
+ *   slight pull to the centre. The raw positions are then median-filtered,
+ *   smoothed in both directions and speed-limited so the camera glides
+ *   instead of jumping.
+ * - manual: the client sends keyframed crop rectangles; the window moves
+ *   linearly between them.
+ *
+ * The path becomes ffmpeg crop x/y expressions of t (piecewise linear).
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+const MODES = ['center', 'smart', 'manual'];
+const MAX_KEYFRAMES = 200;
+const MAX_PATH_POINTS = 120; // Keeps the crop expressions short
+const ANALYSIS_WIDTH = 160;
+const MAX_ANALYSIS_FRAMES = 600;
+const ANALYSIS_FPS = 4;
+const MOTION_WEIGHT = 2;
+const CENTER_PULL = 0.15; // Score penalty at the frame edge
+const SMOOTHING_SECONDS = 0.6;
+const MAX_SPEED = 0.5; // Frame widths (or heights) per second
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+/**
+ * Validate reframe options of a crop request
+ * @param {object} body - { reframe?, keyframes?, aspectRatio? }
+ *   keyframes: [{ time, x, y, width, height }] with time in seconds of the source video
+ *   and the rectangle as fractions (0-1) of the frame
+ * @returns {{ reframe: string, keyframes: object[]|undefined }}
+ * @throws {ValidationError}
+ */
+function normalizeReframe(body = {}) {
+  const reframe = body.reframe || 'center';
+  if (!MODES.includes(reframe)) {
+    throw new ValidationError(`reframe must be one of ${MODES.join(', ')}`);
+  }
+  if (reframe === 'smart' && !body.aspectRatio) {
+    throw new ValidationError('Smart reframing needs an aspectRatio');
+  }
+  if (reframe !== 'manual') return { reframe, keyframes: undefined };
+
+  const { keyframes } = body;
+  if (!Array.isArray(keyframes) || keyframes.length === 0 || keyframes.length > MAX_KEYFRAMES) {
+    throw new ValidationError(`Manual reframing needs 1-${MAX_KEYFRAMES} keyframes`);
+  }
+  const normalized = keyframes.map((keyframe, index) => {
+    const { time, x, y, width, height } = keyframe || {};
+    if (typeof time !== 'number' || !(time >= 0)) {
+      throw new ValidationError(`keyframes[${index}]: time must be a number of seconds >= 0`);
+    }
+    if (![x, y, width, height].every(isFraction) || !(width > 0) || !(height > 0)
+      || x + width > 1.001 || y + height > 1.001) {
+      throw new ValidationError(`keyframes[${index}]: x, y, width and height must be fractions of the frame (0-1) inside it`);
+    }
+    return { time, x, y, width, height };
+  });
+  return { reframe, keyframes: normalized.sort((a, b) => a.time - b.time) };
+}
+
+/**
+ * Largest even-sized window of the target aspect ratio inside the frame
+ * @returns {{ width: number, height: number, axis: 'x'|'y'|null }} axis the window can move along
+ */
+function fitCropSize(width, height, aspectRatio) {
+  const [wRatio, hRatio] = String(aspectRatio).split(':').map(Number);
+  const targetRatio = wRatio / hRatio;
+  const inputRatio = width / height;
+  if (!targetRatio || Math.abs(inputRatio - targetRatio) < 0.01) {
+    return { width, height, axis: null };
+  }
+  if (inputRatio > targetRatio) {
+    // Video is wider than target - crop width (left/right sides)
+    return { width: even(height * targetRatio), height, axis: 'x' };
+  }
+  // Video is taller than target - crop height (top/bottom)
+  return { width, height: even(width / targetRatio), axis: 'y' };
+}
+
+/**
+ * Size and frame rate for the analysis frames of a width x height video
+ * @returns {{ width: number, height: number, fps: number }}
+ */
+function analysisFormat(width, height, duration) {
+  return {
+    width: ANALYSIS_WIDTH,
+    height: even(ANALYSIS_WIDTH * height / width),
+    fps: Math.min(ANALYSIS_FPS, MAX_ANALYSIS_FRAMES / Math.max(1, duration))
+  };
+}
+
+// Interest of each column (axis x) or row (axis y): edges plus motion since the previous frame
+function frameProfile(frame, previous, width, height, axis) {
+  const profile = new Float64Array(axis === 'x' ? width : height);
+  for (let row = 0; row < height - 1; row++) {
+    for (let col = 0; col < width - 1; col++) {
+      const i = row * width + col;
+      const edge = Math.abs(frame[i + 1] - frame[i]) + Math.abs(frame[i + width] - frame[i]);
+      const motion = previous ? Math.abs(frame[i] - previous[i]) : 0;
+      profile[axis === 'x' ? col : row] += edge + MOTION_WEIGHT * motion;
+    }
+  }
+  return profile;
+}
+
+// Start of the window of `size` with the highest score, pulled slightly to the centre
+function bestWindow(profile, size) {
+  const prefix = new Float64Array(profile.length + 1);
+  profile.forEach((value, i) => { prefix[i + 1] = prefix[i] + value; });
+  const last = profile.length - size;
+  const middle = last / 2;
+  let best = Math.round(middle);
+  let bestScore = -Infinity;
+  for (let start = 0; start <= last; start++) {
+    const pull = middle > 0 ? 1 - CENTER_PULL * Math.abs(start - middle) / middle : 1;
+    const score = (prefix[start + size] - prefix[start]) * pull;
+    if (score > bestScore) {
+      bestScore = score;
+      best = start;
+    }
+  }
+  return best;
+}
+
+function medianFilter(values, radius) {
+  return values.map((_, i) => {
+    const window = values.slice(Math.max(0, i - radius), i + radius + 1).sort((a, b) => a - b);
+    return window[Math.floor(window.length / 2)];
+  });
+}
+
+// Exponential smoothing forwards then backwards, so the path does not lag behind the subject
+function smoothBothWays(values, alpha) {
+  const forward = [];
+  values.forEach((value, i) => forward.push(i === 0 ? value : forward[i - 1] + alpha * (value - forward[i - 1])));
+  const result = new Array(values.length);
+  for (let i = values.length - 1; i >= 0; i--) {
+    result[i] = i === values.length - 1 ? forward[i] : result[i + 1] + alpha * (forward[i] - result[i + 1]);
+  }
+  return result;
+}
+
+function limitSpeed(values, maxStep) {
+  const result = [values[0]];
+  for (let i = 1; i < values.length; i++) {
+    const step = Math.max(-maxStep, Math.min(maxStep, values[i] - result[i - 1]));
+    result.push(result[i - 1] + step);
+  }
+  return result;
+}
+
+// At most `max` points, always keeping the last one
+function thin(points, max) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Smoothed window path following the subject
+ * @param {Buffer} raw - Grayscale frames (analysisFormat size), back to back
+ * @param {object} format - From analysisFormat
+ * @param {object} video - { width, height } of the source
+ * @param {object} crop - From fitCropSize
+ * @returns {Array<{ t: number, x: number, y: number }>} Window top-left in source pixels, t from the first analysed frame
+ */
+function smartCropPath(raw, format, video, crop) {
+  const frameSize = format.width * format.height;
+  const count = Math.floor(raw.length / frameSize);
+  if (count === 0 || !crop.axis) {
+    // Nothing to analyse: fall back to the centre
+    return [{ t: 0, x: Math.round((video.width - crop.width) / 2), y: Math.round((video.height - crop.height) / 2) }];
+  }
+
+  const horizontal = crop.axis === 'x';
+  const length = horizontal ? format.width : format.height;
+  const scale = (horizontal ? video.width : video.height) / length;
+  const size = Math.min(length, Math.round((horizontal ? crop.width : crop.height) / scale));
+
+  let previous = null;
+  const starts = [];
+  for (let i = 0; i < count; i++) {
+    const frame = raw.subarray(i * frameSize, (i + 1) * frameSize);
+    starts.push(bestWindow(frameProfile(frame, previous, format.width, format.height, crop.axis), size));
+    previous = frame;
+  }
+
+  const alpha = 1 - Math.exp(-1 / (format.fps * SMOOTHING_SECONDS));
+  const path = limitSpeed(smoothBothWays(medianFilter(starts, 2), alpha), MAX_SPEED * length / format.fps);
+  const limit = (horizontal ? video.width - crop.width : video.height - crop.height);
+
+  const points = path.map((start, i) => {
+    const position = Math.max(0, Math.min(limit, Math.round(start * scale)));
+    return { t: i / format.fps, x: horizontal ? position : 0, y: horizontal ? 0 : position };
+  });
+  return thin(points, MAX_PATH_POINTS);
+}
+
+/**
+ * Window size and path from manual keyframes
+ * @param {object[]} keyframes - From normalizeReframe
+ * @param {object} video - { width, height } of the source
+ * @param {object} options - { start, aspectRatio }: keyframe times are moved to the trimmed clip
+ * @returns {{ width: number, height: number, points: Array<{ t: number, x: number, y: number }> }}
+ *   The window keeps the first keyframe's size (fitted to aspectRatio); later keyframes move its centre
+ */
+function manualCropPath(keyframes, video, { start = 0, aspectRatio } = {}) {
+  const first = keyframes[0];
+  let width = first.width * video.width;
+  let height = first.height * video.height;
+  if (aspectRatio) {
+    const fitted = fitCropSize(width, height, aspectRatio);
+    width = fitted.width;
+    height = fitted.height;
+  }
+  width = Math.min(even(width), even(video.width));
+  height = Math.min(even(height), even(video.height));
+
+  const points = keyframes.map((keyframe) => {
+    const centerX = (keyframe.x + keyframe.width / 2) * video.width;
+    const centerY = (keyframe.y + keyframe.height / 2) * video.height;
+    return {
+      t: Math.max(0, keyframe.time - start),
+      x: Math.round(Math.max(0, Math.min(video.width - width, centerX - width / 2))),
+      y: Math.round(Math.max(0, Math.min(video.height - height, centerY - height / 2)))
+    };
+  });
+  return { width, height, points: thin(points, MAX_PATH_POINTS) };
+}
+
+// Piecewise linear expression of t through the points' `field` values
+function pathExpression(points, field) {
+  const values = points.map(point => point[field]);
+  if (values.every(value => value === values[0])) return String(values[0]);
+
+  const terms = [`${values[0]}*lt(t,${points[0].t.toFixed(3)})`];
+  for (let i = 0; i < points.length - 1; i++) {
+    const t0 = points[i].t.toFixed(3);
+    const t1 = points[i + 1].t.toFixed(3);
+    if (t1 === t0) continue;
+    const slope = (values[i + 1] - values[i]) / (points[i + 1].t - points[i].t);
+    const sign = slope < 0 ? '-' : '+';
+    terms.push(`gte(t,${t0})*lt(t,${t1})*(${values[i]}${sign}${Math.abs(slope).toFixed(4)}*(t-${t0}))`);
+  }
+  terms.push(`${values[values.length - 1]}*gte(t,${points[points.length - 1].t.toFixed(3)})`);
+  return terms.join('+');
+}
+
+/**
+ * ffmpeg crop filter moving a width x height window along the path
+ */
+function buildCropFilter(width, height, points) {
+  return `crop=${width}:${height}:x='${pathExpression(points, 'x')}':y='${pathExpression(points, 'y')}'`;
+}
+
+module.exports = {
+  normalizeReframe,
+  fitCropSize,
+  analysisFormat,
+  smartCropPath,
+  manualCropPath,
+  buildCropFilter
+};
@@ -0,0 +1,155 @@
+/**
+ * Streaming renditions of library videos: adaptive HLS plus a low-bitrate
+ * preview MP4, so large 1080p originals don't have to be downloaded whole by
+ * the browser preview.
+ *
+ * - HLS ladder: 1080p / 720p / 480p / 360p by the short side (portrait videos
+ *   included), never above the source; 4 second segments with aligned keyframes
+ * - Preview: 360p MP4 (faststart) for hover previews and slow connections
+ * - Files live under renditions/<source key without videos/ and extension>/,
+ *   outside the user's videos/ folder so they don't show up in the library
+ *
+ * buildRenditionArgs builds the single ffmpeg run of the crop worker;
+ * buildMasterPlaylist and rewritePlaylist are used to store and serve them.
+ */
+
+const path = require('path');
+
+const HLS_LADDER = [
+  { name: '1080p', shortSide: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', shortSide: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', shortSide: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '360p', shortSide: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+const PREVIEW = { shortSide: 360, videoBitrate: 500, audioBitrate: 64 };
+const SEGMENT_SECONDS = 4;
+const MAXRATE_FACTOR = 1.07; // Peak bitrate allowed above the average
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Prefix of a video's renditions in S3, e.g. videos/alice/clip.mp4 -> renditions/alice/clip/
+function renditionPrefix(s3Key) {
+  return `renditions/${s3Key.replace(/^videos\//, '').replace(/\.[^./]+$/, '')}/`;
+}
+
+// Size of the source scaled to `shortSide`, keeping its orientation
+function scaledSize(video, shortSide) {
+  const side = Math.min(shortSide, Math.min(video.width, video.height));
+  if (video.width <= video.height) {
+    return { width: even(side), height: even(side * video.height / video.width) };
+  }
+  return { width: even(side * video.width / video.height), height: even(side) };
+}
+
+/**
+ * Rungs of the ladder that fit the source (at least the smallest one)
+ * @param {object} video - { width, height }
+ * @returns {object[]} [{ name, width, height, videoBitrate, audioBitrate }]
+ */
+function renditionLadder(video) {
+  const shortSide = Math.min(video.width, video.height);
+  const rungs = HLS_LADDER.filter(rung => rung.shortSide <= shortSide * 1.05);
+  return (rungs.length ? rungs : HLS_LADDER.slice(-1))
+    .map(rung => ({ ...rung, ...scaledSize(video, rung.shortSide) }));
+}
+
+/**
+ * ffmpeg arguments writing every HLS variant and the preview in one run
+ * @param {string} inputPath
+ * @param {string} outDir - Gets <name>/index.m3u8 + segments per variant and preview.mp4
+ * @param {object} video - { width, height, hasAudio } from probing the source
+ * @returns {{ args: string[], ladder: object[], preview: object }}
+ */
+function buildRenditionArgs(inputPath, outDir, video) {
+  const ladder = renditionLadder(video);
+  const preview = { ...PREVIEW, ...scaledSize(video, PREVIEW.shortSide) };
+  const count = ladder.length + 1;
+
+  const filter = [`[0:v]split=${count}${ladder.map((_, i) => `[s${i}]`).join('')}[sp]`];
+  ladder.forEach((rung, i) => {
+    filter.push(`[s${i}]scale=${rung.width}:${rung.height},setsar=1,format=yuv420p[v${i}]`);
+  });
+  filter.push(`[sp]scale=${preview.width}:${preview.height},setsar=1,format=yuv420p[vp]`);
+
+  const args = ['-y', '-i', inputPath, '-filter_complex', filter.join(';')];
+  ladder.forEach((_, i) => {
+    args.push('-map', `[v${i}]`);
+    if (video.hasAudio) args.push('-map', '0:a:0');
+  });
+  args.push(
+    '-c:v', 'libx264', '-preset', 'fast', '-profile:v', 'main',
+    // Keyframes on segment boundaries so every variant switches cleanly
+    '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`, '-sc_threshold', '0'
+  );
+  ladder.forEach((rung, i) => {
+    args.push(
+      `-b:v:${i}`, `${rung.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * MAXRATE_FACTOR)}k`,
+      `-bufsize:v:${i}`, `${rung.videoBitrate * 1.5}k`
+    );
+  });
+  if (video.hasAudio) {
+    args.push('-c:a', 'aac', '-ac', '2');
+    ladder.forEach((rung, i) => args.push(`-b:a:${i}`, `${rung.audioBitrate}k`));
+  }
+  args.push(
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', path.join(outDir, '%v', 'segment_%03d.ts'),
+    '-var_stream_map', ladder.map((rung, i) => (video.hasAudio ? `v:${i},a:${i},name:${rung.name}` : `v:${i},name:${rung.name}`)).join(' '),
+    path.join(outDir, '%v', 'index.m3u8')
+  );
+
+  args.push('-map', '[vp]');
+  if (video.hasAudio) args.push('-map', '0:a:0', '-c:a', 'aac', '-ac', '2', '-b:a', `${preview.audioBitrate}k`);
+  args.push(
+    '-c:v', 'libx264', '-preset', 'fast',
+    '-b:v', `${preview.videoBitrate}k`, '-maxrate', `${preview.videoBitrate}k`, '-bufsize', `${preview.videoBitrate * 2}k`,
+    '-movflags', '+faststart',
+    path.join(outDir, 'preview.mp4')
+  );
+  return { args, ladder, preview };
+}
+
+// BANDWIDTH of a variant in bits/s (peak video rate + audio)
+function variantBandwidth(rung, hasAudio) {
+  return Math.round((rung.videoBitrate * MAXRATE_FACTOR + (hasAudio ? rung.audioBitrate : 0)) * 1000);
+}
+
+/**
+ * Master playlist listing the variants (<name>/index.m3u8), highest first
+ * @param {object[]} ladder - From renditionLadder
+ */
+function buildMasterPlaylist(ladder, hasAudio) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  ladder.forEach((rung) => {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variantBandwidth(rung, hasAudio)},RESOLUTION=${rung.width}x${rung.height}`);
+    lines.push(`${rung.name}/index.m3u8`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Replace every URI line of a playlist (segments or variant playlists)
+ * @param {string} playlist - m3u8 text
+ * @param {function(string): string} mapUri - Receives the URI as written in the playlist
+ * @returns {string}
+ */
+function rewritePlaylist(playlist, mapUri) {
+  return playlist
+    .split(/\r?\n/)
+    .map(line => (line && !line.startsWith('#') ? mapUri(line.trim()) : line))
+    .join('\n');
+}
+
+module.exports = {
+  HLS_LADDER,
+  renditionPrefix,
+  renditionLadder,
+  buildRenditionArgs,
+  variantBandwidth,
+  buildMasterPlaylist,
+  rewritePlaylist
+};
@@ -0,0 +1,116 @@
+/**
+ * Thumbnails of library videos: a poster frame, and a sprite sheet with a
+ * WebVTT track (cues pointing at regions of the sprite) for timeline scrubbing.
+ *
+ * - Files are stored next to the video: <name>.poster.jpg, <name>.sprite.jpg
+ *   and <name>.thumbnails.vtt (see uploadSidecarFile)
+ * - One sprite tile per interval, at most MAX_TILES tiles per video
+ * - The stored track refers to the sprite by file name; the API swaps in a
+ *   presigned URL when serving it (rewriteTrack)
+ *
+ * The build* functions return ffmpeg arguments for the crop worker.
+ */
+
+const { cueTime } = require('./videoCaptions');
+
+const THUMBNAIL_FILES = { poster: 'poster.jpg', sprite: 'sprite.jpg', track: 'thumbnails.vtt' };
+const POSTER_MAX_SIDE = 1280;
+const TILE_LONG_SIDE = 160;
+const SPRITE_COLUMNS = 10;
+const MAX_TILES = 100;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Keys of a video's thumbnail files, e.g. videos/alice/clip.mp4 -> videos/alice/clip.poster.jpg
+function thumbnailKeys(videoKey) {
+  const base = videoKey.replace(/\.[^./]+$/, '');
+  return {
+    poster: `${base}.${THUMBNAIL_FILES.poster}`,
+    sprite: `${base}.${THUMBNAIL_FILES.sprite}`,
+    track: `${base}.${THUMBNAIL_FILES.track}`
+  };
+}
+
+// Size of the source with its long side at most `longSide`, keeping the aspect ratio
+function fitSize(video, longSide) {
+  const scale = Math.min(1, longSide / Math.max(video.width, video.height));
+  return { width: even(video.width * scale), height: even(video.height * scale) };
+}
+
+/**
+ * Tile size and grid of the sprite sheet
+ * @param {object} video - { duration, width, height }
+ * @returns {{ interval: number, count: number, columns: number, rows: number, width: number, height: number }}
+ */
+function spriteLayout(video) {
+  const duration = Math.max(video.duration || 0, 1);
+  const interval = Math.max(1, Math.ceil(duration / MAX_TILES));
+  const count = Math.max(1, Math.ceil(duration / interval));
+  const columns = Math.min(SPRITE_COLUMNS, count);
+  return { interval, count, columns, rows: Math.ceil(count / columns), ...fitSize(video, TILE_LONG_SIDE) };
+}
+
+/**
+ * ffmpeg arguments for the poster: one frame a little into the video (skips fade-ins)
+ */
+function buildPosterArgs(inputPath, outputPath, video) {
+  const { width, height } = fitSize(video, POSTER_MAX_SIDE);
+  const time = Math.min((video.duration || 0) * 0.1, 3);
+  return [
+    '-y', '-ss', time.toFixed(3), '-i', inputPath,
+    '-frames:v', '1', '-vf', `scale=${width}:${height},setsar=1`, '-q:v', '3', '-an',
+    outputPath
+  ];
+}
+
+/**
+ * ffmpeg arguments for the sprite sheet: one frame per interval, tiled left to right, top to bottom
+ * @param {object} layout - From spriteLayout
+ */
+function buildSpriteArgs(inputPath, outputPath, layout) {
+  return [
+    '-y', '-i', inputPath,
+    '-vf', `fps=1/${layout.interval},scale=${layout.width}:${layout.height},setsar=1,tile=${layout.columns}x${layout.rows}`,
+    '-frames:v', '1', '-q:v', '4', '-an',
+    outputPath
+  ];
+}
+
+/**
+ * WebVTT thumbnail track: one cue per tile, e.g. "clip.sprite.jpg#xywh=160,0,160,90"
+ * @param {object} layout - From spriteLayout
+ * @param {number} duration - Video length in seconds; ends the last cue
+ * @param {string} spriteUri - How the track refers to the sprite
+ * @returns {string}
+ */
+function buildThumbnailTrack(layout, duration, spriteUri) {
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < layout.count; i++) {
+    const start = i * layout.interval;
+    const end = Math.min((i + 1) * layout.interval, Math.max(duration, start + 0.001));
+    const x = (i % layout.columns) * layout.width;
+    const y = Math.floor(i / layout.columns) * layout.height;
+    lines.push(`${cueTime(start, '.')} --> ${cueTime(end, '.')}`);
+    lines.push(`${spriteUri}#xywh=${x},${y},${layout.width},${layout.height}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// Point every cue of a stored track at `spriteUrl` (keeps the #xywh fragment)
+function rewriteTrack(track, spriteUrl) {
+  return track
+    .split(/\r?\n/)
+    .map(line => (/^\S+#xywh=/.test(line) ? `${spriteUrl}#${line.split('#').pop()}` : line))
+    .join('\n');
+}
+
+module.exports = {
+  THUMBNAIL_FILES,
+  thumbnailKeys,
+  spriteLayout,
+  buildPosterArgs,
+  buildSpriteArgs,
+  buildThumbnailTrack,
+  rewriteTrack
+};
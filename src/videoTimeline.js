@@ -0,0 +1,163 @@
+/**
+ * Timeline edit jobs: several clips joined into one video.
+ *
+ * A timeline is an ordered list of clips stored in S3, each trimmed to its
+ * in/out points (seconds) and joined to the previous clip with a hard cut or a
+ * crossfade. Every clip is scaled and padded to the output resolution and
+ * resampled to the output frame rate, so clips from different sources
+ * (Veo generations, uploaded B-roll) can be mixed. Clips without an audio
+ * track get silence.
+ *
+ * normalizeTimeline validates a request (POST /api/video/timeline);
+ * buildTimelineFilter builds the ffmpeg filter graph for the crop worker.
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+const MAX_CLIPS = parseInt(process.env.TIMELINE_MAX_CLIPS, 10) || 20;
+const TRANSITIONS = ['cut', 'crossfade'];
+const DEFAULT_RESOLUTION = '1080x1920';
+const DEFAULT_FPS = 30;
+const DEFAULT_CROSSFADE = 1; // seconds
+const MAX_CROSSFADE = 5;
+const MAX_DIMENSION = 3840;
+
+// 'cut' | 'crossfade' | { type, duration } -> { type, duration }
+function normalizeTransition(value, fallback, label) {
+  if (value === undefined || value === null) return fallback;
+  const transition = typeof value === 'string' ? { type: value } : value;
+  if (typeof transition !== 'object' || !TRANSITIONS.includes(transition.type)) {
+    throw new ValidationError(`${label}: transition must be one of ${TRANSITIONS.join(', ')}`);
+  }
+  if (transition.type === 'cut') return { type: 'cut', duration: 0 };
+
+  // 'crossfade' alone takes the timeline's crossfade duration
+  const defaultDuration = fallback.type === 'crossfade' ? fallback.duration : DEFAULT_CROSSFADE;
+  const duration = transition.duration === undefined ? defaultDuration : transition.duration;
+  if (typeof duration !== 'number' || !(duration > 0) || duration > MAX_CROSSFADE) {
+    throw new ValidationError(`${label}: crossfade duration must be a number of seconds between 0 and ${MAX_CROSSFADE}`);
+  }
+  return { type: 'crossfade', duration };
+}
+
+// 'WIDTHxHEIGHT' -> { width, height }, both even for x264
+function parseResolution(resolution) {
+  const match = /^(\d+)x(\d+)$/.exec(String(resolution));
+  if (!match) return null;
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  if (width < 2 || height < 2 || width > MAX_DIMENSION || height > MAX_DIMENSION || width % 2 || height % 2) return null;
+  return { width, height };
+}
+
+/**
+ * Validate a timeline request and fill in defaults
+ * @param {object} body - { clips: [{ s3Key, in?, out?, transition? }], transition?, resolution?, fps? }
+ *   A clip's transition joins it to the previous clip; the top-level transition is the default.
+ * @param {string[]} allowedPrefixes - S3 key prefixes the user may read from
+ * @returns {{ clips: object[], resolution: string, fps: number }}
+ * @throws {ValidationError}
+ */
+function normalizeTimeline(body = {}, allowedPrefixes = []) {
+  const { clips, resolution = DEFAULT_RESOLUTION, fps = DEFAULT_FPS } = body;
+
+  if (!Array.isArray(clips) || clips.length === 0) {
+    throw new ValidationError('clips must be a non-empty array');
+  }
+  if (clips.length > MAX_CLIPS) {
+    throw new ValidationError(`A timeline can have at most ${MAX_CLIPS} clips`);
+  }
+  if (!parseResolution(resolution)) {
+    throw new ValidationError(`resolution must be WIDTHxHEIGHT with even dimensions up to ${MAX_DIMENSION} (e.g. ${DEFAULT_RESOLUTION})`);
+  }
+  if (typeof fps !== 'number' || !Number.isInteger(fps) || fps < 1 || fps > 60) {
+    throw new ValidationError('fps must be an integer between 1 and 60');
+  }
+
+  const defaultTransition = normalizeTransition(body.transition, { type: 'cut', duration: 0 }, 'timeline');
+
+  const normalized = clips.map((clip, index) => {
+    const label = `clips[${index}]`;
+    if (!clip || typeof clip.s3Key !== 'string' || !clip.s3Key) {
+      throw new ValidationError(`${label}: s3Key is required`);
+    }
+    if (!allowedPrefixes.some(prefix => clip.s3Key.startsWith(prefix))) {
+      throw new ValidationError(`${label}: s3Key must be one of your videos`);
+    }
+    const start = clip.in === undefined ? 0 : clip.in;
+    if (typeof start !== 'number' || !(start >= 0)) {
+      throw new ValidationError(`${label}: in must be a number of seconds >= 0`);
+    }
+    if (clip.out !== undefined && clip.out !== null && (typeof clip.out !== 'number' || !(clip.out > start))) {
+      throw new ValidationError(`${label}: out must be a number of seconds after in`);
+    }
+    return {
+      s3Key: clip.s3Key,
+      in: start,
+      out: typeof clip.out === 'number' ? clip.out : null, // null = end of the clip
+      transition: index === 0
+        ? { type: 'cut', duration: 0 }
+        : normalizeTransition(clip.transition, defaultTransition, label)
+    };
+  });
+
+  return { clips: normalized, resolution, fps };
+}
+
+/**
+ * Build the ffmpeg filter graph joining the clips. Input i must be clip i,
+ * already trimmed with -ss/-t.
+ * @param {object[]} clips - [{ duration, hasAudio, transition }] with duration = out - in
+ * @param {object} output - { resolution, fps }
+ * @returns {{ filter: string, video: string, audio: string, duration: number }}
+ *   Output pad labels and the length of the result in seconds
+ * @throws {Error} If a crossfade is longer than one of the clips it joins
+ */
+function buildTimelineFilter(clips, { resolution, fps }) {
+  const { width, height } = parseResolution(resolution);
+  const parts = [];
+
+  clips.forEach((clip, i) => {
+    parts.push(
+      `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,fps=${fps},format=yuv420p,` +
+      `settb=AVTB,setpts=PTS-STARTPTS[v${i}]`
+    );
+    // Pad/trim audio to the exact clip length so cuts and crossfades stay in sync
+    const source = clip.hasAudio ? `[${i}:a]` : 'anullsrc=r=48000:cl=stereo,';
+    parts.push(
+      `${source}aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,` +
+      `apad,atrim=duration=${clip.duration},asetpts=PTS-STARTPTS[a${i}]`
+    );
+  });
+
+  let video = 'v0';
+  let audio = 'a0';
+  let duration = clips[0].duration;
+
+  for (let i = 1; i < clips.length; i++) {
+    const { transition } = clips[i];
+    if (transition.type === 'crossfade') {
+      const fade = transition.duration;
+      if (fade >= clips[i - 1].duration || fade >= clips[i].duration) {
+        throw new Error(`Crossfade of ${fade}s into clip ${i + 1} is longer than the clips it joins`);
+      }
+      parts.push(`[${video}][v${i}]xfade=transition=fade:duration=${fade}:offset=${(duration - fade).toFixed(3)}[vx${i}]`);
+      parts.push(`[${audio}][a${i}]acrossfade=d=${fade}[ax${i}]`);
+      duration += clips[i].duration - fade;
+    } else {
+      parts.push(`[${video}][v${i}]concat=n=2:v=1:a=0[vx${i}]`);
+      parts.push(`[${audio}][a${i}]concat=n=2:v=0:a=1[ax${i}]`);
+      duration += clips[i].duration;
+    }
+    video = `vx${i}`;
+    audio = `ax${i}`;
+  }
+
+  return { filter: parts.join(';'), video: `[${video}]`, audio: `[${audio}]`, duration };
+}
+
+module.exports = {
+  normalizeTimeline,
+  buildTimelineFilter
+};
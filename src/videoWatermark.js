@@ -0,0 +1,52 @@
+/**
+ * Brand watermark for crop and export jobs: a brand kit logo overlaid on the
+ * rendered video.
+ *
+ * The logo is scaled relative to the video it is placed on (scale = fraction
+ * of the video width), so one setting works for 9:16, 1:1 and 16:9 renditions
+ * alike. The margin is a fraction of the video width too.
+ *
+ * buildWatermarkFilter builds the ffmpeg filter graph for the crop worker; the
+ * watermark settings come from the user's brand kit (brandKitService).
+ */
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// overlay x:y for a position; W/H are the video's size, w/h the logo's
+function overlayPosition(position, margin) {
+  const gap = `W*${margin}`;
+  switch (position) {
+    case 'top-left':
+      return `x=${gap}:y=${gap}`;
+    case 'top-right':
+      return `x=W-w-${gap}:y=${gap}`;
+    case 'bottom-left':
+      return `x=${gap}:y=H-h-${gap}`;
+    case 'center':
+      return 'x=(W-w)/2:y=(H-h)/2';
+    case 'bottom-right':
+    default:
+      return `x=W-w-${gap}:y=H-h-${gap}`;
+  }
+}
+
+/**
+ * Filter graph overlaying the logo on a video
+ * @param {object} watermark - { position, opacity, scale, margin }
+ * @param {object} pads - { video, logo, output } pad labels, e.g. '[base]', '[1:v]', '[vout]'.
+ *   Each logo pad can only be used once: split the logo input when several videos are watermarked.
+ * @returns {string}
+ */
+function buildWatermarkFilter({ position, opacity, scale, margin }, { video, logo, output }) {
+  const tag = output.replace(/\W/g, '');
+  return [
+    `${logo}format=rgba,colorchannelmixer=aa=${opacity}[${tag}logo]`,
+    `[${tag}logo]${video}scale2ref=w=main_w*${scale}:h=ow/a[${tag}mark][${tag}base]`,
+    `[${tag}base][${tag}mark]overlay=${overlayPosition(position, margin)}:format=auto${output}`
+  ].join(';');
+}
+
+module.exports = {
+  POSITIONS,
+  buildWatermarkFilter
+};
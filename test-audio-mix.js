@@ -0,0 +1,144 @@
+/**
+ * Audio Mix Test
+ * Checks mount-audio mix validation and the ffmpeg filter graph of the mix
+ *
+ * Usage: node test-audio-mix.js
+ * No database, S3 or ffmpeg needed
+ */
+
+const assert = require('assert');
+const { normalizeMix, buildAudioMix } = require('./src/audioMix');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function header(text) {
+  console.log('\n' + colors.cyan + '='.repeat(60));
+  console.log(text);
+  console.log('='.repeat(60) + colors.reset);
+}
+
+const VOICE = 'https://cdn.example.com/voice.mp3';
+const MUSIC = 'https://cdn.example.com/music.mp3';
+
+function assertInvalid(body, message) {
+  assert.throws(() => normalizeMix(body), error => {
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+// Test 1: defaults, and audioUrl as the original request format
+function testDefaults() {
+  header('TEST 1: Mix Defaults');
+
+  assert.deepStrictEqual(normalizeMix({ audioUrl: VOICE }), {
+    original: { keep: false, gain: 0 },
+    voiceover: { url: VOICE, gain: 0, delay: 0 },
+    music: null,
+    ducking: null,
+    fadeIn: 0,
+    fadeOut: 0,
+    loudness: null
+  });
+  log(colors.green, '✓ audioUrl alone is a voiceover replacing the video\'s audio');
+
+  const mix = normalizeMix({ original: { keep: true, gain: -6 }, music: { url: MUSIC } });
+  assert.deepStrictEqual(mix.music, { url: MUSIC, gain: -14, start: 0, loop: true, fadeIn: 0, fadeOut: 2 });
+  assert.deepStrictEqual(mix.ducking, { threshold: 0.03, ratio: 8, attack: 20, release: 400 });
+  assert.strictEqual(mix.voiceover, null);
+  log(colors.green, '✓ Music loops at -14 dB with a 2 s fade-out and ducks by default');
+
+  assert.strictEqual(normalizeMix({ audioUrl: VOICE, music: { url: MUSIC }, ducking: false }).ducking, null);
+  assert.deepStrictEqual(normalizeMix({ audioUrl: VOICE, music: { url: MUSIC }, ducking: { ratio: 4 } }).ducking,
+    { threshold: 0.03, ratio: 4, attack: 20, release: 400 });
+  assert.strictEqual(normalizeMix({ audioUrl: VOICE, ducking: { ratio: 4 } }).ducking, null, 'Nothing to duck without music');
+  log(colors.green, '✓ Ducking can be tuned or turned off');
+
+  assert.strictEqual(normalizeMix({ audioUrl: VOICE, loudness: 'youtube' }).loudness.preset, 'youtube');
+  log(colors.green, '✓ Loudness options are passed on');
+}
+
+// Test 2: invalid mixes
+function testInvalid() {
+  header('TEST 2: Invalid Mixes');
+
+  assertInvalid({}, /Nothing to mix/);
+  assertInvalid({ original: { keep: false } }, /Nothing to mix/);
+  assertInvalid({ original: { keep: true, gain: 21 } }, /original.gain must be a number between -60 and 20/);
+  assertInvalid({ voiceover: { url: VOICE, delay: -1 } }, /voiceover.delay must be a number between 0 and 3600/);
+  assertInvalid({ music: { url: MUSIC, fadeOut: 31 } }, /music.fadeOut must be a number between 0 and 30/);
+  assertInvalid({ audioUrl: VOICE, fadeIn: '2' }, /fadeIn must be a number/);
+  assertInvalid({ audioUrl: VOICE, music: { url: MUSIC }, ducking: { threshold: 0 } }, /ducking.threshold must be a number between 0.001 and 1/);
+  log(colors.green, '✓ Gains, times and ducking are range checked');
+
+  assertInvalid({ voiceover: {} }, /voiceover.url must be an http\(s\) URL/);
+  assertInvalid({ audioUrl: 'file:///etc/passwd' }, /voiceover.url must be an http\(s\) URL/);
+  assertInvalid({ music: { url: 'http://' } }, /music.url must be an http\(s\) URL/);
+  log(colors.green, '✓ Track URLs must be http(s)');
+
+  ['http://127.0.0.1/a.mp3', 'http://localhost:3000/a.mp3', 'http://169.254.169.254/latest', 'http://[::1]/a.mp3', 'http://10.0.0.2/a.mp3']
+    .forEach(url => assertInvalid({ music: { url } }, /music.url must not point to a private or local address/));
+  log(colors.green, '✓ Track URLs on private or local hosts are refused');
+}
+
+// Test 3: ffmpeg filter graph
+function testFilter() {
+  header('TEST 3: Filter Graph');
+
+  const mix = normalizeMix({
+    original: { keep: true, gain: -10 },
+    voiceover: { url: VOICE, delay: 1.5, gain: 2 },
+    music: { url: MUSIC, start: 4, fadeIn: 1 },
+    fadeOut: 1
+  });
+  const { filter, output } = buildAudioMix(mix, { duration: 20, originalHasAudio: true, voiceoverInput: 1, musicInput: 2 });
+  const parts = filter.split(';');
+
+  assert.strictEqual(output, '[aout]');
+  assert.ok(parts[0].startsWith('[0:a]') && parts[0].includes('volume=-10dB') && parts[0].endsWith('atrim=0:20.000[orig]'));
+  assert.ok(parts[1].startsWith('[1:a]') && parts[1].includes('adelay=1500:all=1,volume=2dB'));
+  assert.ok(parts[2].startsWith('[2:a]') && parts[2].includes('atrim=start=4,') && parts[2].includes('afade=t=in:st=0:d=1,afade=t=out:st=18.000:d=2[music]'));
+  assert.ok(parts.includes('[orig][voice]amix=inputs=2:duration=first:normalize=0[speech]'));
+  assert.ok(parts.includes('[speech]asplit=2[speechmix][sidechain]'));
+  assert.ok(parts.includes('[music][sidechain]sidechaincompress=threshold=0.03:ratio=8:attack=20:release=400[ducked]'));
+  assert.strictEqual(parts[parts.length - 1], '[mixed]afade=t=out:st=19.000:d=1,alimiter=limit=0.95:level=0[aout]');
+  log(colors.green, '✓ Original, voiceover and ducked music are mixed and limited');
+
+  // Original audio asked for but the video has none
+  const silent = buildAudioMix(normalizeMix({ original: { keep: true } }), { duration: 5, originalHasAudio: false });
+  assert.strictEqual(silent.filter, 'anullsrc=r=48000:cl=stereo,atrim=0:5.000[silence];[silence]alimiter=limit=0.95:level=0[aout]');
+  log(colors.green, '✓ A video without audio gets silence');
+
+  // Music without ducking is summed with the voiceover
+  const plain = buildAudioMix(normalizeMix({ audioUrl: VOICE, music: { url: MUSIC }, ducking: false }),
+    { duration: 10, originalHasAudio: true, voiceoverInput: 1, musicInput: 2 });
+  assert.ok(plain.filter.includes('[voice][music]amix=inputs=2:duration=first:normalize=0[mixed]'));
+  assert.ok(!plain.filter.includes('[0:a]'), 'Original audio is muted by default');
+  assert.ok(!plain.filter.includes('sidechaincompress'));
+  log(colors.green, '✓ Without ducking the tracks are only summed');
+}
+
+function runAllTests() {
+  try {
+    testDefaults();
+    testInvalid();
+    testFilter();
+    header('✅ ALL TESTS PASSED');
+  } catch (error) {
+    log(colors.red, '\n❌ TEST FAILED:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
@@ -0,0 +1,164 @@
+/**
+ * Dead-Letter Selection Test
+ * Checks which entries bulk replay/discard select from jobIds or list filters
+ *
+ * Usage: node test-dead-letter-selection.js
+ * No database needed: DeadLetterJob queries are recorded instead of run
+ */
+
+const assert = require('assert');
+const DeadLetterJob = require('./src/models/DeadLetterJob');
+const jobQueue = require('./src/services/jobQueueService');
+const deadLetterService = require('./src/services/deadLetterService');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function header(text) {
+  console.log('\n' + colors.cyan + '='.repeat(60));
+  console.log(text);
+  console.log('='.repeat(60) + colors.reset);
+}
+
+// Record DeadLetterJob.find calls and answer them with entries
+function recordFind(entries = []) {
+  const calls = [];
+  DeadLetterJob.find = (query) => {
+    const call = { query };
+    calls.push(call);
+    const chain = {
+      sort: (sort) => { call.sort = sort; return chain; },
+      limit: (limit) => { call.limit = limit; return chain; },
+      lean: async () => entries
+    };
+    return chain;
+  };
+  return calls;
+}
+
+// Test 1: explicit jobIds
+async function testJobIds() {
+  header('TEST 1: Selection by jobIds');
+
+  const calls = recordFind();
+  await deadLetterService.select({ jobIds: ['a', 42] }, { status: 'dead' });
+  assert.deepStrictEqual(calls[0].query, { jobId: { $in: ['a', '42'] } });
+  log(colors.green, '✓ Listed jobs are selected whatever their status');
+
+  await assert.rejects(
+    deadLetterService.select({ jobIds: Array.from({ length: 101 }, (_, i) => `job-${i}`) }),
+    { name: 'ValidationError', message: 'At most 100 jobs per request' }
+  );
+  log(colors.green, '✓ At most 100 jobIds per request');
+}
+
+// Test 2: list filters
+async function testFilters() {
+  header('TEST 2: Selection by Filter');
+
+  const calls = recordFind();
+  const startDate = new Date('2026-01-01T00:00:00Z');
+  const endDate = new Date('2026-02-01T00:00:00Z');
+  await deadLetterService.select({
+    filter: { type: ['tts', 'veo-video'], category: 'rate_limit', userId: 1234, startDate, endDate, status: [] }
+  });
+  assert.deepStrictEqual(calls[0].query, {
+    type: { $in: ['tts', 'veo-video'] },
+    category: 'rate_limit',
+    userId: '1234',
+    failedAt: { $gte: startDate, $lte: endDate }
+  });
+  assert.deepStrictEqual(calls[0].sort, { failedAt: 1 });
+  assert.strictEqual(calls[0].limit, 100);
+  log(colors.green, '✓ Filters become a query, oldest failures first, 100 at a time');
+
+  await deadLetterService.select({ filter: { endDate } });
+  assert.deepStrictEqual(calls[1].query, { failedAt: { $lte: endDate } });
+  log(colors.green, '✓ Open-ended date ranges');
+
+  for (const selection of [{}, { jobIds: [] }, { filter: {} }, { filter: { type: '', status: [], other: 'x' } }, { filter: 'tts' }]) {
+    await assert.rejects(deadLetterService.select(selection), { name: 'ValidationError', message: /Provide jobIds or a filter/ });
+  }
+  assert.strictEqual(calls.length, 2, 'Nothing is selected without jobIds or a filter');
+  log(colors.green, '✓ An empty selection is refused instead of matching everything');
+}
+
+// Test 3: defaults fill in the filter fields left out
+async function testDefaults() {
+  header('TEST 3: Filter Defaults');
+
+  const calls = recordFind();
+  await deadLetterService.select({ filter: { type: 'tts' } }, { status: 'dead' });
+  assert.deepStrictEqual(calls[0].query, { status: 'dead', type: 'tts' });
+  await deadLetterService.select({ filter: { type: 'tts', status: 'replayed' } }, { status: 'dead' });
+  assert.deepStrictEqual(calls[1].query, { status: 'replayed', type: 'tts' });
+  log(colors.green, '✓ A status in the filter wins over the default');
+
+  // Defaults alone do not make a selection
+  await assert.rejects(deadLetterService.select({ filter: {} }, { status: 'dead' }), { name: 'ValidationError' });
+}
+
+// Test 4: filtered replays skip entries already replayed, so repeated calls move on
+async function testReplay() {
+  header('TEST 4: Replay Selection');
+
+  const originals = { getTypes: jobQueue.getTypes, addJob: jobQueue.addJob, updateOne: DeadLetterJob.updateOne };
+  const added = [];
+  jobQueue.getTypes = () => ['tts'];
+  jobQueue.addJob = async (type, data, options) => {
+    added.push({ type, data, options });
+    return { jobId: `replay-${added.length}` };
+  };
+  DeadLetterJob.updateOne = async () => ({ modifiedCount: 1 });
+
+  try {
+    const calls = recordFind([
+      { jobId: 'j1', type: 'tts', userId: 'u1', data: { text: 'hi' }, metadata: {} },
+      { jobId: 'j2', type: 'tts', userId: 'u1', hasFiles: true },
+      { jobId: 'j3', type: 'removed-type', userId: 'u2' }
+    ]);
+    const results = await deadLetterService.replay({ filter: { type: 'tts' } }, 'admin-1');
+    assert.deepStrictEqual(calls[0].query, { status: 'dead', type: 'tts' });
+    assert.deepStrictEqual(results, [
+      { jobId: 'j1', replayJobId: 'replay-1' },
+      { jobId: 'j2', error: 'Job was created from an uploaded file, which is not kept' },
+      { jobId: 'j3', error: 'No queue for job type "removed-type"' }
+    ]);
+    assert.deepStrictEqual(added[0].options, { userId: 'u1', metadata: { replayOf: 'j1' }, skipLimits: true });
+    log(colors.green, '✓ Filtered replays only select entries still dead');
+
+    // Named jobs can be replayed again
+    const byId = recordFind([]);
+    const missing = await deadLetterService.replay({ jobIds: ['j1'] }, 'admin-1');
+    assert.deepStrictEqual(byId[0].query, { jobId: { $in: ['j1'] } });
+    assert.deepStrictEqual(missing, [{ jobId: 'j1', error: 'Not found' }]);
+    log(colors.green, '✓ Replays by jobId ignore the status; unknown ids are reported');
+  } finally {
+    Object.assign(jobQueue, { getTypes: originals.getTypes, addJob: originals.addJob });
+    DeadLetterJob.updateOne = originals.updateOne;
+  }
+}
+
+async function runAllTests() {
+  try {
+    await testJobIds();
+    await testFilters();
+    await testDefaults();
+    await testReplay();
+    header('✅ ALL TESTS PASSED');
+  } catch (error) {
+    log(colors.red, '\n❌ TEST FAILED:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
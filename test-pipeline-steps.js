@@ -0,0 +1,155 @@
+/**
+ * Pipeline Steps Test
+ * Checks step validation and how step inputs are filled from earlier outputs
+ *
+ * Usage: node test-pipeline-steps.js
+ * No database needed; the AWS_* settings of .env must be set (s3Service is loaded)
+ */
+
+require('dotenv').config();
+const assert = require('assert');
+const pipelineService = require('./src/services/pipelineService');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function header(text) {
+  console.log('\n' + colors.cyan + '='.repeat(60));
+  console.log(text);
+  console.log('='.repeat(60) + colors.reset);
+}
+
+function assertInvalid(steps, message) {
+  assert.throws(() => pipelineService.validateSteps(steps), error => {
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+// Test 1: ids, defaults and references of valid pipelines
+function testValidSteps() {
+  header('TEST 1: Valid Steps');
+
+  const steps = pipelineService.validateSteps([
+    { type: 'script', input: { prompt: 'A tour of the shop' } },
+    { type: 'tts' },
+    { type: 'tts', input: { text: 'Outro: {{steps.script.script}}' } },
+    { type: 'veo', id: 'clip' },
+    { type: 'mount-audio', input: { audioUrl: '{{steps.tts-2.audioUrl}}' } }
+  ]);
+
+  assert.deepStrictEqual(steps.map(step => step.id), ['script', 'tts', 'tts-2', 'clip', 'mount-audio']);
+  assert.deepStrictEqual(steps[1].input, {});
+  assert.deepStrictEqual(steps[4].input, { audioUrl: '{{steps.tts-2.audioUrl}}' });
+  log(colors.green, '✓ Ids default to the type, numbered when it repeats');
+
+  // {{prev.<field>}} points at the step right before
+  pipelineService.validateSteps([
+    { type: 'script', input: { prompt: 'Hi' } },
+    { type: 'veo', input: { prompt: '{{prev.script}}' } }
+  ]);
+  log(colors.green, '✓ References to earlier outputs are accepted');
+}
+
+// Test 2: invalid pipelines are refused before anything runs
+function testInvalidSteps() {
+  header('TEST 2: Invalid Steps');
+
+  assertInvalid([], /non-empty array/);
+  assertInvalid('script', /non-empty array/);
+  assertInvalid(Array.from({ length: 11 }, () => ({ type: 'script', input: { prompt: 'x' } })), /at most 10 steps/);
+  assertInvalid([{ type: 'upscale' }], /Step 1: type must be one of/);
+  assertInvalid([{ type: 'script', input: ['prompt'] }], /Step 1: input must be an object/);
+  assertInvalid([{ type: 'script', id: 'my script', input: { prompt: 'x' } }], /id may only contain/);
+  assertInvalid([
+    { type: 'script', id: 'a', input: { prompt: 'x' } },
+    { type: 'script', id: 'a', input: { prompt: 'y' } }
+  ], /Step 2: duplicate id "a"/);
+  log(colors.green, '✓ Shape, type, id and step count are checked');
+
+  assertInvalid([{ type: 'tts', input: { text: '{{prev.script}}' } }], /\{\{prev\}\} has no previous step/);
+  assertInvalid([
+    { type: 'tts', input: { text: '{{steps.script.script}}' } },
+    { type: 'script', input: { prompt: 'x' } }
+  ], /unknown or later step "script"/);
+  assertInvalid([
+    { type: 'script', input: { prompt: 'x' } },
+    { type: 'tts', input: { text: '{{steps.script.audioUrl}}' } }
+  ], /step "script" \(script\) has no output "audioUrl"/);
+  log(colors.green, '✓ References must name an earlier step and one of its outputs');
+
+  assertInvalid([{ type: 'tts' }], /Step "tts": text is required \(or add an earlier script step\)/);
+  assertInvalid([
+    { type: 'veo', input: { prompt: 'x' } },
+    { type: 'mount-audio' }
+  ], /Step "mount-audio": audioUrl is required \(or add an earlier tts step\)/);
+  log(colors.green, '✓ Inputs left out need an earlier step to take them from');
+}
+
+// Test 3: inputs are filled from the outputs of finished steps
+function testResolveInput() {
+  header('TEST 3: Resolving Inputs');
+
+  const pipeline = {
+    steps: [
+      { id: 'script', type: 'script', input: { prompt: 'x' }, output: { script: 'Welcome in' } },
+      { id: 'tts', type: 'tts', input: {}, output: { audioUrl: 'https://cdn.example.com/a.mp3', audioS3Key: 'audio/a.mp3' } },
+      { id: 'clip', type: 'veo', input: { prompt: 'x' }, output: { videoUrl: 'https://cdn.example.com/v.mp4', s3Key: 'videos/u/v.mp4', duration: 8 } },
+      { id: 'mount-audio', type: 'mount-audio', input: {} },
+      {
+        id: 'tts-2',
+        type: 'tts',
+        input: {
+          text: 'Clip of {{ steps.clip.duration }}s: {{steps.script.script}}{{steps.script.missing}}',
+          voiceId: '{{steps.clip.duration}}',
+          extra: { nested: ['{{prev.videoUrl}}', 3] }
+        }
+      }
+    ]
+  };
+
+  // Defaults come from the latest step of a listed type
+  assert.deepStrictEqual(pipelineService.resolveInput(pipeline, 3), {
+    videoUrl: 'https://cdn.example.com/v.mp4',
+    audioUrl: 'https://cdn.example.com/a.mp3'
+  });
+  log(colors.green, '✓ Inputs left out are taken from earlier steps');
+
+  const resolved = pipelineService.resolveInput(pipeline, 4);
+  assert.strictEqual(resolved.text, 'Clip of 8s: Welcome in');
+  assert.strictEqual(resolved.voiceId, 8); // A value that is only a reference keeps its type
+  // The step before has no output yet
+  assert.deepStrictEqual(resolved.extra, { nested: [undefined, 3] });
+  log(colors.green, '✓ References in strings, arrays and objects are replaced');
+
+  // Given inputs win over defaults, and the stored step is not modified
+  pipeline.steps[3].input = { audioUrl: 'https://cdn.example.com/b.mp3' };
+  assert.strictEqual(pipelineService.resolveInput(pipeline, 3).audioUrl, 'https://cdn.example.com/b.mp3');
+  assert.deepStrictEqual(pipeline.steps[3].input, { audioUrl: 'https://cdn.example.com/b.mp3' });
+  assert.strictEqual(pipeline.steps[4].input.voiceId, '{{steps.clip.duration}}');
+  log(colors.green, '✓ Given inputs are kept and step definitions are left as they are');
+}
+
+function runAllTests() {
+  try {
+    testValidSteps();
+    testInvalidSteps();
+    testResolveInput();
+    header('✅ ALL TESTS PASSED');
+  } catch (error) {
+    log(colors.red, '\n❌ TEST FAILED:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
@@ -3,8 +3,12 @@
  * Run this file to test the queue implementation
  * 
  * Usage: node test-queue-system.js
+ * Requires MONGODB_URI (jobs are stored in the queueJobs collection)
  */
 
+require('dotenv').config();
+const mongoose = require('mongoose');
+const jobQueue = require('./src/services/jobQueueService');
 const videoQueueService = require('./src/services/videoQueueService');
 
 // Color codes for console output
@@ -29,7 +33,7 @@ function header(text) {
 }
 
 // Simulate video generation with delay
-function simulateVideoGeneration(jobData, duration = 3000) {
+function simulateVideoGeneration(jobData, duration = jobData.simulatedDuration || 3000) {
   return new Promise((resolve, reject) => {
     log(colors.blue, `  ⏳ Simulating video generation for job ${jobData.jobId}...`);
     log(colors.blue, `     Prompt: "${jobData.prompt}"`);
@@ -62,18 +66,17 @@ async function testSingleJob() {
     userId: 'user123',
     username: 'testuser',
     prompt: 'A beautiful sunset over the ocean',
-    resolution: '720p',
-    processor: simulateVideoGeneration
+    resolution: '720p'
   };
 
   log(colors.yellow, '📝 Adding job to queue...');
-  const result = videoQueueService.addJob(jobId, jobData);
+  const result = await videoQueueService.addJob(jobId, jobData);
   log(colors.green, '✓ Job added:', result);
 
   // Wait for completion
   await new Promise(resolve => {
-    const checkInterval = setInterval(() => {
-      const status = videoQueueService.getJobStatus(jobId);
+    const checkInterval = setInterval(async () => {
+      const status = await videoQueueService.getJobStatus(jobId);
       log(colors.cyan, `  Status: ${status.status}`);
       
       if (status.status === 'completed') {
@@ -104,30 +107,28 @@ async function testMultipleJobs() {
   const startTime = Date.now();
   
   // Add all jobs at once
-  jobs.forEach(job => {
-    const result = videoQueueService.addJob(job.id, {
+  await Promise.all(jobs.map(async job => {
+    const result = await videoQueueService.addJob(job.id, {
       jobId: job.id,
       userId: 'user123',
       username: 'testuser',
       prompt: job.prompt,
       resolution: job.resolution,
-      processor: (data) => simulateVideoGeneration(data, job.duration)
+      simulatedDuration: job.duration
     });
     log(colors.green, `✓ Job ${job.id} added at position ${result.position}`);
-  });
+  }));
 
   // Monitor queue
   log(colors.cyan, '\n📊 Monitoring queue status...');
   await new Promise(resolve => {
-    const checkInterval = setInterval(() => {
-      const stats = videoQueueService.getStats();
+    const checkInterval = setInterval(async () => {
+      const stats = await videoQueueService.getStats();
       log(colors.cyan, `  Queue: ${stats.queueLength} | Processing: ${stats.processing ? 'YES' : 'NO'} | Completed: ${stats.completedCount}`);
       
       // Check if all jobs are done
-      const allCompleted = jobs.every(job => {
-        const status = videoQueueService.getJobStatus(job.id);
-        return status.status === 'completed' || status.status === 'failed';
-      });
+      const statuses = await Promise.all(jobs.map(job => videoQueueService.getJobStatus(job.id)));
+      const allCompleted = statuses.every(status => status.status === 'completed' || status.status === 'failed');
       
       if (allCompleted) {
         const endTime = Date.now();
@@ -136,8 +137,8 @@ async function testMultipleJobs() {
         log(colors.green, `\n✓ All jobs completed in ${totalTime}s`);
         
         // Show individual results
-        jobs.forEach(job => {
-          const status = videoQueueService.getJobStatus(job.id);
+        jobs.forEach((job, i) => {
+          const status = statuses[i];
           if (status.status === 'completed') {
             log(colors.green, `  ✓ ${job.id}: SUCCESS (${(status.processingTime / 1000).toFixed(2)}s)`);
           } else {
@@ -156,9 +157,9 @@ async function testMultipleJobs() {
 async function testQueueStats() {
   header('TEST 3: Queue Statistics');
   
-  videoQueueService.clearHistory();
+  await videoQueueService.clearHistory();
   
-  const stats = videoQueueService.getStats();
+  const stats = await videoQueueService.getStats();
   log(colors.cyan, 'Current Queue Stats:');
   console.log(stats);
   
@@ -176,17 +177,17 @@ async function testJobCancellation() {
     username: 'testuser',
     prompt: 'This job will be cancelled',
     resolution: '720p',
-    processor: (data) => simulateVideoGeneration(data, 5000) // Long duration
+    simulatedDuration: 5000 // Long duration
   };
 
   log(colors.yellow, '📝 Adding job to queue...');
-  videoQueueService.addJob(jobId, jobData);
+  await videoQueueService.addJob(jobId, jobData);
   
   // Wait a bit
   await new Promise(resolve => setTimeout(resolve, 500));
   
   log(colors.yellow, '🗑️  Attempting to cancel job...');
-  const removed = videoQueueService.removeJob(jobId);
+  const removed = await videoQueueService.removeJob(jobId);
   
   if (removed) {
     log(colors.green, '✓ Job cancelled successfully');
@@ -194,7 +195,7 @@ async function testJobCancellation() {
     log(colors.red, '✗ Failed to cancel job (might be processing)');
   }
   
-  const status = videoQueueService.getJobStatus(jobId);
+  const status = await videoQueueService.getJobStatus(jobId);
   log(colors.cyan, '  Final status:', status.status);
 }
 
@@ -206,19 +207,19 @@ async function testUserJobs() {
   
   // Add some jobs for this user
   for (let i = 1; i <= 3; i++) {
-    videoQueueService.addJob(`user-job-${i}`, {
+    await videoQueueService.addJob(`user-job-${i}`, {
       jobId: `user-job-${i}`,
       userId: userId,
       username: 'testuser',
       prompt: `Test video ${i}`,
       resolution: '720p',
-      processor: (data) => simulateVideoGeneration(data, 1000)
+      simulatedDuration: 1000
     });
   }
   
   await new Promise(resolve => setTimeout(resolve, 500));
   
-  const userJobs = videoQueueService.getUserJobs(userId);
+  const userJobs = await videoQueueService.getUserJobs(userId);
   log(colors.cyan, `User ${userId} has ${userJobs.length} active jobs:`);
   userJobs.forEach(job => {
     log(colors.green, `  - Job ${job.jobId}: ${job.status} (position: ${job.position})`);
@@ -227,10 +228,43 @@ async function testUserJobs() {
   // Wait for jobs to complete
   await new Promise(resolve => setTimeout(resolve, 4000));
   
-  const userJobsAfter = videoQueueService.getUserJobs(userId);
+  const userJobsAfter = await videoQueueService.getUserJobs(userId);
   log(colors.cyan, `\nAfter processing, user has ${userJobsAfter.length} active jobs`);
 }
 
+// Test 6: Queued job cap under concurrent submissions
+async function testConcurrentQueueLimit() {
+  header('TEST 6: Queued Job Cap (Concurrent Submissions)');
+
+  // No processor is registered for this queue, so submitted jobs stay queued
+  const type = 'queue-limit-test';
+  const limit = 3;
+  const userId = 'test-user-789';
+  jobQueue.defineQueue(type, { label: 'QueueLimitTest', maxQueuedPerUser: limit });
+
+  log(colors.yellow, `📝 Submitting 10 jobs at once (limit ${limit})...`);
+  const results = await Promise.allSettled(
+    Array.from({ length: 10 }, (_, i) => jobQueue.addJob(type, { index: i }, { userId }))
+  );
+  const accepted = results.filter(r => r.status === 'fulfilled').map(r => r.value.jobId);
+  const limited = results.filter(r => r.status === 'rejected' && r.reason.name === 'QueueLimitError');
+
+  try {
+    if (accepted.length !== limit || limited.length !== 10 - limit) {
+      throw new Error(`Expected ${limit} accepted and ${10 - limit} limited, got ${accepted.length} and ${limited.length}`);
+    }
+    log(colors.green, `✓ ${accepted.length} accepted, ${limited.length} rejected with QueueLimitError`);
+
+    // Cancelling a waiting job frees its slot
+    await jobQueue.cancelJob(accepted[0], type);
+    const again = await jobQueue.addJob(type, { index: 10 }, { userId });
+    accepted.push(again.jobId);
+    log(colors.green, '✓ Slot freed by cancellation was reused');
+  } finally {
+    await Promise.all(accepted.map(jobId => jobQueue.cancelJob(jobId, type)));
+  }
+}
+
 // Run all tests
 async function runAllTests() {
   console.clear();
@@ -239,6 +273,10 @@ async function runAllTests() {
   log(colors.magenta, '╚═══════════════════════════════════════════════════════════╝');
   
   try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    videoQueueService.registerProcessor((data, job) => simulateVideoGeneration({ ...data, jobId: job.jobId }));
+    await jobQueue.start();
+
     await testSingleJob();
     await new Promise(resolve => setTimeout(resolve, 1000));
     
@@ -252,6 +290,8 @@ async function runAllTests() {
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     await testUserJobs();
+
+    await testConcurrentQueueLimit();
     
     header('✅ ALL TESTS COMPLETED');
     log(colors.green, '\nQueue system is working correctly!');
@@ -264,6 +304,7 @@ async function runAllTests() {
 }
 
 // Run tests
-runAllTests().then(() => {
-  log(colors.cyan, '\n👋 Test complete. Press Ctrl+C to exit.');
+runAllTests().then(async () => {
+  await mongoose.disconnect();
+  log(colors.cyan, '\n👋 Test complete.');
 });
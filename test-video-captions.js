@@ -0,0 +1,173 @@
+/**
+ * Video Captions Test
+ * Checks word timing, cue grouping, caption option validation and the SRT/VTT output
+ *
+ * Usage: node test-video-captions.js
+ * No database, S3 or ffmpeg needed
+ */
+
+const assert = require('assert');
+const {
+  PRESETS,
+  normalizeCaptionOptions,
+  cleanScriptText,
+  timeWords,
+  groupCues,
+  buildSrt,
+  buildVtt
+} = require('./src/videoCaptions');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function header(text) {
+  console.log('\n' + colors.cyan + '='.repeat(60));
+  console.log(text);
+  console.log('='.repeat(60) + colors.reset);
+}
+
+function assertInvalid(body, message) {
+  assert.throws(() => normalizeCaptionOptions(body), error => {
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+// Test 1: words are spread over the narration by length, with pauses after punctuation
+function testTimeWords() {
+  header('TEST 1: Word Timing');
+
+  // Weights: "Hi" 2, "there." 6 + 6 pause, "Go" 2 -> 16 units over 16 seconds
+  assert.deepStrictEqual(timeWords('Hi  there.\nGo', 0, 16), [
+    { text: 'Hi', start: 0, end: 2 },
+    { text: 'there.', start: 2, end: 8 },
+    { text: 'Go', start: 14, end: 16 }
+  ]);
+  log(colors.green, '✓ Longer words take longer, sentence ends pause');
+
+  // Commas pause half as long; short words count as two letters
+  const words = timeWords('a, bb', 10, 17);
+  assert.deepStrictEqual(words.map(word => [word.start, word.end]), [[10, 12], [15, 17]]);
+  log(colors.green, '✓ Commas pause, timing starts at the offset');
+
+  assert.deepStrictEqual(timeWords('   ', 0, 10), []);
+  assert.deepStrictEqual(timeWords('Hello', 5, 5), []);
+  log(colors.green, '✓ Empty text or an empty window gives no words');
+}
+
+// Test 2: cues break at maxWords and sentence ends, and bridge short gaps
+function testGroupCues() {
+  header('TEST 2: Cue Grouping');
+
+  const words = timeWords('One two three four. Five six', 0, 30);
+  const cues = groupCues(words, 3);
+  assert.deepStrictEqual(cues.map(cue => cue.words.map(word => word.text)), [
+    ['One', 'two', 'three'],
+    ['four.'],
+    ['Five', 'six']
+  ]);
+  log(colors.green, '✓ Cues hold up to maxWords and end with a sentence');
+
+  // No pause after "three", so its cue runs into the next; "four." is followed by a long pause
+  assert.strictEqual(cues[0].end, cues[1].start);
+  assert.strictEqual(cues[1].end, words[3].end);
+  assert.ok(cues[2].start - cues[1].end >= 1);
+  assert.strictEqual(cues[2].end, 30);
+  log(colors.green, '✓ Gaps under a second are bridged, longer pauses blank the captions');
+
+  assert.deepStrictEqual(groupCues([], 3), []);
+}
+
+// Test 3: presets, overrides and options
+function testOptions() {
+  header('TEST 3: Caption Options');
+
+  const defaults = normalizeCaptionOptions();
+  assert.deepStrictEqual(defaults, {
+    style: { ...PRESETS.classic, preset: 'classic' },
+    offset: 0,
+    duration: null,
+    burnIn: true,
+    exportFormats: []
+  });
+  log(colors.green, '✓ Defaults: classic preset, burned in, no files');
+
+  const options = normalizeCaptionOptions({
+    preset: 'karaoke',
+    style: { size: 90, color: '#ff0000', position: 'top', uppercase: true, maxWordsPerLine: 2 },
+    offset: 1.5,
+    duration: 20,
+    burnIn: false,
+    exportFormats: ['vtt', 'srt', 'vtt']
+  });
+  assert.strictEqual(options.style.preset, 'karaoke');
+  assert.strictEqual(options.style.highlightColor, PRESETS.karaoke.highlightColor);
+  assert.strictEqual(options.style.size, 90);
+  assert.strictEqual(options.style.color, '#ff0000');
+  assert.strictEqual(options.style.position, 'top');
+  assert.strictEqual(options.style.maxWordsPerLine, 2);
+  assert.deepStrictEqual(options.exportFormats, ['vtt', 'srt']);
+  assert.strictEqual(PRESETS.karaoke.size, 72, 'Presets are not modified');
+  log(colors.green, '✓ Style overrides apply on top of the preset');
+
+  assertInvalid({ preset: 'neon' }, /preset must be one of classic, bold, karaoke, minimal/);
+  assertInvalid({ style: [] }, /style must be an object/);
+  assertInvalid({ style: { font: 'Arial; drop' } }, /style.font must be a font name/);
+  assertInvalid({ style: { size: 8 } }, /style.size must be between 12 and 300/);
+  assertInvalid({ style: { outlineColor: 'black' } }, /style.outlineColor must be a #RRGGBB colour/);
+  assertInvalid({ style: { shadow: 21 } }, /style.shadow must be between 0 and 20/);
+  assertInvalid({ style: { box: 'yes' } }, /style.box must be a boolean/);
+  assertInvalid({ style: { position: 'left' } }, /style.position must be one of bottom, middle, top/);
+  assertInvalid({ style: { maxWordsPerLine: 13 } }, /style.maxWordsPerLine must be between 1 and 12/);
+  assertInvalid({ style: { italic: true } }, /Unknown style field "italic"/);
+  log(colors.green, '✓ Invalid style fields are refused');
+
+  assertInvalid({ offset: -1 }, /offset must be a number of seconds >= 0/);
+  assertInvalid({ duration: 0 }, /duration must be a number of seconds > 0/);
+  assertInvalid({ burnIn: 'false' }, /burnIn must be a boolean/);
+  assertInvalid({ exportFormats: ['ass'] }, /exportFormats must be a list of srt, vtt/);
+  assertInvalid({ burnIn: false }, /Nothing to do/);
+  log(colors.green, '✓ Invalid timing and output options are refused');
+}
+
+// Test 4: script text and caption files
+function testOutput() {
+  header('TEST 4: Script Text and Caption Files');
+
+  assert.strictEqual(
+    cleanScriptText('# Title\n[Scene 1] **Welcome** to the _shop_!\n[Upbeat music]\nSee you.'),
+    'Welcome to the shop! See you.'
+  );
+  log(colors.green, '✓ Headings, directions and formatting are dropped from scripts');
+
+  const cues = groupCues(timeWords('Hi there. Go', 0, 16), 6);
+  const style = { uppercase: false };
+  assert.strictEqual(buildSrt(cues, style), '1\n00:00:00,000 --> 00:00:08,000\nHi there.\n\n2\n00:00:14,000 --> 00:00:16,000\nGo\n');
+  assert.strictEqual(buildVtt(cues, { uppercase: true }), 'WEBVTT\n\n00:00:00.000 --> 00:00:08.000\nHI THERE.\n\n00:00:14.000 --> 00:00:16.000\nGO\n');
+  log(colors.green, '✓ SRT and VTT files list the cues');
+}
+
+function runAllTests() {
+  try {
+    testTimeWords();
+    testGroupCues();
+    testOptions();
+    testOutput();
+    header('✅ ALL TESTS PASSED');
+  } catch (error) {
+    log(colors.red, '\n❌ TEST FAILED:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
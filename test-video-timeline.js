@@ -0,0 +1,153 @@
+/**
+ * Video Timeline Test
+ * Checks timeline request validation and the filter graph joining the clips
+ *
+ * Usage: node test-video-timeline.js
+ * No database, S3 or ffmpeg needed
+ */
+
+const assert = require('assert');
+const { normalizeTimeline, buildTimelineFilter } = require('./src/videoTimeline');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function header(text) {
+  console.log('\n' + colors.cyan + '='.repeat(60));
+  console.log(text);
+  console.log('='.repeat(60) + colors.reset);
+}
+
+const PREFIXES = ['videos/u1/', 'videos/alice/'];
+
+function assertInvalid(body, message) {
+  assert.throws(() => normalizeTimeline(body, PREFIXES), error => {
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+// Test 1: defaults and transitions
+function testDefaults() {
+  header('TEST 1: Defaults and Transitions');
+
+  assert.deepStrictEqual(normalizeTimeline({ clips: [{ s3Key: 'videos/u1/a.mp4' }] }, PREFIXES), {
+    clips: [{ s3Key: 'videos/u1/a.mp4', in: 0, out: null, transition: { type: 'cut', duration: 0 } }],
+    resolution: '1080x1920',
+    fps: 30
+  });
+  log(colors.green, '✓ One clip: whole clip, 1080x1920 at 30 fps');
+
+  const timeline = normalizeTimeline({
+    transition: { type: 'crossfade', duration: 0.5 },
+    resolution: '1920x1080',
+    fps: 25,
+    clips: [
+      { s3Key: 'videos/u1/a.mp4', in: 2, out: 6, transition: 'crossfade' },
+      { s3Key: 'videos/alice/b.mp4' },
+      { s3Key: 'videos/u1/c.mp4', transition: 'cut' },
+      { s3Key: 'videos/u1/d.mp4', transition: { type: 'crossfade', duration: 2 } },
+      { s3Key: 'videos/u1/e.mp4', in: 1.5, out: null, transition: 'crossfade' }
+    ]
+  }, PREFIXES);
+
+  assert.strictEqual(timeline.resolution, '1920x1080');
+  assert.strictEqual(timeline.fps, 25);
+  assert.deepStrictEqual(timeline.clips.map(clip => clip.transition), [
+    { type: 'cut', duration: 0 }, // The first clip has nothing to join
+    { type: 'crossfade', duration: 0.5 }, // Timeline default
+    { type: 'cut', duration: 0 },
+    { type: 'crossfade', duration: 2 },
+    { type: 'crossfade', duration: 0.5 } // 'crossfade' alone takes the timeline's duration
+  ]);
+  assert.deepStrictEqual(timeline.clips.map(clip => [clip.in, clip.out]), [[2, 6], [0, null], [0, null], [0, null], [1.5, null]]);
+  log(colors.green, '✓ Clip transitions override the timeline default');
+
+  // Without a timeline crossfade, 'crossfade' uses 1 second
+  const cuts = normalizeTimeline({ clips: [{ s3Key: 'videos/u1/a.mp4' }, { s3Key: 'videos/u1/b.mp4', transition: 'crossfade' }] }, PREFIXES);
+  assert.deepStrictEqual(cuts.clips[1].transition, { type: 'crossfade', duration: 1 });
+  log(colors.green, '✓ A crossfade without a duration defaults to 1 second');
+}
+
+// Test 2: invalid requests
+function testInvalid() {
+  header('TEST 2: Invalid Timelines');
+
+  assertInvalid({}, /clips must be a non-empty array/);
+  assertInvalid({ clips: [] }, /clips must be a non-empty array/);
+  assertInvalid({ clips: Array.from({ length: 21 }, () => ({ s3Key: 'videos/u1/a.mp4' })) }, /at most 20 clips/);
+  log(colors.green, '✓ Clip count is checked');
+
+  const clips = [{ s3Key: 'videos/u1/a.mp4' }];
+  ['1080x1921', '1080', '0x0', '7680x4320', 1080].forEach(resolution => assertInvalid({ clips, resolution }, /resolution must be WIDTHxHEIGHT/));
+  [0, 61, 29.97, '30'].forEach(fps => assertInvalid({ clips, fps }, /fps must be an integer between 1 and 60/));
+  log(colors.green, '✓ Resolution and frame rate are checked');
+
+  assertInvalid({ clips: [{}] }, /clips\[0\]: s3Key is required/);
+  assertInvalid({ clips: [null] }, /clips\[0\]: s3Key is required/);
+  assertInvalid({ clips: [{ s3Key: 'videos/bob/a.mp4' }] }, /clips\[0\]: s3Key must be one of your videos/);
+  assertInvalid({ clips: [{ s3Key: 'videos/u10/a.mp4' }] }, /s3Key must be one of your videos/);
+  log(colors.green, '✓ Clips must be the user\'s own videos');
+
+  assertInvalid({ clips: [{ s3Key: 'videos/u1/a.mp4', in: -1 }] }, /clips\[0\]: in must be a number of seconds >= 0/);
+  assertInvalid({ clips: [{ s3Key: 'videos/u1/a.mp4', in: '2' }] }, /in must be a number/);
+  assertInvalid({ clips: [{ s3Key: 'videos/u1/a.mp4', in: 5, out: 5 }] }, /clips\[0\]: out must be a number of seconds after in/);
+  log(colors.green, '✓ In and out points are checked');
+
+  assertInvalid({ clips, transition: 'wipe' }, /timeline: transition must be one of cut, crossfade/);
+  assertInvalid({ clips: [clips[0], { s3Key: 'videos/u1/b.mp4', transition: { type: 'crossfade', duration: 0 } }] }, /clips\[1\]: crossfade duration/);
+  assertInvalid({ clips: [clips[0], { s3Key: 'videos/u1/b.mp4', transition: { type: 'crossfade', duration: 6 } }] }, /between 0 and 5/);
+  log(colors.green, '✓ Transitions are checked');
+}
+
+// Test 3: ffmpeg filter graph
+function testFilter() {
+  header('TEST 3: Filter Graph');
+
+  const { filter, video, audio, duration } = buildTimelineFilter([
+    { duration: 4, hasAudio: true, transition: { type: 'cut', duration: 0 } },
+    { duration: 3, hasAudio: false, transition: { type: 'crossfade', duration: 1 } },
+    { duration: 5, hasAudio: true, transition: { type: 'cut', duration: 0 } }
+  ], { resolution: '1080x1920', fps: 30 });
+
+  assert.strictEqual(duration, 11); // 4 + 3 - 1 + 5
+  assert.strictEqual(video, '[vx2]');
+  assert.strictEqual(audio, '[ax2]');
+  assert.ok(filter.includes('[0:v]scale=1080:1920:force_original_aspect_ratio=decrease'));
+  assert.ok(filter.includes('anullsrc=r=48000:cl=stereo,aresample=48000'), 'Clip without audio gets silence');
+  assert.ok(!filter.includes('[1:a]'));
+  assert.ok(filter.includes('[v0][v1]xfade=transition=fade:duration=1:offset=3.000[vx1]'));
+  assert.ok(filter.includes('[a0][a1]acrossfade=d=1[ax1]'));
+  assert.ok(filter.includes('[vx1][v2]concat=n=2:v=1:a=0[vx2]'));
+  log(colors.green, '✓ Cuts, crossfades and silent clips are joined');
+
+  assert.throws(() => buildTimelineFilter([
+    { duration: 1, hasAudio: true, transition: { type: 'cut', duration: 0 } },
+    { duration: 5, hasAudio: true, transition: { type: 'crossfade', duration: 1 } }
+  ], { resolution: '1080x1920', fps: 30 }), /Crossfade of 1s into clip 2 is longer than the clips it joins/);
+  log(colors.green, '✓ Crossfades longer than a clip are refused');
+}
+
+function runAllTests() {
+  try {
+    testDefaults();
+    testInvalid();
+    testFilter();
+    header('✅ ALL TESTS PASSED');
+  } catch (error) {
+    log(colors.red, '\n❌ TEST FAILED:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
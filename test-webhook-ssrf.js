@@ -0,0 +1,119 @@
+/**
+ * Webhook SSRF Guard Test
+ * Checks that webhook deliveries cannot reach private or metadata addresses
+ *
+ * Usage: node test-webhook-ssrf.js
+ * No database or network needed: DNS answers are faked
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { isPrivateAddress, isPrivateHost, guardedLookup } = require('./src/utils/privateAddresses');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function header(text) {
+  console.log('\n' + colors.cyan + '='.repeat(60));
+  console.log(text);
+  console.log('='.repeat(60) + colors.reset);
+}
+
+// dns.lookup stand-in answering from a fixed table
+function fakeLookup(records) {
+  return (hostname, options, callback) => {
+    const addresses = records[hostname];
+    if (!addresses) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      error.code = 'ENOTFOUND';
+      return callback(error);
+    }
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  };
+}
+
+const lookupAsync = (lookup, hostname, options) => new Promise((resolve, reject) => {
+  lookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+});
+
+// Test 1: IP literals, including IPv4-mapped IPv6
+function testLiterals() {
+  header('TEST 1: Private IP Literals');
+
+  const blocked = [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '100.127.255.254', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254', '::ffff:a9fe:a9fe', '0:0:0:0:0:ffff:a00:1'
+  ];
+  blocked.forEach(address => assert.strictEqual(isPrivateAddress(address), true, `${address} should be private`));
+
+  const allowed = ['8.8.8.8', '100.128.0.1', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8'];
+  allowed.forEach(address => assert.strictEqual(isPrivateAddress(address), false, `${address} should be public`));
+
+  // URL hostnames keep brackets and are normalised by the URL parser (::ffff:7f00:1)
+  assert.strictEqual(isPrivateHost(new URL('https://[::ffff:127.0.0.1]/hook').hostname), true);
+  assert.strictEqual(isPrivateHost(new URL('https://[::ffff:169.254.169.254]/hook').hostname), true);
+  assert.strictEqual(isPrivateHost(new URL('https://2130706433/hook').hostname), true); // 127.0.0.1 as a number
+  assert.strictEqual(isPrivateHost('metadata.google.internal'), true);
+  assert.strictEqual(isPrivateHost('hooks.example.com'), false);
+
+  log(colors.green, `✓ ${blocked.length} private and ${allowed.length} public addresses classified`);
+}
+
+// Test 2: names resolving to private addresses are refused at connection time
+async function testResolvedNames() {
+  header('TEST 2: Names Resolving to Private Addresses');
+
+  const lookup = guardedLookup(fakeLookup({
+    'metadata.attacker.test': ['169.254.169.254'],
+    'intranet.attacker.test': ['10.0.0.5'],
+    'mapped.attacker.test': ['::ffff:127.0.0.1'],
+    'cgnat.attacker.test': ['100.64.10.20'],
+    'mixed.attacker.test': ['93.184.216.34', '192.168.0.10'],
+    'hooks.example.test': ['93.184.216.34']
+  }));
+
+  for (const hostname of ['metadata.attacker.test', 'intranet.attacker.test', 'mapped.attacker.test', 'cgnat.attacker.test', 'mixed.attacker.test']) {
+    await assert.rejects(lookupAsync(lookup, hostname, {}), { code: 'EPRIVATEADDRESS' }, hostname);
+  }
+  log(colors.green, '✓ Lookups resolving to private addresses are refused');
+
+  assert.deepStrictEqual(await lookupAsync(lookup, 'hooks.example.test', {}), { address: '93.184.216.34', family: 4 });
+  assert.deepStrictEqual(await lookupAsync(lookup, 'hooks.example.test', { all: true }), {
+    address: [{ address: '93.184.216.34', family: 4 }],
+    family: undefined
+  });
+  log(colors.green, '✓ Public names resolve normally');
+
+  // Through an agent, as deliveries do: the request never connects
+  const agent = new http.Agent({ lookup });
+  const error = await new Promise((resolve) => {
+    const req = http.get('http://metadata.attacker.test/latest/meta-data/', { agent }, () => resolve(null));
+    req.on('error', resolve);
+  });
+  assert.ok(error && error.code === 'EPRIVATEADDRESS', `Expected EPRIVATEADDRESS, got ${error && error.code}`);
+  agent.destroy();
+  log(colors.green, '✓ HTTP request through the guarded agent is refused before connecting');
+}
+
+async function runAllTests() {
+  try {
+    testLiterals();
+    await testResolvedNames();
+    header('✅ ALL TESTS PASSED');
+  } catch (error) {
+    log(colors.red, '\n❌ TEST FAILED:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();